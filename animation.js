@@ -0,0 +1,125 @@
+/**
+ * Recordly - Animation Export
+ * Turns a recording, or a range of it, into an animated GIF or WebP for
+ * tickets and code reviews, where they autoplay. Frames are grabbed on the
+ * page and encoded in a worker (animation.worker.js).
+ */
+
+import { readFrames } from "./thumbnails.js";
+
+export const ANIMATION_FORMATS = {
+  gif: { label: "Animated GIF", mimeType: "image/gif", extension: "gif" },
+  webp: { label: "Animated WebP", mimeType: "image/webp", extension: "webp" },
+};
+
+const QUEUE_LIMIT = 8; // Frames sent to the worker and not yet encoded
+
+export const DEFAULT_ANIMATION = {
+  format: "gif",
+  fps: 10, // GIF delays are in 1/100 s and browsers slow down anything above 50
+  width: 640, // px; never wider than the recording
+};
+
+/**
+ * Whether this browser can export a format
+ * @param {"gif"|"webp"} format
+ */
+export function canExportAnimation(format) {
+  if (typeof Worker === "undefined") return false;
+  if (format !== "webp") return format in ANIMATION_FORMATS;
+
+  // The worker uses the browser's own WebP encoder for each frame
+  return (
+    typeof OffscreenCanvas !== "undefined" &&
+    document
+      .createElement("canvas")
+      .toDataURL("image/webp")
+      .startsWith("data:image/webp")
+  );
+}
+
+/**
+ * Encode [start, end) of a recording as an animation
+ * @param {Blob} blob - Finished recording
+ * @param {object} [options]
+ * @param {"gif"|"webp"} [options.format]
+ * @param {number} [options.start] - Seconds
+ * @param {number} [options.end] - Seconds
+ * @param {number} [options.fps]
+ * @param {number} [options.width] - px
+ * @param {(progress: number) => void} [options.onProgress] - 0 to 1
+ * @returns {Promise<Blob>}
+ */
+export async function exportAnimation(
+  blob,
+  {
+    format = DEFAULT_ANIMATION.format,
+    start = 0,
+    end = Infinity,
+    fps = DEFAULT_ANIMATION.fps,
+    width = DEFAULT_ANIMATION.width,
+    onProgress,
+  } = {}
+) {
+  const worker = new Worker("./animation.worker.js", { type: "module" });
+
+  let failure = null;
+  let encoded = 0;
+  let count = 0;
+  const result = new Promise((resolve, reject) => {
+    worker.onmessage = ({ data }) => {
+      switch (data.type) {
+        case "frame":
+          encoded++;
+          onProgress?.(count ? encoded / count : 0);
+          break;
+        case "done":
+          resolve(data.blob);
+          break;
+        case "error":
+          reject((failure = new Error(data.message)));
+          break;
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      reject((failure = new Error(event.message || "The encoder failed")));
+    };
+  });
+  result.catch(() => {}); // Raised below, or while reading frames
+
+  try {
+    const length = await readFrames(
+      blob,
+      { start, end, fps, width },
+      async ({ canvas, time, index, count: total }) => {
+        while (!failure && index - encoded > QUEUE_LIMIT) {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+        if (failure) throw failure;
+        if (index === 0) {
+          count = total;
+          worker.postMessage({
+            type: "start",
+            format,
+            width: canvas.width,
+            height: canvas.height,
+          });
+        }
+
+        const { data } = canvas
+          .getContext("2d")
+          .getImageData(0, 0, canvas.width, canvas.height);
+        worker.postMessage(
+          { type: "frame", buffer: data.buffer, time: time * 1000 },
+          [data.buffer]
+        );
+      }
+    );
+
+    worker.postMessage({ type: "finish", time: length * 1000 });
+    return await result;
+  } finally {
+    worker.terminate();
+  }
+}
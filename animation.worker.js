@@ -0,0 +1,131 @@
+// animation.worker.js
+
+import { GifEncoder } from "./gif.js";
+import { WebpEncoder } from "./webp.js";
+
+const ENCODERS = { gif: GifEncoder, webp: WebpEncoder };
+
+// Summed RGB difference under which a pixel counts as unchanged, so video
+// compression noise doesn't redraw static parts of the screen
+const TOLERANCE = 24;
+
+let encoder = null;
+let width = 0;
+let height = 0;
+let shown = null; // RGBA of what the animation shows so far
+let pending = null; // { rgba, rect, mask, time }, written once its duration is known
+let failed = false;
+
+// Frames are handled one at a time, in order
+let queue = Promise.resolve();
+
+self.onmessage = ({ data: message }) => {
+  queue = queue
+    .then(() => handleMessage(message))
+    .catch((error) => {
+      failed = true;
+      self.postMessage({ type: "error", message: error.message });
+    });
+};
+
+async function handleMessage(message) {
+  if (failed) return;
+
+  switch (message.type) {
+    case "start": {
+      const Encoder = ENCODERS[message.format];
+      if (!Encoder) throw new Error(`Unknown format: ${message.format}`);
+      ({ width, height } = message);
+      encoder = new Encoder(width, height);
+      break;
+    }
+
+    case "frame": {
+      const rgba = new Uint8ClampedArray(message.buffer);
+      const change = diffFrame(rgba);
+      // Nothing changed: the pending frame stays up longer
+      if (change) {
+        await writePending(message.time);
+        pending = { rgba, ...change, time: message.time };
+      }
+      self.postMessage({ type: "frame" });
+      break;
+    }
+
+    case "finish":
+      await writePending(message.time);
+      self.postMessage({ type: "done", blob: encoder.finish() });
+      break;
+  }
+}
+
+/**
+ * Write the pending frame, shown until `time`
+ * @param {number} time - ms from the start of the animation
+ */
+async function writePending(time) {
+  if (!pending) return;
+  const { rgba, rect, mask } = pending;
+  await encoder.addFrame(rgba, rect, mask, time - pending.time);
+  pending = null;
+}
+
+/**
+ * Compare a frame with what is shown: the rectangle that changed, and which
+ * of its pixels did. The changed pixels become the shown ones.
+ * @param {Uint8ClampedArray} rgba
+ * @returns {{rect: object, mask: Uint8Array|null}|null} Null if nothing
+ *   changed; no mask for the first frame, which is drawn whole
+ */
+function diffFrame(rgba) {
+  if (!shown) {
+    shown = rgba.slice();
+    return { rect: { x: 0, y: 0, width, height }, mask: null };
+  }
+
+  const changed = new Uint8Array(width * height);
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = y * width + x;
+      const i = pixel * 4;
+      const difference =
+        Math.abs(rgba[i] - shown[i]) +
+        Math.abs(rgba[i + 1] - shown[i + 1]) +
+        Math.abs(rgba[i + 2] - shown[i + 2]);
+      if (difference <= TOLERANCE) continue;
+
+      changed[pixel] = 1;
+      shown[i] = rgba[i];
+      shown[i + 1] = rgba[i + 1];
+      shown[i + 2] = rgba[i + 2];
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+    }
+  }
+  if (right < 0) return null;
+
+  const rect = {
+    x: left,
+    y: top,
+    width: right - left + 1,
+    height: bottom - top + 1,
+  };
+  const mask = new Uint8Array(rect.width * rect.height);
+  for (let y = 0; y < rect.height; y++) {
+    mask.set(
+      changed.subarray(
+        (top + y) * width + left,
+        (top + y) * width + left + rect.width
+      ),
+      y * rect.width
+    );
+  }
+  return { rect, mask };
+}
@@ -0,0 +1,217 @@
+/**
+ * Recordly - Annotations
+ * Strokes drawn over the preview while recording, rendered into the output
+ * by the Canvas and worker compositors. Points are normalized to the output
+ * frame; times are epoch ms, so the page and the worker agree on when a
+ * stroke fades.
+ */
+
+export const ANNOTATION_TOOLS = {
+  pen: { label: "Pen", hotkey: "P", width: 4 },
+  highlighter: { label: "Highlighter", hotkey: "H", width: 24 },
+  arrow: { label: "Arrow", hotkey: "A", width: 5 },
+  rectangle: { label: "Rectangle", hotkey: "R", width: 4 },
+  spotlight: { label: "Spotlight", hotkey: "S", width: 0 },
+};
+
+export const DEFAULT_ANNOTATIONS = {
+  tool: "pen",
+  color: "#ff3b30",
+  fade: 3000, // ms a finished stroke stays before fading out; 0 keeps it
+};
+
+const FADE_OUT = 500; // ms
+const REFERENCE_HEIGHT = 720; // Tool widths are px at this output height
+const HIGHLIGHTER_OPACITY = 0.35;
+const SPOTLIGHT_DIM = "rgba(0, 0, 0, 0.6)";
+
+/**
+ * The strokes on screen
+ */
+export function createAnnotationState() {
+  return { strokes: [] };
+}
+
+/**
+ * Start a stroke at a point
+ * @param {object} settings - Tool, color and fade, see DEFAULT_ANNOTATIONS
+ * @param {[number, number]} point - Normalized x, y
+ * @param {number} [now] - Epoch ms
+ */
+export function createStroke({ tool, color, fade }, point, now = Date.now()) {
+  return {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    tool,
+    color,
+    fade,
+    points: [point],
+    endedAt: null, // Set when the pointer lifts; fading counts from here
+  };
+}
+
+/**
+ * Continue a stroke to a point. Freehand tools keep every point, shapes
+ * only the corner they started from and the current one.
+ * @param {object} stroke
+ * @param {[number, number]} point
+ */
+export function extendStroke(stroke, point) {
+  if (stroke.tool === "pen" || stroke.tool === "highlighter") {
+    stroke.points.push(point);
+  } else {
+    stroke.points = [stroke.points[0], point];
+  }
+}
+
+/**
+ * Apply a change sent by the page: `{type: "stroke", stroke}` adds or
+ * replaces a stroke, `{type: "remove", id}` undoes one, `{type: "clear"}`
+ * removes them all
+ * @param {object} state - From createAnnotationState()
+ * @param {object} change
+ */
+export function applyAnnotationChange(state, change) {
+  switch (change.type) {
+    case "stroke": {
+      const index = state.strokes.findIndex(
+        (stroke) => stroke.id === change.stroke.id
+      );
+      if (index >= 0) state.strokes[index] = change.stroke;
+      else state.strokes.push(change.stroke);
+      break;
+    }
+    case "remove":
+      state.strokes = state.strokes.filter((stroke) => stroke.id !== change.id);
+      break;
+    case "clear":
+      state.strokes = [];
+      break;
+  }
+}
+
+/**
+ * Drop the strokes that have faded out
+ * @param {object} state
+ * @param {number} [now] - Epoch ms
+ */
+export function pruneAnnotations(state, now = Date.now()) {
+  if (state.strokes.some((stroke) => getOpacity(stroke, now) <= 0)) {
+    state.strokes = state.strokes.filter(
+      (stroke) => getOpacity(stroke, now) > 0
+    );
+  }
+}
+
+/**
+ * Draw the strokes over the composed frame
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {object} state - From createAnnotationState()
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [now] - Epoch ms
+ */
+export function drawAnnotations(ctx, state, width, height, now = Date.now()) {
+  if (state.strokes.length === 0) return;
+  pruneAnnotations(state, now);
+
+  const scale = height / REFERENCE_HEIGHT;
+  for (const stroke of state.strokes) {
+    ctx.save();
+    try {
+      ctx.globalAlpha = getOpacity(stroke, now);
+      drawStroke(ctx, stroke, width, height, scale);
+    } finally {
+      ctx.restore();
+    }
+  }
+}
+
+/**
+ * 1 until the stroke's fade delay has passed, then down to 0 over FADE_OUT
+ */
+function getOpacity(stroke, now) {
+  if (!stroke.endedAt || !stroke.fade) return 1;
+  const fading = now - stroke.endedAt - stroke.fade;
+  return fading <= 0 ? 1 : Math.max(0, 1 - fading / FADE_OUT);
+}
+
+function drawStroke(ctx, stroke, width, height, scale) {
+  const points = stroke.points.map(([x, y]) => [x * width, y * height]);
+  const [start] = points;
+  const end = points[points.length - 1];
+  const lineWidth = ANNOTATION_TOOLS[stroke.tool].width * scale;
+
+  ctx.strokeStyle = stroke.color;
+  ctx.fillStyle = stroke.color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+
+  switch (stroke.tool) {
+    case "highlighter":
+      ctx.globalAlpha *= HIGHLIGHTER_OPACITY;
+    // falls through
+    case "pen":
+      // One path, so a highlighter crossing itself doesn't darken
+      ctx.beginPath();
+      ctx.moveTo(start[0], start[1]);
+      if (points.length === 1) ctx.lineTo(start[0] + 0.1, start[1]); // A dot
+      for (const [x, y] of points.slice(1)) ctx.lineTo(x, y);
+      ctx.stroke();
+      break;
+
+    case "arrow":
+      drawArrow(ctx, start, end, lineWidth);
+      break;
+
+    case "rectangle":
+      ctx.strokeRect(start[0], start[1], end[0] - start[0], end[1] - start[1]);
+      break;
+
+    case "spotlight": {
+      // Dim everything outside the ellipse spanned by the drag
+      ctx.fillStyle = SPOTLIGHT_DIM;
+      ctx.beginPath();
+      ctx.rect(0, 0, width, height);
+      ctx.ellipse(
+        (start[0] + end[0]) / 2,
+        (start[1] + end[1]) / 2,
+        Math.abs(end[0] - start[0]) / 2,
+        Math.abs(end[1] - start[1]) / 2,
+        0,
+        0,
+        Math.PI * 2
+      );
+      ctx.fill("evenodd");
+      break;
+    }
+  }
+}
+
+function drawArrow(ctx, [x1, y1], [x2, y2], lineWidth) {
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  if (length < 1) return;
+
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const head = Math.min(length, lineWidth * 4);
+
+  // Shaft up to the base of the head, so its round cap doesn't poke out
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(
+    x2 - Math.cos(angle) * head * 0.8,
+    y2 - Math.sin(angle) * head * 0.8
+  );
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.moveTo(x2, y2);
+  for (const side of [-1, 1]) {
+    ctx.lineTo(
+      x2 - head * Math.cos(angle + (side * Math.PI) / 6),
+      y2 - head * Math.sin(angle + (side * Math.PI) / 6)
+    );
+  }
+  ctx.closePath();
+  ctx.fill();
+}
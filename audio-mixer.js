@@ -0,0 +1,235 @@
+/**
+ * Recordly - Audio Mixer
+ * Mixes the recorded audio sources (mic, system) through a GainNode each,
+ * with per-source mute and level metering, into one output track. With
+ * processing enabled the mic runs through the voice chain and system audio
+ * is ducked under it (see audio-processing.js).
+ */
+
+import {
+  resolveProcessing,
+  loadProcessors,
+  createVoiceChain,
+  createDucker,
+} from "./audio-processing.js";
+
+const MAX_GAIN = 2; // +6 dB
+const RAMP_TIME = 0.015; // s; smooths gain changes so they don't click
+
+export class AudioMixer {
+  constructor() {
+    this.context = new AudioContext();
+    this.destination = this.context.createMediaStreamDestination();
+    this.sources = new Map(); // name -> { nodes, gainNode, output, analyser, ... }
+    // The whole mix, for the audio visualizer
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.processing = null; // Resolved voice processing settings
+    this.worklets = false; // Gate/ducker worklet loaded
+  }
+
+  /**
+   * Enable voice processing for sources added afterwards
+   * @param {string|object|null} processing - See resolveProcessing()
+   */
+  async setProcessing(processing) {
+    this.processing = resolveProcessing(processing);
+    this.worklets = this.processing
+      ? await loadProcessors(this.context, this.processing)
+      : false;
+  }
+
+  /**
+   * The mixed output
+   * @returns {MediaStream}
+   */
+  get stream() {
+    return this.destination.stream;
+  }
+
+  /**
+   * Names of the mixed sources
+   * @returns {string[]}
+   */
+  get sourceNames() {
+    return [...this.sources.keys()];
+  }
+
+  /**
+   * Add a named source
+   * @param {string} name - e.g. "mic" or "system"
+   * @param {MediaStreamTrack[]} tracks - Audio tracks of the source
+   * @param {{gain?: number, muted?: boolean}} [options]
+   */
+  addSource(name, tracks, { gain = 1, muted = false } = {}) {
+    if (this.sources.has(name)) this.removeSource(name);
+
+    const input = this.context.createMediaStreamSource(new MediaStream(tracks));
+    const gainNode = this.context.createGain();
+    const analyser = this.context.createAnalyser();
+    analyser.fftSize = 1024;
+
+    const nodes = [input, gainNode];
+    let ducker = null;
+    if (this.processing && name === "mic") {
+      nodes.push(
+        ...createVoiceChain(this.context, this.processing, this.worklets)
+      );
+    } else if (this.processing && name === "system") {
+      ducker = createDucker(this.context, this.processing, this.worklets);
+      if (ducker) nodes.push(ducker);
+    }
+
+    for (let i = 1; i < nodes.length; i++) {
+      nodes[i - 1].connect(nodes[i]);
+    }
+    const output = nodes[nodes.length - 1];
+    output.connect(analyser);
+    output.connect(this.analyser);
+    output.connect(this.destination);
+
+    const source = {
+      nodes,
+      gainNode,
+      output,
+      ducker,
+      analyser,
+      samples: new Float32Array(analyser.fftSize),
+      gain: clampGain(gain),
+      muted,
+    };
+    this.sources.set(name, source);
+    this.applyGain(source, true);
+    this.connectSidechain();
+  }
+
+  /**
+   * Feed the processed mic into the system audio ducker, in whichever order
+   * the two were added
+   */
+  connectSidechain() {
+    const mic = this.sources.get("mic");
+    const ducker = this.sources.get("system")?.ducker;
+    if (mic && ducker) mic.output.connect(ducker, 0, 1);
+  }
+
+  /**
+   * Swap the tracks of a source (e.g. another microphone), keeping its gain
+   * and mute state
+   * @param {string} name
+   * @param {MediaStreamTrack[]} tracks
+   */
+  replaceSource(name, tracks) {
+    const { gain = 1, muted = false } = this.sources.get(name) ?? {};
+    this.addSource(name, tracks, { gain, muted });
+  }
+
+  /**
+   * Disconnect a source from the mix
+   * @param {string} name
+   */
+  removeSource(name) {
+    const source = this.sources.get(name);
+    if (!source) return;
+
+    source.nodes.forEach((node) => node.disconnect());
+    this.sources.delete(name);
+  }
+
+  /**
+   * Set the gain of a source (0 = silent, 1 = unity, up to 2)
+   * @param {string} name
+   * @param {number} value
+   * @returns {boolean} Whether the source exists
+   */
+  setGain(name, value) {
+    const source = this.sources.get(name);
+    if (!source) return false;
+
+    source.gain = clampGain(value);
+    this.applyGain(source);
+    return true;
+  }
+
+  /**
+   * Mute or unmute a source, keeping its gain for later
+   * @param {string} name
+   * @param {boolean} muted
+   * @returns {boolean} Whether the source exists
+   */
+  setMuted(name, muted) {
+    const source = this.sources.get(name);
+    if (!source) return false;
+
+    source.muted = muted;
+    this.applyGain(source);
+    return true;
+  }
+
+  applyGain(source, immediate = false) {
+    const value = source.muted ? 0 : source.gain;
+    const param = source.gainNode.gain;
+
+    if (immediate) {
+      param.value = value;
+    } else {
+      param.setTargetAtTime(value, this.context.currentTime, RAMP_TIME);
+    }
+  }
+
+  /**
+   * Peak level of a source after its gain and processing, for meters
+   * @param {string} name
+   * @returns {number} 0..1
+   */
+  getLevel(name) {
+    const source = this.sources.get(name);
+    if (!source) return 0;
+
+    source.analyser.getFloatTimeDomainData(source.samples);
+    let peak = 0;
+    for (const sample of source.samples) {
+      peak = Math.max(peak, Math.abs(sample));
+    }
+    return Math.min(1, peak);
+  }
+
+  /**
+   * The newest samples of the whole mix, after gain and processing
+   * @param {Float32Array} samples - Filled with the newest samples, oldest
+   *   first
+   */
+  getWaveform(samples) {
+    this.analyser.getFloatTimeDomainData(samples);
+  }
+
+  /**
+   * Gain, mute state and level of every source
+   * @returns {Object<string, {gain: number, muted: boolean, level: number}>}
+   */
+  getState() {
+    const state = {};
+    this.sources.forEach((source, name) => {
+      state[name] = {
+        gain: source.gain,
+        muted: source.muted,
+        level: this.getLevel(name),
+      };
+    });
+    return state;
+  }
+
+  /**
+   * Release the audio graph
+   */
+  async close() {
+    this.sources.forEach((_, name) => this.removeSource(name));
+    if (this.context.state !== "closed") {
+      await this.context.close();
+    }
+  }
+}
+
+function clampGain(value) {
+  return Math.min(MAX_GAIN, Math.max(0, Number(value) || 0));
+}
@@ -0,0 +1,206 @@
+/**
+ * Recordly - Voice Processing
+ * Optional chain for the microphone (high-pass, noise gate, compressor,
+ * limiter) and ducking of system audio while the presenter speaks.
+ * Built into the mixer graph by audio-mixer.js.
+ */
+
+// Stages switched off by default; presets turn them on
+const STAGES = {
+  highpass: { enabled: false, frequency: 80 }, // Hz; rumble, desk thumps, HVAC
+  gate: {
+    enabled: false,
+    threshold: -50, // dB; below this the mic is silenced
+    attack: 0.005, // s
+    hold: 0.15, // s
+    release: 0.15, // s
+  },
+  compressor: {
+    enabled: false,
+    threshold: -24, // dB
+    ratio: 3,
+    knee: 10, // dB
+    attack: 0.005, // s
+    release: 0.2, // s
+    makeup: 0, // dB of gain after compression
+  },
+  limiter: { enabled: false, ceiling: -1 }, // dB
+  ducking: {
+    enabled: false,
+    amount: 12, // dB taken off system audio while the mic is active
+    threshold: -40, // dB of (processed) mic level that counts as speech
+    attack: 0.05, // s
+    hold: 0.3, // s
+    release: 0.5, // s
+  },
+};
+
+export const PROCESSING_PRESETS = {
+  off: { label: "Off" },
+  light: {
+    label: "Light cleanup",
+    highpass: { enabled: true, frequency: 80 },
+    compressor: { enabled: true, threshold: -24, ratio: 2 },
+    limiter: { enabled: true },
+  },
+  office: {
+    label: "Open office",
+    highpass: { enabled: true, frequency: 100 },
+    gate: { enabled: true, threshold: -45 },
+    compressor: { enabled: true, threshold: -26, ratio: 4, makeup: 4 },
+    limiter: { enabled: true },
+    ducking: { enabled: true, amount: 12 },
+  },
+  voiceover: {
+    label: "Voice-over",
+    highpass: { enabled: true, frequency: 80 },
+    gate: { enabled: true, threshold: -55, release: 0.25 },
+    compressor: { enabled: true, threshold: -20, ratio: 6, makeup: 6 },
+    limiter: { enabled: true },
+    ducking: { enabled: true, amount: 18, release: 0.8 },
+  },
+};
+
+const WORKLET_URL = new URL("./audio-processing.worklet.js", import.meta.url);
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+/**
+ * Expand a processing config into full per-stage settings: a preset name,
+ * optionally with per-stage overrides, e.g.
+ * `{ preset: "office", gate: { threshold: -40 } }`
+ * @param {string|object|null} [processing]
+ * @returns {object|null} Settings per stage, or null when every stage is off
+ */
+export function resolveProcessing(processing) {
+  if (!processing) return null;
+  if (typeof processing === "string") processing = { preset: processing };
+
+  const preset = PROCESSING_PRESETS[processing.preset] || {};
+  const settings = {};
+  Object.keys(STAGES).forEach((stage) => {
+    settings[stage] = {
+      ...STAGES[stage],
+      ...preset[stage],
+      ...processing[stage],
+    };
+  });
+
+  const active = Object.values(settings).some((stage) => stage.enabled);
+  return active ? settings : null;
+}
+
+/**
+ * Make the worklet stages (gate, ducker) available in a context, if needed
+ * @param {AudioContext} context
+ * @param {object} settings - From resolveProcessing()
+ * @returns {Promise<boolean>} Whether the worklet stages can be used
+ */
+export async function loadProcessors(context, settings) {
+  if (!settings.gate.enabled && !settings.ducking.enabled) return true;
+
+  try {
+    await context.audioWorklet.addModule(WORKLET_URL);
+    return true;
+  } catch (error) {
+    console.warn("Noise gate and ducking unavailable:", error);
+    return false;
+  }
+}
+
+function setParams(node, params) {
+  Object.entries(params).forEach(([name, value]) => {
+    const param = node.parameters?.get(name) ?? node[name];
+    param.value = value;
+  });
+}
+
+/**
+ * Build the microphone chain
+ * @param {AudioContext} context
+ * @param {object} settings - From resolveProcessing()
+ * @param {boolean} worklets - Whether loadProcessors() succeeded
+ * @returns {AudioNode[]} Nodes in order, to connect in series (may be empty)
+ */
+export function createVoiceChain(context, settings, worklets) {
+  const { highpass, gate, compressor, limiter } = settings;
+  const nodes = [];
+
+  if (highpass.enabled) {
+    const filter = context.createBiquadFilter();
+    filter.type = "highpass";
+    filter.frequency.value = highpass.frequency;
+    filter.Q.value = Math.SQRT1_2;
+    nodes.push(filter);
+  }
+
+  if (gate.enabled && worklets) {
+    const node = new AudioWorkletNode(context, "noise-gate");
+    setParams(node, {
+      threshold: gate.threshold,
+      attack: gate.attack,
+      hold: gate.hold,
+      release: gate.release,
+    });
+    nodes.push(node);
+  }
+
+  if (compressor.enabled) {
+    const node = context.createDynamicsCompressor();
+    setParams(node, {
+      threshold: compressor.threshold,
+      ratio: compressor.ratio,
+      knee: compressor.knee,
+      attack: compressor.attack,
+      release: compressor.release,
+    });
+    nodes.push(node);
+
+    if (compressor.makeup) {
+      const makeup = context.createGain();
+      makeup.gain.value = dbToGain(compressor.makeup);
+      nodes.push(makeup);
+    }
+  }
+
+  if (limiter.enabled) {
+    // A hard, fast compressor; close to a brickwall for speech
+    const node = context.createDynamicsCompressor();
+    setParams(node, {
+      threshold: limiter.ceiling,
+      ratio: 20,
+      knee: 0,
+      attack: 0.001,
+      release: 0.05,
+    });
+    nodes.push(node);
+  }
+
+  return nodes;
+}
+
+/**
+ * Build the ducker for system audio: input 0 is the program, input 1 the
+ * (processed) microphone
+ * @param {AudioContext} context
+ * @param {object} settings - From resolveProcessing()
+ * @param {boolean} worklets - Whether loadProcessors() succeeded
+ * @returns {AudioWorkletNode|null}
+ */
+export function createDucker(context, settings, worklets) {
+  const { ducking } = settings;
+  if (!ducking.enabled || !worklets) return null;
+
+  const node = new AudioWorkletNode(context, "ducker", {
+    numberOfInputs: 2,
+    outputChannelCount: [2],
+  });
+  setParams(node, {
+    threshold: ducking.threshold,
+    amount: ducking.amount,
+    attack: ducking.attack,
+    hold: ducking.hold,
+    release: ducking.release,
+  });
+  return node;
+}
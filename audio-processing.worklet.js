@@ -0,0 +1,168 @@
+/**
+ * Recordly - Audio Processing Worklet
+ * Sample-accurate stages that Web Audio has no native node for: a noise
+ * gate for the microphone and a sidechain ducker for system audio.
+ * Loaded by audio-processing.js.
+ */
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+// One-pole smoothing coefficient for a time constant in seconds
+const coefficient = (seconds) =>
+  1 - Math.exp(-1 / (Math.max(seconds, 0.0001) * sampleRate));
+
+const ENVELOPE_RELEASE = 0.02; // s; peak follower decay for level detection
+
+const timeParam = (name, defaultValue) => ({
+  name,
+  defaultValue,
+  minValue: 0.001,
+  maxValue: 5,
+  automationRate: "k-rate",
+});
+
+/**
+ * Peak envelope follower over all channels of one input
+ */
+class EnvelopeFollower {
+  constructor() {
+    this.level = 0;
+    this.decay = coefficient(ENVELOPE_RELEASE);
+  }
+
+  next(channels, i) {
+    let peak = 0;
+    for (const channel of channels) {
+      peak = Math.max(peak, Math.abs(channel[i]));
+    }
+    this.level =
+      peak > this.level ? peak : this.level + (peak - this.level) * this.decay;
+    return this.level;
+  }
+}
+
+/**
+ * Silences the input while its level stays under the threshold; holds open
+ * briefly after speech so word endings aren't clipped
+ */
+class NoiseGateProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      {
+        name: "threshold",
+        defaultValue: -50,
+        minValue: -100,
+        maxValue: 0,
+        automationRate: "k-rate",
+      },
+      timeParam("attack", 0.005),
+      timeParam("hold", 0.15),
+      timeParam("release", 0.15),
+    ];
+  }
+
+  constructor() {
+    super();
+    this.envelope = new EnvelopeFollower();
+    this.gain = 0;
+    this.holdLeft = 0;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (input.length === 0) return true;
+
+    const open = dbToGain(parameters.threshold[0]);
+    const attack = coefficient(parameters.attack[0]);
+    const release = coefficient(parameters.release[0]);
+    const hold = parameters.hold[0] * sampleRate;
+
+    for (let i = 0; i < input[0].length; i++) {
+      if (this.envelope.next(input, i) >= open) {
+        this.holdLeft = hold;
+      } else if (this.holdLeft > 0) {
+        this.holdLeft--;
+      }
+
+      const target = this.holdLeft > 0 ? 1 : 0;
+      this.gain +=
+        (target - this.gain) * (target > this.gain ? attack : release);
+
+      for (let c = 0; c < output.length; c++) {
+        output[c][i] = input[Math.min(c, input.length - 1)][i] * this.gain;
+      }
+    }
+    return true;
+  }
+}
+
+/**
+ * Lowers input 0 (program) by `amount` dB while input 1 (sidechain) is over
+ * the threshold
+ */
+class DuckerProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      {
+        name: "threshold",
+        defaultValue: -40,
+        minValue: -100,
+        maxValue: 0,
+        automationRate: "k-rate",
+      },
+      {
+        name: "amount",
+        defaultValue: 12,
+        minValue: 0,
+        maxValue: 60,
+        automationRate: "k-rate",
+      },
+      timeParam("attack", 0.05),
+      timeParam("hold", 0.3),
+      timeParam("release", 0.5),
+    ];
+  }
+
+  constructor() {
+    super();
+    this.envelope = new EnvelopeFollower();
+    this.gain = 1;
+    this.holdLeft = 0;
+  }
+
+  process(inputs, outputs, parameters) {
+    const [program, sidechain] = inputs;
+    const output = outputs[0];
+    if (program.length === 0) return true;
+
+    const threshold = dbToGain(parameters.threshold[0]);
+    const ducked = dbToGain(-parameters.amount[0]);
+    const attack = coefficient(parameters.attack[0]);
+    const release = coefficient(parameters.release[0]);
+    const hold = parameters.hold[0] * sampleRate;
+
+    for (let i = 0; i < program[0].length; i++) {
+      if (
+        sidechain.length > 0 &&
+        this.envelope.next(sidechain, i) >= threshold
+      ) {
+        this.holdLeft = hold;
+      } else if (this.holdLeft > 0) {
+        this.holdLeft--;
+      }
+
+      const target = this.holdLeft > 0 ? ducked : 1;
+      this.gain +=
+        (target - this.gain) * (target < this.gain ? attack : release);
+
+      for (let c = 0; c < output.length; c++) {
+        output[c][i] = program[Math.min(c, program.length - 1)][i] * this.gain;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("noise-gate", NoiseGateProcessor);
+registerProcessor("ducker", DuckerProcessor);
@@ -0,0 +1,224 @@
+/**
+ * Recordly - Branding
+ * Logo or text watermark and a lower-third caption, composited over every
+ * scene. Shared by the Canvas compositor (recorder.js) and the worker
+ * compositor (compositor.worker.js) so both draw them identically. The
+ * lower third is shown and hidden live; its times are epoch ms so the page
+ * and the worker agree on the animation.
+ */
+
+export const DEFAULT_BRANDING = {
+  watermark: {
+    image: null, // ImageBitmap logo; drawn instead of the text when set
+    text: "",
+    anchor: "top-right", // top-left | top-right | bottom-left | bottom-right
+    // Logo width as a fraction of the output width; text is a quarter as tall
+    size: 0.12,
+    opacity: 0.8,
+  },
+  lowerThird: {
+    name: "",
+    title: "",
+    color: "#007bff", // Accent bar
+    duration: 8000, // ms shown before hiding by itself; 0 stays until hidden
+    showAtStart: true,
+  },
+};
+
+const ANCHORS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+const MARGIN = 0.025; // Of the output width
+const ANIMATION = 400; // ms to slide the lower third in or out
+const FONT = "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+
+/**
+ * Merge partial settings over the defaults and clamp them to sane values
+ * @param {object} [branding] - `{watermark, lowerThird}`, each partial
+ * @returns {typeof DEFAULT_BRANDING}
+ */
+export function resolveBranding(branding = {}) {
+  const watermark = { ...DEFAULT_BRANDING.watermark, ...branding.watermark };
+  const lowerThird = {
+    ...DEFAULT_BRANDING.lowerThird,
+    ...branding.lowerThird,
+  };
+
+  if (!ANCHORS.includes(watermark.anchor)) {
+    watermark.anchor = DEFAULT_BRANDING.watermark.anchor;
+  }
+  watermark.size = Math.min(0.5, Math.max(0.02, Number(watermark.size) || 0));
+  watermark.opacity = Math.min(1, Math.max(0, Number(watermark.opacity) || 0));
+  watermark.text = String(watermark.text || "").trim();
+  lowerThird.name = String(lowerThird.name || "").trim();
+  lowerThird.title = String(lowerThird.title || "").trim();
+  lowerThird.duration = Math.max(0, Number(lowerThird.duration) || 0);
+
+  return { watermark, lowerThird };
+}
+
+/**
+ * Whether there is anything to draw; only then does a recording need a
+ * compositor for branding
+ * @param {object} branding - From resolveBranding()
+ */
+export function hasBranding({ watermark, lowerThird }) {
+  return !!(watermark.image || watermark.text || lowerThird.name);
+}
+
+/**
+ * Lower third visibility: hidden until shown
+ */
+export function createLowerThirdState() {
+  return { visible: false, changedAt: 0 };
+}
+
+/**
+ * Whether the lower third is on screen, or sliding in
+ * @param {object} state - From createLowerThirdState()
+ * @param {object} lowerThird - Resolved lower third settings
+ * @param {number} [now] - Epoch ms
+ */
+export function isLowerThirdShowing(state, lowerThird, now = Date.now()) {
+  return (
+    state.visible &&
+    !(lowerThird.duration && now - state.changedAt > lowerThird.duration)
+  );
+}
+
+/**
+ * Draw the watermark and lower third over the composed frame
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {object} branding - From resolveBranding()
+ * @param {object} lowerThirdState - From createLowerThirdState()
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [now] - Epoch ms
+ */
+export function drawBranding(
+  ctx,
+  branding,
+  lowerThirdState,
+  width,
+  height,
+  now = Date.now()
+) {
+  const { watermark, lowerThird } = branding;
+
+  if (watermark.image || watermark.text) {
+    ctx.save();
+    try {
+      drawWatermark(ctx, watermark, width, height);
+    } finally {
+      ctx.restore();
+    }
+  }
+
+  const progress = getLowerThirdProgress(lowerThirdState, lowerThird, now);
+  if (lowerThird.name && progress > 0) {
+    ctx.save();
+    try {
+      drawLowerThird(ctx, lowerThird, progress, width, height);
+    } finally {
+      ctx.restore();
+    }
+  }
+}
+
+/**
+ * 0 (hidden) to 1 (fully in), easing in after a show and out after a hide
+ * or once the duration has passed
+ */
+function getLowerThirdProgress(state, lowerThird, now) {
+  if (!state.changedAt) return 0;
+
+  const since = now - state.changedAt;
+  let progress;
+  if (!state.visible) {
+    progress = 1 - since / ANIMATION;
+  } else if (lowerThird.duration && since > lowerThird.duration) {
+    progress = 1 - (since - lowerThird.duration) / ANIMATION;
+  } else {
+    progress = since / ANIMATION;
+  }
+
+  progress = Math.min(1, Math.max(0, progress));
+  return 1 - (1 - progress) ** 3; // Ease out
+}
+
+function drawWatermark(ctx, watermark, width, height) {
+  const margin = width * MARGIN;
+  ctx.globalAlpha = watermark.opacity;
+
+  let boxWidth, boxHeight;
+  if (watermark.image) {
+    const { image } = watermark;
+    boxWidth = width * watermark.size;
+    boxHeight = (boxWidth * image.height) / image.width;
+  } else {
+    ctx.font = `600 ${Math.round((width * watermark.size) / 4)}px ${FONT}`;
+    const metrics = ctx.measureText(watermark.text);
+    boxWidth = metrics.width;
+    boxHeight = (width * watermark.size) / 4;
+  }
+
+  const x = watermark.anchor.endsWith("left")
+    ? margin
+    : width - margin - boxWidth;
+  const y = watermark.anchor.startsWith("top")
+    ? margin
+    : height - margin - boxHeight;
+
+  if (watermark.image) {
+    ctx.drawImage(watermark.image, x, y, boxWidth, boxHeight);
+    return;
+  }
+
+  ctx.fillStyle = "#fff";
+  ctx.textBaseline = "top";
+  ctx.shadowColor = "rgba(0, 0, 0, 0.6)";
+  ctx.shadowBlur = boxHeight / 6;
+  ctx.fillText(watermark.text, x, y);
+}
+
+function drawLowerThird(ctx, lowerThird, progress, width, height) {
+  const nameSize = Math.round(height * 0.045);
+  const titleSize = Math.round(height * 0.03);
+  const padding = nameSize * 0.5;
+  const accent = Math.max(4, Math.round(height * 0.008));
+
+  ctx.font = `700 ${nameSize}px ${FONT}`;
+  let textWidth = ctx.measureText(lowerThird.name).width;
+  if (lowerThird.title) {
+    ctx.font = `400 ${titleSize}px ${FONT}`;
+    textWidth = Math.max(textWidth, ctx.measureText(lowerThird.title).width);
+  }
+
+  const boxWidth = accent + padding * 2 + textWidth;
+  const boxHeight =
+    padding * 2 + nameSize + (lowerThird.title ? titleSize * 1.4 : 0);
+  const left = width * MARGIN * 2;
+  const top = height * 0.88 - boxHeight;
+
+  // Slide in from the left edge, fading in
+  const x = left - (left + boxWidth) * (1 - progress);
+  ctx.globalAlpha = progress;
+
+  ctx.fillStyle = "rgba(0, 0, 0, 0.72)";
+  ctx.fillRect(x, top, boxWidth, boxHeight);
+  ctx.fillStyle = lowerThird.color;
+  ctx.fillRect(x, top, accent, boxHeight);
+
+  ctx.textBaseline = "top";
+  ctx.fillStyle = "#fff";
+  ctx.font = `700 ${nameSize}px ${FONT}`;
+  ctx.fillText(lowerThird.name, x + accent + padding, top + padding);
+
+  if (lowerThird.title) {
+    ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+    ctx.font = `400 ${titleSize}px ${FONT}`;
+    ctx.fillText(
+      lowerThird.title,
+      x + accent + padding,
+      top + padding + nameSize * 1.15
+    );
+  }
+}
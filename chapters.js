@@ -0,0 +1,88 @@
+/**
+ * Recordly - Chapters
+ * Markers set while recording, as WebVTT chapters and as the Matroska
+ * Chapters embedded in WebM recordings. Marker times are ms of recorded
+ * media (pauses excluded) from the start of the file.
+ */
+
+import { finalizeWebm, buildChapters } from "./webm.js";
+
+/**
+ * Markers in time order, without duplicates at the same time
+ * @param {{time: number, label: string}[]} markers
+ * @returns {{time: number, label: string}[]}
+ */
+export function sortMarkers(markers) {
+  return [...markers]
+    .sort((a, b) => a.time - b.time)
+    .filter((marker, i, sorted) => i === 0 || marker.time > sorted[i - 1].time);
+}
+
+/**
+ * Markers for the range [start, end) of a recording, moved to start at 0.
+ * The chapter running at `start` is kept, from 0.
+ * @param {{time: number, label: string}[]} markers
+ * @param {number} start - ms
+ * @param {number} end - ms
+ */
+export function shiftMarkers(markers, start, end) {
+  const sorted = sortMarkers(markers);
+  const current = sorted.filter((marker) => marker.time <= start).pop();
+
+  return [
+    ...(current ? [{ ...current, time: 0 }] : []),
+    ...sorted
+      .filter((marker) => marker.time > start && marker.time < end)
+      .map((marker) => ({ ...marker, time: marker.time - start })),
+  ];
+}
+
+/**
+ * "hh:mm:ss.ttt"
+ */
+function formatVttTime(ms) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = String(Math.floor(total / 3600000)).padStart(2, "0");
+  const minutes = String(Math.floor(total / 60000) % 60).padStart(2, "0");
+  const seconds = String(Math.floor(total / 1000) % 60).padStart(2, "0");
+  const millis = String(total % 1000).padStart(3, "0");
+  return `${hours}:${minutes}:${seconds}.${millis}`;
+}
+
+/**
+ * WebVTT chapters file: each marker runs until the next one, the last
+ * until the end of the recording
+ * @param {{time: number, label: string}[]} markers
+ * @param {number} duration - ms
+ * @returns {Blob}
+ */
+export function createChaptersVtt(markers, duration) {
+  const sorted = sortMarkers(markers);
+  const cues = sorted.map((marker, i) => {
+    const end = sorted[i + 1]?.time ?? Math.max(duration, marker.time + 1000);
+    // A cue payload can't contain a blank line or "-->"
+    const label = marker.label.replace(/\s*\n\s*/g, " ").replace(/-->/g, "→");
+    return `${i + 1}\n${formatVttTime(marker.time)} --> ${formatVttTime(
+      end
+    )}\n${label}`;
+  });
+
+  return new Blob([["WEBVTT", ...cues].join("\n\n") + "\n"], {
+    type: "text/vtt",
+  });
+}
+
+/**
+ * Write markers into a recording as its chapters, replacing any it has.
+ * WebM only; other recordings are returned unchanged.
+ * @param {Blob} blob - Finalized recording
+ * @param {{time: number, label: string}[]} markers
+ * @returns {Promise<Blob>}
+ */
+export async function applyChapters(blob, markers) {
+  if (!blob.type.includes("webm")) return blob;
+
+  return finalizeWebm(blob, {
+    chapters: markers.length ? buildChapters(sortMarkers(markers)) : null,
+  });
+}
@@ -1,23 +1,66 @@
 // compositor.worker.js
 
+import { resolveOverlay } from "./overlay.js";
+import { createSceneState, switchScene, renderScenes } from "./scenes.js";
+import { WebcamEffect } from "./webcam-effects.js";
+import {
+  createAnnotationState,
+  applyAnnotationChange,
+  drawAnnotations,
+} from "./annotations.js";
+import {
+  resolveBranding,
+  createLowerThirdState,
+  drawBranding,
+} from "./branding.js";
+import {
+  resolveVisualizer,
+  createVisualizerState,
+  pushSamples,
+  drawVisualizer,
+} from "./visualizer.js";
+
 let ctx = null;
 let canvas = null;
 let isRunning = false;
 let config = null;
+let overlay = resolveOverlay();
+let scenes = createSceneState();
+let effect = new WebcamEffect();
+let annotations = createAnnotationState();
+let branding = resolveBranding();
+let lowerThird = createLowerThirdState();
 
 let screenReader;
 let webcamReader;
+let audioReader;
 let writer;
 
 let lastFrameTime = 0;
 
+const NO_FRAME = { value: null, done: false };
+const REPEAT_FRAME = { value: null, done: false };
+
+// Health counters, posted to the page about once a second. Every frame read
+// is composed; frames the tracks drop before that show in their own stats.
+const stats = { composedFrames: 0, composeTime: 0 };
+let lastStatsTime = 0;
+
 self.onmessage = async (e) => {
   const {
     type,
     screenReadable,
     webcamReadable,
+    audioReadable,
     combinedWritable,
     config: cfg,
+    overlay: layout,
+    scene,
+    transition,
+    effect: effectSettings,
+    change,
+    branding: brandingSettings,
+    lowerThird: lowerThirdState,
   } = e.data || {};
 
   if (type === "init") {
@@ -26,20 +69,31 @@ self.onmessage = async (e) => {
         throw new Error("OffscreenCanvas not supported in Worker");
 
       config = cfg || {};
+      overlay = resolveOverlay(config.overlay);
+      scenes = createSceneState(config.scene);
+      effect = new WebcamEffect(config.effect);
+      annotations = createAnnotationState();
+      branding = resolveBranding(config.branding);
+      lowerThird = createLowerThirdState();
       const { width, height } = config;
 
       canvas = new OffscreenCanvas(width, height);
       ctx = canvas.getContext("2d", { alpha: false });
       if (!ctx) throw new Error("2D context unavailable");
 
-      screenReader = screenReadable.getReader();
-      webcamReader = webcamReadable.getReader();
+      // No screen in webcam-only mode (background effects), no webcam in
+      // screen-only mode (annotations)
+      screenReader = screenReadable?.getReader();
+      webcamReader = webcamReadable?.getReader();
+      audioReader = audioReadable?.getReader();
       writer = combinedWritable.getWriter();
 
       isRunning = true;
       self.postMessage({ type: "ready" });
 
-      composeLoop().catch((err) => {
+      // Audio mode draws the visualizer instead of video sources
+      const loop = config.visualizer ? visualizerLoop : composeLoop;
+      loop().catch((err) => {
         self.postMessage({ type: "error", data: String(err) });
       });
     } catch (err) {
@@ -48,6 +102,46 @@ self.onmessage = async (e) => {
     return;
   }
 
+  if (type === "overlay") {
+    // Live layout change, e.g. the presenter dragging their overlay
+    overlay = resolveOverlay(layout);
+    return;
+  }
+
+  if (type === "scene") {
+    switchScene(scenes, scene, transition || 0, performance.now());
+    return;
+  }
+
+  if (type === "effect") {
+    effect.update(effectSettings);
+    return;
+  }
+
+  if (type === "branding") {
+    branding = resolveBranding(brandingSettings);
+    return;
+  }
+
+  if (type === "lower-third") {
+    lowerThird = lowerThirdState;
+    return;
+  }
+
+  if (type === "annotation") {
+    applyAnnotationChange(annotations, change);
+    return;
+  }
+
+  if (type === "webcam") {
+    // Camera switched or reconnected mid-recording; the pending read on the
+    // old reader ends, and the loop sees it was replaced
+    const previous = webcamReader;
+    webcamReader = webcamReadable.getReader();
+    previous?.cancel().catch(() => {});
+    return;
+  }
+
   if (type === "stop") {
     stop();
   }
@@ -56,17 +150,37 @@ self.onmessage = async (e) => {
 async function composeLoop() {
   let screenFrame = null;
   let webcamFrame = null;
+  let pendingScreen = null; // Screen read still waiting for a frame
+  let screenTime = 0; // When screenFrame arrived
+  let lastTimestamp = -1;
 
-  // Attempt to draw VideoFrame directly; if not, fallback to ImageBitmap
-  const draw = async (vf, dx, dy, dw, dh) => {
-    try {
-      // Chrome supports drawImage(VideoFrame) on 2D; if it throws, use bitmap
-      ctx.drawImage(vf, dx, dy, dw, dh);
-    } catch {
-      const bmp = await createImageBitmap(vf);
-      ctx.drawImage(bmp, dx, dy, dw, dh);
-      bmp.close();
-    }
+  // Chrome draws VideoFrames directly; otherwise go through ImageBitmaps
+  let drawFrames = true;
+  const render = (screen, webcam, now) => {
+    renderScenes(
+      ctx,
+      scenes,
+      {
+        screen: screen && {
+          image: screen,
+          width: screenFrame.displayWidth,
+          height: screenFrame.displayHeight,
+        },
+        webcam:
+          webcam &&
+          effect.apply(
+            webcam,
+            webcamFrame.displayWidth,
+            webcamFrame.displayHeight
+          ),
+      },
+      canvas.width,
+      canvas.height,
+      overlay,
+      now
+    );
+    drawBranding(ctx, branding, lowerThird, canvas.width, canvas.height);
+    drawAnnotations(ctx, annotations, canvas.width, canvas.height);
   };
 
   const targetFrameTime = 1000 / (config.frameRate || 30);
@@ -79,64 +193,159 @@ async function composeLoop() {
       continue;
     }
 
-    // Read newest available frames
+    // Read newest available frames. A still screen sends few frames; with
+    // nothing else pacing the loop (screen only), redraw the last one so
+    // annotations keep moving.
+    const reader = webcamReader;
+    if (screenReader && !pendingScreen) pendingScreen = screenReader.read();
     const [s, w] = await Promise.all([
-      screenReader.read(),
-      webcamReader.read(),
+      !pendingScreen
+        ? NO_FRAME
+        : reader || !screenFrame
+        ? pendingScreen
+        : Promise.race([
+            pendingScreen,
+            new Promise((r) =>
+              setTimeout(() => r(REPEAT_FRAME), targetFrameTime)
+            ),
+          ]),
+      reader ? reader.read() : NO_FRAME,
     ]);
-    if (s.done || w.done) break;
+    if (s.done) break;
+    const repeated = s === REPEAT_FRAME;
+    if (!repeated) pendingScreen = null;
 
-    if (screenFrame) screenFrame.close();
-    if (webcamFrame) webcamFrame.close();
+    // A camera that went away (unplugged) leaves the scene without webcam
+    // until the page sends a replacement; a replaced one keeps its last frame
+    const webcamLost = w.done && reader === webcamReader;
+    if (webcamLost) webcamReader = null;
 
-    screenFrame = s.value; // VideoFrame
-    webcamFrame = w.value; // VideoFrame
+    // Webcam only, mid-switch: wait for the new camera rather than repeat a
+    // frame (and its timestamp)
+    if (w.done && !webcamLost && !screenReader) continue;
 
-    // Composite
-    const W = canvas.width;
-    const H = canvas.height;
+    if (!repeated) {
+      if (screenFrame) screenFrame.close();
+      screenFrame = s.value; // VideoFrame, or null without a screen
+      screenTime = now;
+    }
 
-    ctx.fillStyle = "#000";
-    ctx.fillRect(0, 0, W, H);
+    if (w.value || webcamLost) {
+      if (webcamFrame) webcamFrame.close();
+      webcamFrame = w.value; // VideoFrame, or null without a camera
+    }
 
-    await draw(screenFrame, 0, 0, W, H);
+    // Composite the current scene (shared with the Canvas path)
+    if (drawFrames) {
+      try {
+        render(screenFrame, webcamFrame, now);
+      } catch {
+        drawFrames = false;
+      }
+    }
+    if (!drawFrames) {
+      const [screenBmp, webcamBmp] = await Promise.all([
+        screenFrame && createImageBitmap(screenFrame),
+        webcamFrame && createImageBitmap(webcamFrame),
+      ]);
+      render(screenBmp, webcamBmp, now);
+      screenBmp?.close();
+      webcamBmp?.close();
+    }
 
-    // PiP sizing/position (mirrored)
-    const pipW = Math.min(200, Math.floor(W * 0.2));
-    const pipH = Math.floor(
-      (pipW * webcamFrame.displayHeight) / webcamFrame.displayWidth
-    );
-    const pipX = W - pipW - 20;
-    const pipY = H - pipH - 20;
-
-    ctx.save();
-    ctx.scale(-1, 1);
-    // Note: x is negative because we flipped the x-axis
-    await draw(webcamFrame, -pipX - pipW, pipY, pipW, pipH);
-    ctx.restore();
-
-    ctx.strokeStyle = "#fff";
-    ctx.lineWidth = 2;
-    ctx.strokeRect(pipX, pipY, pipW, pipH);
-
-    // Create composed frame (timestamp: keep screenFrame timestamp if present)
-    const composed = new VideoFrame(canvas, {
-      timestamp:
-        typeof screenFrame.timestamp === "number"
-          ? screenFrame.timestamp
-          : Math.round(now * 1000),
-    });
+    // Create composed frame (timestamp: keep the source timestamp if present;
+    // a repeated frame moves on by the time since it arrived)
+    const sourceFrame = screenFrame || webcamFrame;
+    let timestamp =
+      typeof sourceFrame?.timestamp === "number"
+        ? sourceFrame.timestamp
+        : Math.round(now * 1000);
+    if (repeated) timestamp += Math.round((now - screenTime) * 1000);
+    timestamp = Math.max(timestamp, lastTimestamp + 1);
+    lastTimestamp = timestamp;
+    const composed = new VideoFrame(canvas, { timestamp });
 
     await writer.write(composed);
     composed.close();
 
+    stats.composedFrames++;
+    stats.composeTime = performance.now() - now;
     lastFrameTime = now;
+
+    if (now - lastStatsTime >= 1000) {
+      postStats();
+      lastStatsTime = now;
+    }
   }
 
   // Cleanup
+  pendingScreen?.then(({ value }) => value?.close()).catch(() => {});
   if (screenFrame) screenFrame.close();
   if (webcamFrame) webcamFrame.close();
   await closeWriter();
+  postStats();
+}
+
+/**
+ * Audio only: draw the visualizer at the frame rate, from the newest audio.
+ * Nothing paces this loop but its timer, which keeps running while the tab
+ * is hidden.
+ */
+async function visualizerLoop() {
+  const visualizer = resolveVisualizer(config.visualizer);
+  const state = createVisualizerState();
+  const targetFrameTime = 1000 / (config.frameRate || 30);
+  let lastTimestamp = -1;
+
+  // Audio arrives in small chunks, much more often than frames are drawn
+  const readAudio = async () => {
+    while (isRunning && audioReader) {
+      const { value: data, done } = await audioReader.read();
+      if (done) break;
+      const samples = new Float32Array(data.numberOfFrames);
+      data.copyTo(samples, { planeIndex: 0, format: "f32-planar" });
+      pushSamples(state, samples, data.sampleRate);
+      data.close();
+    }
+  };
+  const reading = readAudio().catch((err) => {
+    console.warn("Visualizer audio failed:", err);
+  });
+
+  while (isRunning) {
+    const now = performance.now();
+
+    drawVisualizer(ctx, visualizer, state, canvas.width, canvas.height);
+    drawBranding(ctx, branding, lowerThird, canvas.width, canvas.height);
+    drawAnnotations(ctx, annotations, canvas.width, canvas.height);
+
+    const timestamp = Math.max(Math.round(now * 1000), lastTimestamp + 1);
+    lastTimestamp = timestamp;
+    const composed = new VideoFrame(canvas, { timestamp });
+    await writer.write(composed);
+    composed.close();
+
+    stats.composedFrames++;
+    stats.composeTime = performance.now() - now;
+
+    if (now - lastStatsTime >= 1000) {
+      postStats();
+      lastStatsTime = now;
+    }
+
+    const wait = targetFrameTime - (performance.now() - now);
+    await new Promise((r) => setTimeout(r, Math.max(1, wait)));
+  }
+
+  // Cleanup
+  audioReader?.cancel().catch(() => {});
+  await reading;
+  await closeWriter();
+  postStats();
+}
+
+function postStats() {
+  self.postMessage({ type: "stats", data: { ...stats } });
 }
 
 async function closeWriter() {
@@ -0,0 +1,500 @@
+/**
+ * Recordly - Encoder Recorder
+ * A MediaRecorder look-alike that encodes with WebCodecs (VideoEncoder /
+ * AudioEncoder) and muxes fragmented MP4, for players that refuse WebM
+ */
+
+import { Mp4Muxer } from "./mp4-muxer.js";
+
+const KEYFRAME_INTERVAL = 2000000; // µs between forced keyframes
+const MAX_ENCODE_QUEUE = 3; // Frames waiting in the encoder before we drop
+const CLOCK_SKEW_LIMIT = 5000000; // µs; beyond this, tracks use their own clock
+
+/**
+ * Codec pairs to try, in order of preference. H.264/AAC plays everywhere;
+ * AV1/Opus and H.264/Opus cover browsers without an AAC encoder.
+ */
+function codecCandidates(width, height) {
+  const large = width * height > 1920 * 1088;
+  const avc = large ? "avc1.640033" : "avc1.640028"; // High @ 5.1 / 4.0
+  const av1 = large ? "av01.0.12M.08" : "av01.0.08M.08";
+
+  return [
+    { video: avc, audio: "mp4a.40.2" },
+    { video: av1, audio: "opus" },
+    { video: avc, audio: "opus" },
+  ];
+}
+
+/**
+ * Round a dimension down to the even size H.264 requires
+ */
+function even(value) {
+  return Math.max(2, Math.floor(value / 2) * 2);
+}
+
+/**
+ * Copy an AudioData with a new timestamp
+ * @param {AudioData} data
+ * @param {number} timestamp
+ * @returns {AudioData}
+ */
+function restampAudio(data, timestamp) {
+  const { numberOfFrames, numberOfChannels, sampleRate } = data;
+  const samples = new Float32Array(numberOfFrames * numberOfChannels);
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    data.copyTo(
+      samples.subarray(
+        channel * numberOfFrames,
+        (channel + 1) * numberOfFrames
+      ),
+      { planeIndex: channel, format: "f32-planar" }
+    );
+  }
+
+  return new AudioData({
+    format: "f32-planar",
+    sampleRate,
+    numberOfFrames,
+    numberOfChannels,
+    timestamp,
+    data: samples,
+  });
+}
+
+export class EncoderRecorder extends EventTarget {
+  /**
+   * Whether this browser can capture and encode with WebCodecs
+   */
+  static isSupported() {
+    return (
+      typeof VideoEncoder !== "undefined" &&
+      typeof AudioEncoder !== "undefined" &&
+      typeof MediaStreamTrackProcessor !== "undefined"
+    );
+  }
+
+  /**
+   * Pick the first codec pair the encoders accept for these settings
+   * @param {object} settings
+   * @param {number} settings.width
+   * @param {number} settings.height
+   * @param {number} [settings.frameRate]
+   * @param {number} [settings.videoBitsPerSecond]
+   * @param {number} [settings.audioBitsPerSecond]
+   * @param {boolean} [settings.audio] - Whether an audio track is recorded
+   * @returns {Promise<{video: string, audio: string}|null>}
+   */
+  static async selectCodecs(settings) {
+    if (!EncoderRecorder.isSupported()) return null;
+
+    const width = even(settings.width);
+    const height = even(settings.height);
+
+    for (const codecs of codecCandidates(width, height)) {
+      try {
+        const video = await VideoEncoder.isConfigSupported({
+          codec: codecs.video,
+          width,
+          height,
+          bitrate: settings.videoBitsPerSecond,
+          framerate: settings.frameRate,
+        });
+        if (!video.supported) continue;
+
+        if (settings.audio !== false) {
+          const audio = await AudioEncoder.isConfigSupported({
+            codec: codecs.audio,
+            sampleRate: 48000,
+            numberOfChannels: 2,
+            bitrate: settings.audioBitsPerSecond,
+          });
+          if (!audio.supported) continue;
+        }
+
+        return codecs;
+      } catch (error) {
+        console.warn(`Codec check failed for ${codecs.video}:`, error);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {MediaStream} stream
+   * @param {object} options
+   * @param {{video: string, audio: string}} options.codecs - From selectCodecs()
+   * @param {number} [options.videoBitsPerSecond]
+   * @param {number} [options.audioBitsPerSecond]
+   * @param {number} [options.frameRate]
+   */
+  constructor(stream, options) {
+    super();
+    this.stream = stream;
+    this.options = options;
+    this.state = "inactive";
+
+    this.videoTrack = stream.getVideoTracks()[0] || null;
+    this.audioTrack = stream.getAudioTracks()[0] || null;
+
+    const codecs = [options.codecs.video];
+    if (this.audioTrack) codecs.push(options.codecs.audio);
+    this.mimeType = `video/mp4; codecs="${codecs.join(", ")}"`;
+
+    this.ondataavailable = null;
+    this.onstop = null;
+    this.onerror = null;
+    this.onpause = null;
+    this.onresume = null;
+
+    this.muxer = null;
+    this.videoEncoder = null;
+    this.audioEncoder = null;
+    this.inputs = []; // { track, reader, done }
+    this.clocks = {};
+    this.origin = null;
+    this.timeslice = 0;
+    this.lastEmit = 0;
+    this.lastKeyframe = -Infinity;
+    this.initEmitted = false;
+    this.droppedFrames = 0;
+    this.encodedFrames = 0;
+    this.stopping = null;
+  }
+
+  /**
+   * Start capturing
+   * @param {number} [timeslice] - Minimum ms between dataavailable events
+   */
+  start(timeslice = 1000) {
+    if (this.state !== "inactive") {
+      throw new DOMException(
+        "Recorder is already started",
+        "InvalidStateError"
+      );
+    }
+    if (!this.videoTrack) {
+      throw new DOMException("No video track to record", "NotSupportedError");
+    }
+
+    this.timeslice = timeslice * 1000;
+    this.state = "recording";
+
+    const settings = this.videoTrack.getSettings();
+    this.muxer = new Mp4Muxer({
+      video: {
+        codec: this.options.codecs.video,
+        width: even(settings.width || 1280),
+        height: even(settings.height || 720),
+      },
+      audio: this.audioTrack
+        ? {
+            codec: this.options.codecs.audio,
+            sampleRate: 48000,
+            numberOfChannels: 2,
+            bitrate: this.options.audioBitsPerSecond,
+          }
+        : undefined,
+    });
+
+    this.readTrack("video", this.videoTrack);
+    if (this.audioTrack) this.readTrack("audio", this.audioTrack);
+  }
+
+  /**
+   * Pause capturing. The gap is closed up on resume.
+   */
+  pause() {
+    if (this.state !== "recording") return;
+    this.state = "paused";
+    this.dispatch(new Event("pause"));
+  }
+
+  /**
+   * Resume after pause()
+   */
+  resume() {
+    if (this.state !== "paused") return;
+    this.state = "recording";
+    Object.values(this.clocks).forEach((clock) => (clock.resumed = true));
+    this.dispatch(new Event("resume"));
+  }
+
+  /**
+   * Stop capturing, flush the encoders and emit the last fragment
+   */
+  stop() {
+    if (this.state === "inactive") return;
+    this.state = "inactive";
+    this.stopping = this.finish();
+  }
+
+  /**
+   * Encoder health counters
+   * @returns {{videoQueueSize: number, audioQueueSize: number, encodedFrames: number, droppedFrames: number}}
+   */
+  getStats() {
+    return {
+      videoQueueSize: this.videoEncoder?.encodeQueueSize || 0,
+      audioQueueSize: this.audioEncoder?.encodeQueueSize || 0,
+      encodedFrames: this.encodedFrames,
+      droppedFrames: this.droppedFrames,
+    };
+  }
+
+  /**
+   * Dispatch an event and call the matching on<type> handler, as
+   * MediaRecorder does
+   */
+  dispatch(event) {
+    this.dispatchEvent(event);
+    const handler = this[`on${event.type}`];
+    if (typeof handler === "function") {
+      try {
+        handler.call(this, event);
+      } catch (error) {
+        console.error(`Error in on${event.type} handler:`, error);
+      }
+    }
+  }
+
+  /**
+   * Report an encoder failure and stop, like MediaRecorder does
+   */
+  fail(error) {
+    console.error("Encoder error:", error);
+    this.dispatch(new ErrorEvent("error", { error, message: error.message }));
+    this.stop();
+  }
+
+  /**
+   * Pull frames or audio data from a track. The track is cloned so
+   * cancelling the reader never ends the caller's track.
+   */
+  readTrack(kind, source) {
+    const track = source.clone();
+    const processor = new MediaStreamTrackProcessor({ track });
+    const reader = processor.readable.getReader();
+
+    const input = { track, reader, done: null };
+    input.done = (async () => {
+      try {
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          try {
+            if (this.state === "recording") {
+              if (kind === "video") this.encodeFrame(value);
+              else this.encodeAudio(value);
+            }
+          } finally {
+            value.close();
+          }
+        }
+      } catch (error) {
+        if (this.state !== "inactive") this.fail(error);
+      }
+    })();
+
+    this.inputs.push(input);
+  }
+
+  /**
+   * Map a capture timestamp onto the recording timeline, closing pause gaps
+   * @param {"video"|"audio"} kind
+   * @param {number} raw - Capture timestamp in µs
+   * @param {number} duration - Expected µs until the next input
+   * @returns {number} µs from the start of the recording
+   */
+  toRecordingTime(kind, raw, duration) {
+    if (this.origin === null) this.origin = raw;
+
+    let clock = this.clocks[kind];
+    if (!clock) {
+      // Tracks share the first timestamp seen so they stay in sync, unless
+      // their clocks are clearly unrelated
+      const offset =
+        Math.abs(raw - this.origin) > CLOCK_SKEW_LIMIT ? raw : this.origin;
+      clock = { offset, last: raw, step: duration, resumed: false };
+      this.clocks[kind] = clock;
+    } else if (clock.resumed) {
+      clock.offset += raw - clock.last - clock.step;
+      clock.resumed = false;
+    } else if (duration) {
+      clock.step = duration;
+    }
+
+    clock.last = raw;
+    return raw - clock.offset;
+  }
+
+  /**
+   * Encode one video frame, dropping it if the encoder is falling behind
+   * @param {VideoFrame} frame
+   */
+  encodeFrame(frame) {
+    const clock = this.clocks.video;
+    const resumed = clock?.resumed;
+    const step = clock ? frame.timestamp - clock.last : 0;
+    const time = this.toRecordingTime("video", frame.timestamp, step);
+    if (time < 0) return;
+
+    if (!this.videoEncoder) this.configureVideo(frame);
+    if (this.videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+      this.droppedFrames++;
+      return;
+    }
+
+    const keyFrame = resumed || time - this.lastKeyframe >= KEYFRAME_INTERVAL;
+    if (keyFrame) this.lastKeyframe = time;
+
+    const stamped = new VideoFrame(frame, { timestamp: time });
+    try {
+      this.videoEncoder.encode(stamped, { keyFrame });
+    } finally {
+      stamped.close();
+    }
+  }
+
+  /**
+   * Encode one block of audio
+   * @param {AudioData} data
+   */
+  encodeAudio(data) {
+    const duration = (data.numberOfFrames / data.sampleRate) * 1e6;
+    const time = this.toRecordingTime("audio", data.timestamp, duration);
+    if (time < 0) return;
+
+    if (!this.audioEncoder) this.configureAudio(data);
+
+    const stamped = restampAudio(data, time);
+    try {
+      this.audioEncoder.encode(stamped);
+    } finally {
+      stamped.close();
+    }
+  }
+
+  /**
+   * Configure the video encoder from the first frame's size
+   * @param {VideoFrame} frame
+   */
+  configureVideo(frame) {
+    const width = even(frame.displayWidth);
+    const height = even(frame.displayHeight);
+    Object.assign(this.muxer.track("video"), { width, height });
+
+    this.videoEncoder = new VideoEncoder({
+      output: (chunk, metadata) => this.handleChunk("video", chunk, metadata),
+      error: (error) => this.fail(error),
+    });
+    this.videoEncoder.configure({
+      codec: this.options.codecs.video,
+      width,
+      height,
+      bitrate: this.options.videoBitsPerSecond,
+      framerate: this.options.frameRate,
+      latencyMode: "realtime",
+      avc: { format: "avc" }, // length-prefixed NALs + avcC, as MP4 expects
+    });
+  }
+
+  /**
+   * Configure the audio encoder from the first block's format
+   * @param {AudioData} data
+   */
+  configureAudio(data) {
+    Object.assign(this.muxer.track("audio"), {
+      sampleRate: data.sampleRate,
+      timescale: data.sampleRate,
+      numberOfChannels: data.numberOfChannels,
+    });
+
+    this.audioEncoder = new AudioEncoder({
+      output: (chunk, metadata) => this.handleChunk("audio", chunk, metadata),
+      error: (error) => this.fail(error),
+    });
+    this.audioEncoder.configure({
+      codec: this.options.codecs.audio,
+      sampleRate: data.sampleRate,
+      numberOfChannels: data.numberOfChannels,
+      bitrate: this.options.audioBitsPerSecond,
+    });
+  }
+
+  /**
+   * Hand an encoded chunk to the muxer. A fragment is cut before each video
+   * keyframe once a timeslice has passed, so every fragment starts seekable.
+   * The muxer holds back its newest sample until the next one gives it a
+   * duration, so the cut comes after adding the keyframe: the frame before
+   * it goes out, the keyframe stays to open the next fragment.
+   */
+  handleChunk(kind, chunk, metadata) {
+    if (kind === "video") this.encodedFrames++;
+
+    this.muxer.addChunk(kind, chunk, metadata, chunk.timestamp);
+
+    if (
+      kind === "video" &&
+      chunk.type === "key" &&
+      chunk.timestamp - this.lastEmit >= this.timeslice &&
+      this.muxer.isReady
+    ) {
+      this.emitFragment();
+      this.lastEmit = chunk.timestamp;
+    }
+  }
+
+  /**
+   * Emit buffered samples as a dataavailable event. The init segment goes
+   * out first, on its own, so it can stay resident as chunk 0.
+   * @param {boolean} [final]
+   */
+  emitFragment(final = false) {
+    if (!this.initEmitted) {
+      this.initEmitted = true;
+      this.emitData(this.muxer.createInitSegment());
+    }
+
+    const fragment = this.muxer.createFragment(final);
+    if (fragment) this.emitData(fragment);
+  }
+
+  emitData(bytes) {
+    const data = new Blob([bytes], { type: this.mimeType });
+    this.dispatch(new BlobEvent("dataavailable", { data }));
+  }
+
+  /**
+   * Tear down inputs, drain the encoders and emit whatever is left
+   */
+  async finish() {
+    this.inputs.forEach(({ reader, track }) => {
+      reader.cancel().catch(() => {});
+      track.stop();
+    });
+    await Promise.all(this.inputs.map((input) => input.done));
+    this.inputs = [];
+
+    for (const encoder of [this.videoEncoder, this.audioEncoder]) {
+      if (!encoder || encoder.state !== "configured") continue;
+      try {
+        await encoder.flush();
+      } catch (error) {
+        console.warn("Encoder flush failed:", error);
+      }
+      encoder.close();
+    }
+    this.videoEncoder = null;
+    this.audioEncoder = null;
+
+    if (this.muxer && this.clocks.video) {
+      this.emitFragment(true);
+    }
+
+    this.dispatch(new Event("stop"));
+  }
+}
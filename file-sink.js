@@ -0,0 +1,169 @@
+/**
+ * Recordly - File Sink
+ * Streams recorded chunks straight to a user-chosen file (File System Access API)
+ */
+
+const FILE_TYPES = {
+  webm: { description: "WebM video", accept: { "video/webm": [".webm"] } },
+  mp4: { description: "MP4 video", accept: { "video/mp4": [".mp4"] } },
+};
+
+export class FileSink {
+  /**
+   * Whether the File System Access save picker is available
+   */
+  static get isSupported() {
+    return typeof window !== "undefined" && "showSaveFilePicker" in window;
+  }
+
+  /**
+   * Ask the user for a destination file. Must run inside a user gesture.
+   * @param {string} suggestedName
+   * @param {"webm"|"mp4"} [container]
+   * @returns {Promise<FileSystemFileHandle>}
+   */
+  static async pick(suggestedName, container = "webm") {
+    return window.showSaveFilePicker({
+      suggestedName,
+      types: [FILE_TYPES[container] || FILE_TYPES.webm],
+    });
+  }
+
+  /**
+   * Whether a folder can be chosen, e.g. for the parts of a split recording
+   */
+  static get canPickDirectory() {
+    return typeof window !== "undefined" && "showDirectoryPicker" in window;
+  }
+
+  /**
+   * Ask the user for a destination folder. Must run inside a user gesture.
+   * @returns {Promise<FileSystemDirectoryHandle>}
+   */
+  static async pickDirectory() {
+    return window.showDirectoryPicker({ mode: "readwrite" });
+  }
+
+  /**
+   * @param {FileSystemFileHandle} handle
+   */
+  constructor(handle) {
+    this.handle = handle;
+    this.writable = null;
+    this.pending = Promise.resolve();
+    this.bytesWritten = 0;
+    this.error = null;
+  }
+
+  get name() {
+    return this.handle.name;
+  }
+
+  /**
+   * Open the file for writing, truncating any previous contents
+   */
+  async open() {
+    if (this.handle.requestPermission) {
+      const permission = await this.handle.requestPermission({
+        mode: "readwrite",
+      });
+      if (permission !== "granted") {
+        throw new Error(`Write permission denied for ${this.name}`);
+      }
+    }
+
+    this.writable = await this.handle.createWritable();
+  }
+
+  /**
+   * Append a chunk. Writes are serialized; after the first failure the sink
+   * stops writing and keeps the error for the caller to inspect.
+   * @param {Blob} blob
+   * @returns {Promise<void>}
+   */
+  write(blob) {
+    this.pending = this.pending.then(async () => {
+      if (this.error || !this.writable) return;
+
+      try {
+        await this.writable.write(blob);
+        this.bytesWritten += blob.size;
+      } catch (error) {
+        this.error = error;
+        throw error;
+      }
+    });
+
+    return this.pending;
+  }
+
+  /**
+   * Cut the file back to `size` bytes, e.g. to drop a retaken take. Queued
+   * behind earlier writes; later ones continue from the new end.
+   * @param {number} size
+   * @returns {Promise<void>}
+   */
+  truncate(size) {
+    this.pending = this.pending.then(async () => {
+      if (this.error || !this.writable) return;
+
+      try {
+        await this.writable.truncate(size);
+        this.bytesWritten = size;
+      } catch (error) {
+        this.error = error;
+        throw error;
+      }
+    });
+
+    return this.pending;
+  }
+
+  /**
+   * Replace everything written so far with `blob`, e.g. a post-processed
+   * version of the same recording
+   * @param {Blob} blob
+   */
+  async rewrite(blob) {
+    await this.pending.catch(() => {});
+    if (this.error) throw this.error;
+
+    try {
+      await this.writable.write({ type: "write", position: 0, data: blob });
+      await this.writable.truncate(blob.size);
+      this.bytesWritten = blob.size;
+    } catch (error) {
+      this.error = error;
+      throw error;
+    }
+  }
+
+  /**
+   * Flush pending writes and commit the file
+   * @returns {Promise<File>} The written file (disk-backed, not in memory)
+   */
+  async close() {
+    await this.pending.catch(() => {});
+    if (this.error) throw this.error;
+
+    const writable = this.writable;
+    this.writable = null;
+    await writable?.close();
+
+    return this.handle.getFile();
+  }
+
+  /**
+   * Discard everything written so far
+   */
+  async abort() {
+    const writable = this.writable;
+    this.writable = null;
+
+    try {
+      await writable?.abort();
+    } catch (error) {
+      console.warn("Could not abort file stream:", error);
+    }
+  }
+}
@@ -0,0 +1,353 @@
+/**
+ * Recordly - GIF Encoder
+ * Animated GIF89a from RGBA frames, without libraries. Every frame gets
+ * its own median-cut palette and only holds the part that changed since the
+ * previous one, with unchanged pixels left transparent. Used by the
+ * animation worker (animation.worker.js).
+ */
+
+const MAX_COLORS = 255; // Palette entries; the last index is transparent
+const TRANSPARENT = 255;
+const MIN_CODE_SIZE = 8; // LZW, for 256-entry palettes
+const MAX_CODE = 4096;
+const LOOP_FOREVER = 0;
+
+/**
+ * Histogram bin of a color: 5 bits per channel
+ */
+function binOf(r, g, b) {
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+const CHANNEL_SHIFTS = [10, 5, 0]; // r, g, b within a bin
+
+/**
+ * A box of histogram bins, with its pixel count and channel ranges
+ */
+function createBox(bins, counts) {
+  let pixels = 0;
+  const min = [31, 31, 31];
+  const max = [0, 0, 0];
+  for (const bin of bins) {
+    pixels += counts[bin];
+    for (let c = 0; c < 3; c++) {
+      const value = (bin >> CHANNEL_SHIFTS[c]) & 31;
+      if (value < min[c]) min[c] = value;
+      if (value > max[c]) max[c] = value;
+    }
+  }
+  return { bins, pixels, min, max };
+}
+
+/**
+ * Split the box along its longest channel, at the pixel median
+ */
+function splitBox(box, counts) {
+  const ranges = box.max.map((value, c) => value - box.min[c]);
+  const shift = CHANNEL_SHIFTS[ranges.indexOf(Math.max(...ranges))];
+  const bins = [...box.bins].sort(
+    (a, b) => ((a >> shift) & 31) - ((b >> shift) & 31)
+  );
+
+  let seen = 0;
+  let split = 1;
+  for (; split < bins.length - 1; split++) {
+    seen += counts[bins[split - 1]];
+    if (seen >= box.pixels / 2) break;
+  }
+  return [
+    createBox(bins.slice(0, split), counts),
+    createBox(bins.slice(split), counts),
+  ];
+}
+
+/**
+ * Median-cut palette for the pixels of a frame
+ * @param {Uint32Array} pixels - Packed 0xRRGGBB
+ * @returns {{palette: Uint8Array, indices: Uint8Array}} 256 RGB entries,
+ *   and the palette index of each pixel
+ */
+function quantize(pixels) {
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  const bins = new Uint16Array(pixels.length);
+
+  for (let i = 0; i < pixels.length; i++) {
+    const color = pixels[i];
+    const r = color >> 16;
+    const g = (color >> 8) & 255;
+    const b = color & 255;
+    const bin = binOf(r, g, b);
+    bins[i] = bin;
+    counts[bin]++;
+    sums[bin * 3] += r;
+    sums[bin * 3 + 1] += g;
+    sums[bin * 3 + 2] += b;
+  }
+
+  const used = [];
+  for (let bin = 0; bin < counts.length; bin++) {
+    if (counts[bin]) used.push(bin);
+  }
+
+  // Split the box that covers the most pixels over the widest range, until
+  // the palette is full or every box is a single bin
+  const boxes = [createBox(used, counts)];
+  while (boxes.length < MAX_COLORS) {
+    let best = -1;
+    let bestScore = 0;
+    boxes.forEach((box, i) => {
+      const range = Math.max(...box.max.map((value, c) => value - box.min[c]));
+      const score = box.bins.length > 1 ? box.pixels * (range + 1) : 0;
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    });
+    if (best < 0) break;
+    boxes.splice(best, 1, ...splitBox(boxes[best], counts));
+  }
+
+  // Each box's color is the average of its pixels
+  const palette = new Uint8Array(256 * 3);
+  const binIndex = new Uint8Array(32768);
+  boxes.forEach((box, index) => {
+    const total = [0, 0, 0];
+    for (const bin of box.bins) {
+      binIndex[bin] = index;
+      for (let c = 0; c < 3; c++) total[c] += sums[bin * 3 + c];
+    }
+    for (let c = 0; c < 3; c++) {
+      palette[index * 3 + c] = Math.round(total[c] / (box.pixels || 1));
+    }
+  });
+
+  const indices = new Uint8Array(pixels.length);
+  for (let i = 0; i < pixels.length; i++) indices[i] = binIndex[bins[i]];
+  return { palette, indices };
+}
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks
+ * @param {Uint8Array} indices
+ * @returns {Uint8Array} Minimum code size byte, sub-blocks and terminator
+ */
+function encodeLzw(indices) {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+
+  const out = new ByteWriter();
+  out.byte(MIN_CODE_SIZE);
+
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+  let bits = 0;
+  let bitCount = 0;
+  let codeSize = MIN_CODE_SIZE + 1;
+
+  const push = (byte) => {
+    block[blockLength++] = byte;
+    if (blockLength === 255) {
+      out.byte(255);
+      out.bytes(block);
+      blockLength = 0;
+    }
+  };
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      push(bits & 255);
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  const table = new Map();
+  let nextCode = endCode + 1;
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = prefix * 256 + index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      emit(clearCode);
+      table.clear();
+      codeSize = MIN_CODE_SIZE + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) push(bits & 255);
+
+  if (blockLength > 0) {
+    out.byte(blockLength);
+    out.bytes(block.subarray(0, blockLength));
+  }
+  out.byte(0);
+  return out.toBytes();
+}
+
+/**
+ * Little-endian byte output, gathered into one array at the end
+ */
+class ByteWriter {
+  constructor() {
+    this.parts = [];
+    this.pending = [];
+  }
+
+  byte(value) {
+    this.pending.push(value & 255);
+  }
+
+  uint16(value) {
+    this.byte(value);
+    this.byte(value >> 8);
+  }
+
+  ascii(text) {
+    for (const char of text) this.byte(char.charCodeAt(0));
+  }
+
+  bytes(array) {
+    this.flush();
+    this.parts.push(Uint8Array.from(array));
+  }
+
+  flush() {
+    if (this.pending.length) {
+      this.parts.push(Uint8Array.from(this.pending));
+      this.pending = [];
+    }
+  }
+
+  toBytes() {
+    this.flush();
+    const length = this.parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (const part of this.parts) {
+      out.set(part, offset);
+      offset += part.length;
+    }
+    return out;
+  }
+}
+
+export class GifEncoder {
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.elapsed = 0; // ms of frames written, for delay rounding
+    this.parts = [this.encodeHeader()];
+  }
+
+  /**
+   * Header, screen size and the NETSCAPE extension that loops forever
+   */
+  encodeHeader() {
+    const out = new ByteWriter();
+    out.ascii("GIF89a");
+    out.uint16(this.width);
+    out.uint16(this.height);
+    out.byte(0); // No global palette
+    out.byte(0); // Background color index
+    out.byte(0); // Pixel aspect ratio
+
+    out.byte(0x21);
+    out.byte(0xff);
+    out.byte(11);
+    out.ascii("NETSCAPE2.0");
+    out.byte(3);
+    out.byte(1);
+    out.uint16(LOOP_FOREVER);
+    out.byte(0);
+    return out.toBytes();
+  }
+
+  /**
+   * Add a frame, drawn over the previous one
+   * @param {Uint8ClampedArray} rgba - The whole frame
+   * @param {{x: number, y: number, width: number, height: number}} rect -
+   *   The part that changed
+   * @param {Uint8Array|null} mask - 1 for each changed pixel of `rect`, row
+   *   by row; null when all of it changed
+   * @param {number} duration - ms the frame is shown
+   */
+  addFrame(rgba, rect, mask, duration) {
+    const pixels = new Uint32Array(rect.width * rect.height);
+    let kept = 0;
+    for (let y = 0; y < rect.height; y++) {
+      for (let x = 0; x < rect.width; x++) {
+        const i = y * rect.width + x;
+        if (mask && !mask[i]) continue;
+        const p = ((rect.y + y) * this.width + rect.x + x) * 4;
+        pixels[kept++] = (rgba[p] << 16) | (rgba[p + 1] << 8) | rgba[p + 2];
+      }
+    }
+
+    const { palette, indices: colors } = quantize(pixels.subarray(0, kept));
+    let indices = colors;
+    if (mask) {
+      indices = new Uint8Array(mask.length).fill(TRANSPARENT);
+      let next = 0;
+      for (let i = 0; i < mask.length; i++) {
+        if (mask[i]) indices[i] = colors[next++];
+      }
+    }
+
+    // Delays are in 1/100 s; round the running total so they don't drift
+    const delay =
+      Math.round((this.elapsed + duration) / 10) -
+      Math.round(this.elapsed / 10);
+    this.elapsed += duration;
+
+    const out = new ByteWriter();
+    out.byte(0x21); // Graphic Control Extension
+    out.byte(0xf9);
+    out.byte(4);
+    out.byte((1 << 2) | 1); // Keep the frame underneath; has transparency
+    out.uint16(Math.max(2, delay));
+    out.byte(TRANSPARENT);
+    out.byte(0);
+
+    out.byte(0x2c); // Image Descriptor
+    out.uint16(rect.x);
+    out.uint16(rect.y);
+    out.uint16(rect.width);
+    out.uint16(rect.height);
+    out.byte(0x80 | 7); // Local palette of 256 entries
+    out.bytes(palette);
+    out.bytes(encodeLzw(indices));
+
+    this.parts.push(out.toBytes());
+  }
+
+  /**
+   * Close the file
+   * @returns {Blob}
+   */
+  finish() {
+    return new Blob([...this.parts, Uint8Array.of(0x3b)], {
+      type: "image/gif",
+    });
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Recordly - Recordings Library
+ * Keeps finished recordings in the browser, with a poster thumbnail, so
+ * several takes can be recorded and the keepers saved later. Files live in
+ * the origin private file system (OPFS) where it can be written, otherwise
+ * in IndexedDB.
+ */
+
+import { promisify, committed } from "./storage.js";
+import { createPoster } from "./thumbnails.js";
+
+const DB_NAME = "recordly-library";
+const DB_VERSION = 1;
+const OPFS_DIRECTORY = "recordings";
+
+export class RecordingLibrary {
+  constructor() {
+    this.db = null;
+    this.opening = null;
+    this.directory = undefined; // OPFS folder; null where it can't be used
+  }
+
+  /**
+   * Whether recordings can be kept in this browser
+   */
+  get isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Open (and upgrade) the database once
+   * @returns {Promise<IDBDatabase>}
+   */
+  async open() {
+    if (this.db) return this.db;
+    if (!this.isSupported) throw new Error("IndexedDB is not available");
+
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains("recordings")) {
+            db.createObjectStore("recordings", { keyPath: "id" });
+          }
+          // Recording files, where OPFS is unavailable
+          if (!db.objectStoreNames.contains("files")) {
+            db.createObjectStore("files", { keyPath: "id" });
+          }
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          db.onversionchange = () => {
+            db.close();
+            this.db = null;
+            this.opening = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    try {
+      this.db = await this.opening;
+    } catch (error) {
+      this.opening = null;
+      throw error;
+    }
+    return this.db;
+  }
+
+  /**
+   * The OPFS folder for recording files, or null if files can't be written
+   * there from the page (e.g. no createWritable())
+   * @returns {Promise<FileSystemDirectoryHandle|null>}
+   */
+  async getDirectory() {
+    if (this.directory !== undefined) return this.directory;
+
+    try {
+      if (
+        !navigator.storage?.getDirectory ||
+        !("createWritable" in FileSystemFileHandle.prototype)
+      ) {
+        throw new Error("OPFS writes not supported");
+      }
+      const root = await navigator.storage.getDirectory();
+      this.directory = await root.getDirectoryHandle(OPFS_DIRECTORY, {
+        create: true,
+      });
+    } catch (error) {
+      console.warn("Keeping library files in IndexedDB:", error);
+      this.directory = null;
+    }
+    return this.directory;
+  }
+
+  /**
+   * Keep a finished recording
+   * @param {Blob} blob
+   * @param {{name: string, mode?: string}} meta
+   * @returns {Promise<object>} The library record
+   */
+  async add(blob, { name, mode = "" }) {
+    const id = `${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+
+    let poster = { duration: 0, width: 0, height: 0, thumbnail: null };
+    try {
+      poster = await createPoster(blob);
+    } catch (error) {
+      console.warn("Could not create a thumbnail:", error);
+    }
+
+    const recording = {
+      id,
+      name,
+      mode,
+      mimeType: blob.type,
+      size: blob.size,
+      ...poster,
+      createdAt: Date.now(),
+      storage: "indexeddb",
+    };
+
+    if (await this.writeFile(id, blob)) recording.storage = "opfs";
+
+    const db = await this.open();
+    const tx = db.transaction(["recordings", "files"], "readwrite");
+    tx.objectStore("recordings").put(recording);
+    if (recording.storage === "indexeddb") {
+      tx.objectStore("files").put({ id, blob });
+    }
+
+    try {
+      await committed(tx);
+    } catch (error) {
+      await this.removeFile(id);
+      throw error;
+    }
+    return recording;
+  }
+
+  /**
+   * Write a recording file into OPFS
+   * @returns {Promise<boolean>} Whether it was written there
+   */
+  async writeFile(id, blob) {
+    const directory = await this.getDirectory();
+    if (!directory) return false;
+
+    let writable = null;
+    try {
+      const handle = await directory.getFileHandle(id, { create: true });
+      writable = await handle.createWritable();
+      await writable.write(blob);
+      await writable.close();
+      return true;
+    } catch (error) {
+      console.warn("OPFS write failed, using IndexedDB:", error);
+      await writable?.abort().catch(() => {});
+      await this.removeFile(id);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a recording file from OPFS, if it is there
+   */
+  async removeFile(id) {
+    const directory = await this.getDirectory();
+    await directory?.removeEntry(id).catch(() => {});
+  }
+
+  /**
+   * Every kept recording, newest first
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    const db = await this.open();
+    const recordings = await promisify(
+      db.transaction("recordings").objectStore("recordings").getAll()
+    );
+    return recordings.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Get a single library record
+   * @param {string} id
+   * @returns {Promise<object|undefined>}
+   */
+  async get(id) {
+    const db = await this.open();
+    return promisify(
+      db.transaction("recordings").objectStore("recordings").get(id)
+    );
+  }
+
+  /**
+   * The recording file, as a File named after the recording
+   * @param {string} id
+   * @returns {Promise<File>}
+   */
+  async getFile(id) {
+    const recording = await this.get(id);
+    if (!recording) throw new Error("Recording not found in the library");
+
+    let blob;
+    if (recording.storage === "opfs") {
+      const directory = await this.getDirectory();
+      if (!directory) throw new Error("Library files are unavailable");
+      blob = await (await directory.getFileHandle(id)).getFile();
+    } else {
+      const db = await this.open();
+      const entry = await promisify(
+        db.transaction("files").objectStore("files").get(id)
+      );
+      blob = entry?.blob;
+    }
+
+    if (!blob) throw new Error("The recording file is missing");
+    return new File([blob], recording.name, { type: recording.mimeType });
+  }
+
+  /**
+   * Rename a recording
+   * @param {string} id
+   * @param {string} name
+   */
+  async rename(id, name) {
+    const db = await this.open();
+    const tx = db.transaction("recordings", "readwrite");
+    const recordings = tx.objectStore("recordings");
+
+    const recording = await promisify(recordings.get(id));
+    if (recording) recordings.put({ ...recording, name });
+
+    await committed(tx);
+  }
+
+  /**
+   * Remove a recording and its file
+   * @param {string} id
+   */
+  async delete(id) {
+    const db = await this.open();
+    const tx = db.transaction(["recordings", "files"], "readwrite");
+    tx.objectStore("recordings").delete(id);
+    tx.objectStore("files").delete(id);
+    await committed(tx);
+
+    await this.removeFile(id);
+  }
+
+  /**
+   * Storage used by the library, and by the origin against its quota
+   * @returns {Promise<{count: number, size: number, usage: number, quota: number}>}
+   */
+  async estimate() {
+    const recordings = await this.list();
+    const { usage = 0, quota = 0 } =
+      (await navigator.storage?.estimate?.()) || {};
+
+    return {
+      count: recordings.length,
+      size: recordings.reduce((total, recording) => total + recording.size, 0),
+      usage,
+      quota,
+    };
+  }
+}
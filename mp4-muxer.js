@@ -0,0 +1,806 @@
+/**
+ * Recordly - Fragmented MP4 Muxer
+ * Writes WebCodecs output (H.264 or AV1 video, AAC or Opus audio) as
+ * fragmented MP4: an ftyp+moov init segment followed by moof+mdat fragments,
+ * so every fragment can be streamed out as soon as it is complete.
+ */
+
+const VIDEO_TIMESCALE = 90000;
+const MOVIE_TIMESCALE = 1000;
+
+const SAMPLE_FLAGS_SYNC = 0x02000000; // sample_depends_on = 2
+const SAMPLE_FLAGS_NON_SYNC = 0x01010000; // depends_on = 1, is_non_sync
+
+/* ---------------------------------------------------------------------------
+ * Box writing
+ * ------------------------------------------------------------------------- */
+
+function u8(value) {
+  return Uint8Array.of(value & 0xff);
+}
+
+function u16(value) {
+  return Uint8Array.of((value >> 8) & 0xff, value & 0xff);
+}
+
+function u24(value) {
+  return Uint8Array.of((value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+}
+
+function u32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value >>> 0);
+  return bytes;
+}
+
+function u64(value) {
+  const bytes = new Uint8Array(8);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, Math.floor(value / 2 ** 32));
+  view.setUint32(4, value % 2 ** 32);
+  return bytes;
+}
+
+function ascii(text) {
+  return Uint8Array.from(text, (char) => char.charCodeAt(0));
+}
+
+function zeros(length) {
+  return new Uint8Array(length);
+}
+
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new Uint8Array(data);
+}
+
+function box(type, payload = []) {
+  const data = concat(payload);
+  return concat([u32(data.length + 8), ascii(type), data]);
+}
+
+function fullBox(type, version, flags, payload = []) {
+  return box(type, [u8(version), u24(flags), ...payload]);
+}
+
+const MATRIX = concat(
+  [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].map(u32)
+);
+
+/* ---------------------------------------------------------------------------
+ * Codec configuration records
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Build an av1C record from an "av01.P.LLT.DD" codec string, for encoders
+ * that do not supply one
+ */
+function buildAv1Config(codec) {
+  const [, profile = "0", levelTier = "08M", depth = "08"] = codec.split(".");
+  const level = parseInt(levelTier, 10);
+  const tier = levelTier.endsWith("H") ? 1 : 0;
+  const highBitDepth = parseInt(depth, 10) > 8 ? 1 : 0;
+
+  return Uint8Array.of(
+    0x81, // marker + version 1
+    (parseInt(profile, 10) << 5) | level,
+    (tier << 7) | (highBitDepth << 6) | 0b1100, // 4:2:0 subsampling
+    0
+  );
+}
+
+/**
+ * Build an AAC AudioSpecificConfig (AAC-LC)
+ */
+function buildAacConfig(sampleRate, channels) {
+  const rates = [
+    96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025,
+    8000,
+  ];
+  const index = Math.max(0, rates.indexOf(sampleRate));
+  return Uint8Array.of(
+    (2 << 3) | (index >> 1),
+    ((index & 1) << 7) | (channels << 3)
+  );
+}
+
+/**
+ * Wrap an MPEG-4 descriptor
+ */
+function descriptor(tag, payload) {
+  const data = concat(payload);
+  return concat([u8(tag), u8(data.length), data]);
+}
+
+function videoSampleEntry(track) {
+  const isAv1 = track.codec.startsWith("av01");
+  const config = isAv1
+    ? box("av1C", [
+        track.description
+          ? toBytes(track.description)
+          : buildAv1Config(track.codec),
+      ])
+    : box("avcC", [toBytes(track.description)]);
+
+  return box(isAv1 ? "av01" : "avc1", [
+    zeros(6),
+    u16(1), // data_reference_index
+    zeros(16),
+    u16(track.width),
+    u16(track.height),
+    u32(0x00480000), // 72 dpi
+    u32(0x00480000),
+    u32(0),
+    u16(1), // frame_count
+    zeros(32), // compressorname
+    u16(0x0018),
+    u16(0xffff),
+    config,
+  ]);
+}
+
+function audioSampleEntry(track) {
+  const isOpus = track.codec === "opus";
+
+  let config;
+  if (isOpus) {
+    config = box("dOps", [
+      u8(0),
+      u8(track.numberOfChannels),
+      u16(312), // pre-skip: libopus encoder lookahead at 48 kHz
+      u32(track.sampleRate),
+      u16(0),
+      u8(0),
+    ]);
+  } else {
+    const asc = track.description
+      ? toBytes(track.description)
+      : buildAacConfig(track.sampleRate, track.numberOfChannels);
+    config = fullBox("esds", 0, 0, [
+      descriptor(0x03, [
+        u16(0), // ES_ID
+        u8(0),
+        descriptor(0x04, [
+          u8(0x40), // MPEG-4 audio
+          u8(0x15), // audio stream
+          u24(0),
+          u32(track.bitrate || 0),
+          u32(track.bitrate || 0),
+          descriptor(0x05, [asc]),
+        ]),
+        descriptor(0x06, [u8(0x02)]),
+      ]),
+    ]);
+  }
+
+  return box(isOpus ? "Opus" : "mp4a", [
+    zeros(6),
+    u16(1), // data_reference_index
+    zeros(8),
+    u16(track.numberOfChannels),
+    u16(16),
+    zeros(4),
+    u32(track.sampleRate * 65536),
+    config,
+  ]);
+}
+
+/* ---------------------------------------------------------------------------
+ * Init segment
+ * ------------------------------------------------------------------------- */
+
+function trak(track) {
+  const isVideo = track.kind === "video";
+
+  return box("trak", [
+    fullBox("tkhd", 1, 0x3, [
+      u64(0),
+      u64(0),
+      u32(track.id),
+      u32(0),
+      u64(0), // duration, patched by finalizeMp4()
+      zeros(8),
+      u16(0),
+      u16(0),
+      u16(isVideo ? 0 : 0x0100),
+      u16(0),
+      MATRIX,
+      u32(isVideo ? track.width * 65536 : 0),
+      u32(isVideo ? track.height * 65536 : 0),
+    ]),
+    box("mdia", [
+      fullBox("mdhd", 1, 0, [
+        u64(0),
+        u64(0),
+        u32(track.timescale),
+        u64(0), // duration, patched by finalizeMp4()
+        u16(0x55c4), // "und"
+        u16(0),
+      ]),
+      fullBox("hdlr", 0, 0, [
+        u32(0),
+        ascii(isVideo ? "vide" : "soun"),
+        zeros(12),
+        ascii(isVideo ? "VideoHandler\0" : "SoundHandler\0"),
+      ]),
+      box("minf", [
+        isVideo
+          ? fullBox("vmhd", 0, 1, [zeros(8)])
+          : fullBox("smhd", 0, 0, [zeros(4)]),
+        box("dinf", [fullBox("dref", 0, 0, [u32(1), fullBox("url ", 0, 1)])]),
+        box("stbl", [
+          fullBox("stsd", 0, 0, [
+            u32(1),
+            isVideo ? videoSampleEntry(track) : audioSampleEntry(track),
+          ]),
+          fullBox("stts", 0, 0, [u32(0)]),
+          fullBox("stsc", 0, 0, [u32(0)]),
+          fullBox("stsz", 0, 0, [u32(0), u32(0)]),
+          fullBox("stco", 0, 0, [u32(0)]),
+        ]),
+      ]),
+    ]),
+  ]);
+}
+
+/* ---------------------------------------------------------------------------
+ * Muxer
+ * ------------------------------------------------------------------------- */
+
+export class Mp4Muxer {
+  /**
+   * @param {object} options
+   * @param {{codec: string, width: number, height: number}} [options.video]
+   * @param {{codec: string, sampleRate: number, numberOfChannels: number, bitrate?: number}} [options.audio]
+   */
+  constructor({ video, audio }) {
+    this.tracks = [];
+    if (video) {
+      this.tracks.push({
+        ...video,
+        kind: "video",
+        timescale: VIDEO_TIMESCALE,
+      });
+    }
+    if (audio) {
+      this.tracks.push({
+        ...audio,
+        kind: "audio",
+        timescale: audio.sampleRate,
+      });
+    }
+    this.tracks.forEach((track, i) => {
+      track.id = i + 1;
+      track.samples = [];
+      track.pending = null; // last sample, waiting for its duration
+      track.lastDuration = 0;
+      track.configured = false;
+    });
+
+    this.sequence = 0;
+  }
+
+  /**
+   * Get a track by kind
+   * @param {"video"|"audio"} kind
+   */
+  track(kind) {
+    return this.tracks.find((track) => track.kind === kind);
+  }
+
+  /**
+   * Whether every track has the decoder config needed for the init segment
+   */
+  get isReady() {
+    return this.tracks.every((track) => track.configured);
+  }
+
+  /**
+   * Add an encoded chunk with its (pause-adjusted) timestamp
+   * @param {"video"|"audio"} kind
+   * @param {EncodedVideoChunk|EncodedAudioChunk} chunk
+   * @param {object} [metadata] - Encoder output metadata
+   * @param {number} timestamp - Microseconds from the start of the recording
+   */
+  addChunk(kind, chunk, metadata, timestamp) {
+    const track = this.track(kind);
+    if (!track) return;
+
+    // The first chunk carries the decoder config; encoders that omit it
+    // (AV1, Opus) get a record built from the codec parameters instead
+    if (!track.configured) {
+      const config = metadata?.decoderConfig || {};
+      if (config.description) track.description = config.description;
+      if (config.numberOfChannels) {
+        track.numberOfChannels = config.numberOfChannels;
+      }
+      if (config.sampleRate && config.sampleRate !== track.sampleRate) {
+        track.sampleRate = config.sampleRate;
+        track.timescale = config.sampleRate;
+      }
+      track.configured = true;
+    }
+
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+
+    const time = Math.round((timestamp * track.timescale) / 1e6);
+    if (track.pending) {
+      track.lastDuration = Math.max(1, time - track.pending.time);
+      track.samples.push({ ...track.pending, duration: track.lastDuration });
+    }
+    track.pending = { time, data, sync: chunk.type === "key" };
+  }
+
+  /**
+   * Number of samples ready to go into the next fragment
+   */
+  get bufferedSamples() {
+    return this.tracks.reduce((sum, track) => sum + track.samples.length, 0);
+  }
+
+  /**
+   * Build the ftyp + moov init segment
+   * @returns {Uint8Array}
+   */
+  createInitSegment() {
+    const video = this.track("video");
+    const brands = ["isom", "iso6", "iso2", "mp41"];
+    if (video) brands.push(video.codec.startsWith("av01") ? "av01" : "avc1");
+
+    const ftyp = box("ftyp", [ascii("isom"), u32(0x200), ...brands.map(ascii)]);
+
+    const moov = box("moov", [
+      fullBox("mvhd", 1, 0, [
+        u64(0),
+        u64(0),
+        u32(MOVIE_TIMESCALE),
+        u64(0), // duration, patched by finalizeMp4()
+        u32(0x00010000), // rate 1.0
+        u16(0x0100), // volume 1.0
+        zeros(10),
+        MATRIX,
+        zeros(24),
+        u32(this.tracks.length + 1),
+      ]),
+      ...this.tracks.map(trak),
+      box("mvex", [
+        fullBox("mehd", 1, 0, [u64(0)]), // patched by finalizeMp4()
+        ...this.tracks.map((track) =>
+          fullBox("trex", 0, 0, [u32(track.id), u32(1), u32(0), u32(0), u32(0)])
+        ),
+      ]),
+    ]);
+
+    return concat([ftyp, moov]);
+  }
+
+  /**
+   * Build a moof + mdat fragment from the buffered samples
+   * @param {boolean} [final] - Also flush the last sample of each track
+   * @returns {Uint8Array|null}
+   */
+  createFragment(final = false) {
+    if (final) {
+      this.tracks.forEach((track) => {
+        if (track.pending) {
+          const duration =
+            track.lastDuration ||
+            (track.kind === "video" ? VIDEO_TIMESCALE / 30 : 960);
+          track.samples.push({ ...track.pending, duration });
+          track.pending = null;
+        }
+      });
+    }
+
+    const tracks = this.tracks.filter((track) => track.samples.length > 0);
+    if (tracks.length === 0) return null;
+
+    this.sequence++;
+    const fragment = buildFragment(this.sequence, tracks);
+    tracks.forEach((track) => (track.samples = []));
+
+    return fragment;
+  }
+}
+
+/**
+ * Build a moof + mdat fragment
+ * @param {number} sequence - Fragment sequence number, from 1
+ * @param {{id: number, samples: {time: number, duration: number, data: Uint8Array, sync: boolean}[]}[]} tracks
+ *   Tracks with at least one sample; times in the track timescale
+ * @returns {Uint8Array}
+ */
+function buildFragment(sequence, tracks) {
+  const build = (offsets) =>
+    box("moof", [
+      fullBox("mfhd", 0, 0, [u32(sequence)]),
+      ...tracks.map((track, i) =>
+        box("traf", [
+          fullBox("tfhd", 0, 0x020000, [u32(track.id)]), // default-base-is-moof
+          fullBox("tfdt", 1, 0, [u64(track.samples[0].time)]),
+          fullBox("trun", 0, 0x000701, [
+            u32(track.samples.length),
+            u32(offsets[i]),
+            ...track.samples.map((sample) =>
+              concat([
+                u32(sample.duration),
+                u32(sample.data.length),
+                u32(sample.sync ? SAMPLE_FLAGS_SYNC : SAMPLE_FLAGS_NON_SYNC),
+              ])
+            ),
+          ]),
+        ])
+      ),
+    ]);
+
+  // Data offsets are fixed-width, so a dry run gives the real moof size
+  const moofSize = build(tracks.map(() => 0)).length;
+  let offset = moofSize + 8;
+  const offsets = tracks.map((track) => {
+    const start = offset;
+    offset += track.samples.reduce((sum, s) => sum + s.data.length, 0);
+    return start;
+  });
+
+  const moof = build(offsets);
+  const payload = tracks.flatMap((track) =>
+    track.samples.map((sample) => sample.data)
+  );
+  const mdat = box("mdat", payload);
+
+  return concat([moof, mdat]);
+}
+
+/* ---------------------------------------------------------------------------
+ * Finalizing
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Iterate the boxes of an in-memory buffer
+ */
+function* boxes(bytes, start = 0, end = bytes.length) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  let pos = start;
+  while (pos + 8 <= end) {
+    const size = view.getUint32(pos);
+    const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+    if (size < 8 || pos + size > end) return;
+    yield { type, start: pos, dataStart: pos + 8, end: pos + size };
+    pos += size;
+  }
+}
+
+function findBox(bytes, path, start = 0, end = bytes.length) {
+  const [type, ...rest] = path;
+  for (const child of boxes(bytes, start, end)) {
+    if (child.type !== type) continue;
+    if (rest.length === 0) return child;
+    return findBox(bytes, rest, child.dataStart, child.end);
+  }
+  return null;
+}
+
+function readUint64(view, offset) {
+  return view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+}
+
+function writeUint64(view, offset, value) {
+  view.setUint32(offset, Math.floor(value / 2 ** 32));
+  view.setUint32(offset + 4, value % 2 ** 32);
+}
+
+/**
+ * Read the top-level box header at `offset`
+ * @returns {Promise<{type: string, start: number, end: number}|null>}
+ */
+async function readTopLevelBox(blob, offset) {
+  if (offset + 8 > blob.size) return null;
+
+  const bytes = new Uint8Array(
+    await blob.slice(offset, Math.min(blob.size, offset + 16)).arrayBuffer()
+  );
+  const view = new DataView(bytes.buffer);
+  const type = String.fromCharCode(...bytes.subarray(4, 8));
+
+  let size = view.getUint32(0);
+  if (size === 1 && bytes.length >= 16) size = readUint64(view, 8);
+  else if (size === 0) size = blob.size - offset;
+  if (size < 8) return null;
+
+  return { type, start: offset, end: offset + size };
+}
+
+/**
+ * Find the init segment and the complete moof+mdat fragments of a
+ * fragmented MP4. Incomplete trailing fragments (e.g. after a crash) are
+ * left out.
+ * @param {Blob} blob
+ * @returns {Promise<{head: {moovStart: number, end: number}, fragments: object[]}>}
+ *   Fragments have `start`, `end` (after the mdat) and the moof `bytes`
+ */
+async function readFragments(blob) {
+  let head = null;
+  const fragments = [];
+  let offset = 0;
+
+  // Walk top-level boxes: ftyp/moov first, then moof+mdat pairs
+  while (offset < blob.size) {
+    const top = await readTopLevelBox(blob, offset);
+    if (!top || top.end > blob.size) break;
+
+    if (top.type === "moov") {
+      head = { end: top.end, moovStart: top.start };
+    } else if (top.type === "moof") {
+      const bytes = new Uint8Array(
+        await blob.slice(top.start, top.end).arrayBuffer()
+      );
+      fragments.push({
+        start: top.start,
+        end: top.end,
+        bytes,
+        complete: false,
+      });
+    } else if (top.type === "mdat" && fragments.length) {
+      const last = fragments[fragments.length - 1];
+      if (last.end === top.start) {
+        last.end = top.end;
+        last.complete = true;
+      }
+    } else if (top.type === "mfra") {
+      break; // Previous index; rebuilt below
+    }
+    offset = top.end;
+  }
+
+  const complete = fragments.filter((fragment) => fragment.complete);
+  if (!head || complete.length === 0) {
+    throw new Error("MP4 file has no playable content");
+  }
+
+  const moov = new Uint8Array(
+    await blob.slice(head.moovStart, head.end).arrayBuffer()
+  );
+  return { head, moov, fragments: complete };
+}
+
+/**
+ * Timescale (and the boxes holding the durations) of every track
+ * @param {Uint8Array} moov
+ * @returns {Map<number, {timescale: number, tkhd: object, mdhd: object, end: number}>}
+ */
+function readTimescales(moov) {
+  const moovView = new DataView(moov.buffer, moov.byteOffset, moov.length);
+  const timescales = new Map();
+  for (const trak of boxes(moov, 8)) {
+    if (trak.type !== "trak") continue;
+    const tkhd = findBox(moov, ["tkhd"], trak.dataStart, trak.end);
+    const mdhd = findBox(moov, ["mdia", "mdhd"], trak.dataStart, trak.end);
+    if (!tkhd || !mdhd) continue;
+    const trackId = moovView.getUint32(tkhd.dataStart + 4 + 16);
+    timescales.set(trackId, {
+      timescale: moovView.getUint32(mdhd.dataStart + 4 + 16),
+      tkhd,
+      mdhd,
+      end: 0,
+    });
+  }
+  return timescales;
+}
+
+/**
+ * Read the track runs of a moof written by Mp4Muxer
+ * @param {Uint8Array} moof
+ * @returns {{trackId: number, base: number, tfdt: object, dataOffset: number, samples: {duration: number, size: number, flags: number}[]}[]}
+ *   `dataOffset` is relative to the start of the moof
+ */
+function readTrackRuns(moof) {
+  const view = new DataView(moof.buffer, moof.byteOffset, moof.length);
+  const runs = [];
+
+  for (const traf of boxes(moof, 8)) {
+    if (traf.type !== "traf") continue;
+    const tfhd = findBox(moof, ["tfhd"], traf.dataStart, traf.end);
+    const tfdt = findBox(moof, ["tfdt"], traf.dataStart, traf.end);
+    const trun = findBox(moof, ["trun"], traf.dataStart, traf.end);
+    if (!tfhd || !tfdt || !trun) continue;
+
+    const base =
+      view.getUint8(tfdt.dataStart) === 1
+        ? readUint64(view, tfdt.dataStart + 4)
+        : view.getUint32(tfdt.dataStart + 4);
+
+    // Our trun layout: count, data offset, then (duration, size, flags)
+    const count = view.getUint32(trun.dataStart + 4);
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      const sample = trun.dataStart + 12 + i * 12;
+      samples.push({
+        duration: view.getUint32(sample),
+        size: view.getUint32(sample + 4),
+        flags: view.getUint32(sample + 8),
+      });
+    }
+
+    runs.push({
+      trackId: view.getUint32(tfhd.dataStart + 4),
+      base,
+      tfdt,
+      dataOffset: view.getInt32(trun.dataStart + 8),
+      samples,
+    });
+  }
+  return runs;
+}
+
+/**
+ * Make a fragmented MP4 fully described: patch the movie/track durations
+ * and append an mfra random-access index. Incomplete trailing fragments
+ * (e.g. after a crash) are cut off.
+ * @param {Blob} blob
+ * @returns {Promise<Blob>}
+ */
+export async function finalizeMp4(blob) {
+  const { head, moov, fragments } = await readFragments(blob);
+  const moovView = new DataView(moov.buffer);
+  const timescales = readTimescales(moov);
+
+  // Track end times and sync-sample positions from every fragment
+  const syncPoints = [];
+  fragments.forEach((fragment) => {
+    readTrackRuns(fragment.bytes).forEach(({ trackId, base, samples }) => {
+      const track = timescales.get(trackId);
+      if (!track) return;
+
+      const duration = samples.reduce((sum, s) => sum + s.duration, 0);
+      track.end = Math.max(track.end, base + duration);
+
+      if (trackId === 1 && samples[0]?.flags === SAMPLE_FLAGS_SYNC) {
+        syncPoints.push({ time: base, offset: fragment.start, trackId });
+      }
+    });
+  });
+
+  // Patch durations (all version 1 boxes with 64-bit fields)
+  let movieDuration = 0;
+  timescales.forEach((track) => {
+    const movie = Math.round((track.end * MOVIE_TIMESCALE) / track.timescale);
+    movieDuration = Math.max(movieDuration, movie);
+    writeUint64(moovView, track.mdhd.dataStart + 4 + 20, track.end);
+    writeUint64(moovView, track.tkhd.dataStart + 4 + 24, movie);
+  });
+
+  const mvhd = findBox(moov, ["mvhd"], 8);
+  const mehd = findBox(moov, ["mvex", "mehd"], 8);
+  if (mvhd) writeUint64(moovView, mvhd.dataStart + 4 + 20, movieDuration);
+  if (mehd) writeUint64(moovView, mehd.dataStart + 4, movieDuration);
+
+  const tfra = fullBox("tfra", 1, 0, [
+    u32(1),
+    u32(0), // 1-byte traf/trun/sample numbers
+    u32(syncPoints.length),
+    ...syncPoints.map((point) =>
+      concat([u64(point.time), u64(point.offset), u8(1), u8(1), u8(1)])
+    ),
+  ]);
+  const mfroSize = 16;
+  const mfra = box("mfra", [
+    tfra,
+    fullBox("mfro", 0, 0, [u32(8 + tfra.length + mfroSize)]),
+  ]);
+
+  const dataEnd = fragments[fragments.length - 1].end;
+  return new Blob(
+    [blob.slice(0, head.moovStart), moov, blob.slice(head.end, dataEnd), mfra],
+    { type: blob.type || "video/mp4" }
+  );
+}
+
+/**
+ * Cut the range [start, end) out of an MP4 written by Mp4Muxer. The cut
+ * starts at the last fragment that opens with a keyframe at or before
+ * `start` (EncoderRecorder forces one every two seconds) and ends at the
+ * first sample at or after `end`. The result starts at time 0 and is
+ * finalized.
+ * @param {Blob} blob
+ * @param {{start?: number, end?: number}} range - Seconds
+ * @returns {Promise<{blob: Blob, start: number}>} The cut, and the source
+ *   time of that keyframe in seconds
+ */
+export async function trimMp4(blob, { start = 0, end = Infinity }) {
+  const { head, moov, fragments } = await readFragments(blob);
+  const timescales = readTimescales(moov);
+  const timescale = (trackId) => timescales.get(trackId)?.timescale || 1;
+
+  // Start time of each fragment, from its video run (or its first run)
+  const timed = fragments.map((fragment) => {
+    const runs = readTrackRuns(fragment.bytes);
+    const lead = runs.find((run) => run.trackId === 1) || runs[0];
+    return {
+      ...fragment,
+      runs,
+      time: lead ? lead.base / timescale(lead.trackId) : 0,
+      sync: lead?.samples[0]?.flags === SAMPLE_FLAGS_SYNC,
+    };
+  });
+
+  let first = 0;
+  timed.forEach((fragment, i) => {
+    if (fragment.sync && fragment.time <= start) first = i;
+  });
+  const kept = timed.slice(first).filter((fragment) => fragment.time < end);
+  if (kept.length === 0) throw new Error("The selection is empty");
+
+  const shift = kept[0].time;
+  const shiftOf = (trackId) => Math.round(shift * timescale(trackId));
+  const parts = [blob.slice(0, head.end)];
+
+  for (let i = 0; i < kept.length; i++) {
+    const fragment = kept[i];
+    const sequence = i + 1;
+    const nextTime = timed[first + i + 1]?.time ?? Infinity;
+
+    if (nextTime <= end) {
+      // Whole fragment: renumber it and move it to the new start
+      const moof = fragment.bytes.slice();
+      const view = new DataView(moof.buffer);
+      const mfhd = findBox(moof, ["mfhd"], 8);
+      if (mfhd) view.setUint32(mfhd.dataStart + 4, sequence);
+
+      fragment.runs.forEach(({ trackId, base, tfdt }) => {
+        const time = Math.max(0, base - shiftOf(trackId));
+        if (view.getUint8(tfdt.dataStart) === 1) {
+          writeUint64(view, tfdt.dataStart + 4, time);
+        } else {
+          view.setUint32(tfdt.dataStart + 4, time);
+        }
+      });
+      parts.push(moof, blob.slice(fragment.start + moof.length, fragment.end));
+      continue;
+    }
+
+    // The out point falls inside: rebuild it without the later samples
+    const bytes = new Uint8Array(
+      await blob.slice(fragment.start, fragment.end).arrayBuffer()
+    );
+    const tracks = fragment.runs
+      .map(({ trackId, base, dataOffset, samples }) => {
+        const limit = end * timescale(trackId);
+        const inRange = [];
+        let time = base;
+        let offset = dataOffset;
+        for (const sample of samples) {
+          if (time >= limit) break;
+          inRange.push({
+            time: Math.max(0, time - shiftOf(trackId)),
+            duration: sample.duration,
+            data: bytes.subarray(offset, offset + sample.size),
+            sync: sample.flags === SAMPLE_FLAGS_SYNC,
+          });
+          time += sample.duration;
+          offset += sample.size;
+        }
+        return { id: trackId, samples: inRange };
+      })
+      .filter((track) => track.samples.length > 0);
+
+    if (tracks.length > 0) parts.push(buildFragment(sequence, tracks));
+  }
+
+  const trimmed = new Blob(parts, { type: blob.type || "video/mp4" });
+  return { blob: await finalizeMp4(trimmed), start: shift };
+}
@@ -0,0 +1,182 @@
+/**
+ * Recordly - Webcam Overlay Layout
+ * Shared by the Canvas compositor (recorder.js) and the worker compositor
+ * (compositor.worker.js) so both draw the presenter overlay identically
+ */
+
+export const DEFAULT_OVERLAY = {
+  anchor: "bottom-right", // top-left | top-right | bottom-left | bottom-right
+  x: null, // Normalized left edge; with `y`, overrides the anchor when set
+  y: null, // Normalized top edge
+  size: 0.15, // Overlay height as a fraction of the output's shorter edge
+  margin: 20, // px from the anchored edges
+  shape: "rectangle", // rectangle | rounded | circle
+  borderColor: "#ffffff",
+  borderWidth: 2,
+  mirror: true,
+  shadow: false,
+};
+
+const ANCHORS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+const SHAPES = ["rectangle", "rounded", "circle"];
+
+/**
+ * Merge a partial layout over the defaults and clamp it to sane values
+ * @param {object} [overlay]
+ * @returns {typeof DEFAULT_OVERLAY}
+ */
+export function resolveOverlay(overlay = {}) {
+  const layout = { ...DEFAULT_OVERLAY, ...overlay };
+
+  if (!ANCHORS.includes(layout.anchor)) layout.anchor = DEFAULT_OVERLAY.anchor;
+  if (!SHAPES.includes(layout.shape)) layout.shape = DEFAULT_OVERLAY.shape;
+  layout.size = Math.min(0.9, Math.max(0.05, Number(layout.size) || 0));
+  layout.margin = Math.max(0, Number(layout.margin) || 0);
+  layout.borderWidth = Math.max(0, Number(layout.borderWidth) || 0);
+
+  // A dragged position needs both coordinates
+  if (Number.isFinite(layout.x) && Number.isFinite(layout.y)) {
+    layout.x = Math.min(1, Math.max(0, layout.x));
+    layout.y = Math.min(1, Math.max(0, layout.y));
+  } else {
+    layout.x = null;
+    layout.y = null;
+  }
+
+  return layout;
+}
+
+/**
+ * Where the overlay goes on the output canvas
+ * @param {object} layout - From resolveOverlay()
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {number} sourceWidth - Webcam frame width
+ * @param {number} sourceHeight - Webcam frame height
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getOverlayRect(
+  layout,
+  width,
+  height,
+  sourceWidth,
+  sourceHeight
+) {
+  const h = Math.round(Math.min(width, height) * layout.size);
+  const w =
+    layout.shape === "circle"
+      ? h
+      : Math.round((h * sourceWidth) / (sourceHeight || 1));
+
+  if (layout.x !== null) {
+    return {
+      x: Math.round(Math.min(layout.x * width, width - w)),
+      y: Math.round(Math.min(layout.y * height, height - h)),
+      width: w,
+      height: h,
+    };
+  }
+
+  const left = layout.anchor.endsWith("left");
+  const top = layout.anchor.startsWith("top");
+
+  return {
+    x: left ? layout.margin : width - w - layout.margin,
+    y: top ? layout.margin : height - h - layout.margin,
+    width: w,
+    height: h,
+  };
+}
+
+/**
+ * Trace the overlay outline as the current path
+ */
+function traceShape(ctx, shape, { x, y, width, height }) {
+  ctx.beginPath();
+
+  if (shape === "circle") {
+    ctx.ellipse(
+      x + width / 2,
+      y + height / 2,
+      width / 2,
+      height / 2,
+      0,
+      0,
+      Math.PI * 2
+    );
+  } else if (shape === "rounded") {
+    const r = Math.min(width, height) * 0.15;
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + width, y, x + width, y + height, r);
+    ctx.arcTo(x + width, y + height, x, y + height, r);
+    ctx.arcTo(x, y + height, x, y, r);
+    ctx.arcTo(x, y, x + width, y, r);
+    ctx.closePath();
+  } else {
+    ctx.rect(x, y, width, height);
+  }
+}
+
+/**
+ * Draw the webcam image into its overlay: shadow, clipped (and optionally
+ * mirrored) image cropped to fill the shape, then the border
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} source - Video element, VideoFrame or bitmap
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {object} layout - From resolveOverlay()
+ */
+export function drawOverlay(
+  ctx,
+  source,
+  sourceWidth,
+  sourceHeight,
+  rect,
+  layout
+) {
+  const { x, y, width, height } = rect;
+
+  // Crop the source to the overlay's aspect ratio (object-fit: cover)
+  const scale = Math.max(width / sourceWidth, height / sourceHeight);
+  const sw = width / scale;
+  const sh = height / scale;
+  const sx = (sourceWidth - sw) / 2;
+  const sy = (sourceHeight - sh) / 2;
+
+  ctx.save();
+  try {
+    if (layout.shadow) {
+      ctx.save();
+      ctx.shadowColor = "rgba(0, 0, 0, 0.45)";
+      ctx.shadowBlur = height * 0.08;
+      ctx.shadowOffsetY = height * 0.02;
+      ctx.fillStyle = "#000";
+      traceShape(ctx, layout.shape, rect);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    traceShape(ctx, layout.shape, rect);
+    ctx.clip();
+
+    if (layout.mirror) {
+      ctx.translate(x + width, y);
+      ctx.scale(-1, 1);
+      ctx.drawImage(source, sx, sy, sw, sh, 0, 0, width, height);
+    } else {
+      ctx.drawImage(source, sx, sy, sw, sh, x, y, width, height);
+    }
+  } finally {
+    ctx.restore();
+  }
+
+  if (layout.borderWidth > 0) {
+    ctx.save();
+    ctx.strokeStyle = layout.borderColor;
+    ctx.lineWidth = layout.borderWidth;
+    traceShape(ctx, layout.shape, rect);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
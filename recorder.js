@@ -3,6 +3,46 @@
  * Handles MediaRecorder, stream management, and WebCodecs optimization
  */
 
+import { ChunkStore } from "./storage.js";
+import { FileSink } from "./file-sink.js";
+import { finalizeWebm, concatWebm, buildChapters } from "./webm.js";
+import { shiftMarkers } from "./chapters.js";
+import { finalizeMp4 } from "./mp4-muxer.js";
+import { EncoderRecorder } from "./encoder-recorder.js";
+import { AudioMixer } from "./audio-mixer.js";
+import { WhipPublisher } from "./whip.js";
+import {
+  resolveSegmentLimits,
+  getSegmentName,
+  createManifest,
+} from "./segments.js";
+import { resolveOverlay, getOverlayRect } from "./overlay.js";
+import { WebcamEffect, resolveEffect } from "./webcam-effects.js";
+import {
+  SCENES,
+  createSceneState,
+  switchScene,
+  renderScenes,
+} from "./scenes.js";
+import {
+  createAnnotationState,
+  applyAnnotationChange,
+  drawAnnotations,
+  pruneAnnotations,
+} from "./annotations.js";
+import {
+  resolveBranding,
+  hasBranding,
+  createLowerThirdState,
+  isLowerThirdShowing,
+  drawBranding,
+} from "./branding.js";
+import {
+  resolveVisualizer,
+  createVisualizerState,
+  drawVisualizer,
+} from "./visualizer.js";
+
 export class Recorder {
   constructor() {
     this.mediaRecorder = null;
@@ -20,9 +60,53 @@ export class Recorder {
     this.worker = null;
     this.canvas = null;
     this.canvasStream = null;
-    this.audioContext = null;
+    this.mixer = null; // Per-source gain/mute for the recorded audio
+    this.mixedAudio = null; // What mixAudio() returned, for later callers
     this.isRecording = false;
-    this.maxChunks = 1000; // Bounded queue size
+    this.memoryBudget = 150 * 1024 * 1024; // Bytes kept in memory before spilling
+    this.quotaReserve = 512 * 1024 * 1024; // Free storage below which we warn
+    this.store = new ChunkStore();
+    this.sessionId = null;
+    this.chunkIndex = 0;
+    this.totalBytes = 0;
+    this.memoryBytes = 0;
+    this.spilled = false;
+    this.unpersisted = new Map(); // index -> Blob not yet confirmed in storage
+    this.storagePressure = "ok";
+    this.pendingWrites = Promise.resolve();
+    this.fileSink = null;
+    this.savedToFile = null; // Name of the file the last recording streamed to
+    this.publisher = null; // WHIP live stream of the output, while streaming
+    this.sourceVideos = null; // <video> elements feeding the Canvas compositor
+    this.overlay = resolveOverlay(); // Live webcam overlay layout
+    this.scenes = createSceneState(); // Live scene and running transition
+    this.effect = resolveEffect(); // Webcam background effect settings
+    this.nativeBlur = false; // The camera applies the blur itself
+    this.webcamEffect = null; // Effect stage of the Canvas compositor
+    this.annotations = createAnnotationState(); // Strokes drawn on the output
+    this.branding = resolveBranding(); // Watermark and lower third
+    this.lowerThird = createLowerThirdState(); // Lower third shown or hidden
+    this.visualizer = null; // Audio-only video settings, while drawing one
+    this.visualizerTrack = null; // Copy of the mix the worker visualizes
+    this.outputSize = null; // Composited output size, while compositing
+    this.videoSettings = null; // Capture size/rate, for device switches
+    this.pendingStart = null; // { timer, reject } while a start is deferred
+    this.stopTimer = null;
+    this.stopAt = null; // Epoch ms of the scheduled auto-stop
+    this.recordingStream = null; // What the recorder records, for new parts
+    this.recordingConfig = null;
+    this.segmentLimits = null; // { duration, size } when splitting into parts
+    this.segments = []; // Finished parts of a split recording
+    this.segmentStart = 0; // Epoch ms the current part started
+    this.rolling = null; // Promise of a rollover to the next part
+    this.splitFailed = false; // A new part could not be started
+    this.clock = null; // { startedAt, pausedAt, paused } in epoch ms
+    this.markers = []; // { time, label }, ms of recorded media
+    this.partStart = 0; // Media ms the current part starts at
+    this.partEnd = Infinity; // Media ms it ends at, once the next one started
+    this.takes = null; // { chunk, bytes, time } where each take starts, with retakes
+    this.switching = null; // Promise of a take closing or opening
+    this.resetStats();
   }
 
   /**
@@ -60,26 +144,101 @@ export class Recorder {
   }
 
   /**
-   * Start recording with given configuration
+   * Start recording with given configuration. With `config.schedule`, the
+   * sources are captured right away but writing begins after the countdown
+   * or at the scheduled time; the promise resolves once it has. With
+   * `config.stream`, the output also goes live; `config.record: false`
+   * only streams it.
    */
   async start(config) {
     try {
       performance.mark("recorder-start");
+      this.resetStats();
 
       await this.setupStreams(config);
       await this.setupRecorder(config);
+      await this.waitForStart(config.schedule);
 
-      this.mediaRecorder.start(1000); // 1 second timeslice for bounded memory
+      // 1 second timeslice for bounded memory
+      this.mediaRecorder?.start(1000);
       this.isRecording = true;
+      this.segmentStart = Date.now();
+      this.clock = { startedAt: this.segmentStart, pausedAt: null, paused: 0 };
+      this.markers = [];
+      this.partStart = 0;
+      this.partEnd = Infinity;
+      if (this.takes) this.takes = [{ chunk: 0, bytes: 0, time: 0 }];
+      if (config.stream) this.startStream(config.stream);
+      this.scheduleStop(config.schedule);
 
       performance.mark("recorder-start-complete");
       console.log("Recording started with config:", config);
     } catch (error) {
       await this.cleanup();
+      if (error.name === "AbortError") throw error;
       throw new Error(`Failed to start recording: ${error.message}`);
     }
   }
 
+  /**
+   * Hold the capture ready, without writing, until the countdown ends or the
+   * scheduled start time. Sources are picked before this, while the user's
+   * click still allows the screen picker.
+   * @param {{countdown?: number, startAt?: number}} [schedule] - Countdown in
+   *   seconds; start time in epoch ms. The later of the two wins.
+   */
+  async waitForStart({ countdown = 0, startAt = 0 } = {}) {
+    const startsAt = Math.max(startAt || 0, Date.now() + countdown * 1000);
+    const delay = startsAt - Date.now();
+    if (delay <= 0) return;
+
+    this.emit("waiting", { startsAt, countdown });
+    await new Promise((resolve, reject) => {
+      this.pendingStart = { timer: setTimeout(resolve, delay), reject };
+    });
+    this.pendingStart = null;
+  }
+
+  /**
+   * Whether a start is waiting for its countdown or scheduled time
+   */
+  get isWaiting() {
+    return !!this.pendingStart;
+  }
+
+  /**
+   * Abandon a start that is still waiting; start() rejects with AbortError
+   * @returns {boolean} Whether a start was waiting
+   */
+  cancelStart() {
+    if (!this.pendingStart) return false;
+
+    clearTimeout(this.pendingStart.timer);
+    this.pendingStart.reject(new DOMException("Start cancelled", "AbortError"));
+    this.pendingStart = null;
+    return true;
+  }
+
+  /**
+   * Arm the auto-stop: a duration after the start, or at a clock time.
+   * The recorder emits "autostop"; the app stops it so the result goes
+   * through the usual save flow.
+   * @param {{stopAfter?: number, stopAt?: number}} [schedule] - Duration in
+   *   ms; stop time in epoch ms. The earlier of the two wins.
+   */
+  scheduleStop({ stopAfter = 0, stopAt = 0 } = {}) {
+    const times = [stopAt, stopAfter && Date.now() + stopAfter].filter(
+      (time) => time > 0
+    );
+    if (times.length === 0) return;
+
+    this.stopAt = Math.min(...times);
+    this.stopTimer = setTimeout(() => {
+      this.stopTimer = null;
+      if (this.isRecording) this.emit("autostop", this.stopAt);
+    }, Math.max(0, this.stopAt - Date.now()));
+  }
+
   /**
    * Setup media streams based on mode
    */
@@ -110,27 +269,90 @@ export class Recorder {
 
       // Webcam capture
       if (mode === "webcam" || mode === "combined") {
+        this.videoSettings = video;
         const constraints = {
-          video: {
-            width: { ideal: video.width },
-            height: { ideal: video.height },
-            frameRate: { ideal: video.frameRate },
-          },
-          audio: audio.mic,
+          video: this.getCameraConstraints(deviceId),
+          audio: audio.mic && this.getMicConstraints(audio.deviceId),
         };
 
-        if (deviceId && deviceId !== "") {
-          constraints.video.deviceId = { exact: deviceId };
-        }
-
         this.streams.webcam = await navigator.mediaDevices.getUserMedia(
           constraints
         );
+        this.streams.webcam
+          .getTracks()
+          .forEach((track) =>
+            this.watchDevice(track, track.kind === "video" ? "camera" : "mic")
+          );
+
+        this.effect = resolveEffect(config.webcamEffect);
+        this.nativeBlur =
+          this.effect.mode === "blur" && (await this.applyNativeBlur(true));
+        if (this.effect.mode === "blur" && !this.nativeBlur) {
+          console.warn("The camera has no built-in blur, keeping background");
+        }
+      }
+
+      // Audio only: the mic, and/or system audio from a share whose video
+      // is dropped right away
+      if (mode === "audio") {
+        if (audio.system) {
+          this.streams.screen = await navigator.mediaDevices.getDisplayMedia({
+            video: true,
+            audio: true,
+          });
+          this.streams.screen.getVideoTracks().forEach((track) => {
+            this.streams.screen.removeTrack(track);
+            track.stop();
+          });
+
+          const [track] = this.streams.screen.getAudioTracks();
+          if (!track) {
+            throw new Error(
+              "No audio was shared; tick “Share audio” to record it"
+            );
+          }
+          track.addEventListener("ended", () => {
+            console.log("Audio sharing stopped by user");
+            this.emit("error", new Error("Audio sharing was stopped"));
+            this.stop();
+          });
+        }
+
+        if (audio.mic) {
+          // Kept as the webcam stream, so mixing and mic switching work as
+          // in the other modes
+          this.streams.webcam = await navigator.mediaDevices.getUserMedia({
+            audio: this.getMicConstraints(audio.deviceId),
+          });
+          this.watchDevice(this.streams.webcam.getAudioTracks()[0], "mic");
+        }
+
+        if (!this.streams.screen && !this.streams.webcam) {
+          throw new Error("Choose the microphone, system audio or both");
+        }
       }
 
+      // Annotations and branding are drawn by the compositor
+      const decorated =
+        config.annotations || hasBranding(resolveBranding(config.branding));
+
       // Create combined stream if needed
       if (mode === "combined") {
         await this.createCombinedStream(config);
+      } else if (mode === "webcam" && (this.needsEffectStage() || decorated)) {
+        // Software background effects need a compositor too; record the
+        // webcam full frame, unmirrored like the raw track
+        await this.createCombinedStream({
+          ...config,
+          scene: "webcam",
+          overlay: { ...config.overlay, mirror: false },
+        });
+      } else if (mode === "screen" && decorated) {
+        // Record the screen full frame through the compositor
+        await this.createCombinedStream({ ...config, scene: "screen" });
+      } else if (mode === "audio" && config.visualizer) {
+        // A video of the audio, for platforms that won't take audio alone
+        await this.createCombinedStream(config);
       }
     } catch (error) {
       throw new Error(`Stream setup failed: ${error.message}`);
@@ -138,9 +360,268 @@ export class Recorder {
   }
 
   /**
-   * Create combined stream with screen + webcam overlay
+   * getUserMedia video constraints for a camera ("" for the default one)
+   * @param {string} [deviceId]
+   */
+  getCameraConstraints(deviceId) {
+    const { width, height, frameRate } = this.videoSettings;
+    const constraints = {
+      width: { ideal: width },
+      height: { ideal: height },
+      frameRate: { ideal: frameRate },
+    };
+    if (deviceId) constraints.deviceId = { exact: deviceId };
+    return constraints;
+  }
+
+  /**
+   * getUserMedia audio constraints for a microphone ("" for the default one)
+   * @param {string} [deviceId]
+   */
+  getMicConstraints(deviceId) {
+    return deviceId ? { deviceId: { exact: deviceId } } : true;
+  }
+
+  /**
+   * Whether a device can be switched without restarting the recording. The
+   * camera needs a compositor between it and the encoder; the mic, the mixer.
+   * @param {"camera"|"mic"} kind
+   */
+  canSwitchDevice(kind) {
+    if (!this.isRecording || !this.streams.webcam) return false;
+    return kind === "camera"
+      ? !!this.outputSize && !this.visualizer
+      : !!this.mixer?.sources.has("mic");
+  }
+
+  /**
+   * Switch the camera or microphone while recording. The new track replaces
+   * the old one in front of the compositor or in the mixer, so the recorder
+   * keeps running.
+   * @param {"camera"|"mic"} kind
+   * @param {string} [deviceId] - "" for the default device
+   */
+  async switchDevice(kind, deviceId = "") {
+    if (!this.canSwitchDevice(kind)) {
+      throw new Error(`The ${kind} can't be switched in this recording`);
+    }
+
+    const constraints =
+      kind === "camera"
+        ? { video: this.getCameraConstraints(deviceId) }
+        : { audio: this.getMicConstraints(deviceId) };
+    const [track] = (
+      await navigator.mediaDevices.getUserMedia(constraints)
+    ).getTracks();
+
+    const webcam = this.streams.webcam;
+    const previous =
+      kind === "camera"
+        ? webcam.getVideoTracks()[0]
+        : webcam.getAudioTracks()[0];
+    if (previous) webcam.removeTrack(previous);
+    webcam.addTrack(track); // The Canvas path's <video> follows the stream
+    previous?.stop();
+
+    if (kind === "camera") {
+      if (this.worker) {
+        const processor = new MediaStreamTrackProcessor({ track });
+        this.worker.postMessage(
+          { type: "webcam", webcamReadable: processor.readable },
+          [processor.readable]
+        );
+      }
+      // The new camera may or may not blur by itself
+      this.nativeBlur = false;
+      await this.setWebcamEffect({});
+    } else {
+      this.mixer.replaceSource("mic", [track]);
+    }
+
+    this.watchDevice(track, kind);
+    this.emit("device-change", {
+      kind,
+      deviceId: track.getSettings().deviceId,
+    });
+  }
+
+  /**
+   * Recover when a camera or mic disappears mid-recording (USB unplugged,
+   * Bluetooth headset dropped) by switching to the default device
+   * @param {MediaStreamTrack} track
+   * @param {"camera"|"mic"} kind
+   */
+  watchDevice(track, kind) {
+    // Fires when the device goes away, not when we stop the track
+    track.addEventListener("ended", async () => {
+      if (!this.isRecording) return;
+      console.warn(`${kind} disconnected, switching to the default device`);
+
+      let recovered = false;
+      try {
+        await this.switchDevice(kind, "");
+        recovered = true;
+      } catch (error) {
+        console.warn(`Could not recover the ${kind}:`, error);
+      }
+      this.emit("device-lost", { kind, recovered });
+    });
+  }
+
+  /**
+   * Whether the webcam background has to be processed in software. Only
+   * replacement is: blur is the camera's own effect or none at all.
+   */
+  needsEffectStage() {
+    return this.effect.mode === "replace";
+  }
+
+  /**
+   * Turn the camera's own background blur on or off, where the platform
+   * supports the `backgroundBlur` constraint
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>} Whether the camera now does what was asked
+   */
+  async applyNativeBlur(enabled) {
+    const track = this.streams.webcam?.getVideoTracks()[0];
+    const supported = track?.getCapabilities?.().backgroundBlur || [];
+    if (!supported.includes(enabled)) return false;
+
+    try {
+      await track.applyConstraints({ backgroundBlur: enabled });
+      return true;
+    } catch (error) {
+      console.warn("Native background blur unavailable:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Change the webcam background effect while recording. Blur is switched on
+   * the camera; where it has none, the background stays as it is.
+   * @param {object} changes - Partial settings, see webcam-effects.js
+   */
+  async setWebcamEffect(changes) {
+    this.effect = resolveEffect({ ...this.effect, ...changes });
+
+    const wantNative = this.effect.mode === "blur";
+    if (wantNative !== this.nativeBlur) {
+      const applied = await this.applyNativeBlur(wantNative);
+      this.nativeBlur = wantNative && applied;
+      if (wantNative && !applied) {
+        console.warn("The camera has no built-in blur, keeping background");
+      }
+    }
+
+    this.webcamEffect?.update(this.effect);
+    this.worker?.postMessage({ type: "effect", effect: this.effect });
+  }
+
+  /**
+   * Whether the background effect can be changed mid-recording: the webcam
+   * must already run through a compositor
+   */
+  get canChangeEffectLive() {
+    return !!this.outputSize;
+  }
+
+  /**
+   * Whether strokes can be drawn on the recording: it must run through a
+   * compositor
+   */
+  get canAnnotate() {
+    return !!this.outputSize;
+  }
+
+  /**
+   * Add, replace or remove annotation strokes while recording. Both
+   * compositors draw them from the next frame.
+   * @param {object} change - See applyAnnotationChange() (annotations.js)
+   */
+  annotate(change) {
+    applyAnnotationChange(this.annotations, change);
+    this.worker?.postMessage({ type: "annotation", change });
+  }
+
+  /**
+   * Remove the most recent stroke still on screen
+   * @returns {boolean} Whether there was one
+   */
+  undoAnnotation() {
+    pruneAnnotations(this.annotations);
+    const last = this.annotations.strokes[this.annotations.strokes.length - 1];
+    if (last) this.annotate({ type: "remove", id: last.id });
+    return !!last;
+  }
+
+  /**
+   * Change the watermark or lower third while recording. Both compositors
+   * pick it up from the next frame.
+   * @param {{watermark?: object, lowerThird?: object}} changes - Partial
+   *   settings, see branding.js
+   */
+  setBranding(changes) {
+    this.branding = resolveBranding({
+      watermark: { ...this.branding.watermark, ...changes.watermark },
+      lowerThird: { ...this.branding.lowerThird, ...changes.lowerThird },
+    });
+    this.worker?.postMessage({ type: "branding", branding: this.branding });
+  }
+
+  /**
+   * Whether the lower third can be shown: it needs a caption and a
+   * compositor
+   */
+  get canShowLowerThird() {
+    return !!this.outputSize && !!this.branding.lowerThird.name;
+  }
+
+  /**
+   * Whether the lower third is on screen
+   */
+  get isLowerThirdShowing() {
+    return isLowerThirdShowing(this.lowerThird, this.branding.lowerThird);
+  }
+
+  /**
+   * Slide the lower third in or out
+   * @param {boolean} visible
+   * @returns {boolean} Whether it changed
+   */
+  setLowerThird(visible) {
+    if (!this.canShowLowerThird || visible === this.isLowerThirdShowing) {
+      return false;
+    }
+
+    this.lowerThird = { visible, changedAt: Date.now() };
+    this.worker?.postMessage({
+      type: "lower-third",
+      lowerThird: this.lowerThird,
+    });
+    this.emit("lower-third", visible);
+    return true;
+  }
+
+  /**
+   * Create combined stream with screen + webcam overlay. Without a screen
+   * stream the webcam alone is composed (webcam mode with effects,
+   * annotations or branding); without a webcam, the screen (screen mode
+   * with annotations or branding); with neither, the audio visualizer
+   * (audio mode).
    */
   async createCombinedStream(config) {
+    this.overlay = resolveOverlay(config.overlay);
+    this.scenes = createSceneState(config.scene);
+    this.annotations = createAnnotationState();
+    this.branding = resolveBranding(config.branding);
+    this.lowerThird = createLowerThirdState();
+    this.visualizer =
+      config.mode === "audio" ? resolveVisualizer(config.visualizer) : null;
+    this.outputSize = {
+      width: config.video.width,
+      height: config.video.height,
+    };
+
     // Use WebCodecs path if available, otherwise fall back to Canvas
     if (this.capabilities.webCodecs && this.capabilities.offscreenCanvas) {
       await this.createCombinedStreamWebCodecs(config);
@@ -159,27 +640,38 @@ export class Recorder {
         this.worker = new Worker("./compositor.worker.js", { type: "module" });
 
         const { video } = config;
-        const screenTrack = this.streams.screen.getVideoTracks()[0];
-        const webcamTrack = this.streams.webcam.getVideoTracks()[0];
+        const screenTrack = this.streams.screen?.getVideoTracks()[0];
+        const webcamTrack = this.streams.webcam?.getVideoTracks()[0];
 
         // Build insertable streams
-        const screenProcessor = new MediaStreamTrackProcessor({
-          track: screenTrack,
-        });
-        const webcamProcessor = new MediaStreamTrackProcessor({
-          track: webcamTrack,
-        });
+        const screenProcessor = screenTrack
+          ? new MediaStreamTrackProcessor({ track: screenTrack })
+          : null;
+        const webcamProcessor = webcamTrack
+          ? new MediaStreamTrackProcessor({ track: webcamTrack })
+          : null;
         const combinedGenerator = new MediaStreamTrackGenerator({
           kind: "video",
         });
 
+        // The visualizer reads a copy of the mix, so ending it in the worker
+        // leaves the recorded track alone
+        let audioProcessor = null;
+        if (this.visualizer) {
+          const [audioTrack] = await this.mixAudio(config);
+          this.visualizerTrack = audioTrack?.clone() || null;
+          audioProcessor =
+            this.visualizerTrack &&
+            new MediaStreamTrackProcessor({ track: this.visualizerTrack });
+        }
+
         // Optional frame-rate hint
         if (video?.frameRate) {
           screenTrack
-            .applyConstraints?.({ frameRate: video.frameRate })
+            ?.applyConstraints?.({ frameRate: video.frameRate })
             .catch(() => {});
           webcamTrack
-            .applyConstraints?.({ frameRate: video.frameRate })
+            ?.applyConstraints?.({ frameRate: video.frameRate })
             .catch(() => {});
         }
 
@@ -203,6 +695,8 @@ export class Recorder {
                 this.streams.combined = new MediaStream([combinedGenerator]);
                 resolve();
               });
+          } else if (type === "stats") {
+            this.compositorStats = { path: "worker", ...data };
           } else if (type === "error") {
             onError(data);
           }
@@ -212,20 +706,27 @@ export class Recorder {
         this.worker.postMessage(
           {
             type: "init",
-            screenReadable: screenProcessor.readable,
-            webcamReadable: webcamProcessor.readable,
+            screenReadable: screenProcessor?.readable,
+            webcamReadable: webcamProcessor?.readable,
+            audioReadable: audioProcessor?.readable,
             combinedWritable: combinedGenerator.writable,
             config: {
               width: video.width,
               height: video.height,
               frameRate: video.frameRate,
+              overlay: this.overlay,
+              scene: this.scenes.scene,
+              effect: this.effect,
+              branding: this.branding,
+              visualizer: this.visualizer,
             },
           },
           [
-            screenProcessor.readable,
-            webcamProcessor.readable,
+            screenProcessor?.readable,
+            webcamProcessor?.readable,
+            audioProcessor?.readable,
             combinedGenerator.writable,
-          ]
+          ].filter(Boolean)
         );
 
         // Safety timeout (optional)
@@ -246,6 +747,51 @@ export class Recorder {
     });
   }
 
+  /**
+   * Change the webcam overlay layout while recording. Both compositors pick
+   * it up from the next frame.
+   * @param {object} changes - Partial layout, see overlay.js
+   */
+  setOverlayLayout(changes) {
+    this.overlay = resolveOverlay({ ...this.overlay, ...changes });
+    this.worker?.postMessage({ type: "overlay", overlay: this.overlay });
+  }
+
+  /**
+   * Switch to another scene while recording. The MediaRecorder session is
+   * untouched; only the composition changes.
+   * @param {string} scene - Key of SCENES (scenes.js)
+   * @param {number} [transition] - Crossfade duration in ms, 0 to cut
+   */
+  setScene(scene, transition = 0) {
+    if (!SCENES[scene] || scene === this.scenes.scene) return;
+
+    switchScene(this.scenes, scene, transition, performance.now());
+    this.worker?.postMessage({ type: "scene", scene, transition });
+    this.emit("scene", scene);
+  }
+
+  /**
+   * Where the overlay is drawn, in output pixels, for the preview editor
+   * @returns {{rect: object, width: number, height: number, layout: object}|null}
+   */
+  getOverlayGeometry() {
+    if (!this.outputSize || !this.streams.webcam) return null;
+
+    const { width, height } = this.outputSize;
+    const settings =
+      this.streams.webcam.getVideoTracks()[0]?.getSettings() || {};
+    const rect = getOverlayRect(
+      this.overlay,
+      width,
+      height,
+      settings.width || 16,
+      settings.height || 9
+    );
+
+    return { rect, width, height, layout: this.overlay };
+  }
+
   /**
    * Terminate worker (if any) and fall back to Canvas compositor.
    */
@@ -274,61 +820,122 @@ export class Recorder {
 
     const ctx = this.canvas.getContext("2d");
 
-    // Create video elements for sources
+    // Create video elements for sources (no screen in webcam-only mode)
     const screenVideo = document.createElement("video");
     const webcamVideo = document.createElement("video");
 
-    screenVideo.srcObject = this.streams.screen;
-    webcamVideo.srcObject = this.streams.webcam;
+    // Audio only: the streams carry nothing to draw
+    if (!this.visualizer) {
+      screenVideo.srcObject = this.streams.screen;
+      webcamVideo.srcObject = this.streams.webcam;
+    }
     screenVideo.muted = true;
     webcamVideo.muted = true;
+    this.sourceVideos = { screen: screenVideo, webcam: webcamVideo };
 
     // Wait for videos to be ready
-    await Promise.all([
-      new Promise((resolve) => {
-        screenVideo.addEventListener("loadedmetadata", resolve);
-        screenVideo.play();
-      }),
-      new Promise((resolve) => {
-        webcamVideo.addEventListener("loadedmetadata", resolve);
-        webcamVideo.play();
-      }),
-    ]);
+    await Promise.all(
+      [screenVideo, webcamVideo]
+        .filter((el) => el.srcObject)
+        .map(
+          (el) =>
+            new Promise((resolve) => {
+              el.addEventListener("loadedmetadata", resolve);
+              el.play();
+            })
+        )
+    );
+
+    this.webcamEffect = new WebcamEffect(this.effect);
 
     // Set up compositing loop
+    const stats = {
+      path: "canvas",
+      composedFrames: 0,
+      skippedFrames: 0,
+      composeTime: 0,
+    };
+    this.compositorStats = stats;
+    const visualizerState = createVisualizerState();
+
+    // Frames each <video> has shown, and how many of them it had shown at
+    // the last draw. A source frame replaced by the next one before a draw
+    // never made it into the recording: those are the skipped frames.
+    const presented = new Map();
+    const drawn = new Map();
+    [screenVideo, webcamVideo]
+      .filter((el) => el.srcObject && el.requestVideoFrameCallback)
+      .forEach((el) => {
+        const onFrame = (_, metadata) => {
+          presented.set(el, metadata.presentedFrames);
+          el.requestVideoFrameCallback(onFrame);
+        };
+        el.requestVideoFrameCallback(onFrame);
+      });
+
     const drawFrame = () => {
       // Keep preview alive regardless of MediaRecorder state
       if (!this.streams.screen && !this.streams.webcam) return; // nothing to draw
       // if (!this.isRecording) return;
 
-      // Clear canvas
-      ctx.fillStyle = "#000";
-      ctx.fillRect(0, 0, video.width, video.height);
+      const now = performance.now();
+      presented.forEach((count, el) => {
+        if (drawn.has(el)) {
+          stats.skippedFrames += Math.max(0, count - drawn.get(el) - 1);
+        }
+        drawn.set(el, count);
+      });
 
-      // Draw screen
-      if (screenVideo.videoWidth > 0 && screenVideo.videoHeight > 0) {
-        ctx.drawImage(screenVideo, 0, 0, video.width, video.height);
+      // Draw the current scene (shared with the worker path)
+      const source = (el) =>
+        el.videoWidth > 0 && el.videoHeight > 0
+          ? { image: el, width: el.videoWidth, height: el.videoHeight }
+          : null;
+      const webcam = source(webcamVideo);
+      if (this.visualizer) {
+        // Audio only: the mix, straight from the mixer
+        if (this.mixer) {
+          this.mixer.getWaveform(visualizerState.samples);
+          visualizerState.sampleRate = this.mixer.context.sampleRate;
+        }
+        drawVisualizer(
+          ctx,
+          this.visualizer,
+          visualizerState,
+          video.width,
+          video.height
+        );
+      } else {
+        renderScenes(
+          ctx,
+          this.scenes,
+          {
+            screen: source(screenVideo),
+            webcam:
+              webcam &&
+              this.webcamEffect.apply(
+                webcam.image,
+                webcam.width,
+                webcam.height
+              ),
+          },
+          video.width,
+          video.height,
+          this.overlay, // May change mid-recording
+          now
+        );
       }
+      drawBranding(
+        ctx,
+        this.branding,
+        this.lowerThird,
+        video.width,
+        video.height
+      );
+      drawAnnotations(ctx, this.annotations, video.width, video.height);
 
-      // Draw webcam overlay (mirrored, bottom-right)
-      if (webcamVideo.videoWidth > 0 && webcamVideo.videoHeight > 0) {
-        const pipWidth = Math.min(200, video.width * 0.2);
-        const pipHeight =
-          (pipWidth * webcamVideo.videoHeight) / webcamVideo.videoWidth;
-        const pipX = video.width - pipWidth - 20;
-        const pipY = video.height - pipHeight - 20;
-
-        ctx.save();
-        // Mirror the webcam feed
-        ctx.scale(-1, 1);
-        ctx.drawImage(webcamVideo, -pipX - pipWidth, pipY, pipWidth, pipHeight);
-        ctx.restore();
-
-        // Draw border
-        ctx.strokeStyle = "#fff";
-        ctx.lineWidth = 2;
-        ctx.strokeRect(pipX, pipY, pipWidth, pipHeight);
-      }
+      stats.composedFrames++;
+      stats.composeTime = performance.now() - now;
 
       requestAnimationFrame(drawFrame);
     };
@@ -348,106 +955,97 @@ export class Recorder {
    * Combine audio tracks from multiple sources
    */
   async combineAudioTracks(config) {
-    const audioTracks = [];
+    this.streams.combined = new MediaStream([
+      ...this.canvasStream.getVideoTracks(),
+      ...(await this.mixAudio(config)),
+    ]);
+  }
 
-    // Collect audio tracks
-    if (config.audio.mic && this.streams.webcam) {
-      const micTracks = this.streams.webcam.getAudioTracks();
-      audioTracks.push(...micTracks);
-    }
+  /**
+   * Build a MediaStream from a provided video track/generator and mixed audio.
+   * @param {MediaStreamTrack|MediaStreamTrackGenerator} videoTrack
+   * @param {object} config
+   * @returns {Promise<MediaStream>}
+   */
+  async combineAudioWithVideoTrack(videoTrack, config) {
+    return new MediaStream([videoTrack, ...(await this.mixAudio(config))]);
+  }
 
-    if (config.audio.system && this.streams.screen) {
-      const systemTracks = this.streams.screen.getAudioTracks();
-      audioTracks.push(...systemTracks);
-    }
+  /**
+   * Route the recorded audio sources (mic, system) through the mixer, and
+   * the voice processing chain when `config.audio.processing` enables it.
+   * Built once per recording: adding the sources again would reset the
+   * gain and mute changes made since.
+   * @param {object} config
+   * @returns {Promise<MediaStreamTrack[]>} The mixed track, or none without audio
+   */
+  async mixAudio(config) {
+    if (this.mixedAudio) return this.mixedAudio;
+
+    const sources = {
+      mic: config.audio?.mic ? this.streams.webcam?.getAudioTracks() : null,
+      system: config.audio?.system
+        ? this.streams.screen?.getAudioTracks()
+        : null,
+    };
+    const present = Object.entries(sources).filter(
+      ([, tracks]) => tracks?.length
+    );
 
-    if (audioTracks.length === 0) {
-      this.streams.combined = this.canvasStream;
-      return;
-    }
+    if (present.length === 0) return [];
 
     try {
-      // Use Web Audio API to mix tracks
-      this.audioContext = new AudioContext();
-      const destination = this.audioContext.createMediaStreamDestination();
-
-      audioTracks.forEach((track) => {
-        const source = this.audioContext.createMediaStreamSource(
-          new MediaStream([track])
-        );
-        source.connect(destination);
+      this.mixer = new AudioMixer();
+      await this.mixer.setProcessing(config.audio.processing);
+      present.forEach(([name, tracks]) => {
+        this.mixer.addSource(name, tracks, {
+          gain: config.audio.gains?.[name] ?? 1,
+          muted: !!config.audio.muted?.[name],
+        });
       });
-
-      // Combine video from canvas with mixed audio
-      const combinedTracks = [
-        ...this.canvasStream.getVideoTracks(),
-        ...destination.stream.getAudioTracks(),
-      ];
-
-      this.streams.combined = new MediaStream(combinedTracks);
+      this.mixedAudio = this.mixer.stream.getAudioTracks();
+      return this.mixedAudio;
     } catch (error) {
       console.warn("Audio mixing failed, using single track:", error);
+      this.mixer?.close().catch(() => {});
+      this.mixer = null;
 
-      // Fallback: use first available audio track
-      const combinedTracks = [
-        ...this.canvasStream.getVideoTracks(),
-        audioTracks[0],
-      ];
-
-      this.streams.combined = new MediaStream(combinedTracks);
+      // Fallback: first available audio track, without gain control
+      this.mixedAudio = [present[0][1][0]];
+      return this.mixedAudio;
     }
   }
 
   /**
-   * Build a MediaStream from a provided video track/generator and mixed audio.
-   * @param {MediaStreamTrack|MediaStreamTrackGenerator} videoTrackOrGen
-   * @param {object} config
-   * @returns {Promise<MediaStream>}
+   * Set the gain of a recorded audio source; works while recording
+   * @param {"mic"|"system"} source
+   * @param {number} value - 0 = silent, 1 = unity, up to 2
+   * @returns {boolean} Whether the source is being mixed
    */
-  async combineAudioWithVideoTrack(videoTrackOrGen, config) {
-    const videoTrack =
-      videoTrackOrGen instanceof MediaStreamTrackGenerator
-        ? videoTrackOrGen
-        : videoTrackOrGen; // supports either
-
-    const audioTracks = [];
-
-    if (config.audio?.mic && this.streams.webcam) {
-      audioTracks.push(...this.streams.webcam.getAudioTracks());
-    }
-    if (config.audio?.system && this.streams.screen) {
-      audioTracks.push(...this.streams.screen.getAudioTracks());
-    }
-
-    if (audioTracks.length === 0) {
-      return new MediaStream([videoTrack]);
-    }
-
-    try {
-      this.audioContext = new AudioContext();
-      const destination = this.audioContext.createMediaStreamDestination();
+  setSourceGain(source, value) {
+    return this.mixer?.setGain(source, value) ?? false;
+  }
 
-      audioTracks.forEach((t) => {
-        const src = this.audioContext.createMediaStreamSource(
-          new MediaStream([t])
-        );
-        src.connect(destination);
-      });
+  /**
+   * Mute or unmute a recorded audio source; works while recording
+   * @param {"mic"|"system"} source
+   * @param {boolean} [muted=true]
+   * @returns {boolean} Whether the source is being mixed
+   */
+  muteSource(source, muted = true) {
+    return this.mixer?.setMuted(source, muted) ?? false;
+  }
 
-      const out = new MediaStream([
-        videoTrack,
-        ...destination.stream.getAudioTracks(),
-      ]);
-      return out;
-    } catch (err) {
-      console.warn("Audio mix failed, falling back to first audio track:", err);
-      const out = new MediaStream([videoTrack, audioTracks[0]].filter(Boolean));
-      return out;
-    }
+  /**
+   * Gain, mute state and current level of each mixed audio source
+   * @returns {Object<string, {gain: number, muted: boolean, level: number}>}
+   */
+  getAudioSources() {
+    return this.mixer?.getState() ?? {};
   }
 
   /**
-   * Setup MediaRecorder
+   * Setup MediaRecorder (or its WebCodecs counterpart for MP4)
    */
   async setupRecorder(config) {
     const { mode, bitrate } = config;
@@ -456,76 +1054,111 @@ export class Recorder {
     let stream;
     switch (mode) {
       case "screen":
-        stream = this.streams.screen;
+        // Composed when annotations are enabled
+        stream = this.streams.combined || this.streams.screen;
         break;
       case "webcam":
-        stream = this.streams.webcam;
+        // Composed when a background effect runs in software or annotations
+        // are enabled
+        stream = this.streams.combined || this.streams.webcam;
         break;
       case "combined":
         stream = this.streams.combined;
         break;
+      case "audio":
+        // The visualizer video when there is one; the mixed audio is added
+        // below
+        stream = this.streams.combined || new MediaStream();
+        break;
       default:
         throw new Error(`Unknown recording mode: ${mode}`);
     }
 
+    // Raw capture streams carry their audio unmixed; route it through the
+    // mixer too, so gain and mute work in every mode
+    if (stream && stream !== this.streams.combined) {
+      stream = new MediaStream([
+        ...stream.getVideoTracks(),
+        ...(await this.mixAudio(config)),
+      ]);
+    }
+
     if (!stream) {
       throw new Error("No stream available for recording");
     }
-
-    // Determine best codec
-    const mimeTypes = [
-      "video/webm;codecs=vp9,opus",
-      "video/webm;codecs=vp8,opus",
-      "video/webm;codecs=h264,opus",
-      "video/webm",
-    ];
-
-    let selectedMimeType;
-    for (const mimeType of mimeTypes) {
-      if (MediaRecorder.isTypeSupported(mimeType)) {
-        selectedMimeType = mimeType;
-        break;
-      }
+    if (mode === "audio" && !stream.getAudioTracks().length) {
+      throw new Error("No audio available for recording");
     }
 
-    if (!selectedMimeType) {
-      throw new Error("No supported video format found");
+    this.recordingStream = stream;
+    this.recordingConfig = config;
+    this.segments = [];
+    this.splitFailed = false;
+    this.takes = null;
+
+    // Streaming only: nothing is written
+    if (config.record === false) {
+      if (!config.stream) throw new Error("Nothing to record or stream");
+      this.segmentLimits = null;
+      this.mediaRecorder = null;
+      this.resetChunks();
+      console.log("Streaming only, not recording");
+      return;
     }
+    this.segmentLimits = resolveSegmentLimits(config.segment);
 
-    // Configure MediaRecorder
-    const options = {
-      mimeType: selectedMimeType,
-      videoBitsPerSecond: bitrate.video,
-      audioBitsPerSecond: bitrate.audio,
-    };
-
-    this.mediaRecorder = new MediaRecorder(stream, options);
-    this.chunks = [];
+    this.mediaRecorder = await this.createRecorder(stream, config);
+    const selectedMimeType = this.mediaRecorder.mimeType || "video/webm";
 
-    // Event handlers
-    this.mediaRecorder.ondataavailable = (e) => {
-      if (e.data && e.data.size > 0) {
-        performance.mark("chunk-received");
+    // Takes are separate WebM recordings stitched together at the end
+    if (config.retakes) {
+      if (this.segmentLimits) {
+        console.warn("Retakes are not available when splitting, ignoring");
+      } else if (!selectedMimeType.includes("webm")) {
+        console.warn("Retakes need a WebM recording, ignoring");
+      } else {
+        this.takes = [];
+      }
+    }
 
-        // Bounded queue management
-        if (this.chunks.length >= this.maxChunks) {
-          console.warn("Chunk queue full, removing oldest chunk");
-          this.chunks.shift();
-        }
+    this.resetChunks();
+    await this.createSession(mode, selectedMimeType);
+    await this.setupFileSink(config);
+    this.attachRecorder(this.mediaRecorder);
 
-        this.chunks.push(e.data);
-        this.emit("dataavailable", e.data);
+    console.log(`MediaRecorder configured with ${selectedMimeType}`);
+  }
 
-        performance.mark("chunk-processed");
-        performance.measure(
-          "chunk-processing",
-          "chunk-received",
-          "chunk-processed"
-        );
+  /**
+   * MediaRecorder for WebM, or its WebCodecs counterpart for MP4
+   */
+  async createRecorder(stream, config) {
+    if (config.container === "mp4") {
+      if (stream.getVideoTracks().length) {
+        return this.createEncoderRecorder(stream, config);
+      }
+      // The MP4 writer is driven by video frames. A file picked as .mp4
+      // would get WebM bytes under the wrong extension.
+      if (config.output?.fileHandle?.name.endsWith(".mp4")) {
+        throw new Error("MP4 needs video; choose a .webm file for audio only");
       }
+      console.warn("MP4 needs a video track, recording the audio as WebM");
+    }
+    return this.createMediaRecorder(stream, config.bitrate);
+  }
+
+  /**
+   * Route a recorder's events into the current file
+   * @param {MediaRecorder|EncoderRecorder} recorder
+   * @param {Function} [onChunk] - Takes its chunks instead, e.g. to hold
+   *   them back until the file is ready for them
+   */
+  attachRecorder(recorder, onChunk = (data) => this.handleChunk(data)) {
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) onChunk(e.data);
     };
 
-    this.mediaRecorder.onerror = (e) => {
+    recorder.onerror = (e) => {
       console.error("MediaRecorder error:", e);
       this.emit(
         "error",
@@ -533,63 +1166,996 @@ export class Recorder {
       );
     };
 
-    this.mediaRecorder.onstop = () => {
+    recorder.onstop = () => {
       console.log("MediaRecorder stopped");
     };
-
-    console.log(`MediaRecorder configured with ${selectedMimeType}`);
   }
 
   /**
-   * Pause recording
+   * Keep, persist and stream one recorded chunk
+   * @param {Blob} data
    */
-  pause() {
-    if (this.mediaRecorder && this.mediaRecorder.state === "recording") {
-      this.mediaRecorder.pause();
-      console.log("Recording paused");
+  handleChunk(data) {
+    performance.mark("chunk-received");
+
+    const index = this.chunkIndex++;
+    this.totalBytes += data.size;
+    this.segmentBytes += data.size;
+    this.bitrateSamples.push({
+      time: performance.now(),
+      bytes: this.totalBytes,
+    });
+
+    // Once spilled, only the init segment stays resident
+    if (!this.spilled || index === 0) {
+      this.chunks.push(data);
+      this.memoryBytes += data.size;
     }
+
+    this.persistChunk(index, data);
+    this.writeToFile(data);
+    this.checkMemoryBudget();
+    this.emit("dataavailable", data);
+
+    if (this.shouldRollOver()) this.rollover();
+
+    performance.mark("chunk-processed");
+    performance.measure(
+      "chunk-processing",
+      "chunk-received",
+      "chunk-processed"
+    );
   }
 
   /**
-   * Resume recording
+   * Whether the current part has reached a split limit: its bytes so far,
+   * or its length on the recording clock, so pauses don't count
    */
-  resume() {
-    if (this.mediaRecorder && this.mediaRecorder.state === "paused") {
+  shouldRollOver() {
+    const limits = this.segmentLimits;
+    // Not while stopping: the last chunks belong to the last part
+    const recording =
+      this.isRecording && this.mediaRecorder?.state !== "inactive";
+    if (!limits || this.splitFailed || this.rolling || !recording) return false;
+
+    return (
+      (limits.size > 0 && this.segmentBytes >= limits.size) ||
+      (limits.duration > 0 &&
+        this.getMediaTime() - this.partStart >= limits.duration)
+    );
+  }
+
+  /**
+   * Close the current part and continue in a new, independently playable
+   * one. The next recorder starts before the current one stops, so nothing
+   * is lost at the seam; its first chunks wait until the part is finished.
+   */
+  rollover() {
+    const config = this.recordingConfig;
+
+    this.rolling = (async () => {
+      const previous = this.mediaRecorder;
+      const type = previous.mimeType || "video/webm";
+
+      let next;
+      try {
+        next = await this.createRecorder(this.recordingStream, config);
+      } catch (error) {
+        // Nothing switched yet: keep going in the current part
+        console.warn("Could not start the next part:", error);
+        this.splitFailed = true;
+        this.emit(
+          "output-error",
+          new Error(
+            `Could not start a new part: ${error.message}. The rest of the recording goes into the current part.`
+          )
+        );
+        return;
+      }
+
+      // Errors are reported from the start; chunks wait for the new part
+      const queued = [];
+      this.attachRecorder(next, (data) => queued.push(data));
+      next.start(1000);
+      // Paused while the recorder was being created: so is the new part
+      if (this.clock?.pausedAt) next.pause();
+      const nextStart = Date.now();
+      const nextMediaStart = this.getMediaTime();
+      this.partEnd = nextMediaStart;
+      this.mediaRecorder = next; // pause() and stop() now act on the new part
+
+      const stopped = new Promise((resolve) =>
+        previous.addEventListener("stop", resolve, { once: true })
+      );
+      previous.stop();
+      await stopped;
+      await this.completeSegment(type);
+
+      this.resetChunks();
+      this.segmentStart = nextStart;
+      this.partStart = nextMediaStart;
+      this.partEnd = Infinity;
+      await this.createSession(config.mode, next.mimeType || type);
+      await this.setupFileSink(config);
+      this.attachRecorder(next);
+      queued.forEach((data) => this.handleChunk(data));
+    })()
+      .catch((error) => {
+        console.error("Could not roll over to the next part:", error);
+        this.emit("error", new Error(`Splitting failed: ${error.message}`));
+      })
+      .finally(() => {
+        this.rolling = null;
+      });
+  }
+
+  /**
+   * Name of the current part of a split recording
+   * @param {string} [type] - Recording MIME type
+   */
+  getSegmentName(type = this.mediaRecorder?.mimeType || "") {
+    const baseName = this.recordingConfig.output?.baseName || "recording";
+    return getSegmentName(baseName, this.segments.length + 1, type);
+  }
+
+  /**
+   * Finish the current part and hand it out as a "segment" event, with the
+   * storage session that backs it (discard that once the part is saved)
+   * @param {string} type - Recording MIME type
+   */
+  async completeSegment(type) {
+    const sessionId = this.sessionId;
+    const name = this.getSegmentName(type);
+    const blob = await this.completeFile(type);
+
+    const segment = {
+      index: this.segments.length + 1,
+      name,
+      size: blob.size,
+      startedAt: this.segmentStart,
+      endedAt: Date.now(),
+    };
+    this.segments.push(segment);
+    this.emit("segment", {
+      ...segment,
+      blob,
+      sessionId,
+      savedTo: this.savedToFile,
+    });
+  }
+
+  /**
+   * Write the manifest of a split recording: into the output folder if
+   * there is one, else returned for download
+   * @param {string} type - Recording MIME type
+   * @returns {Promise<File>}
+   */
+  async writeManifest(type) {
+    const manifest = createManifest({
+      baseName: this.recordingConfig.output?.baseName || "recording",
+      mimeType: type,
+      limits: this.segmentLimits,
+      parts: this.segments,
+      markers: this.markers,
+    });
+
+    const directory = this.recordingConfig.output?.directoryHandle;
+    if (!directory) return manifest;
+
+    try {
+      const sink = new FileSink(
+        await directory.getFileHandle(manifest.name, { create: true })
+      );
+      await sink.open();
+      await sink.write(manifest);
+      const file = await sink.close();
+      this.savedToFile = directory.name;
+      return file;
+    } catch (error) {
+      console.warn("Could not write the manifest, offering a download:", error);
+      this.savedToFile = null;
+      return manifest;
+    }
+  }
+
+  /**
+   * Turn the chunks of the current file into the finished recording: the
+   * output file if one is open, otherwise a finalized Blob
+   * @param {string} type - Recording MIME type
+   * @returns {Promise<Blob>}
+   */
+  async completeFile(type) {
+    await this.pendingWrites;
+    if (this.sessionId) {
+      await this.store
+        .updateSession(this.sessionId, { status: "stopped" })
+        .catch((error) => console.warn("Session update failed:", error));
+    }
+
+    performance.mark("blob-creation-start");
+
+    const markers = this.getPartMarkers();
+    const file = this.fileSink ? await this.closeFileSink(type, markers) : null;
+    const blob =
+      file ||
+      (await this.finishRecording(await this.assembleChunks(), type, markers));
+
+    performance.mark("blob-creation-complete");
+    performance.measure(
+      "blob-creation",
+      "blob-creation-start",
+      "blob-creation-complete"
+    );
+
+    console.log(
+      `Recording blob created: ${(blob.size / (1024 * 1024)).toFixed(
+        1
+      )} MB from ${this.chunkIndex} chunks`
+    );
+    return blob;
+  }
+
+  /**
+   * Create a MediaRecorder with the best supported WebM codec
+   */
+  createMediaRecorder(stream, bitrate) {
+    const hasVideo = stream.getVideoTracks().length > 0;
+    const mimeTypes = hasVideo
+      ? [
+          "video/webm;codecs=vp9,opus",
+          "video/webm;codecs=vp8,opus",
+          "video/webm;codecs=h264,opus",
+          "video/webm",
+        ]
+      : ["audio/webm;codecs=opus", "audio/webm"];
+
+    const selectedMimeType = mimeTypes.find((mimeType) =>
+      MediaRecorder.isTypeSupported(mimeType)
+    );
+
+    if (!selectedMimeType) {
+      throw new Error(
+        `No supported ${hasVideo ? "video" : "audio"} format found`
+      );
+    }
+
+    return new MediaRecorder(stream, {
+      mimeType: selectedMimeType,
+      videoBitsPerSecond: bitrate.video,
+      audioBitsPerSecond: bitrate.audio,
+    });
+  }
+
+  /**
+   * Create a WebCodecs recorder that writes fragmented MP4
+   */
+  async createEncoderRecorder(stream, config) {
+    const { video, bitrate } = config;
+    const settings = stream.getVideoTracks()[0]?.getSettings() || {};
+
+    const codecs = await EncoderRecorder.selectCodecs({
+      width: settings.width || video.width,
+      height: settings.height || video.height,
+      frameRate: video.frameRate,
+      videoBitsPerSecond: bitrate.video,
+      audioBitsPerSecond: bitrate.audio,
+      audio: stream.getAudioTracks().length > 0,
+    });
+
+    if (!codecs) {
+      throw new Error("MP4 recording is not supported in this browser");
+    }
+
+    return new EncoderRecorder(stream, {
+      codecs,
+      videoBitsPerSecond: bitrate.video,
+      audioBitsPerSecond: bitrate.audio,
+      frameRate: video.frameRate,
+    });
+  }
+
+  /**
+   * Open a durable storage session for the chunks of this recording
+   */
+  async createSession(mode, mimeType) {
+    this.sessionId = null;
+
+    try {
+      this.sessionId = await this.store.createSession({ mode, mimeType });
+      console.log(`Persisting chunks to session ${this.sessionId}`);
+    } catch (error) {
+      console.warn(
+        "Crash-safe storage unavailable, recording in memory:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Open the user-chosen output file, if any. Chunks streamed to a file are
+   * not kept in memory; the storage session is the fallback if writing fails.
+   */
+  async setupFileSink(config) {
+    this.savedToFile = null;
+
+    let handle = config.output?.fileHandle;
+    if (this.segmentLimits) {
+      // A split recording writes one file per part into the chosen folder
+      const directory = config.output?.directoryHandle;
+      handle =
+        directory &&
+        (await directory.getFileHandle(this.getSegmentName(), {
+          create: true,
+        }));
+    }
+    if (!handle) return;
+
+    this.fileSink = new FileSink(handle);
+    await this.fileSink.open();
+
+    if (this.sessionId) {
+      this.spilled = true;
+    }
+    console.log(`Streaming recording to ${this.fileSink.name}`);
+  }
+
+  /**
+   * Append a chunk to the output file, reporting the first failure
+   */
+  writeToFile(blob) {
+    const sink = this.fileSink;
+    if (!sink || sink.error) return;
+
+    sink.write(blob).catch((error) => {
+      console.error(`Writing to ${sink.name} failed:`, error);
+      this.emit(
+        "output-error",
+        new Error(
+          `Could not write to ${sink.name}: ${error.message}. The recording will be offered for download when it stops.`
+        )
+      );
+    });
+  }
+
+  /**
+   * Commit the output file. Falls back to null (and a regular Blob) when
+   * the file could not be written.
+   * @param {string} type - Recording MIME type
+   * @returns {Promise<File|null>}
+   */
+  async closeFileSink(type, markers = []) {
+    const sink = this.fileSink;
+    this.fileSink = null;
+
+    try {
+      // The file holds raw MediaRecorder output, one take after another.
+      // Rewrite it finalized, from the stored session (disk-backed) or,
+      // without storage, from the chunks held in memory.
+      if (!sink.error) {
+        const chunks = await this.assembleChunks();
+        const source = new Blob(
+          chunks.map(({ blob }) => blob),
+          { type }
+        );
+        const finalized = await this.finishRecording(
+          chunks,
+          type,
+          markers,
+          source
+        );
+        if (finalized !== source) {
+          await sink.rewrite(finalized);
+        }
+      }
+
+      const file = await sink.close();
+      this.savedToFile = sink.name;
+      return file;
+    } catch (error) {
+      console.warn("File output failed, assembling Blob instead:", error);
+      await sink.abort();
+      return null;
+    }
+  }
+
+  /**
+   * Publish what is recorded (the composed video and the mixed audio) to a
+   * WHIP endpoint. The publisher reconnects by itself; its state changes
+   * come as "stream-state" events and a stream that can't go on as an
+   * "output-error", without stopping the recording.
+   * @param {{endpoint: string, token?: string, bitrate?: object}} settings
+   */
+  startStream(settings) {
+    this.publisher = new WhipPublisher(settings);
+    this.publisher.on("state", (state) => this.emit("stream-state", state));
+    this.publisher.on("error", (error) =>
+      this.emit("output-error", new Error(`Live stream: ${error.message}`))
+    );
+    this.publisher.start(this.recordingStream);
+  }
+
+  /**
+   * State of the live stream, or null when not streaming
+   * @returns {string|null} A STREAM_STATES key
+   */
+  get streamState() {
+    return this.publisher?.state ?? null;
+  }
+
+  /**
+   * Change the live stream's maximum bitrates as it runs
+   * @param {{video?: number, audio?: number}} bitrate
+   */
+  async setStreamBitrate(bitrate) {
+    await this.publisher?.setBitrate(bitrate);
+  }
+
+  /**
+   * Reset per-recording chunk bookkeeping
+   */
+  resetChunks() {
+    this.chunks = [];
+    this.chunkIndex = 0;
+    this.segmentBytes = 0;
+    this.memoryBytes = 0;
+    this.spilled = false;
+    this.unpersisted.clear();
+    this.storagePressure = "ok";
+    this.pendingWrites = Promise.resolve();
+  }
+
+  /**
+   * Queue a chunk for durable storage. Writes are chained so chunks land in
+   * order and stop() can wait for the last one. A chunk stays referenced in
+   * `unpersisted` until its write succeeds, so a failed write never loses it.
+   */
+  persistChunk(index, blob) {
+    if (!this.sessionId) return;
+
+    const sessionId = this.sessionId;
+    this.unpersisted.set(index, blob);
+
+    this.pendingWrites = this.pendingWrites
+      .then(() => this.store.appendChunk(sessionId, index, blob))
+      .then(() => {
+        // A retake may have reused the index in the meantime
+        if (this.unpersisted.get(index) === blob)
+          this.unpersisted.delete(index);
+      })
+      .catch((error) => {
+        console.error(`Failed to persist chunk ${index}:`, error);
+        this.reportStoragePressure(
+          "critical",
+          "Storage is full - new chunks are being kept in memory"
+        );
+      });
+
+    // Storage estimates are cheap but not free; sample every ~30 seconds
+    if (index % 30 === 29) {
+      this.checkStorageQuota();
+    }
+  }
+
+  /**
+   * Move to disk-backed mode once the in-memory chunks exceed the budget.
+   * Nothing is ever dropped: without storage the recording stays in memory
+   * and the pressure is reported instead.
+   */
+  checkMemoryBudget() {
+    if (this.spilled || this.memoryBytes <= this.memoryBudget) return;
+
+    if (!this.sessionId) {
+      this.reportStoragePressure(
+        "critical",
+        "Durable storage is unavailable - the recording is held in memory"
+      );
+      return;
+    }
+
+    // Chunks still waiting on their write remain referenced in `unpersisted`
+    this.chunks = this.chunks.slice(0, 1);
+    this.memoryBytes = this.chunks[0]?.size || 0;
+    this.spilled = true;
+
+    const budgetMB = Math.round(this.memoryBudget / (1024 * 1024));
+    console.log(`Memory budget of ${budgetMB} MB reached, spilling to storage`);
+    this.reportStoragePressure(
+      "spilling",
+      `Recording exceeds ${budgetMB} MB - chunks are spilling to disk`
+    );
+  }
+
+  /**
+   * Warn when the origin is running out of storage quota, and clear the
+   * warning once it has room again
+   */
+  async checkStorageQuota() {
+    try {
+      const estimate = await this.store.estimate();
+      if (!estimate || !estimate.quota) return;
+
+      const remaining = estimate.quota - estimate.usage;
+      const remainingMB = Math.round(remaining / (1024 * 1024));
+      if (remaining < this.quotaReserve) {
+        this.reportStoragePressure(
+          "critical",
+          `Storage almost full - ${remainingMB} MB left`
+        );
+      } else if (this.storagePressure === "critical") {
+        // Space was freed: step down, so running low again warns again
+        this.reportStoragePressure(
+          this.spilled ? "spilling" : "ok",
+          `Storage has room again - ${remainingMB} MB left`
+        );
+      }
+    } catch (error) {
+      console.warn("Storage estimate failed:", error);
+    }
+  }
+
+  /**
+   * Emit a "storage-pressure" event when the pressure level changes
+   * @param {"ok"|"spilling"|"critical"} level
+   * @param {string} message
+   */
+  reportStoragePressure(level, message) {
+    if (level === this.storagePressure) return;
+    this.storagePressure = level;
+
+    this.emit("storage-pressure", {
+      level,
+      message,
+      totalBytes: this.totalBytes,
+      memoryBytes: this.memoryBytes,
+    });
+  }
+
+  /**
+   * Post-process a recording so players get a duration and can seek.
+   * Returns the input unchanged if its container is unknown or it cannot
+   * be parsed.
+   * @param {Blob} blob
+   * @param {{time: number, label: string}[]} [markers] - Written as the
+   *   chapters of a WebM
+   * @returns {Promise<Blob>}
+   */
+  async finalize(blob, markers = []) {
+    if (!blob) return blob;
+
+    let container;
+    let finalizer;
+    if (blob.type.includes("webm")) {
+      container = "webm";
+      finalizer = finalizeWebm;
+    } else if (blob.type.includes("mp4")) {
+      container = "mp4";
+      finalizer = finalizeMp4;
+    } else {
+      return blob;
+    }
+
+    try {
+      performance.mark(`${container}-finalize-start`);
+      const finalized = await finalizer(
+        blob,
+        container === "webm" && markers.length
+          ? { chapters: buildChapters(markers) }
+          : {}
+      );
+      performance.mark(`${container}-finalize-complete`);
+      performance.measure(
+        `${container}-finalize`,
+        `${container}-finalize-start`,
+        `${container}-finalize-complete`
+      );
+      return finalized;
+    } catch (error) {
+      console.warn(
+        `Could not finalize ${container.toUpperCase()}, keeping raw recording:`,
+        error
+      );
+      return blob;
+    }
+  }
+
+  /**
+   * Finalize the recording, or stitch its takes into one file when it has
+   * retakes
+   * @param {{index: number, blob: Blob}[]} chunks - From assembleChunks()
+   * @param {string} type
+   * @param {{time: number, label: string}[]} [markers]
+   * @param {Blob} [source] - The chunks as one Blob, if already made
+   * @returns {Promise<Blob>} `source` itself when it can't be processed
+   */
+  async finishRecording(chunks, type, markers = [], source = null) {
+    source ??= new Blob(
+      chunks.map(({ blob }) => blob),
+      { type }
+    );
+    if (!(this.takes?.length > 1)) return this.finalize(source, markers);
+
+    const starts = this.takes.map((take) => take.chunk);
+    const takes = starts.map(
+      (start, i) =>
+        new Blob(
+          chunks
+            .filter(
+              ({ index }) =>
+                index >= start && index < (starts[i + 1] ?? Infinity)
+            )
+            .map(({ blob }) => blob),
+          { type }
+        )
+    );
+    return this.stitchTakes(takes, markers, source);
+  }
+
+  /**
+   * Join the takes of a recording with retakes into one finalized WebM
+   * @param {Blob[]} takes
+   * @param {{time: number, label: string}[]} markers
+   * @param {Blob} fallback - Returned if they can't be joined
+   * @returns {Promise<Blob>}
+   */
+  async stitchTakes(takes, markers, fallback) {
+    try {
+      performance.mark("webm-stitch-start");
+      const stitched = await concatWebm(
+        takes,
+        markers.length ? { chapters: buildChapters(markers) } : {}
+      );
+      performance.mark("webm-stitch-complete");
+      performance.measure(
+        "webm-stitch",
+        "webm-stitch-start",
+        "webm-stitch-complete"
+      );
+      return stitched;
+    } catch (error) {
+      // Only the first take plays in most players, but nothing is lost
+      console.warn("Could not stitch the takes, keeping raw recording:", error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Gather the chunks of the current file in order, reading spilled ones
+   * back from storage
+   * @returns {Promise<{index: number, blob: Blob}[]>}
+   */
+  async assembleChunks() {
+    if (!this.spilled) {
+      return this.chunks.map((blob, index) => ({ index, blob }));
+    }
+
+    const parts = new Map();
+    const stored = await this.store.getSessionChunks(this.sessionId);
+    stored.forEach(({ index, blob }) => {
+      // Past the end are leftovers of a retake, if dropping them failed
+      if (index < this.chunkIndex) parts.set(index, blob);
+    });
+    this.unpersisted.forEach((blob, index) => parts.set(index, blob));
+    if (this.chunks[0]) parts.set(0, this.chunks[0]);
+
+    if (parts.size !== this.chunkIndex) {
+      console.warn(
+        `Assembled ${parts.size} of ${this.chunkIndex} chunks from storage`
+      );
+    }
+
+    return [...parts.keys()]
+      .sort((a, b) => a - b)
+      .map((index) => ({ index, blob: parts.get(index) }));
+  }
+
+  /**
+   * List stored sessions that were never saved or discarded, e.g. after a
+   * tab crash or reload
+   * @returns {Promise<object[]>}
+   */
+  async getRecoverableSessions() {
+    if (!this.store.isSupported) return [];
+
+    try {
+      const sessions = await this.store.listAbandonedSessions();
+      return sessions.filter((session) => session.totalBytes > 0);
+    } catch (error) {
+      console.warn("Could not list recoverable sessions:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Rebuild the Blob of a stored session and claim it for this tab
+   * @param {string} sessionId
+   * @returns {Promise<Blob|null>}
+   */
+  async recoverSession(sessionId) {
+    this.store.lockSession(sessionId);
+    const takes = await this.store.getSessionTakes(sessionId);
+    if (takes.length > 1) {
+      return this.stitchTakes(
+        takes,
+        [],
+        new Blob(takes, { type: takes[0].type })
+      );
+    }
+    const blob = await this.store.getSessionBlob(sessionId);
+    return blob && this.finalize(blob);
+  }
+
+  /**
+   * Delete a stored session once its recording has been saved or discarded
+   * @param {string} sessionId
+   */
+  async discardSession(sessionId) {
+    if (!sessionId) return;
+
+    try {
+      await this.store.deleteSession(sessionId);
+    } catch (error) {
+      console.warn(`Could not delete session ${sessionId}:`, error);
+    }
+  }
+
+  /**
+   * Pause recording. With retakes, the pause also closes the current take.
+   */
+  pause() {
+    if (this.takes) {
+      if (!this.isRecording || !this.clock || this.clock.pausedAt) return;
+      this.clock.pausedAt = Date.now();
+      this.switchTake(() => this.closeTake());
+      console.log("Recording paused, take closed");
+      return;
+    }
+
+    if (this.mediaRecorder && this.mediaRecorder.state === "recording") {
+      this.mediaRecorder.pause();
+      if (this.clock) this.clock.pausedAt = Date.now();
+      console.log("Recording paused");
+    }
+  }
+
+  /**
+   * Resume recording. With retakes, this starts a new take.
+   */
+  resume() {
+    if (this.takes) {
+      if (!this.isRecording || !this.clock?.pausedAt) return;
+      this.clock.paused += Date.now() - this.clock.pausedAt;
+      this.clock.pausedAt = null;
+      this.switchTake(() => this.openTake());
+      console.log("Recording resumed in a new take");
+      return;
+    }
+
+    if (this.mediaRecorder && this.mediaRecorder.state === "paused") {
       this.mediaRecorder.resume();
+      if (this.clock?.pausedAt) {
+        this.clock.paused += Date.now() - this.clock.pausedAt;
+        this.clock.pausedAt = null;
+      }
       console.log("Recording resumed");
     }
   }
 
+  /**
+   * Whether there is a take to throw away: recording with retakes and
+   * something recorded since the start or the last pause before it
+   */
+  get canRetake() {
+    return this.isRecording && this.takes?.length > 0;
+  }
+
+  /**
+   * Throw away the last take: everything since the last pause while
+   * recording, or the take that pause closed while paused. Recording goes
+   * on from where that take started; while paused, it stays paused.
+   * @returns {Promise<boolean>} Whether a take was thrown away
+   */
+  async retake() {
+    if (!this.canRetake) return false;
+
+    const recording = !this.clock.pausedAt;
+    await this.switchTake(async () => {
+      await this.closeTake();
+      this.discardTake();
+      if (recording) await this.openTake();
+    });
+    return true;
+  }
+
+  /**
+   * Queue a take change after the ones in progress, so they happen in the
+   * order asked for
+   * @param {() => Promise<void>} change
+   * @returns {Promise<void>}
+   */
+  switchTake(change) {
+    this.switching = (this.switching || Promise.resolve())
+      .then(change)
+      .catch((error) => {
+        console.error("Could not switch takes:", error);
+        this.emit("error", new Error(`Retake failed: ${error.message}`));
+      });
+    return this.switching;
+  }
+
+  /**
+   * Start recording a new take into the current file
+   */
+  async openTake() {
+    if (!this.isRecording) return;
+
+    const recorder = await this.createRecorder(
+      this.recordingStream,
+      this.recordingConfig
+    );
+    this.takes.push({
+      chunk: this.chunkIndex,
+      bytes: this.segmentBytes,
+      time: Math.round(this.getMediaTime()),
+    });
+    this.saveTakes();
+
+    this.mediaRecorder = recorder;
+    this.attachRecorder(recorder);
+    recorder.start(1000);
+    this.emit("take", { takes: this.takes.length });
+  }
+
+  /**
+   * Stop the recorder of the current take, once its last chunk is in
+   */
+  async closeTake() {
+    const recorder = this.mediaRecorder;
+    if (!recorder || recorder.state === "inactive") return;
+
+    const stopped = new Promise((resolve) =>
+      recorder.addEventListener("stop", resolve, { once: true })
+    );
+    recorder.stop();
+    await stopped;
+  }
+
+  /**
+   * Drop the chunks of the last (closed) take from memory, storage and the
+   * output file, and wind the media clock and markers back to its start
+   */
+  discardTake() {
+    const take = this.takes.pop();
+
+    this.totalBytes -= this.segmentBytes - take.bytes;
+    this.segmentBytes = take.bytes;
+    this.chunkIndex = take.chunk;
+    // Once spilled, only the init segment of the first take is in memory
+    this.chunks = this.chunks.slice(
+      0,
+      this.spilled ? Math.min(1, take.chunk) : take.chunk
+    );
+    this.memoryBytes = this.chunks.reduce((sum, blob) => sum + blob.size, 0);
+    this.unpersisted.forEach((blob, index) => {
+      if (index >= take.chunk) this.unpersisted.delete(index);
+    });
+
+    if (this.sessionId) {
+      const sessionId = this.sessionId;
+      this.pendingWrites = this.pendingWrites
+        .then(() => this.store.truncateSession(sessionId, take.chunk))
+        .catch((error) =>
+          console.warn("Could not drop the retaken chunks:", error)
+        );
+    }
+    this.saveTakes();
+
+    const sink = this.fileSink;
+    sink?.truncate(take.bytes).catch((error) => {
+      console.error(`Cutting ${sink.name} back failed:`, error);
+      this.emit(
+        "output-error",
+        new Error(
+          `Could not write to ${sink.name}: ${error.message}. The recording will be offered for download when it stops.`
+        )
+      );
+    });
+
+    const { startedAt, pausedAt } = this.clock;
+    this.clock.paused = (pausedAt ?? Date.now()) - startedAt - take.time;
+    this.markers = this.markers.filter((marker) => marker.time < take.time);
+
+    console.log(`Take ${this.takes.length + 1} thrown away`);
+    this.emit("retake", { time: take.time, takes: this.takes.length });
+  }
+
+  /**
+   * Record where each take starts in the storage session, so a recovered
+   * session can be stitched too
+   */
+  saveTakes() {
+    if (!this.sessionId) return;
+
+    const sessionId = this.sessionId;
+    const takes = this.takes.map((take) => take.chunk);
+    this.pendingWrites = this.pendingWrites
+      .then(() => this.store.updateSession(sessionId, { takes }))
+      .catch((error) => console.warn("Session update failed:", error));
+  }
+
+  /**
+   * Time into the recorded media, in ms: wall time since writing began,
+   * less the time spent paused
+   * @returns {number}
+   */
+  getMediaTime() {
+    if (!this.clock) return 0;
+    const { startedAt, pausedAt, paused } = this.clock;
+    return (pausedAt ?? Date.now()) - startedAt - paused;
+  }
+
+  /**
+   * Mark the current point of the recording, e.g. where a chapter starts.
+   * Markers become the chapters of the saved WebM and can be exported as
+   * WebVTT.
+   * @param {string} [label] - Defaults to "Chapter <n>"
+   * @returns {{time: number, label: string}|null} The marker, or null when
+   *   not recording
+   */
+  addMarker(label) {
+    if (!this.isRecording || !this.clock) return null;
+
+    const marker = {
+      time: Math.round(this.getMediaTime()),
+      label: String(label || "").trim() || `Chapter ${this.markers.length + 1}`,
+    };
+    this.markers.push(marker);
+    this.emit("marker", marker);
+    return marker;
+  }
+
+  /**
+   * The markers inside the current part, with times from its start
+   */
+  getPartMarkers() {
+    if (!this.segmentLimits) return this.markers;
+    return shiftMarkers(this.markers, this.partStart, this.partEnd);
+  }
+
   /**
    * Stop recording and return blob
    */
   async stop() {
+    // Not writing yet: just call off the countdown
+    if (this.cancelStart()) return null;
+
+    // Let a rollover or take change in progress finish first
+    await this.rolling;
+    await this.switching;
+
+    // Streaming only: nothing to finish
+    if (!this.mediaRecorder && this.publisher) {
+      await this.cleanup();
+      return null;
+    }
+
     return new Promise((resolve, reject) => {
       if (!this.mediaRecorder) {
         resolve(null);
         return;
       }
 
-      const handleStop = () => {
+      const handleStop = async () => {
         try {
-          performance.mark("blob-creation-start");
-
-          const blob = new Blob(this.chunks, {
-            type: this.mediaRecorder.mimeType || "video/webm",
-          });
-
-          performance.mark("blob-creation-complete");
-          performance.measure(
-            "blob-creation",
-            "blob-creation-start",
-            "blob-creation-complete"
-          );
-
-          console.log(
-            `Recording blob created: ${(blob.size / (1024 * 1024)).toFixed(
-              1
-            )} MB from ${this.chunks.length} chunks`
-          );
+          const type = this.mediaRecorder.mimeType || "video/webm";
+
+          // A split recording ends with its last part and the manifest
+          let blob;
+          if (this.segmentLimits) {
+            await this.completeSegment(type);
+            blob = await this.writeManifest(type);
+          } else {
+            blob = await this.completeFile(type);
+          }
 
           this.cleanup();
           resolve(blob);
@@ -618,6 +2184,12 @@ export class Recorder {
    */
   async cleanup() {
     this.isRecording = false;
+    // Stop the media clock, so getMediaTime() is the recorded length
+    if (this.clock && !this.clock.pausedAt) this.clock.pausedAt = Date.now();
+    this.cancelStart();
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+    this.stopAt = null;
 
     // Stop MediaRecorder
     if (
@@ -629,6 +2201,20 @@ export class Recorder {
     }
     this.mediaRecorder = null;
 
+    // End the live stream before its tracks stop
+    if (this.publisher) {
+      this.publisher.stop();
+      this.publisher = null;
+    }
+
+    // Commit whatever reached the output file (e.g. on page unload)
+    if (this.fileSink) {
+      this.fileSink.close().catch((error) => {
+        console.warn("Error closing output file:", error);
+      });
+      this.fileSink = null;
+    }
+
     // Stop all tracks
     Object.values(this.streams).forEach((stream) => {
       if (stream) {
@@ -646,21 +2232,26 @@ export class Recorder {
       combined: null,
     };
 
+    // Cleanup the visualizer's copy of the mix
+    this.visualizerTrack?.stop();
+    this.visualizerTrack = null;
+
     // Cleanup canvas stream
     if (this.canvasStream) {
       this.canvasStream.getTracks().forEach((track) => track.stop());
       this.canvasStream = null;
     }
 
-    // Cleanup audio context
-    if (this.audioContext) {
+    // Cleanup audio mixer
+    if (this.mixer) {
       try {
-        await this.audioContext.close();
+        await this.mixer.close();
       } catch (error) {
-        console.warn("Error closing audio context:", error);
+        console.warn("Error closing audio mixer:", error);
       }
-      this.audioContext = null;
+      this.mixer = null;
     }
+    this.mixedAudio = null;
 
     // Cleanup worker
     if (this.worker) {
@@ -672,13 +2263,130 @@ export class Recorder {
     if (this.canvas) {
       this.canvas = null;
     }
+    this.sourceVideos = null;
+    this.recordingStream = null;
+    this.outputSize = null;
+    this.videoSettings = null;
+    this.visualizer = null;
+    this.takes = null;
+    this.switching = null;
+    this.webcamEffect = null;
+    this.annotations = createAnnotationState();
+    this.lowerThird = createLowerThirdState();
 
     // Clear chunks
     this.chunks = [];
+    this.unpersisted.clear();
+
+    // Drop the storage session if nothing was written to it; otherwise keep
+    // it until the app saves or discards the recording
+    if (this.sessionId && this.chunkIndex === 0) {
+      const sessionId = this.sessionId;
+      this.pendingWrites.then(() => this.discardSession(sessionId));
+    }
+    this.sessionId = null;
 
     console.log("Recorder cleanup complete");
   }
 
+  /**
+   * Reset the pipeline health counters
+   */
+  resetStats() {
+    this.compositorStats = null;
+    this.bitrateSamples = [];
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Frame counters of a capture source. Uses the track's own stats where
+   * the browser has them, else the playback quality of the <video> element
+   * feeding the Canvas compositor.
+   * @param {"screen"|"webcam"} source
+   * @returns {object|null}
+   */
+  getSourceStats(source) {
+    const track = this.streams[source]?.getVideoTracks()[0];
+    if (!track) return null;
+
+    const { frameRate, width, height } = track.getSettings();
+    const stats = { frameRate, width, height };
+
+    if (track.stats) {
+      stats.deliveredFrames = track.stats.deliveredFrames;
+      stats.discardedFrames = track.stats.discardedFrames;
+      stats.totalFrames = track.stats.totalFrames;
+    } else {
+      const quality = this.sourceVideos?.[source]?.getVideoPlaybackQuality?.();
+      if (quality) {
+        stats.deliveredFrames =
+          quality.totalVideoFrames - quality.droppedVideoFrames;
+        stats.discardedFrames = quality.droppedVideoFrames;
+        stats.totalFrames = quality.totalVideoFrames;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Bitrate actually written over the last ~10 seconds
+   * @returns {number} bits per second
+   */
+  getEffectiveBitrate() {
+    const samples = this.bitrateSamples;
+    const last = samples[samples.length - 1];
+    if (!last) return 0;
+
+    // Keep one sample older than the window as the baseline
+    while (samples.length > 2 && last.time - samples[1].time >= 10000) {
+      samples.shift();
+    }
+
+    const first = samples[0];
+    const seconds = (last.time - first.time) / 1000;
+    return seconds > 0 ? ((last.bytes - first.bytes) * 8) / seconds : 0;
+  }
+
+  /**
+   * Live pipeline health, for diagnosing choppy recordings: frames lost at
+   * the source, in the compositor and in the encoder, the encoder queue
+   * depth and the effective bitrate
+   * @returns {object}
+   */
+  getStats() {
+    const sources = {
+      screen: this.getSourceStats("screen"),
+      webcam: this.getSourceStats("webcam"),
+    };
+    const compositor = this.compositorStats
+      ? { ...this.compositorStats }
+      : null;
+
+    const recorder = this.mediaRecorder;
+    const encoder =
+      recorder instanceof EncoderRecorder
+        ? { type: "webcodecs", ...recorder.getStats() }
+        : { type: recorder ? "mediarecorder" : null };
+
+    const droppedFrames =
+      Object.values(sources).reduce(
+        (sum, source) => sum + (source?.discardedFrames || 0),
+        0
+      ) +
+      (compositor?.skippedFrames || 0) +
+      (encoder.droppedFrames || 0);
+
+    return {
+      droppedFrames,
+      sources,
+      compositor,
+      encoder,
+      bitrate: this.getEffectiveBitrate(),
+      mimeType: recorder?.mimeType || null,
+    };
+  }
+
   /**
    * Get current recording state
    */
@@ -686,8 +2394,11 @@ export class Recorder {
     return {
       isRecording: this.isRecording,
       state: this.mediaRecorder?.state || "inactive",
-      chunksCount: this.chunks.length,
-      totalSize: this.chunks.reduce((sum, chunk) => sum + chunk.size, 0),
+      chunksCount: this.chunkIndex,
+      totalSize: this.totalBytes,
+      memoryBytes: this.memoryBytes,
+      spilled: this.spilled,
+      storagePressure: this.storagePressure,
     };
   }
 }
@@ -0,0 +1,177 @@
+/**
+ * Recordly - Scenes
+ * Named layouts of the screen and webcam sources, and crossfades between
+ * them. Shared by the Canvas and worker compositors.
+ */
+
+import { getOverlayRect, drawOverlay } from "./overlay.js";
+
+export const SCENES = {
+  screen: { label: "Screen only", hotkey: "1" },
+  pip: { label: "Screen + PiP", hotkey: "2" },
+  webcam: { label: "Webcam fullscreen", hotkey: "3" },
+  "side-by-side": { label: "Side by side", hotkey: "4" },
+};
+
+export const DEFAULT_SCENE = "pip";
+
+/**
+ * Draw an image into a box, letterboxed ("contain") or cropped ("cover")
+ */
+function drawFitted(ctx, source, box, fit, mirror = false) {
+  const { image, width: sw, height: sh } = source;
+  const scale =
+    fit === "cover"
+      ? Math.max(box.width / sw, box.height / sh)
+      : Math.min(box.width / sw, box.height / sh);
+
+  ctx.save();
+  try {
+    ctx.beginPath();
+    ctx.rect(box.x, box.y, box.width, box.height);
+    ctx.clip();
+
+    const w = sw * scale;
+    const h = sh * scale;
+    const x = box.x + (box.width - w) / 2;
+    const y = box.y + (box.height - h) / 2;
+
+    if (mirror) {
+      ctx.translate(x + w, y);
+      ctx.scale(-1, 1);
+      ctx.drawImage(image, 0, 0, w, h);
+    } else {
+      ctx.drawImage(image, x, y, w, h);
+    }
+  } finally {
+    ctx.restore();
+  }
+}
+
+/**
+ * Draw one scene over the whole canvas
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {string} scene - Key of SCENES
+ * @param {{screen: object|null, webcam: object|null}} sources - Each
+ *   `{image, width, height}`, or null while the source has no frame yet
+ * @param {number} width
+ * @param {number} height
+ * @param {object} overlay - Resolved overlay layout (pip scene, mirroring)
+ */
+export function renderScene(ctx, scene, sources, width, height, overlay) {
+  const { screen, webcam } = sources;
+  const full = { x: 0, y: 0, width, height };
+
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, width, height);
+
+  switch (scene) {
+    case "screen":
+      if (screen) drawFitted(ctx, screen, full, "contain");
+      break;
+
+    case "webcam":
+      if (webcam) drawFitted(ctx, webcam, full, "cover", overlay.mirror);
+      break;
+
+    case "side-by-side": {
+      const gap = Math.round(width * 0.02);
+      const half = (width - gap * 3) / 2;
+      const box = { y: gap, width: half, height: height - gap * 2 };
+      if (screen) drawFitted(ctx, screen, { ...box, x: gap }, "contain");
+      if (webcam) {
+        drawFitted(
+          ctx,
+          webcam,
+          { ...box, x: gap * 2 + half },
+          "contain",
+          overlay.mirror
+        );
+      }
+      break;
+    }
+
+    case "pip":
+    default:
+      if (screen) drawFitted(ctx, screen, full, "contain");
+      if (webcam) {
+        const rect = getOverlayRect(
+          overlay,
+          width,
+          height,
+          webcam.width,
+          webcam.height
+        );
+        drawOverlay(
+          ctx,
+          webcam.image,
+          webcam.width,
+          webcam.height,
+          rect,
+          overlay
+        );
+      }
+      break;
+  }
+}
+
+/**
+ * Which scene is showing and, during a transition, which one it replaces
+ * @param {string} [scene]
+ */
+export function createSceneState(scene = DEFAULT_SCENE) {
+  return {
+    scene: SCENES[scene] ? scene : DEFAULT_SCENE,
+    previous: null,
+    start: 0,
+    duration: 0,
+  };
+}
+
+/**
+ * Switch scenes, crossfading over `duration` ms (0 cuts immediately)
+ * @param {object} state - From createSceneState()
+ * @param {string} scene
+ * @param {number} duration
+ * @param {number} now - performance.now()
+ */
+export function switchScene(state, scene, duration, now) {
+  if (!SCENES[scene] || scene === state.scene) return;
+
+  state.previous = duration > 0 ? state.scene : null;
+  state.scene = scene;
+  state.start = now;
+  state.duration = duration;
+}
+
+/**
+ * Render the current scene, blending in over the previous one while a
+ * transition is running
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {object} state - From createSceneState()
+ * @param {object} sources - See renderScene()
+ * @param {number} width
+ * @param {number} height
+ * @param {object} overlay
+ * @param {number} now - performance.now()
+ */
+export function renderScenes(ctx, state, sources, width, height, overlay, now) {
+  const progress = state.previous
+    ? Math.min(1, (now - state.start) / state.duration)
+    : 1;
+
+  if (progress >= 1) {
+    state.previous = null;
+    renderScene(ctx, state.scene, sources, width, height, overlay);
+    return;
+  }
+
+  renderScene(ctx, state.previous, sources, width, height, overlay);
+  ctx.save();
+  try {
+    ctx.globalAlpha = progress;
+    renderScene(ctx, state.scene, sources, width, height, overlay);
+  } finally {
+    ctx.restore();
+  }
+}
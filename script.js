@@ -4,6 +4,154 @@
  */
 
 import { Recorder } from "./recorder.js";
+import { FileSink } from "./file-sink.js";
+import { EncoderRecorder } from "./encoder-recorder.js";
+import { DEFAULT_OVERLAY } from "./overlay.js";
+import { SCENES, DEFAULT_SCENE } from "./scenes.js";
+import { DEFAULT_EFFECT } from "./webcam-effects.js";
+import { PROCESSING_PRESETS } from "./audio-processing.js";
+import {
+  ANNOTATION_TOOLS,
+  DEFAULT_ANNOTATIONS,
+  createStroke,
+  extendStroke,
+} from "./annotations.js";
+import { resolveBranding } from "./branding.js";
+import { VISUALIZER_STYLES, DEFAULT_VISUALIZER } from "./visualizer.js";
+import { RecordingLibrary } from "./library.js";
+import { captureFrames } from "./thumbnails.js";
+import { TusUpload, parseHeaders } from "./upload.js";
+import { STREAM_STATES, DEFAULT_STREAM_BITRATE } from "./whip.js";
+import { trimRecording, canTrimPrecisely } from "./trim.js";
+import {
+  sortMarkers,
+  shiftMarkers,
+  createChaptersVtt,
+  applyChapters,
+} from "./chapters.js";
+import {
+  ANIMATION_FORMATS,
+  canExportAnimation,
+  exportAnimation,
+} from "./animation.js";
+
+// Webcam background controls: element id -> [effect key, read value]
+const EFFECT_CONTROLS = {
+  effectMode: ["mode", (el) => el.value],
+  effectBackgroundColor: ["backgroundColor", (el) => el.value],
+  effectKeyColor: ["keyColor", (el) => el.value],
+  effectTolerance: ["tolerance", (el) => parseFloat(el.value)],
+};
+
+// Overlay layout controls: element id -> [layout key, read value]
+const OVERLAY_CONTROLS = {
+  overlayAnchor: ["anchor", (el) => el.value],
+  overlaySize: ["size", (el) => parseFloat(el.value)],
+  overlayShape: ["shape", (el) => el.value],
+  overlayBorderColor: ["borderColor", (el) => el.value],
+  overlayBorderWidth: ["borderWidth", (el) => parseInt(el.value)],
+  overlayMirror: ["mirror", (el) => el.checked],
+  overlayShadow: ["shadow", (el) => el.checked],
+};
+
+// Branding controls: element id -> [section, key, read value]
+const BRANDING_CONTROLS = {
+  watermarkText: ["watermark", "text", (el) => el.value],
+  watermarkAnchor: ["watermark", "anchor", (el) => el.value],
+  watermarkSize: ["watermark", "size", (el) => parseFloat(el.value)],
+  watermarkOpacity: ["watermark", "opacity", (el) => parseFloat(el.value)],
+  lowerThirdName: ["lowerThird", "name", (el) => el.value],
+  lowerThirdTitle: ["lowerThird", "title", (el) => el.value],
+  lowerThirdColor: ["lowerThird", "color", (el) => el.value],
+  lowerThirdDuration: ["lowerThird", "duration", (el) => parseInt(el.value)],
+  lowerThirdAtStart: ["lowerThird", "showAtStart", (el) => el.checked],
+};
+
+// Audio visualizer controls: element id -> [visualizer key, read value]
+const VISUALIZER_CONTROLS = {
+  visualizerStyle: ["style", (el) => el.value],
+  visualizerTitle: ["title", (el) => el.value],
+  visualizerSubtitle: ["subtitle", (el) => el.value],
+  visualizerColor: ["color", (el) => el.value],
+};
+
+const LOGO_MAX_WIDTH = 512; // px; logos are scaled down to this when loaded
+
+// Recorded audio sources with gain/mute controls and meters (`${id}Gain`...)
+const AUDIO_SOURCES = ["mic", "system"];
+
+// Input device pickers: kind -> [select id, state key, enumerateDevices kind]
+const DEVICE_PICKERS = {
+  camera: ["deviceSelect", "selectedDevice", "videoinput"],
+  mic: ["micSelect", "selectedMic", "audioinput"],
+};
+const DEVICE_LABELS = { camera: "Camera", mic: "Microphone" };
+
+/**
+ * Epoch ms of the next time the clock shows `time` ("HH:MM") after `after`
+ */
+function nextClockTime(time, after = Date.now()) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const date = new Date(after);
+  date.setHours(hours, minutes, 0, 0);
+  if (date.getTime() <= after) date.setDate(date.getDate() + 1);
+  return date.getTime();
+}
+
+/**
+ * "m:ss", or "h:mm:ss" from an hour up
+ */
+function formatTime(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * "12.3 MB", or "1.2 GB" from a gigabyte up
+ */
+function formatSize(bytes) {
+  const mb = bytes / (1024 * 1024);
+  return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${mb.toFixed(1)} MB`;
+}
+
+/**
+ * "m:ss.s", for trim points
+ */
+function formatTrimTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds % 60).toFixed(1).padStart(4, "0");
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Seconds from "m:ss.s" (or plain seconds); NaN if it isn't a time
+ */
+function parseTrimTime(text) {
+  const match = /^\s*(?:(\d+):)?(\d+(?:\.\d*)?)\s*$/.exec(text);
+  if (!match) return NaN;
+  return Number(match[1] || 0) * 60 + Number(match[2]);
+}
+
+const TRIM_FRAMES = 10; // Thumbnails in the trim timeline
+const MIN_TRIM = 0.1; // s; shortest range that can be kept
+const LONG_ANIMATION = 30; // s; GIF/WebP exports past this get a size warning
+
+// localStorage key for the chosen devices, as {camera: {id, label}, mic: ...}
+const DEVICE_STORAGE_KEY = "recordly-devices";
+
+// localStorage key for the branding, with the logo as a data URL
+const BRANDING_STORAGE_KEY = "recordly-branding";
+
+// localStorage key for the upload server, as {endpoint, headers}
+const UPLOAD_STORAGE_KEY = "recordly-upload";
+
+// localStorage key for the live stream, as {endpoint, token, bitrate, record}
+const STREAM_STORAGE_KEY = "recordly-stream";
 
 class RecordlyApp {
   constructor() {
@@ -12,21 +160,66 @@ class RecordlyApp {
       mode: "screen",
       quality: "720p",
       bitrate: 5000000,
+      container: "webm",
       micEnabled: true,
       systemAudioEnabled: true,
+      audioGains: { mic: 1, system: 1 },
+      audioMuted: { mic: false, system: false },
+      audioProcessing: "off",
       isRecording: false,
       isPaused: false,
+      isWaiting: false, // Sources captured, counting down to the start
+      startsAt: null,
+      countdown: 0,
+      startAt: "", // "HH:MM", or "" to start after the countdown
+      stopAfter: "", // Minutes, or ""
+      stopAt: "", // "HH:MM", or ""
+      splitDuration: 0, // ms per part, or 0
+      splitSize: 0, // Bytes per part, or 0
+      retakesEnabled: false, // Pauses close takes that can be thrown away
+      upload: { endpoint: "", headers: "" }, // tus server, "Name: value" lines
+      stream: {
+        endpoint: "", // WHIP endpoint, or "" to not stream
+        token: "",
+        bitrate: DEFAULT_STREAM_BITRATE.video,
+        record: true, // Also record locally while streaming
+      },
       devices: [],
       selectedDevice: "",
+      selectedMic: "",
+      overlay: { ...DEFAULT_OVERLAY },
+      scene: DEFAULT_SCENE,
+      sceneTransition: 300,
+      webcamEffect: { ...DEFAULT_EFFECT },
+      annotationsEnabled: false,
+      annotation: { ...DEFAULT_ANNOTATIONS }, // Tool, color and fade of new strokes
+      branding: resolveBranding(), // Watermark and lower third
+      logo: null, // Data URL of the watermark logo, as saved
+      visualizerEnabled: false, // Audio mode records a video of the audio
+      visualizer: { ...DEFAULT_VISUALIZER },
+      outputFile: null,
       startTime: null,
       duration: 0,
       fileSize: 0,
       droppedFrames: 0,
+      storagePressure: null,
     };
 
+    this.library = new RecordingLibrary();
+    this.libraryUrls = []; // Thumbnail object URLs of the rendered library
+    this.trim = { start: 0, end: 0, duration: 0 }; // Review step, seconds
+    this.reviewUrl = null;
+    this.reviewMarkers = []; // { time (ms), label } for the review step
+    this.markersEdited = false; // The saved file needs its chapters rewritten
+    this.upload = null; // TusUpload of the file being recorded
+    this.uploadName = null; // Its filename, for the finalized upload
+    this.shownUpload = null; // The upload whose progress is displayed
+
     this.elements = {};
     this.animationFrame = null;
-    this.micAnalyzer = null;
+    this.lastStatsUpdate = 0;
+    this.countdownTimer = null;
+    this.countdownSeconds = 0;
     this.performanceMetrics = {
       startTime: 0,
       chunkCount: 0,
@@ -45,7 +238,12 @@ class RecordlyApp {
     this.setupPerformanceMonitoring();
     await this.detectCapabilities();
     await this.loadDevices();
+    await this.loadBranding();
+    this.loadUploadSettings();
+    this.loadStreamSettings();
     this.updateUI();
+    await this.checkForRecoverableSessions();
+    await this.renderLibrary();
 
     // Cleanup on page unload
     window.addEventListener("beforeunload", () => this.cleanup());
@@ -62,34 +260,147 @@ class RecordlyApp {
       "modeSelect",
       "qualitySelect",
       "bitrateSelect",
+      "containerSelect",
+      "audioProcessing",
       "deviceSelect",
       "deviceGroup",
+      "micSelect",
+      "micGroup",
+      "visualizerGroup",
+      "visualizerToggle",
+      "visualizerStyle",
+      "visualizerTitle",
+      "visualizerSubtitle",
+      "visualizerColor",
+      "effectGroup",
+      "effectMode",
+      "effectBackgroundColor",
+      "effectBackgroundImage",
+      "effectKeyColor",
+      "effectTolerance",
+      "sceneGroup",
+      "sceneButtons",
+      "sceneTransition",
+      "overlayGroup",
+      "overlayAnchor",
+      "overlaySize",
+      "overlayShape",
+      "overlayBorderColor",
+      "overlayBorderWidth",
+      "overlayMirror",
+      "overlayShadow",
+      "annotationGroup",
+      "annotationsToggle",
+      "annotationTools",
+      "annotationColor",
+      "annotationFade",
+      "annotationUndo",
+      "annotationClear",
+      "annotationSurface",
+      "brandingGroup",
+      "watermarkLogo",
+      "watermarkLogoClear",
+      "watermarkText",
+      "watermarkAnchor",
+      "watermarkSize",
+      "watermarkOpacity",
+      "lowerThirdName",
+      "lowerThirdTitle",
+      "lowerThirdColor",
+      "lowerThirdDuration",
+      "lowerThirdAtStart",
+      "lowerThirdToggle",
+      "countdownSelect",
+      "startAtInput",
+      "stopAfterInput",
+      "stopAtInput",
+      "countdownOverlay",
+      "countdownValue",
+      "splitDurationSelect",
+      "splitSizeSelect",
+      "retakesToggle",
+      "uploadEndpoint",
+      "uploadHeaders",
+      "uploadInfo",
+      "uploadDisplay",
+      "streamEndpoint",
+      "streamToken",
+      "streamBitrate",
+      "streamRecordToggle",
+      "liveIndicator",
+      "liveText",
+      "outputGroup",
+      "chooseFileBtn",
+      "outputFileName",
+      "clearFileBtn",
       "micToggle",
       "systemAudioToggle",
       "systemAudioGroup",
       "micLevel",
+      "micGain",
+      "micMute",
+      "systemLevel",
+      "systemGain",
+      "systemMute",
       "startBtn",
       "pauseBtn",
       "resumeBtn",
       "stopBtn",
+      "markerBtn",
+      "retakeBtn",
+      "previewContainer",
       "previewVideo",
       "pipVideo",
       "pipContainer",
       "pipHandle",
       "previewOverlay",
+      "previewMessage",
       "statusDot",
       "statusText",
       "durationDisplay",
       "fileSizeDisplay",
       "droppedFramesDisplay",
+      "statsPanel",
+      "statsList",
+      "storageDisplay",
       "errorMessage",
       "errorText",
       "errorClose",
       "saveDialog",
+      "reviewVideo",
+      "trimTimeline",
+      "trimStrip",
+      "trimSelection",
+      "trimPlayhead",
+      "trimStart",
+      "trimEnd",
+      "setTrimStart",
+      "setTrimEnd",
+      "trimRange",
+      "trimPrecise",
+      "trimMarkers",
+      "markerList",
+      "markersEmpty",
+      "addReviewMarker",
+      "saveChapters",
+      "saveFormat",
+      "animationOptions",
+      "animationFps",
+      "animationWidth",
+      "animationHint",
       "filenameInput",
       "openAfterSave",
       "confirmSave",
+      "keepSave",
       "cancelSave",
+      "recoveryDialog",
+      "recoveryText",
+      "confirmRecovery",
+      "discardRecovery",
+      "libraryPanel",
+      "libraryUsage",
+      "libraryList",
+      "libraryEmpty",
     ];
 
     ids.forEach((id) => {
@@ -118,19 +429,158 @@ class RecordlyApp {
       this.state.bitrate = parseInt(this.elements.bitrateSelect.value);
     });
 
-    this.elements.deviceSelect.addEventListener("change", () => {
-      this.state.selectedDevice = this.elements.deviceSelect.value;
+    this.elements.containerSelect.addEventListener("change", () =>
+      this.setContainer(this.elements.containerSelect.value)
+    );
+
+    Object.entries(DEVICE_PICKERS).forEach(([kind, [id]]) => {
+      this.elements[id].addEventListener("change", () =>
+        this.selectDevice(kind, this.elements[id].value)
+      );
+    });
+    navigator.mediaDevices.addEventListener?.("devicechange", () =>
+      this.loadDevices()
+    );
+
+    // Webcam background
+    Object.entries(EFFECT_CONTROLS).forEach(([id, [key, read]]) => {
+      this.elements[id].addEventListener("change", () =>
+        this.updateWebcamEffect({ [key]: read(this.elements[id]) })
+      );
+    });
+    this.elements.effectBackgroundImage.addEventListener("change", () =>
+      this.loadBackgroundImage()
+    );
+
+    // Scenes
+    this.renderSceneButtons();
+    this.elements.sceneTransition.addEventListener("change", () => {
+      this.state.sceneTransition = parseInt(
+        this.elements.sceneTransition.value
+      );
+    });
+
+    // Webcam overlay layout
+    Object.keys(OVERLAY_CONTROLS).forEach((id) => {
+      this.elements[id].addEventListener("change", () =>
+        this.readOverlayControl(id)
+      );
+    });
+    window.addEventListener("resize", () => this.syncOverlayEditor());
+
+    // Annotations
+    this.elements.annotationsToggle.addEventListener("change", () => {
+      this.state.annotationsEnabled = this.elements.annotationsToggle.checked;
+      this.updateUI();
+    });
+    this.renderAnnotationTools();
+    this.elements.annotationColor.addEventListener("change", () => {
+      this.state.annotation.color = this.elements.annotationColor.value;
+    });
+    this.elements.annotationFade.addEventListener("change", () => {
+      this.state.annotation.fade = parseInt(this.elements.annotationFade.value);
+    });
+    this.elements.annotationUndo.addEventListener("click", () =>
+      this.recorder.undoAnnotation()
+    );
+    this.elements.annotationClear.addEventListener("click", () =>
+      this.clearAnnotations()
+    );
+    this.setupAnnotationDrawing();
+
+    // Branding
+    Object.entries(BRANDING_CONTROLS).forEach(([id, [section, key, read]]) => {
+      this.elements[id].addEventListener("change", () =>
+        this.updateBranding({ [section]: { [key]: read(this.elements[id]) } })
+      );
+    });
+    this.elements.watermarkLogo.addEventListener("change", () =>
+      this.loadWatermarkLogo()
+    );
+    this.elements.watermarkLogoClear.addEventListener("click", () =>
+      this.setWatermarkLogo(null)
+    );
+    this.elements.lowerThirdToggle.addEventListener("click", () =>
+      this.toggleLowerThird()
+    );
+
+    // Audio visualizer
+    this.renderVisualizerStyles();
+    this.elements.visualizerToggle.addEventListener("change", () => {
+      this.state.visualizerEnabled = this.elements.visualizerToggle.checked;
+      this.updateUI();
+    });
+    Object.entries(VISUALIZER_CONTROLS).forEach(([id, [key, read]]) => {
+      this.elements[id].addEventListener("change", () => {
+        this.state.visualizer[key] = read(this.elements[id]);
+      });
+    });
+
+    // Countdown and schedule
+    this.elements.countdownSelect.addEventListener("change", () => {
+      this.state.countdown = parseInt(this.elements.countdownSelect.value);
+    });
+    [
+      ["startAtInput", "startAt"],
+      ["stopAfterInput", "stopAfter"],
+      ["stopAtInput", "stopAt"],
+    ].forEach(([id, key]) => {
+      this.elements[id].addEventListener("change", () => {
+        this.state[key] = this.elements[id].value;
+      });
+    });
+
+    // Split into parts
+    [
+      ["splitDurationSelect", "splitDuration"],
+      ["splitSizeSelect", "splitSize"],
+    ].forEach(([id, key]) => {
+      this.elements[id].addEventListener("change", () => {
+        this.state[key] = parseInt(this.elements[id].value);
+
+        // Parts go into a folder, a single recording into a file
+        const kind = this.isSplitting() ? "directory" : "file";
+        if (this.state.outputFile && this.state.outputFile.kind !== kind) {
+          this.setOutputFile(null);
+        }
+        this.updateUI();
+      });
     });
 
+    // Output file
+    this.elements.chooseFileBtn.addEventListener("click", () =>
+      this.chooseOutputFile()
+    );
+    this.elements.clearFileBtn.addEventListener("click", () =>
+      this.setOutputFile(null)
+    );
+
     // Audio controls
     this.elements.micToggle.addEventListener("change", () => {
       this.state.micEnabled = this.elements.micToggle.checked;
+      this.updateUI();
     });
 
     this.elements.systemAudioToggle.addEventListener("change", () => {
       this.state.systemAudioEnabled = this.elements.systemAudioToggle.checked;
     });
 
+    // Voice processing presets
+    this.renderProcessingPresets();
+    this.elements.audioProcessing.addEventListener("change", () => {
+      this.state.audioProcessing = this.elements.audioProcessing.value;
+    });
+
+    // Per-source gain and mute, live while recording
+    AUDIO_SOURCES.forEach((source) => {
+      this.elements[`${source}Gain`].addEventListener("input", (e) =>
+        this.setAudioGain(source, Number(e.target.value) / 100)
+      );
+      this.elements[`${source}Mute`].addEventListener("click", () =>
+        this.toggleAudioMute(source)
+      );
+    });
+
     // Recording controls
     this.elements.startBtn.addEventListener("click", () =>
       this.startRecording()
@@ -142,6 +592,36 @@ class RecordlyApp {
       this.resumeRecording()
     );
     this.elements.stopBtn.addEventListener("click", () => this.stopRecording());
+    this.elements.markerBtn.addEventListener("click", () => this.addMarker());
+    this.elements.retakeBtn.addEventListener("click", () =>
+      this.retakeRecording()
+    );
+    this.elements.retakesToggle.addEventListener("change", () => {
+      this.state.retakesEnabled = this.elements.retakesToggle.checked;
+    });
+    ["uploadEndpoint", "uploadHeaders"].forEach((id) =>
+      this.elements[id].addEventListener("change", () =>
+        this.saveUploadSettings()
+      )
+    );
+    ["streamEndpoint", "streamToken", "streamRecordToggle"].forEach((id) =>
+      this.elements[id].addEventListener("change", () => {
+        this.saveStreamSettings();
+        this.updateUI();
+      })
+    );
+    this.elements.streamBitrate.addEventListener("change", () => {
+      this.saveStreamSettings();
+      // Applies to a stream that is live, too
+      this.recorder
+        .setStreamBitrate({ video: this.state.stream.bitrate })
+        .catch((error) => {
+          console.error("Failed to change stream bitrate:", error);
+          this.showError(
+            `Could not change the stream bitrate: ${error.message}`
+          );
+        });
+    });
 
     // Error handling
     this.elements.errorClose.addEventListener("click", () => this.hideError());
@@ -150,22 +630,129 @@ class RecordlyApp {
     this.elements.confirmSave.addEventListener("click", () =>
       this.confirmSave()
     );
+    this.elements.keepSave.addEventListener("click", () => this.keepForLater());
     this.elements.cancelSave.addEventListener("click", () => this.cancelSave());
 
+    // Trim review
+    this.elements.trimStart.addEventListener("input", (e) =>
+      this.setTrim("start", parseFloat(e.target.value))
+    );
+    this.elements.trimEnd.addEventListener("input", (e) =>
+      this.setTrim("end", parseFloat(e.target.value))
+    );
+    this.elements.setTrimStart.addEventListener("click", () =>
+      this.setTrim("start", this.elements.reviewVideo.currentTime)
+    );
+    this.elements.setTrimEnd.addEventListener("click", () =>
+      this.setTrim("end", this.elements.reviewVideo.currentTime)
+    );
+    this.elements.reviewVideo.addEventListener("timeupdate", () =>
+      this.updateReviewPlayback()
+    );
+    this.elements.addReviewMarker.addEventListener("click", () =>
+      this.addReviewMarker()
+    );
+    this.elements.reviewVideo.addEventListener("loadedmetadata", () =>
+      this.updateAnimationHint()
+    );
+
+    // GIF/WebP export
+    this.elements.saveFormat.addEventListener("change", () =>
+      this.updateSaveFormat()
+    );
+    ["animationFps", "animationWidth"].forEach((id) =>
+      this.elements[id].addEventListener("change", () =>
+        this.updateAnimationHint()
+      )
+    );
+
+    // Recovery dialog
+    this.elements.confirmRecovery.addEventListener("click", () =>
+      this.confirmRecovery()
+    );
+    this.elements.discardRecovery.addEventListener("click", () =>
+      this.discardRecovery()
+    );
+
     // PiP dragging (simplified for performance)
     this.setupPiPDragging();
 
     // Keyboard shortcuts
     document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.state.isWaiting) {
+        this.recorder.cancelStart();
+        return;
+      }
+
+      // I/O set the trim points while reviewing (not while typing a name)
+      if (
+        this.pendingBlob &&
+        e.target.type !== "text" &&
+        !e.ctrlKey &&
+        !e.metaKey &&
+        !e.altKey
+      ) {
+        const point = { i: "start", o: "end" }[e.key.toLowerCase()];
+        if (point) {
+          e.preventDefault();
+          this.setTrim(point, this.elements.reviewVideo.currentTime);
+          return;
+        }
+      }
+
+      // Alt+1..4 switch scenes (Screen + Webcam mode)
+      if (e.altKey && !e.ctrlKey && !e.metaKey) {
+        const scene = Object.keys(SCENES).find(
+          (name) => `Digit${SCENES[name].hotkey}` === e.code
+        );
+        if (scene && this.state.mode === "combined") {
+          e.preventDefault();
+          this.selectScene(scene);
+        }
+
+        // Alt+P/H/A/R/S pick an annotation tool, Alt+C clears the strokes
+        const tool = Object.keys(ANNOTATION_TOOLS).find(
+          (name) => `Key${ANNOTATION_TOOLS[name].hotkey}` === e.code
+        );
+        if (tool) {
+          e.preventDefault();
+          this.selectAnnotationTool(tool);
+        } else if (e.code === "KeyC" && this.isAnnotating()) {
+          e.preventDefault();
+          this.clearAnnotations();
+        } else if (e.code === "KeyL" && this.recorder.canShowLowerThird) {
+          e.preventDefault();
+          this.toggleLowerThird();
+        } else if (e.code === "KeyM" && this.state.isRecording) {
+          e.preventDefault();
+          this.addMarker();
+        } else if (e.code === "KeyT" && this.recorder.canRetake) {
+          e.preventDefault();
+          this.retakeRecording();
+        }
+        return;
+      }
+
       if (e.ctrlKey || e.metaKey) {
         switch (e.key) {
           case "r":
             e.preventDefault();
-            if (!this.state.isRecording) this.startRecording();
+            if (!this.state.isRecording && !this.state.isWaiting) {
+              this.startRecording();
+            }
             break;
           case "s":
             e.preventDefault();
-            if (this.state.isRecording) this.stopRecording();
+            if (this.state.isRecording || this.state.isWaiting) {
+              this.stopRecording();
+            }
+            break;
+          case "z":
+            // Undo the last stroke, unless editing a text field
+            if (this.isAnnotating() && !e.target.matches("input, textarea")) {
+              e.preventDefault();
+              this.recorder.undoAnnotation();
+            }
             break;
           case " ":
             e.preventDefault();
@@ -209,8 +796,56 @@ class RecordlyApp {
       this.performanceMetrics.chunkCount++;
       this.performanceMetrics.totalBytes += data.size;
       this.state.fileSize = this.performanceMetrics.totalBytes;
+      this.uploadChunk(data);
+    });
+
+    this.recorder.on("storage-pressure", (pressure) => {
+      this.state.storagePressure = pressure;
+    });
+
+    this.recorder.on("output-error", (error) => {
+      this.showError(error.message);
+    });
+
+    this.recorder.on("device-change", ({ kind, deviceId }) => {
+      // Reflect automatic switches; the saved choice stays as it was
+      const select = this.elements[DEVICE_PICKERS[kind][0]];
+      select.value = deviceId;
+      if (select.value !== deviceId) select.value = "";
+    });
+
+    this.recorder.on("device-lost", ({ kind, recovered }) => {
+      const label = DEVICE_LABELS[kind];
+      if (recovered) {
+        this.showNotice(`${label} disconnected; switched to the default one`);
+      } else {
+        this.showError(`${label} disconnected; recording continues without it`);
+      }
+    });
+
+    this.recorder.on("waiting", ({ startsAt, countdown }) =>
+      this.startCountdown(startsAt, countdown)
+    );
+
+    this.recorder.on("autostop", () => this.stopRecording());
+
+    this.recorder.on("segment", (segment) => {
+      // The next chunk starts the next part's upload
+      this.uploadFinalized(segment.blob, segment.name, this.finishUpload());
+      this.saveSegment(segment);
+    });
+
+    this.recorder.on("retake", () => {
+      this.performanceMetrics.totalBytes = this.recorder.totalBytes;
+      this.state.fileSize = this.recorder.totalBytes;
+      this.updateUI();
     });
 
+    // Retake becomes available once a take is recording
+    this.recorder.on("take", () => this.updateUI());
+
+    this.recorder.on("stream-state", (state) => this.renderStream(state));
+
     this.recorder.on("error", (error) => {
       this.showError(error.message);
       this.resetRecording();
@@ -227,6 +862,8 @@ class RecordlyApp {
       mediaRecorder: "MediaRecorder" in window,
       webCodecs: "VideoEncoder" in window && "AudioEncoder" in window,
       offscreenCanvas: "OffscreenCanvas" in window,
+      fileSystemAccess: FileSink.isSupported,
+      mp4Recording: EncoderRecorder.isSupported(),
     };
 
     console.log("Browser capabilities:", capabilities);
@@ -250,476 +887,2502 @@ class RecordlyApp {
       this.state.mode = "webcam";
     }
 
+    // Animations are encoded in a worker; WebP frames by the browser itself
+    Object.keys(ANIMATION_FORMATS).forEach((format) => {
+      this.elements.saveFormat.querySelector(
+        `option[value="${format}"]`
+      ).disabled = !canExportAnimation(format);
+    });
+
+    // Streaming straight to disk needs the File System Access API
+    this.elements.outputGroup.style.display = capabilities.fileSystemAccess
+      ? "block"
+      : "none";
+
     // Configure recorder with capabilities
     this.recorder.setCapabilities(capabilities);
   }
 
   /**
-   * Load available devices
+   * Load available devices and restore the saved choices. Runs again when
+   * devices are plugged in or removed.
    */
   async loadDevices() {
     try {
       const devices = await navigator.mediaDevices.enumerateDevices();
+      const saved = this.loadDevicePreferences();
       this.state.devices = devices.filter(
         (device) => device.kind === "videoinput"
       );
 
-      this.elements.deviceSelect.innerHTML =
-        '<option value="">Default Camera</option>';
-      this.state.devices.forEach((device) => {
-        const option = document.createElement("option");
-        option.value = device.deviceId;
-        option.textContent =
-          device.label || `Camera ${device.deviceId.slice(0, 8)}`;
-        this.elements.deviceSelect.appendChild(option);
+      Object.entries(DEVICE_PICKERS).forEach(([kind, [id, key, type]]) => {
+        const label = DEVICE_LABELS[kind];
+        const available = devices.filter((device) => device.kind === type);
+        const select = this.elements[id];
+
+        select.innerHTML = `<option value="">Default ${label}</option>`;
+        available.forEach((device) => {
+          const option = document.createElement("option");
+          option.value = device.deviceId;
+          option.textContent =
+            device.label || `${label} ${device.deviceId.slice(0, 8)}`;
+          select.appendChild(option);
+        });
+
+        // Device ids can change (cleared site data); fall back to the label.
+        // A saved device that is unplugged right now stays saved for later.
+        if (!this.state.isRecording) {
+          const match =
+            available.find((device) => device.deviceId === saved[kind]?.id) ||
+            available.find(
+              (device) => device.label && device.label === saved[kind]?.label
+            );
+          this.state[key] = match?.deviceId || "";
+        }
+        select.value = this.state[key];
+        if (select.value !== this.state[key]) select.value = "";
       });
+      this.updateBlurOption();
     } catch (error) {
       console.warn("Could not enumerate devices:", error);
     }
   }
 
   /**
-   * Setup PiP dragging functionality
+   * @returns {Object<string, {id: string, label: string}>} Saved device choices
    */
-  setupPiPDragging() {
-    let isDragging = false;
-    let isResizing = false;
-    let startX, startY, startLeft, startTop, startWidth, startHeight;
-
-    const pipContainer = this.elements.pipContainer;
-    const pipHandle = this.elements.pipHandle;
-
-    // Dragging
-    pipContainer.addEventListener("mousedown", (e) => {
-      if (e.target === pipHandle) return;
-      isDragging = true;
-      startX = e.clientX;
-      startY = e.clientY;
-      const rect = pipContainer.getBoundingClientRect();
-      startLeft = rect.left;
-      startTop = rect.top;
-      pipContainer.style.transition = "none";
-    });
-
-    // Resizing
-    pipHandle.addEventListener("mousedown", (e) => {
-      e.stopPropagation();
-      isResizing = true;
-      startX = e.clientX;
-      startY = e.clientY;
-      const rect = pipContainer.getBoundingClientRect();
-      startWidth = rect.width;
-      startHeight = rect.height;
-      pipContainer.style.transition = "none";
-    });
-
-    document.addEventListener("mousemove", (e) => {
-      if (isDragging) {
-        const deltaX = e.clientX - startX;
-        const deltaY = e.clientY - startY;
-        const newLeft = Math.max(
-          0,
-          Math.min(
-            startLeft + deltaX,
-            window.innerWidth - pipContainer.offsetWidth
-          )
-        );
-        const newTop = Math.max(
-          0,
-          Math.min(
-            startTop + deltaY,
-            window.innerHeight - pipContainer.offsetHeight
-          )
-        );
+  loadDevicePreferences() {
+    try {
+      return JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
 
-        pipContainer.style.left = newLeft + "px";
-        pipContainer.style.top = newTop + "px";
-        pipContainer.style.right = "auto";
-        pipContainer.style.bottom = "auto";
-      } else if (isResizing) {
-        const deltaX = e.clientX - startX;
-        const deltaY = e.clientY - startY;
-        const newWidth = Math.max(120, Math.min(startWidth + deltaX, 400));
-        const newHeight = Math.max(90, Math.min(startHeight + deltaY, 300));
+  /**
+   * Choose a camera or microphone; while recording, switch to it live
+   * @param {"camera"|"mic"} kind
+   * @param {string} deviceId - "" for the default device
+   */
+  async selectDevice(kind, deviceId) {
+    const [id, key] = DEVICE_PICKERS[kind];
+    const select = this.elements[id];
 
-        pipContainer.style.width = newWidth + "px";
-        pipContainer.style.height = newHeight + "px";
+    if (this.state.isRecording) {
+      try {
+        await this.recorder.switchDevice(kind, deviceId);
+      } catch (error) {
+        this.showError(`Could not switch ${kind}: ${error.message}`);
+        select.value = this.state[key];
+        return;
       }
-    });
+    }
 
-    document.addEventListener("mouseup", () => {
-      if (isDragging || isResizing) {
-        pipContainer.style.transition = "";
-        isDragging = false;
-        isResizing = false;
-      }
-    });
+    this.state[key] = deviceId;
+    if (kind === "camera") this.updateBlurOption();
+    const preferences = this.loadDevicePreferences();
+    preferences[kind] = {
+      id: deviceId,
+      label: deviceId ? select.selectedOptions[0]?.textContent : "",
+    };
+    try {
+      localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+      console.warn("Could not save device choice:", error);
+    }
   }
 
   /**
-   * Start recording
+   * Restore the saved branding into the state and the controls
    */
-  async startRecording() {
+  async loadBranding() {
+    let saved = {};
     try {
-      performance.mark("recording-start");
-      this.performanceMetrics.startTime = Date.now();
-      this.performanceMetrics.chunkCount = 0;
-      this.performanceMetrics.totalBytes = 0;
-
-      const config = this.getRecordingConfig();
-      await this.recorder.start(config);
-
-      this.state.isRecording = true;
-      this.state.isPaused = false;
-      this.state.startTime = Date.now();
-      this.state.fileSize = 0;
-      this.state.droppedFrames = 0;
-
-      const stream = this.getPreviewStream();
-      if (stream) {
-        this.elements.previewVideo.srcObject = stream;
-        try {
-          await this.elements.previewVideo.play();
-        } catch {}
-      }
+      saved = JSON.parse(localStorage.getItem(BRANDING_STORAGE_KEY)) || {};
+    } catch {}
+
+    this.state.branding = resolveBranding(saved);
+    Object.entries(BRANDING_CONTROLS).forEach(([id, [section, key]]) => {
+      const value = this.state.branding[section][key];
+      if (typeof value === "boolean") this.elements[id].checked = value;
+      else this.elements[id].value = value;
+    });
 
-      // Avoid double PiP when we already compose PiP into the output
-      if (this.state.mode === "combined") {
-        this.elements.pipContainer.style.display = "none";
-      } else if (this.state.mode === "screen" && this.recorder.streams.webcam) {
-        // Optional: show live webcam PiP over raw screen preview
-        this.elements.pipVideo.srcObject = this.recorder.streams.webcam;
-        try {
-          await this.elements.pipVideo.play();
-        } catch {}
-        this.elements.pipContainer.style.display = "block";
+    if (saved.logo) {
+      try {
+        const image = await createImageBitmap(
+          await (await fetch(saved.logo)).blob()
+        );
+        this.state.logo = saved.logo;
+        this.state.branding.watermark.image = image;
+      } catch (error) {
+        console.warn("Could not restore the watermark logo:", error);
       }
+    }
+    this.updateUI();
+  }
 
-      this.updateUI();
-      this.startUpdateLoop();
-      this.setupMicAnalyzer();
-
-      performance.mark("recording-start-complete");
-      performance.measure(
-        "recording-start-duration",
-        "recording-start",
-        "recording-start-complete"
+  /**
+   * Remember the branding for the next visit
+   */
+  saveBranding() {
+    const { watermark, lowerThird } = this.state.branding;
+    const { image, ...settings } = watermark;
+    try {
+      localStorage.setItem(
+        BRANDING_STORAGE_KEY,
+        JSON.stringify({
+          watermark: settings,
+          lowerThird,
+          logo: this.state.logo,
+        })
       );
     } catch (error) {
-      console.error("Failed to start recording:", error);
-      this.showError(`Failed to start recording: ${error.message}`);
-      this.resetRecording();
+      console.warn("Could not save branding:", error);
     }
   }
 
   /**
-   * Pause recording
+   * Restore the upload server settings into the state and the controls
    */
-  pauseRecording() {
+  loadUploadSettings() {
+    let saved = {};
     try {
-      this.recorder.pause();
-      this.state.isPaused = true;
-      this.updateUI();
+      saved = JSON.parse(localStorage.getItem(UPLOAD_STORAGE_KEY)) || {};
+    } catch {}
+
+    this.state.upload = {
+      endpoint: saved.endpoint || "",
+      headers: saved.headers || "",
+    };
+    this.elements.uploadEndpoint.value = this.state.upload.endpoint;
+    this.elements.uploadHeaders.value = this.state.upload.headers;
+  }
+
+  /**
+   * Read the upload server settings and remember them for the next visit
+   */
+  saveUploadSettings() {
+    const endpoint = this.elements.uploadEndpoint.value.trim();
+    if (endpoint && !/^https?:\/\/\S+$/i.test(endpoint)) {
+      this.showError("The upload URL must start with http:// or https://");
+      return;
+    }
+
+    this.state.upload = {
+      endpoint,
+      headers: this.elements.uploadHeaders.value,
+    };
+    try {
+      localStorage.setItem(
+        UPLOAD_STORAGE_KEY,
+        JSON.stringify(this.state.upload)
+      );
+    } catch (error) {
+      console.warn("Could not save upload settings:", error);
+    }
+  }
+
+  /**
+   * Restore the live stream settings into the state and the controls
+   */
+  loadStreamSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(STREAM_STORAGE_KEY)) || {};
+    } catch {}
+
+    this.state.stream = {
+      endpoint: saved.endpoint || "",
+      token: saved.token || "",
+      bitrate: Number(saved.bitrate) || DEFAULT_STREAM_BITRATE.video,
+      record: saved.record !== false,
+    };
+    this.elements.streamEndpoint.value = this.state.stream.endpoint;
+    this.elements.streamToken.value = this.state.stream.token;
+    this.elements.streamBitrate.value = String(this.state.stream.bitrate);
+    if (!this.elements.streamBitrate.value) {
+      this.elements.streamBitrate.value = String(DEFAULT_STREAM_BITRATE.video);
+    }
+    this.elements.streamRecordToggle.checked = this.state.stream.record;
+  }
+
+  /**
+   * Read the live stream settings and remember them for the next visit
+   */
+  saveStreamSettings() {
+    const endpoint = this.elements.streamEndpoint.value.trim();
+    if (endpoint && !/^https?:\/\/\S+$/i.test(endpoint)) {
+      this.showError("The WHIP URL must start with http:// or https://");
+      return;
+    }
+
+    this.state.stream = {
+      endpoint,
+      token: this.elements.streamToken.value.trim(),
+      bitrate: Number(this.elements.streamBitrate.value),
+      record: this.elements.streamRecordToggle.checked,
+    };
+    try {
+      localStorage.setItem(
+        STREAM_STORAGE_KEY,
+        JSON.stringify(this.state.stream)
+      );
+    } catch (error) {
+      console.warn("Could not save live stream settings:", error);
+    }
+  }
+
+  /**
+   * Show the live stream's state in the header
+   * @param {string|null} state - A STREAM_STATES key; hidden when stopped
+   */
+  renderStream(state) {
+    const shown = !!state && state !== "stopped";
+    this.elements.liveIndicator.style.display = shown ? "" : "none";
+    this.elements.liveIndicator.className = `live-indicator ${state || ""}`;
+    this.elements.liveText.textContent = STREAM_STATES[state]?.label || "";
+  }
+
+  /**
+   * Whether the current recording only goes to the live stream
+   */
+  isStreamOnly() {
+    return (
+      (this.state.isRecording || this.state.isWaiting) &&
+      this.recorder.recordingConfig?.record === false
+    );
+  }
+
+  /**
+   * Send a recorded chunk to the upload server, if one is set. Each file
+   * (each part, when splitting) is an upload of its own.
+   * @param {Blob} data
+   */
+  uploadChunk(data) {
+    // A retake cuts chunks back out, which can't be undone on the server
+    if (!this.state.upload.endpoint || this.recorder.takes) return;
+
+    if (!this.upload) {
+      this.uploadName = this.recorder.segmentLimits
+        ? this.recorder.getSegmentName()
+        : this.getDefaultFilename(this.getContainer(data));
+      this.upload = this.createUpload({
+        sessionId: this.recorder.sessionId,
+        name: this.uploadName,
+        type: data.type,
+        live: true,
+      });
+    }
+    this.upload.append(data);
+  }
+
+  /**
+   * Mark the file being uploaded complete. The upload carries on until the
+   * server has all of it.
+   * @returns {TusUpload|null} The upload, for uploadFinalized()
+   */
+  finishUpload() {
+    const upload = this.upload;
+    upload?.finish();
+    this.upload = null;
+    this.uploadName = null;
+    return upload;
+  }
+
+  /**
+   * Upload a finished file as the server should keep it: finalized, with
+   * its duration and seek index. The stream sent while recording is the
+   * fallback until then, and is deleted once this one is complete (where
+   * the server supports termination).
+   * @param {Blob} blob
+   * @param {string} name
+   * @param {TusUpload|null} [live] - The streamed upload of the same file
+   * @param {string} [endpoint]
+   */
+  async uploadFinalized(
+    blob,
+    name,
+    live = null,
+    endpoint = this.state.upload.endpoint
+  ) {
+    if (!endpoint) return;
+    // One after the other: the fallback copy is complete first
+    await live?.result.catch(() => {});
+
+    const upload = this.createUpload({
+      sessionId: null,
+      name,
+      type: blob.type,
+      endpoint,
+    });
+    upload.append(blob);
+    try {
+      await upload.finish();
+    } catch {
+      return; // Reported by createUpload(); the streamed copy stays
+    }
+    live?.terminate().catch((error) => {
+      console.warn("Could not delete the streamed upload:", error);
+    });
+  }
+
+  /**
+   * Start an upload and show its progress. Its URL is kept in the storage
+   * session, so a recovered recording can finish it.
+   * @param {object} options
+   * @param {string|null} options.sessionId
+   * @param {string} options.name - Sent as the filename
+   * @param {string} options.type - Sent as the filetype
+   * @param {string} [options.endpoint]
+   * @param {string} [options.url] - Of an upload to finish
+   * @param {boolean} [options.live] - The stream sent while recording:
+   *   named `<name>.part`, as uploadFinalized() sends `<name>` after it
+   * @returns {TusUpload}
+   */
+  createUpload({
+    sessionId,
+    name,
+    type,
+    endpoint = this.state.upload.endpoint,
+    url = null,
+    live = false,
+  }) {
+    const upload = new TusUpload({
+      endpoint,
+      headers: parseHeaders(this.state.upload.headers),
+      metadata: { filename: live ? `${name}.part` : name, filetype: type },
+      url,
+    });
+
+    const remember = (done) => {
+      if (!sessionId) return;
+      this.recorder.store
+        .updateSession(sessionId, {
+          upload: { endpoint, url: upload.url, name, done },
+        })
+        .catch((error) => console.warn("Session update failed:", error));
+    };
+    upload.on("created", () => remember(false));
+    upload.on("complete", () => {
+      remember(true);
+      if (!live) this.showNotice(`Uploaded ${name}`);
+    });
+    upload.on("error", (error) =>
+      this.showError(
+        `Upload of ${name} failed: ${error.message}. The recording itself is kept.`
+      )
+    );
+    upload.on("progress", (status) => {
+      if (upload === this.shownUpload) this.renderUpload(status);
+    });
+
+    this.shownUpload = upload;
+    this.renderUpload(upload.getStatus());
+    return upload;
+  }
+
+  /**
+   * Finish the streamed upload of a recovered recording from its stored
+   * chunks
+   * @param {string} sessionId
+   * @param {{endpoint: string, url: string, name: string}} saved - From
+   *   the session
+   * @returns {Promise<TusUpload|null>}
+   */
+  async resumeUpload(sessionId, { endpoint, url, name }) {
+    try {
+      // The raw chunks, as they were being sent
+      const blob = await this.recorder.store.getSessionBlob(sessionId);
+      if (!blob) return null;
+
+      const upload = this.createUpload({
+        sessionId,
+        name,
+        type: blob.type,
+        endpoint,
+        url,
+        live: true,
+      });
+      upload.append(blob);
+      upload.finish();
+      return upload;
+    } catch (error) {
+      console.warn("Could not resume the upload:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Show how far the upload has got, in the info panel
+   * @param {object} status - From TusUpload.getStatus()
+   */
+  renderUpload({ state, sent, total, length, error }) {
+    const sentMB = (sent / (1024 * 1024)).toFixed(1);
+    const labels = {
+      idle: "Starting…",
+      uploading:
+        length === null
+          ? `${sentMB} of ${(total / (1024 * 1024)).toFixed(1)} MB`
+          : `${Math.floor((sent / (length || 1)) * 100)}%`,
+      waiting: `Retrying at ${sentMB} MB`,
+      offline: "Offline, waiting",
+      done: "Done",
+      failed: "Failed",
+      aborted: "Cancelled",
+    };
+
+    this.elements.uploadInfo.style.display = "";
+    this.elements.uploadDisplay.textContent = labels[state];
+    this.elements.uploadDisplay.title = error?.message || "";
+  }
+
+  /**
+   * Merge branding changes into the state and, live, the recording
+   * @param {{watermark?: object, lowerThird?: object}} changes
+   */
+  updateBranding(changes) {
+    const { watermark, lowerThird } = this.state.branding;
+    this.state.branding = resolveBranding({
+      watermark: { ...watermark, ...changes.watermark },
+      lowerThird: { ...lowerThird, ...changes.lowerThird },
+    });
+    this.saveBranding();
+
+    if (this.state.isRecording && this.recorder.outputSize) {
+      this.recorder.setBranding(changes);
+    }
+    this.updateUI();
+  }
+
+  /**
+   * Decode the chosen logo, scaled down so it can be saved
+   */
+  async loadWatermarkLogo() {
+    const file = this.elements.watermarkLogo.files[0];
+    if (!file) return;
+
+    try {
+      const source = await createImageBitmap(file);
+      const scale = Math.min(1, LOGO_MAX_WIDTH / source.width);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(source.width * scale);
+      canvas.height = Math.round(source.height * scale);
+      canvas
+        .getContext("2d")
+        .drawImage(source, 0, 0, canvas.width, canvas.height);
+      source.close();
+
+      this.setWatermarkLogo(
+        await createImageBitmap(canvas),
+        canvas.toDataURL("image/png")
+      );
+    } catch (error) {
+      console.error("Failed to load logo:", error);
+      this.showError(`Could not use ${file.name} as logo`);
+    }
+    this.elements.watermarkLogo.value = "";
+  }
+
+  /**
+   * Use a logo for the watermark, or go back to the text
+   * @param {ImageBitmap|null} image
+   * @param {string|null} [dataUrl] - The same image, to save
+   */
+  setWatermarkLogo(image, dataUrl = null) {
+    const previous = this.state.branding.watermark.image;
+    this.state.logo = dataUrl;
+    this.updateBranding({ watermark: { image } });
+    previous?.close();
+  }
+
+  /**
+   * Slide the lower third in, or out if it is showing
+   */
+  toggleLowerThird() {
+    this.recorder.setLowerThird(!this.recorder.isLowerThirdShowing);
+  }
+
+  /**
+   * Let the user pick a file that the recording is streamed into, or a
+   * folder for the parts of a split recording
+   */
+  async chooseOutputFile() {
+    try {
+      const handle = this.isSplitting()
+        ? await FileSink.pickDirectory()
+        : await FileSink.pick(this.getDefaultFilename(), this.state.container);
+      this.setOutputFile(handle);
+    } catch (error) {
+      if (error.name === "AbortError") return; // Picker dismissed
+      console.error("Failed to choose output file:", error);
+      this.showError(`Failed to choose file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Switch the container of the next recording
+   * @param {"webm"|"mp4"} container
+   */
+  setContainer(container) {
+    this.state.container = container;
+    this.elements.containerSelect.value = container;
+
+    // A file picked for the other container would get the wrong extension
+    if (
+      this.state.outputFile?.kind === "file" &&
+      !this.state.outputFile.name.endsWith(`.${container}`)
+    ) {
+      this.setOutputFile(null);
+    }
+  }
+
+  /**
+   * Set (or clear) the file or folder the next recording is streamed into
+   * @param {FileSystemHandle|null} handle
+   */
+  setOutputFile(handle) {
+    this.state.outputFile = handle;
+    this.elements.outputFileName.textContent = handle
+      ? `${handle.name}${handle.kind === "directory" ? "/" : ""}`
+      : "Ask after recording";
+    this.elements.clearFileBtn.style.display = handle ? "inline" : "none";
+  }
+
+  /**
+   * Merge background effect changes into the state, and into the running
+   * recording when its pipeline allows
+   * @param {object} changes
+   */
+  updateWebcamEffect(changes) {
+    this.state.webcamEffect = { ...this.state.webcamEffect, ...changes };
+
+    if (this.state.isRecording && this.recorder.canChangeEffectLive) {
+      this.recorder.setWebcamEffect(changes).catch((error) => {
+        console.warn("Could not change background effect:", error);
+      });
+    }
+  }
+
+  /**
+   * Whether the chosen camera blurs its background itself, from the running
+   * track or else the device. Devices only tell once camera permission is
+   * granted (they have labels then).
+   * @returns {boolean|null} Null when not known yet
+   */
+  canBlurBackground() {
+    const track = this.recorder.streams.webcam?.getVideoTracks()[0];
+    const id = this.state.selectedDevice;
+    const device = id
+      ? this.state.devices.find((device) => device.deviceId === id)
+      : this.state.devices[0];
+    if (!track && !device?.label) return null;
+
+    const capabilities = (track || device).getCapabilities?.() || {};
+    return !!capabilities.backgroundBlur?.includes(true);
+  }
+
+  /**
+   * Offer Blur only with a camera that can do it: there is no software
+   * blur. A blur chosen before that was known is turned off.
+   */
+  updateBlurOption() {
+    const blur = this.elements.effectMode.querySelector('option[value="blur"]');
+    blur.disabled = this.canBlurBackground() === false;
+    if (blur.disabled && this.state.webcamEffect.mode === "blur") {
+      this.elements.effectMode.value = "none";
+      this.updateWebcamEffect({ mode: "none" });
+      this.showNotice("This camera can't blur its background; it's kept as is");
+    }
+  }
+
+  /**
+   * Decode the chosen replacement background image
+   */
+  async loadBackgroundImage() {
+    const file = this.elements.effectBackgroundImage.files[0];
+
+    try {
+      const image = file ? await createImageBitmap(file) : null;
+      this.state.webcamEffect.backgroundImage?.close();
+      this.updateWebcamEffect({ backgroundImage: image });
+    } catch (error) {
+      console.error("Failed to load background image:", error);
+      this.showError(`Could not use ${file.name} as background`);
+      this.elements.effectBackgroundImage.value = "";
+    }
+  }
+
+  /**
+   * Fill the voice processing select from the presets
+   */
+  renderProcessingPresets() {
+    const options = Object.entries(PROCESSING_PRESETS).map(
+      ([name, preset]) => new Option(preset.label, name)
+    );
+    this.elements.audioProcessing.replaceChildren(...options);
+    this.elements.audioProcessing.value = this.state.audioProcessing;
+  }
+
+  /**
+   * Fill the visualizer style select from the styles
+   */
+  renderVisualizerStyles() {
+    const options = Object.entries(VISUALIZER_STYLES).map(
+      ([name, style]) => new Option(style.label, name)
+    );
+    this.elements.visualizerStyle.replaceChildren(...options);
+    this.elements.visualizerStyle.value = this.state.visualizer.style;
+  }
+
+  /**
+   * Build one button per scene
+   */
+  renderSceneButtons() {
+    const buttons = Object.entries(SCENES).map(([name, scene]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "scene-button";
+      button.dataset.scene = name;
+      button.textContent = scene.label;
+      button.title = `${scene.label} (Alt+${scene.hotkey})`;
+      button.addEventListener("click", () => this.selectScene(name));
+      return button;
+    });
+
+    this.elements.sceneButtons.replaceChildren(...buttons);
+    this.updateSceneButtons();
+  }
+
+  /**
+   * Highlight the active scene
+   */
+  updateSceneButtons() {
+    this.elements.sceneButtons
+      .querySelectorAll(".scene-button")
+      .forEach((button) => {
+        const active = button.dataset.scene === this.state.scene;
+        button.classList.toggle("active", active);
+        button.setAttribute("aria-pressed", String(active));
+      });
+  }
+
+  /**
+   * Pick the scene to record, switching live if a recording is running
+   * @param {string} scene - Key of SCENES
+   */
+  selectScene(scene) {
+    if (!SCENES[scene]) return;
+    this.state.scene = scene;
+
+    if (this.state.isRecording && this.state.mode === "combined") {
+      this.recorder.setScene(scene, this.state.sceneTransition);
+    }
+
+    this.updateSceneButtons();
+    this.updateUI();
+    this.syncOverlayEditor();
+  }
+
+  /**
+   * Apply one overlay control to the layout, live if recording
+   * @param {string} id - Key of OVERLAY_CONTROLS
+   */
+  readOverlayControl(id) {
+    const [key, read] = OVERLAY_CONTROLS[id];
+    const changes = { [key]: read(this.elements[id]) };
+
+    // Picking a corner drops any dragged position
+    if (key === "anchor") {
+      changes.x = null;
+      changes.y = null;
+    }
+
+    this.updateOverlay(changes);
+  }
+
+  /**
+   * Merge layout changes into the state and the running compositor
+   * @param {object} changes
+   */
+  updateOverlay(changes) {
+    this.state.overlay = { ...this.state.overlay, ...changes };
+
+    if (this.state.isRecording && this.state.mode === "combined") {
+      this.recorder.setOverlayLayout(changes);
+      this.syncOverlayEditor();
+    }
+  }
+
+  /**
+   * Build one button per annotation tool
+   */
+  renderAnnotationTools() {
+    const buttons = Object.entries(ANNOTATION_TOOLS).map(([name, tool]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "tool-button";
+      button.dataset.tool = name;
+      button.textContent = tool.label;
+      button.title = `${tool.label} (Alt+${tool.hotkey})`;
+      button.addEventListener("click", () => this.selectAnnotationTool(name));
+      return button;
+    });
+
+    this.elements.annotationTools.replaceChildren(...buttons);
+    this.updateAnnotationTools();
+  }
+
+  /**
+   * Highlight the active annotation tool
+   */
+  updateAnnotationTools() {
+    this.elements.annotationTools
+      .querySelectorAll(".tool-button")
+      .forEach((button) => {
+        const active = button.dataset.tool === this.state.annotation.tool;
+        button.classList.toggle("active", active);
+        button.setAttribute("aria-pressed", String(active));
+      });
+  }
+
+  /**
+   * Pick the tool for the next strokes
+   * @param {string} tool - Key of ANNOTATION_TOOLS
+   */
+  selectAnnotationTool(tool) {
+    if (!ANNOTATION_TOOLS[tool]) return;
+    this.state.annotation.tool = tool;
+    this.updateAnnotationTools();
+  }
+
+  /**
+   * Whether strokes drawn on the preview go into the recording
+   */
+  isAnnotating() {
+    return (
+      this.state.annotationsEnabled &&
+      (this.state.isRecording || this.state.isWaiting) &&
+      this.recorder.canAnnotate
+    );
+  }
+
+  /**
+   * Remove every stroke from the recording
+   */
+  clearAnnotations() {
+    this.recorder.annotate({ type: "clear" });
+  }
+
+  /**
+   * Draw strokes with the pointer on the preview. Points are sent in
+   * output coordinates, normalized, as the stroke grows.
+   */
+  setupAnnotationDrawing() {
+    const surface = this.elements.annotationSurface;
+    let stroke = null;
+
+    const toPoint = (e) => {
+      const { width, height } = this.recorder.outputSize;
+      const { scale, offsetX, offsetY } = this.getPreviewTransform(
+        width,
+        height
+      );
+      const bounds = surface.getBoundingClientRect();
+      return [
+        (e.clientX - bounds.left - offsetX) / scale / width,
+        (e.clientY - bounds.top - offsetY) / scale / height,
+      ];
+    };
+
+    surface.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0 || !this.isAnnotating()) return;
+      e.preventDefault();
+      surface.setPointerCapture(e.pointerId);
+      stroke = createStroke(this.state.annotation, toPoint(e));
+      this.recorder.annotate({ type: "stroke", stroke });
+    });
+
+    surface.addEventListener("pointermove", (e) => {
+      if (!stroke || !this.recorder.canAnnotate) return;
+      extendStroke(stroke, toPoint(e));
+      this.recorder.annotate({ type: "stroke", stroke });
+    });
+
+    const finish = () => {
+      if (!stroke) return;
+      stroke.endedAt = Date.now(); // Starts the fade-out delay
+      this.recorder.annotate({ type: "stroke", stroke });
+      stroke = null;
+    };
+    surface.addEventListener("pointerup", finish);
+    surface.addEventListener("pointercancel", finish);
+  }
+
+  /**
+   * Map output pixels to preview pixels. The preview is object-fit: cover,
+   * so the output is scaled up and centered in the container.
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   */
+  getPreviewTransform(width, height) {
+    const container = this.elements.previewContainer;
+    const scale = Math.max(
+      container.clientWidth / width,
+      container.clientHeight / height
+    );
+
+    return {
+      scale,
+      offsetX: (container.clientWidth - width * scale) / 2,
+      offsetY: (container.clientHeight - height * scale) / 2,
+    };
+  }
+
+  /**
+   * Place the PiP editor box over the overlay the compositor is drawing
+   */
+  syncOverlayEditor() {
+    const pipContainer = this.elements.pipContainer;
+    if (!pipContainer.classList.contains("editing")) return;
+
+    const geometry = this.recorder.getOverlayGeometry();
+    if (!geometry) return;
+
+    const { rect, width, height, layout } = geometry;
+    const { scale, offsetX, offsetY } = this.getPreviewTransform(width, height);
+
+    pipContainer.style.left = `${offsetX + rect.x * scale}px`;
+    pipContainer.style.top = `${offsetY + rect.y * scale}px`;
+    pipContainer.style.width = `${rect.width * scale}px`;
+    pipContainer.style.height = `${rect.height * scale}px`;
+    pipContainer.style.right = "auto";
+    pipContainer.style.bottom = "auto";
+    pipContainer.classList.toggle("circle", layout.shape === "circle");
+  }
+
+  /**
+   * Send the editor box position and height to the compositor as a
+   * normalized layout
+   * @param {number} left - Preview px
+   * @param {number} top - Preview px
+   * @param {number} boxHeight - Preview px
+   */
+  moveOverlayTo(left, top, boxHeight) {
+    const geometry = this.recorder.getOverlayGeometry();
+    if (!geometry) return;
+
+    const { width, height } = geometry;
+    const { scale, offsetX, offsetY } = this.getPreviewTransform(width, height);
+
+    this.updateOverlay({
+      x: (left - offsetX) / scale / width,
+      y: (top - offsetY) / scale / height,
+      size: boxHeight / scale / Math.min(width, height),
+    });
+  }
+
+  /**
+   * Setup PiP dragging functionality
+   */
+  setupPiPDragging() {
+    let isDragging = false;
+    let isResizing = false;
+    let startX, startY, startLeft, startTop, startWidth, startHeight;
+
+    const pipContainer = this.elements.pipContainer;
+    const pipHandle = this.elements.pipHandle;
+    const container = this.elements.previewContainer;
+
+    // Dragging
+    pipContainer.addEventListener("mousedown", (e) => {
+      if (e.target === pipHandle) return;
+      e.preventDefault();
+      isDragging = true;
+      startX = e.clientX;
+      startY = e.clientY;
+      startLeft = pipContainer.offsetLeft;
+      startTop = pipContainer.offsetTop;
+      pipContainer.style.transition = "none";
+    });
+
+    // Resizing
+    pipHandle.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      isResizing = true;
+      startX = e.clientX;
+      startY = e.clientY;
+      startWidth = pipContainer.offsetWidth;
+      startHeight = pipContainer.offsetHeight;
+      pipContainer.style.transition = "none";
+    });
+
+    document.addEventListener("mousemove", (e) => {
+      // In combined mode the box edits the overlay drawn into the recording
+      const editing = pipContainer.classList.contains("editing");
+
+      if (isDragging) {
+        const deltaX = e.clientX - startX;
+        const deltaY = e.clientY - startY;
+        const newLeft = Math.max(
+          0,
+          Math.min(
+            startLeft + deltaX,
+            container.clientWidth - pipContainer.offsetWidth
+          )
+        );
+        const newTop = Math.max(
+          0,
+          Math.min(
+            startTop + deltaY,
+            container.clientHeight - pipContainer.offsetHeight
+          )
+        );
+
+        if (editing) {
+          this.moveOverlayTo(newLeft, newTop, pipContainer.offsetHeight);
+          return;
+        }
+
+        pipContainer.style.left = newLeft + "px";
+        pipContainer.style.top = newTop + "px";
+        pipContainer.style.right = "auto";
+        pipContainer.style.bottom = "auto";
+      } else if (isResizing) {
+        const deltaX = e.clientX - startX;
+        const deltaY = e.clientY - startY;
+
+        if (editing) {
+          // The overlay keeps its aspect ratio; its height sets the size
+          const grow = Math.max(
+            deltaY,
+            (deltaX * startHeight) / (startWidth || 1)
+          );
+          this.moveOverlayTo(
+            pipContainer.offsetLeft,
+            pipContainer.offsetTop,
+            Math.max(24, startHeight + grow)
+          );
+          return;
+        }
+
+        const newWidth = Math.max(120, Math.min(startWidth + deltaX, 400));
+        const newHeight = Math.max(90, Math.min(startHeight + deltaY, 300));
+
+        pipContainer.style.width = newWidth + "px";
+        pipContainer.style.height = newHeight + "px";
+      }
+    });
+
+    document.addEventListener("mouseup", () => {
+      if (isDragging || isResizing) {
+        pipContainer.style.transition = "";
+        isDragging = false;
+        isResizing = false;
+      }
+    });
+  }
+
+  /**
+   * Start recording
+   */
+  async startRecording() {
+    try {
+      performance.mark("recording-start");
+      this.performanceMetrics.startTime = Date.now();
+      this.performanceMetrics.chunkCount = 0;
+      this.performanceMetrics.totalBytes = 0;
+
+      const config = this.getRecordingConfig();
+      await this.recorder.start(config); // Resolves after any countdown
+      this.stopCountdown();
+      if (this.state.branding.lowerThird.showAtStart) {
+        this.recorder.setLowerThird(true);
+      }
+      if (this.state.upload.endpoint && this.recorder.takes) {
+        this.showNotice("Recordings with retakes are uploaded once stopped");
+      }
+
+      this.state.isRecording = true;
+      this.state.isPaused = false;
+      this.state.startTime = Date.now();
+      this.state.fileSize = 0;
+      this.state.droppedFrames = 0;
+      this.state.storagePressure = null;
+
+      await this.showPreview();
+      this.updateUI();
+      this.startUpdateLoop();
+      this.loadDevices(); // Labels are only readable once permission is granted
+
+      performance.mark("recording-start-complete");
+      performance.measure(
+        "recording-start-duration",
+        "recording-start",
+        "recording-start-complete"
+      );
+    } catch (error) {
+      if (error.name === "AbortError") {
+        this.resetRecording();
+        this.showNotice("Recording cancelled");
+        return;
+      }
+      console.error("Failed to start recording:", error);
+      this.showError(`Failed to start recording: ${error.message}`);
+      this.resetRecording();
+    }
+  }
+
+  /**
+   * Pause recording
+   */
+  pauseRecording() {
+    if (this.isStreamOnly()) return;
+    try {
+      this.recorder.pause();
+      this.state.isPaused = true;
+      this.updateUI();
+    } catch (error) {
+      console.error("Failed to pause recording:", error);
+      this.showError(`Failed to pause recording: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark the current point of the recording as the start of a chapter
+   */
+  addMarker() {
+    if (this.isStreamOnly()) return;
+    const marker = this.recorder.addMarker();
+    if (marker) {
+      this.showNotice(
+        `${marker.label} marked at ${formatTrimTime(marker.time / 1000)}`
+      );
+    }
+  }
+
+  /**
+   * Throw away the last take and carry on from where it started
+   */
+  async retakeRecording() {
+    const paused = this.state.isPaused;
+    if (await this.recorder.retake()) {
+      this.showNotice(
+        paused
+          ? "Last take thrown away - resume to record it again"
+          : "Take thrown away - recording again from the last pause"
+      );
+    }
+  }
+
+  /**
+   * Resume recording
+   */
+  resumeRecording() {
+    try {
+      this.recorder.resume();
+      this.state.isPaused = false;
+      this.updateUI();
+    } catch (error) {
+      console.error("Failed to resume recording:", error);
+      this.showError(`Failed to resume recording: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop recording
+   */
+  async stopRecording() {
+    // Still counting down: startRecording() handles the cancellation
+    if (this.state.isWaiting) {
+      this.recorder.cancelStart();
+      return;
+    }
+
+    try {
+      performance.mark("recording-stop");
+      this.elements.statusText.textContent = "Finalizing…";
+
+      const sessionId = this.recorder.sessionId;
+      const streamOnly = this.isStreamOnly();
+      const blob = await this.recorder.stop();
+      const uploadName = this.uploadName;
+      const live = this.finishUpload();
+      this.resetRecording();
+
+      if (streamOnly) {
+        // Nothing was recorded, by choice
+        this.showNotice("Live stream ended");
+      } else if (blob && this.recorder.segments.length > 0) {
+        // Split: the parts are saved as they finish; this is the manifest
+        this.saveManifest(blob);
+      } else if (blob && blob.size > 0 && this.recorder.savedToFile) {
+        // Already on disk: no save dialog, and no need for the crash copy
+        this.recorder.discardSession(sessionId);
+        this.showNotice(`Recording saved to ${this.recorder.savedToFile}`);
+        this.saveChaptersFile(
+          this.recorder.markers,
+          this.recorder.getMediaTime(),
+          this.recorder.savedToFile
+        );
+        this.setOutputFile(null);
+      } else if (blob && blob.size > 0) {
+        this.showSaveDialog(
+          blob,
+          sessionId,
+          this.state.mode,
+          this.recorder.markers
+        );
+      } else {
+        this.recorder.discardSession(sessionId);
+        this.showError("Recording failed - no data captured");
+      }
+
+      // Parts went up as they finished; a single file goes up finalized now
+      if (blob?.size > 0 && !streamOnly && !this.recorder.segments.length) {
+        this.uploadFinalized(
+          blob,
+          uploadName || this.getDefaultFilename(this.getContainer(blob)),
+          live
+        );
+      }
+
+      performance.mark("recording-stop-complete");
+      performance.measure(
+        "recording-stop-duration",
+        "recording-stop",
+        "recording-stop-complete"
+      );
+
+      // Log performance metrics
+      const duration = Date.now() - this.performanceMetrics.startTime;
+      console.log("Recording performance:", {
+        duration: `${duration}ms`,
+        chunks: this.performanceMetrics.chunkCount,
+        totalBytes: this.performanceMetrics.totalBytes,
+        avgChunkSize: Math.round(
+          this.performanceMetrics.totalBytes /
+            this.performanceMetrics.chunkCount
+        ),
+        avgBytesPerSecond: Math.round(
+          this.performanceMetrics.totalBytes / (duration / 1000)
+        ),
+      });
+    } catch (error) {
+      console.error("Failed to stop recording:", error);
+      this.showError(`Failed to stop recording: ${error.message}`);
+      this.resetRecording();
+    }
+  }
+
+  /**
+   * Show the live sources: the preview, and the PiP box over a raw screen
+   * feed or as the overlay editor. Safe to call again.
+   */
+  async showPreview() {
+    const stream = this.getPreviewStream();
+    if (stream && this.elements.previewVideo.srcObject !== stream) {
+      this.elements.previewVideo.srcObject = stream;
+      try {
+        await this.elements.previewVideo.play();
+      } catch {}
+    }
+
+    // The overlay is composed into the output; the PiP box becomes an
+    // editor for its position and size instead of a second webcam view
+    if (this.state.mode === "combined") {
+      this.elements.pipContainer.classList.add("editing");
+      this.elements.pipContainer.style.display = "block";
+      this.syncOverlayEditor();
+    } else if (
+      this.state.mode === "screen" &&
+      this.recorder.streams.webcam &&
+      this.elements.pipVideo.srcObject !== this.recorder.streams.webcam
+    ) {
+      // Optional: show live webcam PiP over raw screen preview
+      this.elements.pipVideo.srcObject = this.recorder.streams.webcam;
+      try {
+        await this.elements.pipVideo.play();
+      } catch {}
+      this.elements.pipContainer.style.display = "block";
+    }
+  }
+
+  /**
+   * Sources are live but nothing is written yet: preview them and count
+   * down to the start
+   * @param {number} startsAt - Epoch ms
+   * @param {number} countdown - Seconds of the big on-screen countdown
+   */
+  async startCountdown(startsAt, countdown) {
+    this.state.isWaiting = true;
+    this.state.startsAt = startsAt;
+    this.countdownSeconds = countdown;
+
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = setInterval(() => this.updateCountdown(), 200);
+    this.updateUI();
+    this.updateCountdown();
+    await this.showPreview();
+  }
+
+  /**
+   * Refresh the countdown overlay and the status text
+   */
+  updateCountdown() {
+    if (!this.state.isWaiting) return;
+
+    const remaining = this.state.startsAt - Date.now();
+    const counting =
+      this.countdownSeconds > 0 && remaining <= this.countdownSeconds * 1000;
+
+    this.elements.countdownOverlay.style.display = counting ? "flex" : "none";
+    this.elements.countdownValue.textContent = Math.max(
+      1,
+      Math.ceil(remaining / 1000)
+    );
+    this.elements.statusText.textContent = this.getWaitingStatus();
+  }
+
+  /**
+   * "Starting in 0:05", or "Starts at 14:00 (in 1:23:45)" for a scheduled
+   * start
+   */
+  getWaitingStatus() {
+    const remaining = this.state.startsAt - Date.now();
+    if (!this.state.startAt || remaining <= this.countdownSeconds * 1000) {
+      return `Starting in ${formatTime(remaining)}`;
+    }
+    return `Starts at ${this.state.startAt} (in ${formatTime(remaining)})`;
+  }
+
+  /**
+   * Leave the waiting state, whether the recording started or not
+   */
+  stopCountdown() {
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+    this.state.isWaiting = false;
+    this.state.startsAt = null;
+    this.elements.countdownOverlay.style.display = "none";
+  }
+
+  /**
+   * Countdown, start time and auto-stop for the recorder, from the Timer
+   * controls
+   */
+  getSchedule() {
+    const startAt = this.state.startAt ? nextClockTime(this.state.startAt) : 0;
+    const stopAfter = parseFloat(this.state.stopAfter);
+
+    return {
+      countdown: this.state.countdown,
+      startAt,
+      stopAfter: stopAfter > 0 ? stopAfter * 60000 : 0,
+      // A stop time before the start time means the next day
+      stopAt: this.state.stopAt
+        ? nextClockTime(this.state.stopAt, startAt || Date.now())
+        : 0,
+    };
+  }
+
+  /**
+   * Get recording configuration
+   */
+  getRecordingConfig() {
+    const qualityMap = {
+      "1080p": { width: 1920, height: 1080 },
+      "720p": { width: 1280, height: 720 },
+      "480p": { width: 854, height: 480 },
+    };
+
+    return {
+      mode: this.state.mode,
+      video: {
+        ...qualityMap[this.state.quality],
+        frameRate: 30,
+      },
+      audio: {
+        mic: this.state.micEnabled,
+        deviceId: this.state.selectedMic || undefined,
+        system: this.state.systemAudioEnabled && this.state.mode !== "webcam",
+        gains: { ...this.state.audioGains },
+        muted: { ...this.state.audioMuted },
+        processing: { preset: this.state.audioProcessing },
+      },
+      bitrate: {
+        video: this.state.bitrate,
+        audio: 128000,
+      },
+      deviceId: this.state.selectedDevice || undefined,
+      container: this.state.container,
+      schedule: this.getSchedule(),
+      overlay: { ...this.state.overlay },
+      scene: this.state.scene,
+      webcamEffect: { ...this.state.webcamEffect },
+      annotations: this.state.annotationsEnabled,
+      retakes: this.state.retakesEnabled,
+      stream: this.state.stream.endpoint
+        ? {
+            endpoint: this.state.stream.endpoint,
+            token: this.state.stream.token,
+            bitrate: {
+              video: this.state.stream.bitrate,
+              audio: DEFAULT_STREAM_BITRATE.audio,
+            },
+          }
+        : null,
+      record: !this.state.stream.endpoint || this.state.stream.record,
+      branding: this.state.branding,
+      visualizer:
+        this.state.mode === "audio" && this.state.visualizerEnabled
+          ? { ...this.state.visualizer }
+          : null,
+      segment: {
+        duration: this.state.splitDuration,
+        size: this.state.splitSize,
+      },
+      output: {
+        fileHandle:
+          this.state.outputFile?.kind === "file" ? this.state.outputFile : null,
+        directoryHandle:
+          this.state.outputFile?.kind === "directory"
+            ? this.state.outputFile
+            : null,
+        baseName: this.getDefaultFilename().replace(/\.\w+$/, ""),
+      },
+    };
+  }
+
+  /**
+   * Get preview stream
+   * @returns {MediaStream}
+   */
+  getPreviewStream() {
+    switch (this.state.mode) {
+      case "screen":
+        // Composed when annotations are enabled
+        return this.recorder.streams.combined || this.recorder.streams.screen;
+      case "webcam":
+        // Composed when a background effect runs in software or annotations
+        // are enabled
+        return this.recorder.streams.combined || this.recorder.streams.webcam;
+      case "combined":
+        // WebCodecs and Canvas paths both set this.streams.combined
+        return this.recorder.streams.combined;
+      case "audio":
+        // The visualizer video, if one is recorded
+        return this.recorder.streams.combined;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Change the gain of an audio source; applies live while recording
+   * @param {"mic"|"system"} source
+   * @param {number} gain - 0..2
+   */
+  setAudioGain(source, gain) {
+    this.state.audioGains[source] = gain;
+    this.elements[`${source}Gain`].title = `${Math.round(gain * 100)}%`;
+    this.recorder.setSourceGain(source, gain);
+  }
+
+  /**
+   * Mute or unmute an audio source; applies live while recording
+   * @param {"mic"|"system"} source
+   */
+  toggleAudioMute(source) {
+    const muted = !this.state.audioMuted[source];
+    this.state.audioMuted[source] = muted;
+    this.recorder.muteSource(source, muted);
+
+    const button = this.elements[`${source}Mute`];
+    button.setAttribute("aria-pressed", String(muted));
+    button.textContent = muted ? "Unmute" : "Mute";
+  }
+
+  /**
+   * Show the level of each recorded audio source, after its gain
+   */
+  updateAudioMeters() {
+    const sources = this.recorder.getAudioSources();
+    AUDIO_SOURCES.forEach((source) => {
+      const level = sources[source]?.level ?? 0;
+      this.elements[`${source}Level`].style.width = `${level * 100}%`;
+    });
+  }
+
+  /**
+   * Start the update loop for live stats
+   */
+  startUpdateLoop() {
+    const update = () => {
+      if (!this.state.isRecording) return;
+
+      // Update duration: recorded media, so pauses and retakes don't count
+      this.state.duration = this.recorder.getMediaTime();
+
+      // Update UI
+      this.updateLiveStats();
+      this.updateAudioMeters();
+
+      this.animationFrame = requestAnimationFrame(update);
+    };
+
+    update();
+  }
+
+  /**
+   * Update live statistics
+   */
+  updateLiveStats() {
+    // Duration
+    const minutes = Math.floor(this.state.duration / 60000);
+    const seconds = Math.floor((this.state.duration % 60000) / 1000);
+    this.elements.durationDisplay.textContent = `${minutes
+      .toString()
+      .padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`;
+
+    // File size
+    const sizeMB = (this.state.fileSize / (1024 * 1024)).toFixed(1);
+    this.elements.fileSizeDisplay.textContent = `${sizeMB} MB`;
+
+    // Pipeline stats are cheap, but the DOM updates are not; refresh twice a second
+    const now = performance.now();
+    if (now - this.lastStatsUpdate >= 500) {
+      this.lastStatsUpdate = now;
+      const stats = this.recorder.getStats();
+      this.state.droppedFrames = stats.droppedFrames;
+      if (this.elements.statsPanel.open) {
+        this.renderStats(stats);
+      }
+    }
+
+    // Time left before a scheduled stop
+    if (this.recorder.stopAt && !this.state.isPaused) {
+      this.elements.statusText.textContent = `Recording · ${formatTime(
+        this.recorder.stopAt - Date.now()
+      )} left`;
+    }
+
+    // Dropped frames (source + compositor + encoder)
+    this.elements.droppedFramesDisplay.textContent =
+      this.state.droppedFrames.toString();
+
+    // Storage pressure
+    const pressure = this.state.storagePressure;
+    const storageLabels = {
+      ok: "Memory",
+      spilling: "Disk",
+      critical: "Low space",
+    };
+    const level = pressure?.level || "ok";
+    const storageDisplay = this.elements.storageDisplay;
+    storageDisplay.textContent = storageLabels[level];
+    storageDisplay.title = pressure?.message || "";
+    storageDisplay.className = `info-value${
+      level === "spilling"
+        ? " warning"
+        : level === "critical"
+        ? " critical"
+        : ""
+    }`;
+  }
+
+  /**
+   * Fill the stats panel from Recorder.getStats()
+   * @param {object} stats
+   */
+  renderStats(stats) {
+    const rows = [];
+
+    const describeSource = (source) => {
+      const parts = [];
+      if (source.width) parts.push(`${source.width}×${source.height}`);
+      if (source.frameRate) parts.push(`${Math.round(source.frameRate)} fps`);
+      if (source.totalFrames !== undefined) {
+        parts.push(
+          `${source.discardedFrames} of ${source.totalFrames} discarded`
+        );
+      }
+      return parts.join(" · ");
+    };
+    if (stats.sources.screen) {
+      rows.push(["Screen", describeSource(stats.sources.screen)]);
+    }
+    if (stats.sources.webcam) {
+      rows.push(["Webcam", describeSource(stats.sources.webcam)]);
+    }
+
+    const compositor = stats.compositor;
+    if (compositor) {
+      // Only the Canvas path can miss frames: the worker reads every one
+      const skipped =
+        compositor.skippedFrames === undefined
+          ? ""
+          : ` · ${compositor.skippedFrames} skipped`;
+      rows.push([
+        "Compositor",
+        `${compositor.path === "worker" ? "Worker" : "Canvas"} · ${
+          compositor.composedFrames
+        } frames${skipped} · ${compositor.composeTime.toFixed(1)} ms/frame`,
+      ]);
+    }
+
+    const encoder = stats.encoder;
+    if (encoder.type === "webcodecs") {
+      rows.push([
+        "Encoder",
+        `WebCodecs · queue ${encoder.videoQueueSize} video / ${encoder.audioQueueSize} audio · ${encoder.droppedFrames} dropped`,
+      ]);
+    } else if (encoder.type === "mediarecorder") {
+      rows.push(["Encoder", "MediaRecorder"]);
+    }
+
+    const targetMbps = (this.state.bitrate / 1e6).toFixed(1);
+    rows.push([
+      "Bitrate",
+      `${(stats.bitrate / 1e6).toFixed(1)} Mbps (target ${targetMbps})`,
+    ]);
+    if (stats.mimeType) rows.push(["Format", stats.mimeType]);
+
+    const list = this.elements.statsList;
+    list.replaceChildren(
+      ...rows.flatMap(([label, value]) => {
+        const dt = document.createElement("dt");
+        const dd = document.createElement("dd");
+        dt.textContent = label;
+        dd.textContent = value;
+        return [dt, dd];
+      })
+    );
+  }
+
+  /**
+   * Update UI based on current state
+   */
+  updateUI() {
+    // Status indicator
+    if (this.state.isWaiting) {
+      this.elements.statusDot.className = "status-dot waiting";
+      this.elements.statusText.textContent = this.getWaitingStatus();
+    } else if (this.state.isRecording) {
+      this.elements.statusDot.className = this.state.isPaused
+        ? "status-dot paused"
+        : "status-dot recording";
+      this.elements.statusText.textContent = this.state.isPaused
+        ? "Paused"
+        : this.isStreamOnly()
+        ? "Streaming"
+        : "Recording";
+    } else {
+      this.elements.statusDot.className = "status-dot";
+      this.elements.statusText.textContent = "Ready";
+    }
+
+    // Device selector visibility
+    const showDevices =
+      this.state.mode === "webcam" || this.state.mode === "combined";
+    this.elements.deviceGroup.style.display = showDevices ? "block" : "none";
+    const audioOnly = this.state.mode === "audio";
+    this.elements.micGroup.style.display =
+      (showDevices || audioOnly) && this.state.micEnabled ? "block" : "none";
+    this.elements.effectGroup.style.display = showDevices ? "block" : "none";
+    this.elements.visualizerGroup.style.display = audioOnly ? "block" : "none";
+
+    // Scenes and the overlay layout only apply when screen and webcam are
+    // composited
+    const composited = this.state.mode === "combined";
+    this.elements.sceneGroup.style.display = composited ? "block" : "none";
+    this.elements.overlayGroup.style.display = composited ? "block" : "none";
+
+    // System audio toggle visibility
+    const showSystemAudio =
+      this.state.mode === "screen" ||
+      this.state.mode === "combined" ||
+      audioOnly;
+    this.elements.systemAudioGroup.style.display = showSystemAudio
+      ? "flex"
+      : "none";
+
+    // Recording controls (Stop also cancels a countdown)
+    const busy = this.state.isRecording || this.state.isWaiting;
+    // A stream can't pause, and has no file to mark
+    const streamOnly = this.isStreamOnly();
+    this.elements.startBtn.disabled = busy;
+    this.elements.pauseBtn.disabled =
+      !this.state.isRecording || this.state.isPaused || streamOnly;
+    this.elements.pauseBtn.style.display = this.state.isPaused
+      ? "none"
+      : "flex";
+    this.elements.resumeBtn.disabled = !this.state.isPaused;
+    this.elements.resumeBtn.style.display = this.state.isPaused
+      ? "flex"
+      : "none";
+    this.elements.stopBtn.disabled = !busy;
+    this.elements.markerBtn.disabled = !this.state.isRecording || streamOnly;
+    this.elements.retakeBtn.disabled = !this.recorder.canRetake;
+
+    // Show PiP over a raw screen feed, or as the overlay editor (combined)
+    const showPip =
+      busy &&
+      ((this.state.mode === "screen" && !!this.recorder.streams.webcam) ||
+        (this.state.mode === "combined" &&
+          this.state.scene === "pip" &&
+          !!this.recorder.streams.combined));
+
+    this.elements.pipContainer.style.display = showPip ? "block" : "none";
+
+    // Audio without a visualizer has no picture; say so rather than show
+    // a black preview
+    const blank = busy && audioOnly && !this.recorder.streams.combined;
+    this.elements.previewOverlay.style.display =
+      busy && !blank ? "none" : "flex";
+    this.elements.previewMessage.textContent = blank
+      ? "Recording audio only"
+      : "Select recording mode and click Start";
+
+    // Strokes are drawn on the preview once a compositor is running
+    const annotating = this.isAnnotating();
+    this.elements.annotationSurface.style.display = annotating
+      ? "block"
+      : "none";
+    this.elements.annotationUndo.disabled = !annotating;
+    this.elements.annotationClear.disabled = !annotating;
+    this.elements.lowerThirdToggle.disabled =
+      !busy || !this.recorder.canShowLowerThird;
+
+    // Mode-specific controls
+    const controls = [
+      "modeSelect",
+      "qualitySelect",
+      "bitrateSelect",
+      "containerSelect",
+      "audioProcessing",
+      "countdownSelect",
+      "startAtInput",
+      "stopAfterInput",
+      "stopAtInput",
+      "splitDurationSelect",
+      "splitSizeSelect",
+      "retakesToggle",
+      "uploadEndpoint",
+      "uploadHeaders",
+      "streamEndpoint",
+      "streamToken",
+      "annotationsToggle",
+      "chooseFileBtn",
+      "clearFileBtn",
+      "visualizerToggle",
+      ...Object.keys(VISUALIZER_CONTROLS),
+    ];
+    controls.forEach((control) => {
+      this.elements[control].disabled = busy;
+    });
+    this.elements.streamRecordToggle.disabled =
+      busy || !this.state.stream.endpoint;
+    // MP4 is encoded with WebCodecs and muxed in-house, driven by video
+    // frames: audio on its own is only recorded as WebM
+    const mp4Option = this.elements.containerSelect.querySelector(
+      'option[value="mp4"]'
+    );
+    mp4Option.disabled =
+      !EncoderRecorder.isSupported() ||
+      (audioOnly && !this.state.visualizerEnabled);
+    if (mp4Option.disabled && this.state.container === "mp4" && !busy) {
+      this.setContainer("webm");
+    }
+    // Takes are joined into one WebM, so not with parts or MP4
+    this.elements.retakesToggle.disabled =
+      busy || this.isSplitting() || this.state.container === "mp4";
+    this.elements.chooseFileBtn.textContent = this.isSplitting()
+      ? "Choose folder…"
+      : "Choose file…";
+    // Devices switch live where the recording allows it
+    Object.entries(DEVICE_PICKERS).forEach(([kind, [id]]) => {
+      this.elements[id].disabled = busy && !this.recorder.canSwitchDevice(kind);
+    });
+    // Overlay controls stay enabled: they restyle the recording as it runs.
+    // Background controls do too, once the webcam runs through a compositor.
+    const effectLocked = busy && !this.recorder.canChangeEffectLive;
+    [...Object.keys(EFFECT_CONTROLS), "effectBackgroundImage"].forEach((id) => {
+      this.elements[id].disabled = effectLocked;
+    });
+    this.updateBlurOption();
+  }
+
+  /**
+   * Show save dialog
+   * @param {Blob} blob
+   * @param {string|null} sessionId - Stored session to delete once handled
+   * @param {string} [mode] - Recording mode, for the library
+   * @param {{time: number, label: string}[]} [markers] - Set while recording
+   */
+  showSaveDialog(blob, sessionId = null, mode = this.state.mode, markers = []) {
+    this.elements.filenameInput.value = this.getDefaultFilename(
+      this.getContainer(blob)
+    );
+    this.elements.saveDialog.style.display = "flex";
+    this.elements.filenameInput.focus();
+    this.elements.filenameInput.select();
+
+    this.pendingBlob = blob;
+    this.pendingSessionId = sessionId;
+    this.pendingMode = mode;
+    this.reviewMarkers = markers.map((marker) => ({ ...marker }));
+    this.markersEdited = false;
+    this.openReview(blob);
+
+    // Audio-only recordings have no frames to animate
+    const audioOnly = blob.type.startsWith("audio/");
+    if (audioOnly) this.elements.saveFormat.value = "video";
+    this.elements.saveFormat.disabled = audioOnly;
+    this.updateSaveFormat();
+  }
+
+  /**
+   * Load a recording into the review step: player, thumbnail timeline and
+   * in/out points covering all of it
+   * @param {Blob} blob
+   */
+  async openReview(blob) {
+    this.closeReview();
+    this.reviewUrl = URL.createObjectURL(blob);
+    this.elements.reviewVideo.src = this.reviewUrl;
+
+    // MP4 is cut at fragments, which start at keyframes
+    const precise = canTrimPrecisely(blob);
+    this.elements.trimPrecise.disabled = !precise;
+    this.elements.trimPrecise.checked = false;
+    this.elements.trimPrecise.parentElement.title = precise
+      ? ""
+      : "MP4 recordings are cut at the keyframe before the in point";
+
+    this.trim = { start: 0, end: 0, duration: 0 };
+    this.elements.trimTimeline.classList.add("loading");
+    this.updateTrim();
+
+    let duration = 0;
+    let frames = [];
+    try {
+      ({ duration, frames } = await captureFrames(blob, TRIM_FRAMES));
     } catch (error) {
-      console.error("Failed to pause recording:", error);
-      this.showError(`Failed to pause recording: ${error.message}`);
+      console.warn("Could not build the trim timeline:", error);
     }
+    if (this.pendingBlob !== blob) return; // Closed or replaced meanwhile
+
+    this.trim = { start: 0, end: duration, duration };
+    this.elements.trimStrip.replaceChildren(...frames);
+    this.elements.trimTimeline.classList.remove("loading");
+    this.updateTrim();
+    this.renderMarkers();
   }
 
   /**
-   * Resume recording
+   * Unload the review player and timeline
    */
-  resumeRecording() {
+  closeReview() {
+    const video = this.elements.reviewVideo;
+    video.pause();
+    video.removeAttribute("src");
+    video.load();
+    if (this.reviewUrl) {
+      URL.revokeObjectURL(this.reviewUrl);
+      this.reviewUrl = null;
+    }
+    this.elements.trimStrip.replaceChildren();
+    this.elements.trimMarkers.replaceChildren();
+    this.elements.markerList.replaceChildren();
+  }
+
+  /**
+   * Move the in or out point, keeping at least MIN_TRIM between them
+   * @param {"start"|"end"} point
+   * @param {number} time - Seconds
+   */
+  setTrim(point, time) {
+    const { start, end, duration } = this.trim;
+    if (!duration || !Number.isFinite(time)) return;
+
+    if (point === "start") {
+      this.trim.start = Math.min(Math.max(0, time), end - MIN_TRIM);
+    } else {
+      this.trim.end = Math.max(Math.min(duration, time), start + MIN_TRIM);
+    }
+    this.updateTrim();
+
+    // Show the frame at the point being moved
+    this.elements.reviewVideo.currentTime = this.trim[point];
+  }
+
+  /**
+   * Sync the handles, selection and readout with the trim points
+   */
+  updateTrim() {
+    const { start, end, duration } = this.trim;
+    const percent = (time) => (duration ? (time / duration) * 100 : 0);
+
+    for (const [id, value] of [
+      ["trimStart", start],
+      ["trimEnd", end],
+    ]) {
+      this.elements[id].max = duration;
+      this.elements[id].value = value;
+      this.elements[id].disabled = !duration;
+    }
+    this.elements.setTrimStart.disabled = !duration;
+    this.elements.setTrimEnd.disabled = !duration;
+
+    this.elements.trimSelection.style.left = `${percent(start)}%`;
+    this.elements.trimSelection.style.width = `${percent(end - start)}%`;
+    this.elements.trimRange.textContent = duration
+      ? `${formatTrimTime(start)} – ${formatTrimTime(end)} (${formatTrimTime(
+          end - start
+        )})`
+      : "Loading timeline…";
+    this.updateAnimationHint();
+  }
+
+  /**
+   * Move the playhead, and stop playback at the out point
+   */
+  updateReviewPlayback() {
+    const video = this.elements.reviewVideo;
+    const { end, duration } = this.trim;
+    if (!duration) return;
+
+    if (!video.paused && video.currentTime >= end && end < duration) {
+      video.pause();
+    }
+    this.elements.trimPlayhead.style.left = `${
+      (Math.min(video.currentTime, duration) / duration) * 100
+    }%`;
+  }
+
+  /**
+   * List the markers of the recording under review, with ticks on the
+   * timeline. Times and labels are editable; clicking a tick seeks to it.
+   */
+  renderMarkers() {
+    const { duration } = this.trim;
+    this.reviewMarkers = sortMarkers(this.reviewMarkers);
+
+    this.elements.trimMarkers.replaceChildren(
+      ...(duration ? this.reviewMarkers : []).map((marker) => {
+        const tick = document.createElement("button");
+        tick.type = "button";
+        tick.className = "trim-marker";
+        tick.style.left = `${Math.min(
+          100,
+          (marker.time / 1000 / duration) * 100
+        )}%`;
+        tick.title = marker.label;
+        tick.setAttribute("aria-label", `Go to ${marker.label}`);
+        tick.addEventListener("click", () => {
+          this.elements.reviewVideo.currentTime = marker.time / 1000;
+        });
+        return tick;
+      })
+    );
+
+    this.elements.markerList.replaceChildren(
+      ...this.reviewMarkers.map((marker) => this.createMarkerItem(marker))
+    );
+    this.elements.markersEmpty.style.display = this.reviewMarkers.length
+      ? "none"
+      : "block";
+    this.elements.addReviewMarker.disabled = !duration;
+  }
+
+  /**
+   * Row for one marker: time, label and remove
+   * @param {{time: number, label: string}} marker
+   * @returns {HTMLLIElement}
+   */
+  createMarkerItem(marker) {
+    const item = document.createElement("li");
+    item.className = "marker-item";
+
+    const time = document.createElement("input");
+    time.type = "text";
+    time.className = "marker-time";
+    time.value = formatTrimTime(marker.time / 1000);
+    time.setAttribute("aria-label", "Marker time");
+    time.addEventListener("change", () => {
+      const seconds = parseTrimTime(time.value);
+      if (Number.isFinite(seconds)) {
+        marker.time = Math.round(
+          Math.min(seconds, this.trim.duration || seconds) * 1000
+        );
+        this.markersEdited = true;
+      }
+      this.renderMarkers();
+    });
+
+    const label = document.createElement("input");
+    label.type = "text";
+    label.className = "marker-label";
+    label.value = marker.label;
+    label.setAttribute("aria-label", "Marker label");
+    label.addEventListener("change", () => {
+      marker.label = label.value.trim() || marker.label;
+      this.markersEdited = true;
+      this.renderMarkers();
+    });
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn btn-secondary";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => {
+      this.reviewMarkers = this.reviewMarkers.filter((m) => m !== marker);
+      this.markersEdited = true;
+      this.renderMarkers();
+    });
+
+    item.append(time, label, remove);
+    return item;
+  }
+
+  /**
+   * Add a marker at the review player's position
+   */
+  addReviewMarker() {
+    const time = Math.round(this.elements.reviewVideo.currentTime * 1000);
+    if (this.reviewMarkers.some((marker) => marker.time === time)) return;
+
+    this.reviewMarkers.push({
+      time,
+      label: `Chapter ${this.reviewMarkers.length + 1}`,
+    });
+    this.markersEdited = true;
+    this.renderMarkers();
+  }
+
+  /**
+   * The recording cut to the in/out points (or as is when they cover all
+   * of it), with its markers moved to match and written as its chapters
+   * @returns {Promise<{blob: Blob, markers: object[], duration: number}>}
+   *   Duration in ms
+   */
+  async getReviewedBlob() {
+    const { start, end, duration } = this.trim;
+    const trimmed = duration > 0 && (start > 0 || end < duration);
+
+    let blob = this.pendingBlob;
+    let markers = sortMarkers(this.reviewMarkers);
+    let cutStart = 0;
+    if (trimmed) {
+      const cut = await trimRecording(blob, {
+        start,
+        end,
+        precise: this.elements.trimPrecise.checked,
+      });
+      blob = cut.blob;
+      // The cut may begin at a keyframe before the in point
+      cutStart = cut.start;
+      markers = shiftMarkers(markers, cutStart * 1000, end * 1000);
+    }
+
+    // The recorder wrote the chapters as recorded; a cut drops them
+    if (trimmed || this.markersEdited) {
+      try {
+        blob = await applyChapters(blob, markers);
+      } catch (error) {
+        console.warn("Could not write the chapters:", error);
+      }
+    }
+
+    return { blob, markers, duration: (end - cutStart) * 1000 };
+  }
+
+  /**
+   * Offer the markers as a WebVTT chapters file next to a recording
+   * @param {{time: number, label: string}[]} markers
+   * @param {number} duration - Of the recording, ms
+   * @param {string} filename - Of the recording
+   */
+  saveChaptersFile(markers, duration, filename) {
+    if (markers.length === 0 || !this.elements.saveChapters.checked) return;
+
+    const name = `${filename.replace(/\.[^.]*$/, "")}.vtt`;
+    this.downloadBlob(createChaptersVtt(markers, duration), name);
+  }
+
+  /**
+   * Run a save step with the dialog buttons disabled and the clicked one
+   * showing its progress
+   * @param {HTMLButtonElement} button - The clicked button
+   * @param {string} label - Shown on it meanwhile
+   * @param {(setLabel: (label: string) => void) => Promise<*>} task
+   */
+  async whileSaving(button, label, task) {
+    const buttons = [
+      this.elements.confirmSave,
+      this.elements.keepSave,
+      this.elements.cancelSave,
+    ];
+    const disabled = buttons.map((el) => el.disabled);
+    const text = button.textContent;
+    buttons.forEach((el) => (el.disabled = true));
+    button.textContent = label;
+
     try {
-      this.recorder.resume();
-      this.state.isPaused = false;
-      this.updateUI();
+      return await task((progress) => (button.textContent = progress));
+    } finally {
+      buttons.forEach((el, i) => (el.disabled = disabled[i]));
+      button.textContent = text;
+    }
+  }
+
+  /**
+   * Trim the pending recording, with the dialog buttons busy meanwhile
+   * @param {HTMLButtonElement} button - The clicked button
+   * @returns {Promise<object|null>} See getReviewedBlob(); null if trimming
+   *   failed
+   */
+  async trimPendingRecording(button) {
+    try {
+      return await this.whileSaving(button, "Trimming…", () =>
+        this.getReviewedBlob()
+      );
+    } catch (error) {
+      console.error("Failed to trim recording:", error);
+      this.showError(`Could not trim the recording: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * File extension for the chosen save format
+   * @returns {string}
+   */
+  getSaveExtension() {
+    return (
+      ANIMATION_FORMATS[this.elements.saveFormat.value]?.extension ||
+      this.getContainer(this.pendingBlob)
+    );
+  }
+
+  /**
+   * Switch the save dialog between the recording itself and an animated
+   * GIF/WebP of the kept range
+   */
+  updateSaveFormat() {
+    const animated = this.elements.saveFormat.value in ANIMATION_FORMATS;
+    const input = this.elements.filenameInput;
+    if (input.value) {
+      input.value = `${input.value.replace(
+        /\.[^.]*$/,
+        ""
+      )}.${this.getSaveExtension()}`;
+    }
+
+    this.elements.animationOptions.style.display = animated ? "flex" : "none";
+    this.elements.animationHint.style.display = animated ? "block" : "none";
+    // Animations are cut exactly and carry no chapters; they aren't kept
+    this.elements.keepSave.disabled = animated;
+    this.elements.trimPrecise.disabled =
+      animated || !canTrimPrecisely(this.pendingBlob);
+    this.elements.saveChapters.disabled = animated;
+    this.updateAnimationHint();
+  }
+
+  /**
+   * Frame count and size of the animation, with a warning for long clips
+   */
+  updateAnimationHint() {
+    if (!(this.elements.saveFormat.value in ANIMATION_FORMATS)) return;
+
+    const { start, end, duration } = this.trim;
+    const { videoWidth, videoHeight } = this.elements.reviewVideo;
+    const fps = Number(this.elements.animationFps.value);
+    const width = Math.min(
+      Number(this.elements.animationWidth.value),
+      videoWidth || Infinity
+    );
+    const length = duration ? end - start : 0;
+
+    const details = [`${Math.max(1, Math.floor(length * fps))} frames`];
+    if (videoWidth) {
+      details.push(
+        `${width}×${Math.round((width * videoHeight) / videoWidth)}`
+      );
+    }
+    this.elements.animationHint.textContent = `${details.join(", ")}.${
+      length > LONG_ANIMATION
+        ? " Long clips make large files: trim to the part that matters."
+        : ""
+    }`;
+  }
+
+  /**
+   * Encode the kept range of the pending recording as a GIF or WebP
+   * @param {"gif"|"webp"} format
+   * @returns {Promise<Blob|null>} Null if it failed
+   */
+  async exportPendingAnimation(format) {
+    const { start, end, duration } = this.trim;
+
+    try {
+      return await this.whileSaving(
+        this.elements.confirmSave,
+        "Encoding…",
+        (setLabel) =>
+          exportAnimation(this.pendingBlob, {
+            format,
+            start,
+            end: duration ? end : Infinity,
+            fps: Number(this.elements.animationFps.value),
+            width: Number(this.elements.animationWidth.value),
+            onProgress: (progress) =>
+              setLabel(`Encoding… ${Math.round(progress * 100)}%`),
+          })
+      );
     } catch (error) {
-      console.error("Failed to resume recording:", error);
-      this.showError(`Failed to resume recording: ${error.message}`);
+      console.error("Failed to export animation:", error);
+      this.showError(
+        `Could not create the ${ANIMATION_FORMATS[format].label}: ${error.message}`
+      );
+      return null;
     }
   }
 
   /**
-   * Stop recording
+   * Build a timestamped default filename
+   * @param {"webm"|"mp4"} [container]
+   * @returns {string}
    */
-  async stopRecording() {
-    try {
-      performance.mark("recording-stop");
+  getDefaultFilename(container = this.state.container) {
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")
+      .slice(0, -5);
+    return `recordly-${timestamp}.${container}`;
+  }
 
-      const blob = await this.recorder.stop();
-      this.resetRecording();
+  /**
+   * Container (file extension) of a recording
+   * @param {Blob} blob
+   * @returns {"webm"|"mp4"}
+   */
+  getContainer(blob) {
+    return blob?.type.includes("mp4") ? "mp4" : "webm";
+  }
 
-      if (blob && blob.size > 0) {
-        this.showSaveDialog(blob);
-      } else {
-        this.showError("Recording failed - no data captured");
-      }
+  /**
+   * Confirm save
+   */
+  async confirmSave() {
+    const filename =
+      this.elements.filenameInput.value ||
+      `recording.${this.getSaveExtension()}`;
+    const openAfter = this.elements.openAfterSave.checked;
+    const format = this.elements.saveFormat.value;
 
-      performance.mark("recording-stop-complete");
-      performance.measure(
-        "recording-stop-duration",
-        "recording-stop",
-        "recording-stop-complete"
+    if (format in ANIMATION_FORMATS) {
+      const animation = await this.exportPendingAnimation(format);
+      if (!animation) return;
+      this.downloadBlob(animation, filename, openAfter);
+    } else {
+      const reviewed = await this.trimPendingRecording(
+        this.elements.confirmSave
       );
-
-      // Log performance metrics
-      const duration = Date.now() - this.performanceMetrics.startTime;
-      console.log("Recording performance:", {
-        duration: `${duration}ms`,
-        chunks: this.performanceMetrics.chunkCount,
-        totalBytes: this.performanceMetrics.totalBytes,
-        avgChunkSize: Math.round(
-          this.performanceMetrics.totalBytes /
-            this.performanceMetrics.chunkCount
-        ),
-        avgBytesPerSecond: Math.round(
-          this.performanceMetrics.totalBytes / (duration / 1000)
-        ),
-      });
-    } catch (error) {
-      console.error("Failed to stop recording:", error);
-      this.showError(`Failed to stop recording: ${error.message}`);
-      this.resetRecording();
+      if (!reviewed) return;
+      this.downloadBlob(reviewed.blob, filename, openAfter);
+      this.saveChaptersFile(reviewed.markers, reviewed.duration, filename);
     }
+    this.elements.saveDialog.style.display = "none";
+    this.closeReview();
+    this.pendingBlob = null;
+    this.finishPendingSession();
   }
 
   /**
-   * Get recording configuration
+   * Keep the recording in the library instead of downloading it now
    */
-  getRecordingConfig() {
-    const qualityMap = {
-      "1080p": { width: 1920, height: 1080 },
-      "720p": { width: 1280, height: 720 },
-      "480p": { width: 854, height: 480 },
-    };
+  async keepForLater() {
+    const name =
+      this.elements.filenameInput.value ||
+      `recording.${this.getContainer(this.pendingBlob)}`;
 
-    return {
-      mode: this.state.mode,
-      video: {
-        ...qualityMap[this.state.quality],
-        frameRate: 30,
-      },
-      audio: {
-        mic: this.state.micEnabled,
-        system: this.state.systemAudioEnabled && this.state.mode !== "webcam",
-      },
-      bitrate: {
-        video: this.state.bitrate,
-        audio: 128000,
-      },
-      deviceId: this.state.selectedDevice || undefined,
-    };
+    const reviewed = await this.trimPendingRecording(this.elements.keepSave);
+    if (!reviewed) return;
+    this.elements.saveDialog.style.display = "none";
+
+    try {
+      await this.library.add(reviewed.blob, { name, mode: this.pendingMode });
+    } catch (error) {
+      // Most likely out of quota: offer the download again rather than lose it
+      console.error("Failed to keep recording:", error);
+      this.showError(`Could not keep the recording: ${error.message}`);
+      this.elements.saveDialog.style.display = "flex";
+      return;
+    }
+
+    this.closeReview();
+    this.pendingBlob = null;
+    this.showNotice(`${name} kept in the library`);
+    this.finishPendingSession();
+    this.renderLibrary();
   }
 
   /**
-   * Get preview stream
-   * @returns {MediaStream}
+   * Cancel save
    */
-  getPreviewStream() {
-    switch (this.state.mode) {
-      case "screen":
-        return this.recorder.streams.screen;
-      case "webcam":
-        return this.recorder.streams.webcam;
-      case "combined":
-        // WebCodecs and Canvas paths both set this.streams.combined
-        return this.recorder.streams.combined;
-      default:
-        return null;
+  cancelSave() {
+    this.elements.saveDialog.style.display = "none";
+    this.closeReview();
+    if (this.pendingBlob) {
+      URL.revokeObjectURL(this.pendingBlob);
+      this.pendingBlob = null;
     }
+    this.finishPendingSession();
   }
 
   /**
-   * Setup microphone analyzer for level meter
+   * Drop the stored copy of a recording the user has saved or discarded,
+   * then offer the next recoverable one, if any
    */
-  async setupMicAnalyzer() {
-    if (!this.state.micEnabled) return;
+  async finishPendingSession() {
+    const sessionId = this.pendingSessionId;
+    this.pendingSessionId = null;
 
-    try {
-      const micStream = await navigator.mediaDevices.getUserMedia({
-        audio: true,
-      });
-      const audioContext = new AudioContext();
-      const analyser = audioContext.createAnalyser();
-      const microphone = audioContext.createMediaStreamSource(micStream);
+    await this.recorder.discardSession(sessionId);
+    await this.checkForRecoverableSessions();
+  }
 
-      analyser.fftSize = 256;
-      const bufferLength = analyser.frequencyBinCount;
-      const dataArray = new Uint8Array(bufferLength);
+  /**
+   * Offer to recover a recording left behind by a crash or reload
+   */
+  async checkForRecoverableSessions() {
+    if (this.state.isRecording || this.pendingBlob) return;
 
-      microphone.connect(analyser);
+    const [session] = await this.recorder.getRecoverableSessions();
+    if (!session) return;
 
-      const updateLevel = () => {
-        if (audioContext.state !== "closed" && !this.state.isRecording) {
-          audioContext.close();
-          micStream.getTracks().forEach((track) => track.stop());
-          return;
-        }
+    const startedAt = new Date(session.startedAt).toLocaleString();
+    const sizeMB = (session.totalBytes / (1024 * 1024)).toFixed(1);
+    this.elements.recoveryText.textContent = `An unfinished ${session.mode} recording from ${startedAt} (${sizeMB} MB) was found. Recover it?`;
+    this.elements.recoveryDialog.style.display = "flex";
 
-        analyser.getByteFrequencyData(dataArray);
-        const average =
-          dataArray.reduce((sum, value) => sum + value, 0) / bufferLength;
-        const level = Math.min(100, (average / 255) * 100);
+    if (session.upload?.url && !session.upload.done) {
+      this.elements.recoveryText.textContent +=
+        " Its upload will be finished too.";
+    }
 
-        this.elements.micLevel.style.width = level + "%";
+    this.recoverySessionId = session.id;
+    this.recoveryMode = session.mode;
+    this.recoveryUpload = session.upload;
+  }
 
-        requestAnimationFrame(updateLevel);
-      };
+  /**
+   * Rebuild the recovered recording and hand it to the save dialog
+   */
+  async confirmRecovery() {
+    const sessionId = this.recoverySessionId;
+    this.recoverySessionId = null;
+    this.elements.recoveryDialog.style.display = "none";
 
-      updateLevel();
-      this.micAnalyzer = { audioContext, micStream };
+    try {
+      const blob = await this.recorder.recoverSession(sessionId);
+      if (!blob || blob.size === 0) {
+        throw new Error("no data found");
+      }
+      // Before the save dialog, which can delete the stored chunks
+      const upload = this.recoveryUpload;
+      if (upload?.url) {
+        const live = upload.done
+          ? null
+          : await this.resumeUpload(sessionId, upload);
+        this.uploadFinalized(blob, upload.name, live, upload.endpoint);
+      }
+      this.showSaveDialog(blob, sessionId, this.recoveryMode);
     } catch (error) {
-      console.warn("Could not setup mic analyzer:", error);
+      console.error("Failed to recover recording:", error);
+      this.showError(`Failed to recover recording: ${error.message}`);
     }
   }
 
   /**
-   * Start the update loop for live stats
+   * Delete the recovered recording without saving it
    */
-  startUpdateLoop() {
-    const update = () => {
-      if (!this.state.isRecording) return;
-
-      // Update duration
-      if (!this.state.isPaused) {
-        this.state.duration = Date.now() - this.state.startTime;
-      }
-
-      // Update UI
-      this.updateLiveStats();
-
-      this.animationFrame = requestAnimationFrame(update);
-    };
+  async discardRecovery() {
+    const sessionId = this.recoverySessionId;
+    this.recoverySessionId = null;
+    this.elements.recoveryDialog.style.display = "none";
 
-    update();
+    await this.recorder.discardSession(sessionId);
+    await this.checkForRecoverableSessions();
   }
 
   /**
-   * Update live statistics
+   * List the kept recordings, with the storage they use
    */
-  updateLiveStats() {
-    // Duration
-    const minutes = Math.floor(this.state.duration / 60000);
-    const seconds = Math.floor((this.state.duration % 60000) / 1000);
-    this.elements.durationDisplay.textContent = `${minutes
-      .toString()
-      .padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`;
+  async renderLibrary() {
+    if (!this.library.isSupported) return;
 
-    // File size
-    const sizeMB = (this.state.fileSize / (1024 * 1024)).toFixed(1);
-    this.elements.fileSizeDisplay.textContent = `${sizeMB} MB`;
+    let recordings, usage;
+    try {
+      [recordings, usage] = await Promise.all([
+        this.library.list(),
+        this.library.estimate(),
+      ]);
+    } catch (error) {
+      console.warn("Could not load the library:", error);
+      return;
+    }
 
-    // Dropped frames (simplified)
-    this.elements.droppedFramesDisplay.textContent =
-      this.state.droppedFrames.toString();
+    this.libraryUrls.forEach((url) => URL.revokeObjectURL(url));
+    this.libraryUrls = [];
+
+    this.elements.libraryList.replaceChildren(
+      ...recordings.map((recording) => this.createLibraryItem(recording))
+    );
+    this.elements.libraryEmpty.style.display = recordings.length
+      ? "none"
+      : "block";
+
+    const quota = usage.quota
+      ? ` · ${formatSize(usage.usage)} of ${formatSize(usage.quota)} used`
+      : "";
+    this.elements.libraryUsage.textContent = `${usage.count} recording${
+      usage.count === 1 ? "" : "s"
+    }, ${formatSize(usage.size)}${quota}`;
+    this.elements.libraryPanel.style.display = "block";
   }
 
   /**
-   * Update UI based on current state
+   * Card for one kept recording: thumbnail, editable name, details and
+   * actions
+   * @param {object} recording - From RecordingLibrary.list()
+   * @returns {HTMLLIElement}
    */
-  updateUI() {
-    // Status indicator
-    if (this.state.isRecording) {
-      this.elements.statusDot.className = this.state.isPaused
-        ? "status-dot paused"
-        : "status-dot recording";
-      this.elements.statusText.textContent = this.state.isPaused
-        ? "Paused"
-        : "Recording";
+  createLibraryItem(recording) {
+    const item = document.createElement("li");
+    item.className = "library-item";
+
+    let poster;
+    if (recording.thumbnail) {
+      poster = document.createElement("img");
+      poster.src = URL.createObjectURL(recording.thumbnail);
+      poster.alt = "";
+      this.libraryUrls.push(poster.src);
     } else {
-      this.elements.statusDot.className = "status-dot";
-      this.elements.statusText.textContent = "Ready";
+      poster = document.createElement("div");
+      poster.textContent = recording.width ? "No preview" : "Audio";
     }
+    poster.className = "library-thumbnail";
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.className = "library-name";
+    name.value = recording.name;
+    name.setAttribute("aria-label", "Recording name");
+    name.addEventListener("change", () =>
+      this.renameRecording(recording.id, name)
+    );
 
-    // Device selector visibility
-    const showDevices =
-      this.state.mode === "webcam" || this.state.mode === "combined";
-    this.elements.deviceGroup.style.display = showDevices ? "block" : "none";
-
-    // System audio toggle visibility
-    const showSystemAudio =
-      this.state.mode === "screen" || this.state.mode === "combined";
-    this.elements.systemAudioGroup.style.display = showSystemAudio
-      ? "block"
-      : "none";
-
-    // Recording controls
-    this.elements.startBtn.disabled = this.state.isRecording;
-    this.elements.pauseBtn.disabled =
-      !this.state.isRecording || this.state.isPaused;
-    this.elements.pauseBtn.style.display = this.state.isPaused
-      ? "none"
-      : "flex";
-    this.elements.resumeBtn.disabled = !this.state.isPaused;
-    this.elements.resumeBtn.style.display = this.state.isPaused
-      ? "flex"
-      : "none";
-    this.elements.stopBtn.disabled = !this.state.isRecording;
-
-    // Show PiP overlay only when previewing a raw screen feed (not combined)
-    const showPip =
-      this.state.isRecording &&
-      this.state.mode === "screen" &&
-      !!this.recorder.streams.webcam;
+    const details = document.createElement("p");
+    details.className = "library-details";
+    details.textContent = [
+      recording.duration ? formatTime(recording.duration) : "",
+      formatSize(recording.size),
+      this.getModeLabel(recording.mode),
+      new Date(recording.createdAt).toLocaleString(),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    const download = document.createElement("button");
+    download.type = "button";
+    download.className = "btn btn-primary";
+    download.textContent = "Download";
+    download.addEventListener("click", () =>
+      this.downloadRecording(recording.id)
+    );
 
-    this.elements.pipContainer.style.display = showPip ? "block" : "none";
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn btn-secondary";
+    remove.textContent = "Delete";
+    remove.addEventListener("click", () => this.deleteRecording(recording));
 
-    this.elements.previewOverlay.style.display = this.state.isRecording
-      ? "none"
-      : "flex";
+    const actions = document.createElement("div");
+    actions.className = "library-actions";
+    actions.append(download, remove);
 
-    // Mode-specific controls
-    const controls = [
-      "modeSelect",
-      "qualitySelect",
-      "bitrateSelect",
-      "deviceSelect",
-    ];
-    controls.forEach((control) => {
-      this.elements[control].disabled = this.state.isRecording;
-    });
+    item.append(poster, name, details, actions);
+    return item;
   }
 
   /**
-   * Show save dialog
+   * Label of a recording mode, as shown in the mode picker
+   * @param {string} mode
+   * @returns {string}
    */
-  showSaveDialog(blob) {
-    const timestamp = new Date()
-      .toISOString()
-      .replace(/[:.]/g, "-")
-      .slice(0, -5);
-    const filename = `recordly-${timestamp}.webm`;
+  getModeLabel(mode) {
+    const option = [...this.elements.modeSelect.options].find(
+      (option) => option.value === mode
+    );
+    return option?.textContent.trim() || mode;
+  }
 
-    this.elements.filenameInput.value = filename;
-    this.elements.saveDialog.style.display = "flex";
-    this.elements.filenameInput.focus();
-    this.elements.filenameInput.select();
+  /**
+   * Save a new name typed into a library card
+   * @param {string} id
+   * @param {HTMLInputElement} input
+   */
+  async renameRecording(id, input) {
+    const name = input.value.trim();
+    if (!name) {
+      const recording = await this.library.get(id);
+      input.value = recording?.name || "";
+      return;
+    }
 
-    this.pendingBlob = blob;
+    try {
+      await this.library.rename(id, name);
+    } catch (error) {
+      console.error("Failed to rename recording:", error);
+      this.showError(`Failed to rename recording: ${error.message}`);
+    }
   }
 
   /**
-   * Confirm save
+   * Download a kept recording again
+   * @param {string} id
    */
-  confirmSave() {
-    const filename = this.elements.filenameInput.value || "recording.webm";
-    const openAfter = this.elements.openAfterSave.checked;
-
-    this.downloadBlob(this.pendingBlob, filename, openAfter);
-    this.elements.saveDialog.style.display = "none";
-    this.pendingBlob = null;
+  async downloadRecording(id) {
+    try {
+      const file = await this.library.getFile(id);
+      this.downloadBlob(file, file.name);
+    } catch (error) {
+      console.error("Failed to download recording:", error);
+      this.showError(`Failed to download recording: ${error.message}`);
+    }
   }
 
   /**
-   * Cancel save
+   * Delete a kept recording after confirmation
+   * @param {object} recording
    */
-  cancelSave() {
-    this.elements.saveDialog.style.display = "none";
-    if (this.pendingBlob) {
-      URL.revokeObjectURL(this.pendingBlob);
-      this.pendingBlob = null;
+  async deleteRecording(recording) {
+    if (!window.confirm(`Delete ${recording.name}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await this.library.delete(recording.id);
+      this.showNotice(`${recording.name} deleted`);
+    } catch (error) {
+      console.error("Failed to delete recording:", error);
+      this.showError(`Failed to delete recording: ${error.message}`);
     }
+    await this.renderLibrary();
   }
 
   /**
@@ -751,32 +3414,66 @@ class RecordlyApp {
     );
   }
 
+  /**
+   * Whether the next recording is split into parts
+   */
+  isSplitting() {
+    return this.state.splitDuration > 0 || this.state.splitSize > 0;
+  }
+
+  /**
+   * Save a finished part of a split recording, unless it already went into
+   * the output folder
+   * @param {object} segment - From the recorder's "segment" event
+   */
+  saveSegment({ index, name, blob, sessionId, savedTo }) {
+    if (!savedTo) this.downloadBlob(blob, name);
+    this.recorder.discardSession(sessionId);
+    this.showNotice(`Part ${index} saved as ${name}`);
+  }
+
+  /**
+   * Save the manifest that ends a split recording
+   * @param {File} manifest
+   */
+  saveManifest(manifest) {
+    const parts = this.recorder.segments.length;
+    const folder = this.recorder.savedToFile;
+
+    if (folder) {
+      this.showNotice(`Saved ${parts} parts to ${folder}/`);
+      this.setOutputFile(null);
+    } else {
+      this.downloadBlob(manifest, manifest.name);
+      this.showNotice(`Saved ${parts} parts and ${manifest.name}`);
+    }
+  }
+
   /**
    * Reset recording state
    */
   resetRecording() {
+    this.stopCountdown();
+    this.finishUpload();
     this.state.isRecording = false;
     this.state.isPaused = false;
     this.state.startTime = null;
     this.state.duration = 0;
     this.state.fileSize = 0;
     this.state.droppedFrames = 0;
+    this.state.storagePressure = null;
 
     if (this.animationFrame) {
       cancelAnimationFrame(this.animationFrame);
       this.animationFrame = null;
     }
 
-    if (this.micAnalyzer) {
-      this.micAnalyzer.audioContext.close().catch(console.warn);
-      this.micAnalyzer.micStream.getTracks().forEach((track) => track.stop());
-      this.micAnalyzer = null;
-    }
-
     if (this.elements.previewVideo) this.elements.previewVideo.srcObject = null;
     if (this.elements.pipVideo) this.elements.pipVideo.srcObject = null;
+    this.elements.pipContainer.classList.remove("editing", "circle");
 
     this.elements.micLevel.style.width = "0%";
+    this.elements.systemLevel.style.width = "0%";
     this.updateUI();
   }
 
@@ -785,12 +3482,21 @@ class RecordlyApp {
    */
   showError(message) {
     this.elements.errorText.textContent = message;
+    this.elements.errorMessage.classList.remove("notice");
     this.elements.errorMessage.style.display = "block";
 
     // Auto-hide after 5 seconds
     setTimeout(() => this.hideError(), 5000);
   }
 
+  /**
+   * Show an informational message in the same toast
+   */
+  showNotice(message) {
+    this.showError(message);
+    this.elements.errorMessage.classList.add("notice");
+  }
+
   /**
    * Hide error message
    */
@@ -808,6 +3514,8 @@ class RecordlyApp {
     if (this.pendingBlob) {
       URL.revokeObjectURL(this.pendingBlob);
     }
+    if (this.reviewUrl) URL.revokeObjectURL(this.reviewUrl);
+    this.libraryUrls.forEach((url) => URL.revokeObjectURL(url));
   }
 }
 
@@ -0,0 +1,85 @@
+/**
+ * Recordly - Split Recordings
+ * Limits, part naming and the manifest for recordings split into
+ * independently playable files (see Recorder.rollover())
+ */
+
+/**
+ * Normalize the split limits
+ * @param {{duration?: number, size?: number}} [segment] - Per-part limits
+ *   in ms and bytes; 0 or missing for none
+ * @returns {{duration: number, size: number}|null} Null when not splitting
+ */
+export function resolveSegmentLimits(segment) {
+  const duration = Math.max(0, Number(segment?.duration) || 0);
+  const size = Math.max(0, Number(segment?.size) || 0);
+  return duration || size ? { duration, size } : null;
+}
+
+/**
+ * File extension for a recording MIME type
+ * @param {string} mimeType
+ */
+export function getExtension(mimeType) {
+  return mimeType.includes("mp4") ? "mp4" : "webm";
+}
+
+/**
+ * Name of a part: "<baseName>-part001.webm"
+ * @param {string} baseName - e.g. "recordly-2026-10-19T09-30-00"
+ * @param {number} index - 1-based
+ * @param {string} mimeType
+ */
+export function getSegmentName(baseName, index, mimeType) {
+  const part = String(index).padStart(3, "0");
+  return `${baseName}-part${part}.${getExtension(mimeType)}`;
+}
+
+/**
+ * JSON manifest listing the parts in playback order
+ * @param {object} recording
+ * @param {string} recording.baseName
+ * @param {string} recording.mimeType
+ * @param {{duration: number, size: number}} recording.limits
+ * @param {object[]} recording.parts - `{index, name, size, startedAt,
+ *   endedAt}`, times in epoch ms
+ * @param {{time: number, label: string}[]} [recording.markers] - Times in
+ *   ms of recorded media
+ * @returns {File} Named "<baseName>.json"
+ */
+export function createManifest({
+  baseName,
+  mimeType,
+  limits,
+  parts,
+  markers = [],
+}) {
+  const origin = parts[0]?.startedAt ?? Date.now();
+
+  const manifest = {
+    version: 1,
+    name: baseName,
+    mimeType,
+    split: limits,
+    startedAt: new Date(origin).toISOString(),
+    duration: parts.reduce(
+      (total, part) => total + part.endedAt - part.startedAt,
+      0
+    ),
+    size: parts.reduce((total, part) => total + part.size, 0),
+    parts: parts.map(({ index, name, size, startedAt, endedAt }) => ({
+      index,
+      name,
+      size,
+      offset: startedAt - origin, // ms from the start of the first part
+      duration: endedAt - startedAt, // ms, wall clock (includes pauses)
+    })),
+    // ms of recorded media (excludes pauses); each part also carries its own
+    // as WebM chapters
+    markers: markers.map(({ time, label }) => ({ time, label })),
+  };
+
+  return new File([JSON.stringify(manifest, null, 2)], `${baseName}.json`, {
+    type: "application/json",
+  });
+}
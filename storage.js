@@ -0,0 +1,361 @@
+/**
+ * Recordly - Chunk Storage
+ * Persists MediaRecorder chunks to IndexedDB so sessions survive tab crashes
+ */
+
+const DB_NAME = "recordly";
+const DB_VERSION = 1;
+const LOCK_PREFIX = "recordly-session-";
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction has committed
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export function committed(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export class ChunkStore {
+  constructor() {
+    this.db = null;
+    this.opening = null;
+    this.locks = new Map(); // sessionId -> release()
+  }
+
+  /**
+   * Whether durable storage can be used in this browser
+   */
+  get isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Open (and upgrade) the database once
+   * @returns {Promise<IDBDatabase>}
+   */
+  async open() {
+    if (this.db) return this.db;
+    if (!this.isSupported) throw new Error("IndexedDB is not available");
+
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains("sessions")) {
+            db.createObjectStore("sessions", { keyPath: "id" });
+          }
+          if (!db.objectStoreNames.contains("chunks")) {
+            db.createObjectStore("chunks", { keyPath: ["sessionId", "index"] });
+          }
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer tab upgrade the schema instead of blocking it
+          db.onversionchange = () => {
+            db.close();
+            this.db = null;
+            this.opening = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () =>
+          console.warn("Recordly storage upgrade blocked by another tab");
+      });
+
+      // Ask the browser not to evict recordings under storage pressure
+      navigator.storage?.persist?.().catch(() => {});
+    }
+
+    try {
+      this.db = await this.opening;
+    } catch (error) {
+      this.opening = null;
+      throw error;
+    }
+    return this.db;
+  }
+
+  /**
+   * Create a new recording session
+   * @param {{mode: string, mimeType: string}} meta
+   * @returns {Promise<string>} session id
+   */
+  async createSession(meta) {
+    const db = await this.open();
+    const id = `${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+
+    const tx = db.transaction("sessions", "readwrite");
+    tx.objectStore("sessions").put({
+      id,
+      mode: meta.mode,
+      mimeType: meta.mimeType,
+      status: "recording",
+      startedAt: Date.now(),
+      updatedAt: Date.now(),
+      chunkCount: 0,
+      totalBytes: 0,
+    });
+    await committed(tx);
+    this.lockSession(id);
+
+    return id;
+  }
+
+  /**
+   * Append a chunk to a session and update its running totals
+   * @param {string} sessionId
+   * @param {number} index - Sequential chunk index (0 is the init segment)
+   * @param {Blob} blob
+   */
+  async appendChunk(sessionId, index, blob) {
+    const db = await this.open();
+    const tx = db.transaction(["sessions", "chunks"], "readwrite");
+    const sessions = tx.objectStore("sessions");
+
+    tx.objectStore("chunks").put({ sessionId, index, blob });
+
+    const session = await promisify(sessions.get(sessionId));
+    if (session) {
+      session.chunkCount = Math.max(session.chunkCount, index + 1);
+      session.totalBytes += blob.size;
+      session.updatedAt = Date.now();
+      sessions.put(session);
+    }
+
+    await committed(tx);
+  }
+
+  /**
+   * Drop the chunks of a session from `length` on, e.g. a take thrown away
+   * by a retake; chunks appended afterwards reuse their indices
+   * @param {string} sessionId
+   * @param {number} length - Chunks kept
+   */
+  async truncateSession(sessionId, length) {
+    const db = await this.open();
+    const tx = db.transaction(["sessions", "chunks"], "readwrite");
+    const sessions = tx.objectStore("sessions");
+    const chunks = tx.objectStore("chunks");
+
+    const dropped = await promisify(
+      chunks.getAll(
+        IDBKeyRange.bound([sessionId, length], [sessionId, Infinity])
+      )
+    );
+    chunks.delete(
+      IDBKeyRange.bound([sessionId, length], [sessionId, Infinity])
+    );
+
+    const session = await promisify(sessions.get(sessionId));
+    if (session) {
+      session.chunkCount = Math.min(session.chunkCount, length);
+      session.totalBytes -= dropped.reduce(
+        (sum, { blob }) => sum + blob.size,
+        0
+      );
+      session.updatedAt = Date.now();
+      sessions.put(session);
+    }
+
+    await committed(tx);
+  }
+
+  /**
+   * Merge fields into a session record
+   * @param {string} sessionId
+   * @param {object} changes
+   */
+  async updateSession(sessionId, changes) {
+    const db = await this.open();
+    const tx = db.transaction("sessions", "readwrite");
+    const sessions = tx.objectStore("sessions");
+
+    const session = await promisify(sessions.get(sessionId));
+    if (session) {
+      sessions.put({ ...session, ...changes, updatedAt: Date.now() });
+    }
+
+    await committed(tx);
+  }
+
+  /**
+   * Get a single session record
+   * @param {string} sessionId
+   * @returns {Promise<object|undefined>}
+   */
+  async getSession(sessionId) {
+    const db = await this.open();
+    return promisify(
+      db.transaction("sessions").objectStore("sessions").get(sessionId)
+    );
+  }
+
+  /**
+   * List every session still held in storage, newest first
+   * @returns {Promise<object[]>}
+   */
+  async listSessions() {
+    const db = await this.open();
+    const sessions = await promisify(
+      db.transaction("sessions").objectStore("sessions").getAll()
+    );
+    return sessions.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * List sessions that no open tab is holding, i.e. left behind by a crash,
+   * reload or unsaved stop
+   * @returns {Promise<object[]>}
+   */
+  async listAbandonedSessions() {
+    const sessions = await this.listSessions();
+    if (!navigator.locks) {
+      return sessions.filter((session) => !this.locks.has(session.id));
+    }
+
+    const { held = [] } = await navigator.locks.query();
+    const active = new Set(held.map((lock) => lock.name));
+    return sessions.filter(
+      (session) =>
+        !this.locks.has(session.id) && !active.has(LOCK_PREFIX + session.id)
+    );
+  }
+
+  /**
+   * Hold a Web Lock on a session while this tab owns it. The browser drops
+   * the lock if the tab crashes, which is what marks the session abandoned.
+   * @param {string} sessionId
+   */
+  lockSession(sessionId) {
+    if (this.locks.has(sessionId)) return;
+
+    let release = () => {};
+    const held = new Promise((resolve) => (release = resolve));
+    this.locks.set(sessionId, release);
+
+    navigator.locks
+      ?.request(LOCK_PREFIX + sessionId, () => held)
+      .catch((error) => console.warn("Could not lock session:", error));
+  }
+
+  /**
+   * Release the lock taken by lockSession()
+   * @param {string} sessionId
+   */
+  unlockSession(sessionId) {
+    const release = this.locks.get(sessionId);
+    if (release) {
+      release();
+      this.locks.delete(sessionId);
+    }
+  }
+
+  /**
+   * Get the stored chunks of a session in index order
+   * @param {string} sessionId
+   * @returns {Promise<{index: number, blob: Blob}[]>}
+   */
+  async getSessionChunks(sessionId) {
+    const db = await this.open();
+    const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+    const chunks = await promisify(
+      db.transaction("chunks").objectStore("chunks").getAll(range)
+    );
+    return chunks.map(({ index, blob }) => ({ index, blob }));
+  }
+
+  /**
+   * Rebuild the recording Blob of a session from its stored chunks
+   * @param {string} sessionId
+   * @returns {Promise<Blob|null>}
+   */
+  async getSessionBlob(sessionId) {
+    const session = await this.getSession(sessionId);
+    if (!session) return null;
+
+    const chunks = await this.getSessionChunks(sessionId);
+    return new Blob(
+      chunks.map((chunk) => chunk.blob),
+      { type: session.mimeType || "video/webm" }
+    );
+  }
+
+  /**
+   * Rebuild the takes of a session recorded with retakes, each a recording
+   * of its own. `session.takes` holds the first chunk index of every take;
+   * a session without it is a single take.
+   * @param {string} sessionId
+   * @returns {Promise<Blob[]>} Takes with anything in them, in order
+   */
+  async getSessionTakes(sessionId) {
+    const session = await this.getSession(sessionId);
+    if (!session) return [];
+
+    const chunks = await this.getSessionChunks(sessionId);
+    const starts = session.takes?.length ? session.takes : [0];
+    return starts
+      .map(
+        (start, i) =>
+          new Blob(
+            chunks
+              .filter(
+                ({ index }) =>
+                  index >= start && index < (starts[i + 1] ?? Infinity)
+              )
+              .map((chunk) => chunk.blob),
+            { type: session.mimeType || "video/webm" }
+          )
+      )
+      .filter((blob) => blob.size > 0);
+  }
+
+  /**
+   * Estimate how much storage is left for this origin
+   * @returns {Promise<{usage: number, quota: number}|null>}
+   */
+  async estimate() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  }
+
+  /**
+   * Remove a session and all of its chunks
+   * @param {string} sessionId
+   */
+  async deleteSession(sessionId) {
+    const db = await this.open();
+    const tx = db.transaction(["sessions", "chunks"], "readwrite");
+
+    tx.objectStore("sessions").delete(sessionId);
+    tx.objectStore("chunks").delete(
+      IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity])
+    );
+
+    await committed(tx);
+    this.unlockSession(sessionId);
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * EncoderRecorder fragmenting, fed with fake encoder output: every fragment
+ * has to open on a video keyframe, or finalizeMp4() finds nothing to seek to.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EncoderRecorder } from "../encoder-recorder.js";
+import { Mp4Muxer, finalizeMp4 } from "../mp4-muxer.js";
+
+const SAMPLE_IS_NON_SYNC = 0x00010000;
+
+// Node has Blob and Event, but no BlobEvent
+globalThis.BlobEvent ??= class BlobEvent extends Event {
+  constructor(type, { data }) {
+    super(type);
+    this.data = data;
+  }
+};
+
+function fakeChunk(type, timestamp) {
+  const data = Uint8Array.of(1, 2, 3, 4);
+  return {
+    type,
+    timestamp,
+    byteLength: data.length,
+    copyTo: (target) => target.set(data),
+  };
+}
+
+/**
+ * Top-level boxes of a buffer, as {type, start, end}
+ */
+function readBoxes(bytes, start = 0, end = bytes.length) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const boxes = [];
+  for (let pos = start; pos + 8 <= end; ) {
+    const size = view.getUint32(pos);
+    const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+    boxes.push({ type, start: pos, end: pos + size });
+    pos += size;
+  }
+  return boxes;
+}
+
+/**
+ * Sample flags of the first video sample of each moof
+ */
+function firstVideoSampleFlags(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  return readBoxes(bytes)
+    .filter((box) => box.type === "moof")
+    .map((moof) => {
+      for (const traf of readBoxes(bytes, moof.start + 8, moof.end)) {
+        if (traf.type !== "traf") continue;
+        const inner = readBoxes(bytes, traf.start + 8, traf.end);
+        const tfhd = inner.find((box) => box.type === "tfhd");
+        const trun = inner.find((box) => box.type === "trun");
+        if (view.getUint32(tfhd.start + 12) !== 1) continue;
+        // trun: header, version/flags, count, data offset, then samples of
+        // (duration, size, flags)
+        return view.getUint32(trun.start + 28);
+      }
+      return null;
+    });
+}
+
+/**
+ * Record 10 s of 30 fps video with a keyframe every 2 s, and 20 ms audio
+ * blocks, through handleChunk() as the encoders would call it
+ */
+function record() {
+  const stream = {
+    getVideoTracks: () => [{}],
+    getAudioTracks: () => [{}],
+  };
+  const recorder = new EncoderRecorder(stream, {
+    codecs: { video: "av01.0.08M.08", audio: "opus" },
+  });
+  recorder.timeslice = 1000000;
+  recorder.muxer = new Mp4Muxer({
+    video: { codec: "av01.0.08M.08", width: 640, height: 360 },
+    audio: { codec: "opus", sampleRate: 48000, numberOfChannels: 2 },
+  });
+
+  const parts = [];
+  recorder.ondataavailable = (event) => parts.push(event.data);
+
+  const frame = 1e6 / 30;
+  let audio = 0;
+  for (let i = 0; i < 300; i++) {
+    const time = Math.round(i * frame);
+    for (; audio <= time; audio += 20000) {
+      recorder.handleChunk("audio", fakeChunk("key", audio), {});
+    }
+    recorder.handleChunk(
+      "video",
+      fakeChunk(i % 60 ? "delta" : "key", time),
+      {}
+    );
+  }
+  recorder.emitFragment(true);
+
+  return new Blob(parts, { type: "video/mp4" });
+}
+
+test("every fragment starts on a video keyframe", async () => {
+  const bytes = new Uint8Array(await record().arrayBuffer());
+  const flags = firstVideoSampleFlags(bytes);
+
+  assert.equal(flags.length, 5);
+  flags.forEach((value, i) =>
+    assert.equal(value & SAMPLE_IS_NON_SYNC, 0, `fragment ${i + 1}`)
+  );
+});
+
+test("finalizeMp4 indexes every fragment as a sync point", async () => {
+  const bytes = new Uint8Array(
+    await (await finalizeMp4(record())).arrayBuffer()
+  );
+  const mfra = readBoxes(bytes).find((box) => box.type === "mfra");
+  const tfra = readBoxes(bytes, mfra.start + 8, mfra.end)[0];
+  const view = new DataView(bytes.buffer);
+
+  assert.equal(tfra.type, "tfra");
+  // Full box header, track ID and field lengths, then the entry count
+  assert.equal(view.getUint32(tfra.start + 20), 5);
+});
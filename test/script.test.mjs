@@ -0,0 +1,50 @@
+/**
+ * The app wires its controls up in attachEventListeners(); a handler that
+ * calls a method the class doesn't define only fails once it is clicked.
+ * script.js needs a DOM, so this reads its source instead of loading it.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+
+// Comments go first: a method whose header ended up inside one is gone
+const source = (
+  await readFile(new URL("../script.js", import.meta.url), "utf8")
+).replace(/\/\*[\s\S]*?\*\//g, "");
+
+/**
+ * Methods, getters and setters of the RecordlyApp class
+ */
+function classMembers() {
+  const body = source.slice(source.indexOf("class RecordlyApp {"));
+  const members = body.matchAll(
+    /^ {2}(?:async |get |set |static )?([A-Za-z_$][\w$]*)\(.*\)\s*\{$/gm
+  );
+  return new Set([...members].map((match) => match[1]));
+}
+
+/**
+ * Body of one method, up to the closing brace at class member indentation
+ */
+function methodBody(name) {
+  const start = source.search(new RegExp(`^ {2}${name}\\(\\) \\{$`, "m"));
+  assert.ok(start >= 0, `${name}() not found`);
+  const end = source.indexOf("\n  }\n", start);
+  return source.slice(start, end);
+}
+
+test("every method the event handlers call exists", () => {
+  const members = classMembers();
+  const called = new Set(
+    [...methodBody("attachEventListeners").matchAll(/this\.(\w+)\(/g)].map(
+      (match) => match[1]
+    )
+  );
+
+  assert.ok(called.has("resumeRecording"));
+  const missing = [...called].filter((name) => !members.has(name));
+  assert.deepEqual(missing, []);
+});
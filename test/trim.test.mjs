@@ -0,0 +1,152 @@
+/**
+ * trimRecording() with an in point between two keyframes: the keyframe cut
+ * starts earlier than asked, and has to say where, so markers can follow.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { trimRecording } from "../trim.js";
+import { parseWebm } from "../webm.js";
+import { Mp4Muxer } from "../mp4-muxer.js";
+import { shiftMarkers } from "../chapters.js";
+
+const FPS = 30;
+const KEYFRAME_EVERY = 2 * FPS; // Frames
+const FRAMES = 10 * FPS;
+
+// In point 3 s: between the keyframes at 2 s and 4 s
+const RANGE = { start: 3, end: 7 };
+
+/* ---------------------------------------------------------------------------
+ * A minimal WebM writer: 8-byte sizes, one video track, one cluster a second
+ * ------------------------------------------------------------------------- */
+
+function element(id, ...payload) {
+  const idBytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) {
+    idBytes.unshift(value & 0xff);
+  }
+  const data = payload.flatMap((part) => [...part]);
+  const size = [0x01, 0, 0, 0];
+  for (let i = 3; i >= 0; i--) size.push((data.length >>> (i * 8)) & 0xff);
+  return Uint8Array.from([...idBytes, ...size, ...data]);
+}
+
+const uint = (value, bytes = 4) =>
+  Uint8Array.from(
+    { length: bytes },
+    (_, i) => (value >>> ((bytes - 1 - i) * 8)) & 0xff
+  );
+const text = (value) => new TextEncoder().encode(value);
+
+function simpleBlock(relative, keyframe) {
+  return element(
+    0xa3,
+    [0x81], // Track 1
+    uint(relative, 2),
+    [keyframe ? 0x80 : 0],
+    [1, 2, 3, 4]
+  );
+}
+
+function buildWebmFixture() {
+  const clusters = [];
+  for (let second = 0; second * FPS < FRAMES; second++) {
+    const timecode = second * 1000;
+    const blocks = [];
+    for (let i = second * FPS; i < (second + 1) * FPS; i++) {
+      const time = Math.round((i * 1000) / FPS);
+      blocks.push(simpleBlock(time - timecode, i % KEYFRAME_EVERY === 0));
+    }
+    clusters.push(
+      element(0x1f43b675, element(0xe7, uint(timecode)), ...blocks)
+    );
+  }
+
+  return new Blob(
+    [
+      element(0x1a45dfa3, element(0x4282, text("webm"))),
+      element(
+        0x18538067,
+        element(0x1549a966, element(0x2ad7b1, uint(1000000))),
+        element(
+          0x1654ae6b,
+          element(
+            0xae,
+            element(0xd7, [1]),
+            element(0x83, [1]),
+            element(0x86, text("V_VP8"))
+          )
+        ),
+        ...clusters
+      ),
+    ],
+    { type: "video/webm" }
+  );
+}
+
+/* ---------------------------------------------------------------------------
+ * The same as a fragmented MP4, one fragment per keyframe
+ * ------------------------------------------------------------------------- */
+
+function fakeChunk(type) {
+  const data = Uint8Array.of(1, 2, 3, 4);
+  return {
+    type,
+    byteLength: data.length,
+    copyTo: (target) => target.set(data),
+  };
+}
+
+function buildMp4Fixture() {
+  const muxer = new Mp4Muxer({
+    video: { codec: "av01.0.08M.08", width: 640, height: 360 },
+  });
+  const parts = [];
+  for (let i = 0; i < FRAMES; i++) {
+    const keyframe = i % KEYFRAME_EVERY === 0;
+    muxer.addChunk(
+      "video",
+      fakeChunk(keyframe ? "key" : "delta"),
+      {},
+      Math.round((i * 1e6) / FPS)
+    );
+    if (i === 0) parts.push(muxer.createInitSegment());
+    // The keyframe is held back until the next frame, so it opens this one
+    if (keyframe && i > 0) parts.push(muxer.createFragment());
+  }
+  parts.push(muxer.createFragment(true));
+  return new Blob(parts, { type: "video/mp4" });
+}
+
+test("WebM keyframe cut reports the keyframe it starts at", async () => {
+  const cut = await trimRecording(buildWebmFixture(), RANGE);
+  assert.equal(cut.start, 2);
+
+  const webm = await parseWebm(cut.blob);
+  assert.equal(webm.clusters[0].timecode, 0);
+  // Up to the out point, give or take rounding of the frame times
+  const duration = (RANGE.end - cut.start) * 1000;
+  assert.ok(Math.abs(webm.duration - duration) <= 1, `${webm.duration} ms`);
+});
+
+test("MP4 keyframe cut reports the keyframe it starts at", async () => {
+  const cut = await trimRecording(buildMp4Fixture(), RANGE);
+  assert.equal(cut.start, 2);
+  assert.equal(cut.blob.type, "video/mp4");
+});
+
+test("markers move by the real cut start", () => {
+  const markers = [
+    { time: 1000, label: "Intro" },
+    { time: 2500, label: "Before the in point" },
+    { time: 5000, label: "Demo" },
+  ];
+  assert.deepEqual(shiftMarkers(markers, 2 * 1000, RANGE.end * 1000), [
+    { time: 0, label: "Intro" },
+    { time: 500, label: "Before the in point" },
+    { time: 3000, label: "Demo" },
+  ]);
+});
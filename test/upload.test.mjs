@@ -0,0 +1,60 @@
+/**
+ * TusUpload against the stand-in server in tools/: a deferred-length
+ * upload, then terminate() to delete it, as done with the streamed copy
+ * once the finalized file is up.
+ *
+ *   node --test test/
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { once } from "node:events";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { TusUpload } from "../upload.js";
+
+const PORT = 20000 + Math.floor(Math.random() * 10000);
+const ENDPOINT = `http://localhost:${PORT}/files/`;
+
+let server;
+let directory;
+
+before(async () => {
+  directory = await mkdtemp(join(tmpdir(), "recordly-tus-"));
+  server = spawn(process.execPath, [
+    new URL("../tools/tus-server.mjs", import.meta.url).pathname,
+    "--port",
+    String(PORT),
+    "--dir",
+    directory,
+  ]);
+  // It logs its address once listening
+  await once(server.stdout, "data");
+});
+
+after(async () => {
+  server.kill();
+  await rm(directory, { recursive: true, force: true });
+});
+
+test("an upload can be finished and then deleted", async () => {
+  const upload = new TusUpload({
+    endpoint: ENDPOINT,
+    metadata: { filename: "demo.webm.part", filetype: "video/webm" },
+  });
+  upload.append(new Blob(["first "]));
+  upload.append(new Blob(["second"]));
+  const url = await upload.finish();
+
+  const id = new URL(url).pathname.split("/").pop();
+  assert.equal(await readFile(join(directory, id), "utf8"), "first second");
+
+  await upload.terminate();
+  const response = await fetch(url, {
+    method: "HEAD",
+    headers: { "Tus-Resumable": "1.0.0" },
+  });
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,186 @@
+/**
+ * Recordly - Thumbnails
+ * Frames grabbed from a finished recording through a <video> element: the
+ * library poster, the trim timeline strip and the frames of GIF/WebP
+ * exports
+ */
+
+const THUMBNAIL_WIDTH = 320;
+const POSTER_TIME = 1; // s into the recording (or its middle, if shorter)
+const MEDIA_TIMEOUT = 10000; // ms to wait for a seek
+
+/**
+ * Resolve on the next `type` event of a media element
+ * @param {HTMLMediaElement} media
+ * @param {string} type
+ * @returns {Promise<void>}
+ */
+function once(media, type) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => done(new Error(`Timed out waiting for ${type}`)),
+      MEDIA_TIMEOUT
+    );
+    const onEvent = () => done();
+    const onError = () =>
+      done(media.error || new Error("The recording could not be decoded"));
+
+    function done(error) {
+      clearTimeout(timer);
+      media.removeEventListener(type, onEvent);
+      media.removeEventListener("error", onError);
+      if (error) reject(error);
+      else resolve();
+    }
+
+    media.addEventListener(type, onEvent);
+    media.addEventListener("error", onError);
+  });
+}
+
+/**
+ * Load a recording into a detached <video> and read its duration
+ * @param {Blob} blob
+ * @returns {Promise<{video: HTMLVideoElement, duration: number, close: Function}>}
+ *   Duration in seconds; call close() when done
+ */
+async function openVideo(blob) {
+  const url = URL.createObjectURL(blob);
+  const video = document.createElement("video");
+  video.muted = true;
+  video.preload = "auto";
+  video.src = url;
+
+  const close = () => {
+    video.removeAttribute("src");
+    video.load();
+    URL.revokeObjectURL(url);
+  };
+
+  try {
+    await once(video, "loadedmetadata");
+
+    // WebM straight from MediaRecorder has no duration until seeked to the end
+    let duration = video.duration;
+    if (!Number.isFinite(duration)) {
+      video.currentTime = Number.MAX_SAFE_INTEGER;
+      await once(video, "seeked");
+      duration = video.duration;
+    }
+    return { video, duration: Number.isFinite(duration) ? duration : 0, close };
+  } catch (error) {
+    close();
+    throw error;
+  }
+}
+
+/**
+ * Draw the frame at `time` into a canvas `width` pixels wide
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function grabFrame(video, time, width) {
+  video.currentTime = time;
+  await once(video, "seeked");
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = Math.round((width * video.videoHeight) / video.videoWidth);
+  canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * Read the duration and size of a recording and grab a poster frame
+ * @param {Blob} blob
+ * @returns {Promise<{duration: number, width: number, height: number, thumbnail: Blob|null}>}
+ *   Duration in ms; no thumbnail for audio-only recordings
+ */
+export async function createPoster(blob) {
+  const { video, duration, close } = await openVideo(blob);
+
+  try {
+    const { videoWidth: width, videoHeight: height } = video;
+    if (!width || !height) {
+      return {
+        duration: duration * 1000,
+        width: 0,
+        height: 0,
+        thumbnail: null,
+      };
+    }
+
+    const canvas = await grabFrame(
+      video,
+      Math.min(POSTER_TIME, duration / 2),
+      THUMBNAIL_WIDTH
+    );
+    const thumbnail = await new Promise((resolve) =>
+      canvas.toBlob(resolve, "image/jpeg", 0.8)
+    );
+    return { duration: duration * 1000, width, height, thumbnail };
+  } finally {
+    close();
+  }
+}
+
+/**
+ * Grab `count` evenly spaced frames for a timeline strip
+ * @param {Blob} blob
+ * @param {number} count
+ * @param {number} [width] - Pixels per frame
+ * @returns {Promise<{duration: number, frames: HTMLCanvasElement[]}>}
+ *   Duration in seconds; no frames for audio-only recordings
+ */
+export async function captureFrames(blob, count, width = 160) {
+  const { video, duration, close } = await openVideo(blob);
+
+  try {
+    const frames = [];
+    if (video.videoWidth && duration > 0) {
+      for (let i = 0; i < count; i++) {
+        // Middle of each slot, so the strip lines up with the timeline
+        frames.push(
+          await grabFrame(video, ((i + 0.5) * duration) / count, width)
+        );
+      }
+    }
+    return { duration, frames };
+  } finally {
+    close();
+  }
+}
+
+/**
+ * Grab the frames of [start, end) at a steady rate, one at a time
+ * @param {Blob} blob
+ * @param {object} range
+ * @param {number} range.start - Seconds
+ * @param {number} range.end - Seconds; cut to the duration
+ * @param {number} range.fps - Frames per second
+ * @param {number} range.width - Pixels; never wider than the video
+ * @param {(frame: {canvas: HTMLCanvasElement, time: number, index: number,
+ *   count: number}) => void|Promise<void>} onFrame - Time in seconds from
+ *   `start`
+ * @returns {Promise<number>} Seconds covered
+ */
+export async function readFrames(blob, { start, end, fps, width }, onFrame) {
+  const { video, duration, close } = await openVideo(blob);
+
+  try {
+    if (!video.videoWidth) throw new Error("The recording has no video");
+
+    const length = Math.min(end, duration) - start;
+    if (!(length > 0)) throw new Error("The selection is empty");
+
+    const count = Math.max(1, Math.floor(length * fps));
+    const frameWidth = Math.min(width, video.videoWidth);
+    for (let index = 0; index < count; index++) {
+      const time = index / fps;
+      const canvas = await grabFrame(video, start + time, frameWidth);
+      await onFrame({ canvas, time, index, count });
+    }
+    return length;
+  } finally {
+    close();
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Recordly - tus Stand-in Server
+ * A small tus 1.0.0 server for trying uploads locally, with no
+ * dependencies: the core protocol and the creation, creation-defer-length
+ * and termination extensions. Uploads are written to a folder, each with a
+ * .json file of its length and metadata.
+ *
+ *   node tools/tus-server.mjs [--port 1080] [--dir uploads] [--fail 0.2]
+ *
+ * then upload to http://localhost:1080/files/. `--fail` answers that share
+ * of PATCH requests with an error after taking part of the body, to watch
+ * the client retry and resume.
+ */
+
+import { createServer } from "node:http";
+import { randomUUID } from "node:crypto";
+import { createWriteStream } from "node:fs";
+import { mkdir, readFile, rm, stat, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+const TUS_VERSION = "1.0.0";
+const BASE_PATH = "/files/";
+
+const options = { port: 1080, dir: "uploads", fail: 0 };
+for (let i = 2; i < process.argv.length; i += 2) {
+  const name = process.argv[i].replace(/^--/, "");
+  if (!(name in options)) {
+    console.error(`Unknown option --${name}`);
+    process.exit(1);
+  }
+  options[name] =
+    typeof options[name] === "number"
+      ? Number(process.argv[i + 1])
+      : process.argv[i + 1];
+}
+const directory = resolve(options.dir);
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, HEAD, PATCH, DELETE, OPTIONS",
+  "Access-Control-Expose-Headers":
+    "Location, Upload-Offset, Upload-Length, Upload-Defer-Length, Upload-Metadata, Tus-Resumable, Tus-Version, Tus-Extension",
+  "Access-Control-Max-Age": "86400",
+};
+
+const busy = new Set(); // Uploads with a PATCH in progress
+
+/**
+ * Paths of an upload's data and info files; null for an invalid id
+ */
+function getPaths(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  return { data: join(directory, id), info: join(directory, `${id}.json`) };
+}
+
+async function readUpload(id) {
+  const paths = getPaths(id);
+  if (!paths) return null;
+  try {
+    const info = JSON.parse(await readFile(paths.info, "utf8"));
+    const { size } = await stat(paths.data);
+    return { ...info, offset: size, paths };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Upload-Metadata into an object, values decoded
+ */
+function decodeMetadata(header = "") {
+  const metadata = {};
+  for (const pair of header.split(",")) {
+    const [key, value = ""] = pair.trim().split(" ");
+    if (key) metadata[key] = Buffer.from(value, "base64").toString("utf8");
+  }
+  return metadata;
+}
+
+function send(response, status, headers = {}) {
+  response.writeHead(status, {
+    ...CORS_HEADERS,
+    "Tus-Resumable": TUS_VERSION,
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+  response.end();
+}
+
+async function handleCreate(request, response) {
+  const length = request.headers["upload-length"];
+  const deferred = request.headers["upload-defer-length"] === "1";
+  if (
+    (length === undefined) === !deferred ||
+    (length && !/^\d+$/.test(length))
+  ) {
+    return send(response, 400);
+  }
+
+  const id = randomUUID();
+  const { data, info } = getPaths(id);
+  const metadata = decodeMetadata(request.headers["upload-metadata"]);
+  await writeFile(data, "");
+  await writeFile(
+    info,
+    JSON.stringify({
+      length: length === undefined ? null : Number(length),
+      metadata,
+      createdAt: new Date().toISOString(),
+    })
+  );
+
+  console.log(
+    `Created ${id}${metadata.filename ? ` (${metadata.filename})` : ""}`
+  );
+  send(response, 201, { Location: `${BASE_PATH}${id}` });
+}
+
+async function handleHead(response, upload) {
+  send(response, 200, {
+    "Upload-Offset": String(upload.offset),
+    ...(upload.length === null
+      ? { "Upload-Defer-Length": "1" }
+      : { "Upload-Length": String(upload.length) }),
+  });
+}
+
+async function handlePatch(request, response, id, upload) {
+  if (request.headers["content-type"] !== "application/offset+octet-stream") {
+    return send(response, 415);
+  }
+  if (Number(request.headers["upload-offset"]) !== upload.offset) {
+    return send(response, 409, { "Upload-Offset": String(upload.offset) });
+  }
+
+  // The length may be given once, with any PATCH of a deferred upload
+  let length = upload.length;
+  const declared = request.headers["upload-length"];
+  if (declared !== undefined) {
+    if (length !== null && Number(declared) !== length)
+      return send(response, 400);
+    if (length === null) {
+      length = Number(declared);
+      if (!(length >= upload.offset)) return send(response, 400);
+      const { paths, offset, ...info } = upload;
+      await writeFile(paths.info, JSON.stringify({ ...info, length }));
+    }
+  }
+
+  // Simulated failure: keep part of the body, then answer with an error
+  const failing = Math.random() < options.fail;
+  let written = upload.offset;
+  let limit = length ?? Infinity;
+  if (failing)
+    limit = Math.min(
+      limit,
+      written + 1 + Math.floor(Math.random() * 64 * 1024)
+    );
+
+  const file = createWriteStream(upload.paths.data, { flags: "a" });
+  busy.add(id);
+  try {
+    for await (const chunk of request) {
+      const room = limit - written;
+      if (room <= 0) break;
+      const part = chunk.subarray(0, room);
+      if (!file.write(part))
+        await new Promise((done) => file.once("drain", done));
+      written += part.length;
+      if (part.length < chunk.length) break;
+    }
+  } finally {
+    await new Promise((done) => file.end(done));
+    busy.delete(id);
+  }
+
+  if (failing) {
+    console.log(`Failing a PATCH of ${id} at ${written} bytes`);
+    return send(response, 503);
+  }
+  if (length !== null && written === length) {
+    console.log(`Finished ${id}: ${written} bytes`);
+  }
+  send(response, 204, { "Upload-Offset": String(written) });
+}
+
+async function handle(request, response) {
+  const { pathname } = new URL(request.url, "http://localhost");
+
+  if (request.method === "OPTIONS") {
+    return send(response, 204, {
+      "Access-Control-Allow-Headers":
+        request.headers["access-control-request-headers"] || "*",
+      "Tus-Version": TUS_VERSION,
+      "Tus-Extension": "creation,creation-defer-length,termination",
+    });
+  }
+  if (request.headers["tus-resumable"] !== TUS_VERSION) {
+    return send(response, 412, { "Tus-Version": TUS_VERSION });
+  }
+
+  if (pathname === BASE_PATH || pathname === BASE_PATH.slice(0, -1)) {
+    if (request.method !== "POST") return send(response, 405);
+    return handleCreate(request, response);
+  }
+  if (!pathname.startsWith(BASE_PATH)) return send(response, 404);
+
+  const id = pathname.slice(BASE_PATH.length);
+  const upload = await readUpload(id);
+  if (!upload) return send(response, 404);
+  if (busy.has(id)) return send(response, 423);
+
+  switch (request.method) {
+    case "HEAD":
+      return handleHead(response, upload);
+    case "PATCH":
+      return handlePatch(request, response, id, upload);
+    case "DELETE":
+      await rm(upload.paths.data, { force: true });
+      await rm(upload.paths.info, { force: true });
+      console.log(`Deleted ${id}`);
+      return send(response, 204);
+    default:
+      return send(response, 405);
+  }
+}
+
+await mkdir(directory, { recursive: true });
+createServer((request, response) => {
+  handle(request, response).catch((error) => {
+    console.error(error);
+    if (!response.headersSent) send(response, 500);
+    else response.destroy();
+  });
+}).listen(options.port, () => {
+  console.log(
+    `tus server on http://localhost:${options.port}${BASE_PATH}, saving to ${directory}`
+  );
+});
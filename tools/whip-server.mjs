@@ -0,0 +1,225 @@
+/**
+ * Recordly - WHIP Stand-in Server
+ * A small WHIP endpoint for trying live streaming locally, with no
+ * dependencies. Node has no WebRTC, so the server only carries the
+ * signalling: each offer is handed to a viewer page open in a browser,
+ * which answers it and plays the stream.
+ *
+ *   node tools/whip-server.mjs [--port 8089] [--token secret]
+ *
+ * then open http://localhost:8089/ in a tab and stream to
+ * http://localhost:8089/whip. With `--token`, offers without that Bearer
+ * token are refused, to check the client's credentials handling.
+ */
+
+import { createServer } from "node:http";
+import { randomUUID } from "node:crypto";
+
+const WHIP_PATH = "/whip";
+const ANSWER_TIMEOUT = 8000; // ms; below the client's request timeout
+
+const options = { port: 8089, token: "" };
+for (let i = 2; i < process.argv.length; i += 2) {
+  const name = process.argv[i].replace(/^--/, "");
+  if (!(name in options)) {
+    console.error(`Unknown option --${name}`);
+    process.exit(1);
+  }
+  options[name] =
+    typeof options[name] === "number"
+      ? Number(process.argv[i + 1])
+      : process.argv[i + 1];
+}
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type",
+  "Access-Control-Expose-Headers": "Location",
+  "Access-Control-Max-Age": "86400",
+};
+
+const viewers = new Set(); // Open /events responses
+const answers = new Map(); // Session id -> resolve() of its POST
+const sessions = new Set(); // Answered session ids, until DELETEd
+
+const VIEWER_PAGE = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Recordly WHIP viewer</title>
+    <style>
+      body { margin: 0; background: #111; color: #ccc; font: 14px system-ui, sans-serif; }
+      video { display: block; width: 100vw; height: calc(100vh - 32px); background: #000; }
+      p { margin: 0; padding: 8px 12px; }
+    </style>
+  </head>
+  <body>
+    <video id="video" autoplay playsinline controls muted></video>
+    <p id="status">Waiting for a stream…</p>
+    <script>
+      const video = document.getElementById("video");
+      const status = document.getElementById("status");
+      const connections = new Map();
+
+      const events = new EventSource("/events");
+      events.addEventListener("offer", async (event) => {
+        const { id, sdp } = JSON.parse(event.data);
+        const pc = new RTCPeerConnection();
+        connections.set(id, pc);
+        pc.ontrack = ({ streams }) => (video.srcObject = streams[0]);
+        pc.onconnectionstatechange = () =>
+          (status.textContent = "Stream " + id + ": " + pc.connectionState);
+
+        await pc.setRemoteDescription({ type: "offer", sdp });
+        await pc.setLocalDescription(await pc.createAnswer());
+        await new Promise((resolve) => {
+          if (pc.iceGatheringState === "complete") return resolve();
+          pc.onicegatheringstatechange = () =>
+            pc.iceGatheringState === "complete" && resolve();
+        });
+        await fetch("/answer/" + id, {
+          method: "POST",
+          body: pc.localDescription.sdp,
+        });
+      });
+      events.addEventListener("end", (event) => {
+        const { id } = JSON.parse(event.data);
+        connections.get(id)?.close();
+        connections.delete(id);
+        status.textContent = "Stream " + id + " ended";
+      });
+    </script>
+  </body>
+</html>
+`;
+
+function send(response, status, headers = {}, body = "") {
+  response.writeHead(status, {
+    ...CORS_HEADERS,
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+  response.end(body);
+}
+
+/**
+ * Send a server-sent event to every open viewer page
+ */
+function broadcast(event, data) {
+  for (const viewer of viewers) {
+    viewer.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+async function readBody(request) {
+  let body = "";
+  request.setEncoding("utf8");
+  for await (const chunk of request) body += chunk;
+  return body;
+}
+
+function handleEvents(request, response) {
+  response.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+  });
+  response.write(": connected\n\n");
+  viewers.add(response);
+  console.log(`Viewer connected (${viewers.size} open)`);
+  request.on("close", () => viewers.delete(response));
+}
+
+async function handleOffer(request, response) {
+  if (options.token) {
+    const authorization = request.headers.authorization || "";
+    if (authorization !== `Bearer ${options.token}`) {
+      return send(response, 401);
+    }
+  }
+  if (request.headers["content-type"] !== "application/sdp") {
+    return send(response, 415);
+  }
+  const offer = await readBody(request);
+  if (!offer.startsWith("v=0")) return send(response, 400);
+  if (!viewers.size) {
+    console.log("Offer refused: no viewer page is open");
+    return send(response, 503, { "Retry-After": "5" });
+  }
+
+  // The first viewer to answer gets the stream
+  const id = randomUUID().slice(0, 8);
+  const answer = new Promise((resolve) => {
+    answers.set(id, resolve);
+    setTimeout(() => resolve(null), ANSWER_TIMEOUT);
+  });
+  broadcast("offer", { id, sdp: offer });
+  const sdp = await answer;
+  answers.delete(id);
+
+  if (!sdp) {
+    console.log(`No viewer answered offer ${id}`);
+    broadcast("end", { id });
+    return send(response, 503, { "Retry-After": "5" });
+  }
+  sessions.add(id);
+  console.log(`Stream ${id} started`);
+  send(
+    response,
+    201,
+    { "Content-Type": "application/sdp", Location: `${WHIP_PATH}/${id}` },
+    sdp
+  );
+}
+
+async function handleAnswer(request, response, id) {
+  const sdp = await readBody(request);
+  const resolve = answers.get(id);
+  if (!resolve) return send(response, 404);
+  answers.delete(id);
+  resolve(sdp);
+  send(response, 204);
+}
+
+async function handle(request, response) {
+  const { pathname } = new URL(request.url, "http://localhost");
+
+  if (request.method === "OPTIONS") return send(response, 204);
+
+  if (pathname === "/" && request.method === "GET") {
+    return send(response, 200, { "Content-Type": "text/html" }, VIEWER_PAGE);
+  }
+  if (pathname === "/events" && request.method === "GET") {
+    return handleEvents(request, response);
+  }
+  if (pathname.startsWith("/answer/") && request.method === "POST") {
+    return handleAnswer(request, response, pathname.slice(8));
+  }
+
+  if (pathname === WHIP_PATH) {
+    if (request.method !== "POST") return send(response, 405);
+    return handleOffer(request, response);
+  }
+  if (pathname.startsWith(`${WHIP_PATH}/`)) {
+    const id = pathname.slice(WHIP_PATH.length + 1);
+    if (!sessions.has(id)) return send(response, 404);
+    if (request.method !== "DELETE") return send(response, 405);
+    sessions.delete(id);
+    broadcast("end", { id });
+    console.log(`Stream ${id} ended`);
+    return send(response, 200);
+  }
+  send(response, 404);
+}
+
+createServer((request, response) => {
+  handle(request, response).catch((error) => {
+    console.error(error);
+    if (!response.headersSent) send(response, 500);
+    else response.destroy();
+  });
+}).listen(options.port, () => {
+  console.log(
+    `WHIP server on http://localhost:${options.port}${WHIP_PATH}; open http://localhost:${options.port}/ to watch`
+  );
+});
@@ -0,0 +1,145 @@
+/**
+ * Recordly - Trim
+ * Cuts the kept range out of a finished recording, client-side. The fast
+ * path copies everything from the keyframe at or before the in point. The
+ * frame-accurate path (WebM) re-encodes the video from the in point up to
+ * the next keyframe with WebCodecs and copies the rest.
+ */
+
+import { trimWebm } from "./webm.js";
+import { trimMp4 } from "./mp4-muxer.js";
+
+// WebCodecs codec strings for the WebM video codecs that can be re-encoded
+const REENCODE_CODECS = {
+  V_VP8: "vp8",
+  V_VP9: "vp09.00.10.08",
+};
+
+const QUEUE_LIMIT = 8; // Frames in flight in the decoder and encoder
+
+/**
+ * Whether a frame-accurate cut is possible for a recording
+ * @param {Blob} blob
+ */
+export function canTrimPrecisely(blob) {
+  return (
+    !blob.type.includes("mp4") &&
+    typeof VideoDecoder !== "undefined" &&
+    typeof VideoEncoder !== "undefined"
+  );
+}
+
+/**
+ * Cut [start, end) out of a recording
+ * @param {Blob} blob - Finalized WebM or MP4
+ * @param {object} range
+ * @param {number} range.start - Seconds
+ * @param {number} range.end - Seconds
+ * @param {boolean} [range.precise] - Re-encode to start exactly at `start`
+ * @returns {Promise<{blob: Blob, start: number}>} The cut, and where in the
+ *   source it really starts, in seconds: the keyframe at or before `start`
+ *   unless re-encoded
+ */
+export async function trimRecording(blob, { start, end, precise = false }) {
+  if (blob.type.includes("mp4")) {
+    return trimMp4(blob, { start, end });
+  }
+
+  if (precise && canTrimPrecisely(blob)) {
+    try {
+      return await trimWebm(blob, { start, end, reencode: reencodeFrames });
+    } catch (error) {
+      console.warn("Frame-accurate trim failed, cutting at a keyframe:", error);
+    }
+  }
+  return trimWebm(blob, { start, end });
+}
+
+/**
+ * Decode a run of frames from a keyframe and re-encode the ones in
+ * [start, end), the first as a keyframe
+ * @param {object} options - From trimWebm()
+ * @param {string} options.codecId - Matroska CodecID
+ * @param {{time: number, keyframe: boolean, read: Function}[]} options.frames
+ * @param {number} options.start - µs
+ * @param {number} options.end - µs
+ * @param {number} options.bitrate - Of the source, bits per second
+ * @returns {Promise<{time: number, keyframe: boolean, data: Uint8Array}[]>}
+ */
+async function reencodeFrames({ codecId, frames, start, end, bitrate }) {
+  const codec = REENCODE_CODECS[codecId];
+  if (!codec) throw new Error(`Cannot re-encode ${codecId} video`);
+
+  const output = [];
+  let failure = null;
+  const fail = (error) => (failure = failure || error);
+
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      output.push({
+        time: chunk.timestamp,
+        keyframe: chunk.type === "key",
+        data,
+      });
+    },
+    error: fail,
+  });
+
+  const decoder = new VideoDecoder({
+    output: (frame) => {
+      // Frames before the in point are only decoded as references
+      if (failure || frame.timestamp < start || frame.timestamp >= end) {
+        frame.close();
+        return;
+      }
+
+      if (encoder.state === "unconfigured") {
+        encoder.configure({
+          codec,
+          width: frame.displayWidth,
+          height: frame.displayHeight,
+          bitrate: Math.round(bitrate) || undefined,
+          latencyMode: "quality",
+        });
+      }
+      encoder.encode(frame); // The first output is always a keyframe
+      frame.close();
+    },
+    error: fail,
+  });
+  decoder.configure({ codec });
+
+  try {
+    for (const frame of frames) {
+      if (failure) break;
+      decoder.decode(
+        new EncodedVideoChunk({
+          type: frame.keyframe ? "key" : "delta",
+          timestamp: frame.time,
+          data: await frame.read(),
+        })
+      );
+
+      while (
+        !failure &&
+        decoder.decodeQueueSize + encoder.encodeQueueSize > QUEUE_LIMIT
+      ) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+    }
+
+    if (!failure) await decoder.flush();
+    if (!failure && encoder.state === "configured") await encoder.flush();
+  } catch (error) {
+    fail(error);
+  } finally {
+    if (decoder.state !== "closed") decoder.close();
+    if (encoder.state !== "closed") encoder.close();
+  }
+
+  if (failure) throw failure;
+  if (output.length === 0) throw new Error("No frames in the selection");
+  return output;
+}
@@ -0,0 +1,432 @@
+/**
+ * Recordly - Resumable Upload
+ * Sends a recording to a server while it is still being recorded, with the
+ * tus resumable upload protocol (https://tus.io/protocols/resumable-upload).
+ * The size is only known once recording stops, so uploads are created with
+ * a deferred length (the creation-defer-length extension). Failed requests
+ * are retried with backoff from the offset the server reports, and an
+ * upload's URL can be kept to finish it after a reload. tus only appends,
+ * so this is the stream as recorded; the app sends the finalized file as an
+ * upload of its own afterwards, and terminate()s the streamed one.
+ */
+
+const TUS_VERSION = "1.0.0";
+const MAX_REQUEST = 8 * 1024 * 1024; // Bytes per PATCH
+const REQUEST_TIMEOUT = 60000; // ms without an answer before a retry
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 20000, 30000]; // ms; the last repeats
+const MAX_RETRIES = 20; // In a row, not counting time offline
+
+// Statuses that are worth retrying: timeouts, conflicts, locks, rate limits
+// and server errors. Any other 4xx means the request itself is wrong.
+const RETRY_STATUSES = [408, 409, 423, 429];
+
+const ACTIVE = ["idle", "uploading", "waiting", "offline"];
+
+/**
+ * Parse "Name: value" lines, e.g. from a settings field, into headers.
+ * Blank lines and lines without a name are skipped.
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+export function parseHeaders(text) {
+  const headers = {};
+  for (const line of String(text || "").split("\n")) {
+    const colon = line.indexOf(":");
+    const name = line.slice(0, colon).trim();
+    if (colon > 0 && /^[\w-]+$/.test(name)) {
+      headers[name] = line.slice(colon + 1).trim();
+    }
+  }
+  return headers;
+}
+
+/**
+ * Upload-Metadata: comma-separated "key base64(value)" pairs
+ * @param {Record<string, string>} metadata
+ */
+function encodeMetadata(metadata) {
+  return Object.entries(metadata)
+    .filter(([, value]) => value)
+    .map(([key, value]) => {
+      const bytes = new TextEncoder().encode(String(value));
+      return `${key} ${btoa(String.fromCharCode(...bytes))}`;
+    })
+    .join(",");
+}
+
+/**
+ * Error for a response the server shouldn't have sent. `fatal` when
+ * sending the request again can't help.
+ */
+function responseError(response, message) {
+  const error = new Error(
+    `${message || "Upload request failed"} (HTTP ${response.status})`
+  );
+  error.status = response.status;
+  error.fatal =
+    response.status < 500 && !RETRY_STATUSES.includes(response.status);
+  return error;
+}
+
+export class TusUpload {
+  /**
+   * @param {object} options
+   * @param {string} options.endpoint - Creation URL of the tus server
+   * @param {Record<string, string>} [options.headers] - Sent with every
+   *   request, e.g. Authorization
+   * @param {Record<string, string>} [options.metadata] - E.g. filename and
+   *   filetype
+   * @param {string} [options.url] - An upload created earlier, to finish it
+   */
+  constructor({ endpoint, headers = {}, metadata = {}, url = null }) {
+    this.endpoint = endpoint;
+    this.headers = headers;
+    this.metadata = metadata;
+    this.url = url;
+    this.synced = !url; // Whether `offset` is what the server has
+    this.pending = []; // Blobs the server hasn't confirmed all of
+    this.pendingStart = 0; // Byte offset of pending[0]
+    this.appended = 0; // Bytes handed to append()
+    this.offset = 0; // Bytes the server has
+    this.length = null; // Total bytes, once finish() was called
+    this.lengthSent = false;
+    this.state = "idle"; // See ACTIVE, then "done", "failed" or "aborted"
+    this.error = null;
+    this.retries = 0;
+    this.retryAt = null; // Epoch ms of the next attempt, while waiting
+    this.running = false;
+    this.controller = null; // Aborts the request in flight
+    this.wake = null; // Ends a wait before a retry early
+    this.eventListeners = new Map();
+
+    this.result = new Promise((resolve, reject) => {
+      this.settle = { resolve, reject };
+    });
+    this.result.catch(() => {}); // Also reported as an "error" event
+  }
+
+  /**
+   * Add event listener: "created" (url), "progress" (getStatus()),
+   * "complete" (url) or "error" (Error)
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  /**
+   * Emit event
+   */
+  emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach((callback) => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Where the upload is at
+   * @returns {{state: string, sent: number, total: number, length: number|null,
+   *   retryAt: number|null, error: Error|null}} `total` is what has been
+   *   appended so far; `length` is only known after finish()
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      sent: this.offset,
+      total: this.appended,
+      length: this.length,
+      retryAt: this.retryAt,
+      error: this.error,
+    };
+  }
+
+  /**
+   * Queue the next bytes of the file. Sent as soon as the previous request
+   * is done.
+   * @param {Blob} blob
+   */
+  append(blob) {
+    if (!ACTIVE.includes(this.state) || this.length !== null) return;
+
+    this.pending.push(blob);
+    this.appended += blob.size;
+    this.run();
+  }
+
+  /**
+   * Mark the file complete: everything appended is all there is
+   * @returns {Promise<string>} The upload URL, once the server has it all
+   */
+  finish() {
+    if (this.length === null && ACTIVE.includes(this.state)) {
+      this.length = this.appended;
+      this.run();
+    }
+    return this.result;
+  }
+
+  /**
+   * Stop sending. What the server has so far stays there.
+   */
+  abort() {
+    if (!ACTIVE.includes(this.state)) return;
+
+    this.state = "aborted";
+    this.pending = [];
+    this.controller?.abort();
+    this.wake?.();
+    this.settle.reject(new Error("Upload cancelled"));
+    this.emit("progress", this.getStatus());
+  }
+
+  /**
+   * Delete the upload from the server (the termination extension), e.g. a
+   * copy that is no longer needed. Stops sending first.
+   */
+  async terminate() {
+    this.abort();
+    if (!this.url) return;
+
+    const response = await this.request("DELETE", this.url);
+    if (![204, 404, 410].includes(response.status)) {
+      throw responseError(response, "Could not delete the upload");
+    }
+  }
+
+  /**
+   * Send requests until the server has everything appended so far. Only
+   * one loop runs at a time; appending while it runs extends it.
+   */
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.hasWork()) {
+        try {
+          await this.step();
+          this.retries = 0;
+          this.retryAt = null;
+          this.error = null;
+        } catch (error) {
+          if (!(await this.shouldRetry(error))) this.fail(error);
+        }
+      }
+
+      if (
+        ACTIVE.includes(this.state) &&
+        this.lengthSent &&
+        this.offset === this.length
+      ) {
+        this.state = "done";
+        this.pending = [];
+        this.emit("progress", this.getStatus());
+        this.emit("complete", this.url);
+        this.settle.resolve(this.url);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  hasWork() {
+    if (!ACTIVE.includes(this.state)) return false;
+    if (!this.url || !this.synced) return true;
+    return (
+      this.offset < this.appended || (this.length !== null && !this.lengthSent)
+    );
+  }
+
+  /**
+   * One request: create the upload, ask the server for its offset after a
+   * failure, or send the next bytes
+   */
+  async step() {
+    if (this.state !== "uploading") {
+      this.state = "uploading";
+      this.emit("progress", this.getStatus());
+    }
+
+    if (!this.url) await this.create();
+    else if (!this.synced) await this.sync();
+    else await this.send();
+  }
+
+  async create() {
+    const response = await this.request("POST", this.endpoint, {
+      "Upload-Defer-Length": "1",
+      "Upload-Metadata": encodeMetadata(this.metadata),
+    });
+    if (response.status !== 201) {
+      throw responseError(response, "Could not create the upload");
+    }
+
+    const location = response.headers.get("Location");
+    if (!location) {
+      // Also what a server that doesn't expose Location to CORS looks like
+      const error = new Error("The server sent no upload URL");
+      error.fatal = true;
+      throw error;
+    }
+    this.url = new URL(location, this.endpoint).href;
+    this.offset = 0;
+    this.synced = true;
+    this.emit("created", this.url);
+  }
+
+  /**
+   * HEAD: find out how much the server has, e.g. of a request that failed
+   * midway
+   */
+  async sync() {
+    const response = await this.request("HEAD", this.url);
+    if (response.status === 404 || response.status === 410) {
+      throw responseError(response, "The upload is gone from the server");
+    }
+    if (!response.ok) throw responseError(response);
+
+    const offset = parseInt(response.headers.get("Upload-Offset"), 10);
+    if (!(offset >= this.pendingStart && offset <= this.appended)) {
+      const error = new Error(
+        `The server has ${offset} bytes, which doesn't match the recording`
+      );
+      error.fatal = true;
+      throw error;
+    }
+
+    this.offset = offset;
+    this.lengthSent = response.headers.has("Upload-Length");
+    this.synced = true;
+    this.release();
+  }
+
+  /**
+   * PATCH the next bytes, with the total length once it is known
+   */
+  async send() {
+    const start = this.offset - this.pendingStart;
+    const body = new Blob(this.pending).slice(start, start + MAX_REQUEST);
+    const headers = {
+      "Upload-Offset": String(this.offset),
+      "Content-Type": "application/offset+octet-stream",
+    };
+    const sendsLength = this.length !== null && !this.lengthSent;
+    if (sendsLength) headers["Upload-Length"] = String(this.length);
+
+    const response = await this.request("PATCH", this.url, headers, body);
+    if (response.status === 409) {
+      this.synced = false; // The offsets disagree: ask the server
+    }
+    if (response.status !== 204) throw responseError(response);
+
+    const offset = parseInt(response.headers.get("Upload-Offset"), 10);
+    if (!(offset > this.offset || (offset === this.offset && !body.size))) {
+      this.synced = false;
+      throw new Error("The server didn't take the data");
+    }
+
+    this.offset = offset;
+    if (sendsLength) this.lengthSent = true;
+    this.release();
+    this.emit("progress", this.getStatus());
+  }
+
+  /**
+   * Let go of the blobs the server has all of
+   */
+  release() {
+    while (
+      this.pending.length &&
+      this.pendingStart + this.pending[0].size <= this.offset
+    ) {
+      this.pendingStart += this.pending.shift().size;
+    }
+  }
+
+  /**
+   * fetch() with the tus and configured headers, and a timeout
+   */
+  async request(method, url, headers = {}, body) {
+    const controller = new AbortController();
+    this.controller = controller;
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    try {
+      return await fetch(url, {
+        method,
+        headers: { "Tus-Resumable": TUS_VERSION, ...this.headers, ...headers },
+        body,
+        signal: controller.signal,
+      });
+    } finally {
+      clearTimeout(timer);
+      this.controller = null;
+    }
+  }
+
+  /**
+   * Wait before trying again after a failed request: until the browser is
+   * back online, or with backoff
+   * @returns {Promise<boolean>} False when it isn't worth retrying
+   */
+  async shouldRetry(error) {
+    if (error.fatal || !ACTIVE.includes(this.state)) return false;
+
+    let delay;
+    if (navigator.onLine === false) {
+      // Time offline doesn't count; the "online" event ends the wait early
+      this.state = "offline";
+      delay = RETRY_DELAYS[RETRY_DELAYS.length - 1];
+    } else {
+      if (this.retries >= MAX_RETRIES) return false;
+      this.state = "waiting";
+      delay = RETRY_DELAYS[Math.min(this.retries, RETRY_DELAYS.length - 1)];
+      this.retries++;
+    }
+    console.warn(`Upload request failed, retrying in ${delay} ms:`, error);
+
+    this.error = error;
+    this.retryAt = Date.now() + delay;
+    this.emit("progress", this.getStatus());
+    await this.sleep(delay);
+
+    // The failed request may have got some of the way
+    if (this.url) this.synced = false;
+    return ACTIVE.includes(this.state);
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        window.removeEventListener("online", done);
+        this.wake = null;
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      window.addEventListener("online", done);
+      this.wake = done;
+    });
+  }
+
+  fail(error) {
+    if (!ACTIVE.includes(this.state)) return; // Aborted
+    console.error("Upload failed:", error);
+    this.state = "failed";
+    this.error = error;
+    this.retryAt = null;
+    this.pending = [];
+    this.emit("progress", this.getStatus());
+    this.emit("error", error);
+    this.settle.reject(error);
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Recordly - Audio Visualizer
+ * The video of an audio-only recording, for platforms that won't take
+ * audio alone: a title card over a waveform or spectrum of the recorded mix.
+ * Shared by the Canvas compositor (recorder.js), which reads the mix from
+ * the mixer's analyser, and the worker compositor (compositor.worker.js),
+ * which is sent the mixed track's AudioData.
+ */
+
+export const VISUALIZER_STYLES = {
+  waveform: { label: "Waveform" },
+  spectrum: { label: "Spectrum" },
+};
+
+export const DEFAULT_VISUALIZER = {
+  style: "waveform",
+  title: "",
+  subtitle: "",
+  color: "#007bff", // Bars and the title card's accent
+};
+
+const WINDOW = 2048; // Samples drawn and analysed per frame
+const BARS = 96; // Waveform columns
+const BANDS = 48; // Spectrum bars, spaced logarithmically
+const MIN_FREQUENCY = 50; // Hz
+const MAX_FREQUENCY = 16000; // Hz
+const FLOOR_DB = -80; // Spectrum bars are empty below this
+const FALL = 0.85; // Of its height a spectrum bar keeps each frame
+const BACKGROUND = "#0f1115";
+const FONT = "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+
+/**
+ * Merge partial settings over the defaults and clamp them to sane values
+ * @param {object} [visualizer]
+ * @returns {typeof DEFAULT_VISUALIZER}
+ */
+export function resolveVisualizer(visualizer = {}) {
+  const resolved = { ...DEFAULT_VISUALIZER, ...visualizer };
+
+  if (!VISUALIZER_STYLES[resolved.style]) {
+    resolved.style = DEFAULT_VISUALIZER.style;
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(resolved.color)) {
+    resolved.color = DEFAULT_VISUALIZER.color;
+  }
+  resolved.title = String(resolved.title || "").trim();
+  resolved.subtitle = String(resolved.subtitle || "").trim();
+
+  return resolved;
+}
+
+/**
+ * The newest window of audio and the spectrum drawn from it
+ * @param {number} [sampleRate]
+ */
+export function createVisualizerState(sampleRate = 48000) {
+  return {
+    samples: new Float32Array(WINDOW), // Oldest first
+    sampleRate,
+    bands: new Float32Array(BANDS), // 0..1, falling back slowly
+  };
+}
+
+/**
+ * Append samples to the window, dropping the oldest ones
+ * @param {object} state - From createVisualizerState()
+ * @param {Float32Array} samples - Mono
+ * @param {number} [sampleRate]
+ */
+export function pushSamples(state, samples, sampleRate) {
+  const window = state.samples;
+  if (samples.length >= window.length) {
+    window.set(samples.subarray(samples.length - window.length));
+  } else {
+    window.copyWithin(0, samples.length);
+    window.set(samples, window.length - samples.length);
+  }
+  if (sampleRate) state.sampleRate = sampleRate;
+}
+
+/**
+ * Draw a frame: background, title card and the waveform or spectrum of the
+ * current window
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {object} visualizer - From resolveVisualizer()
+ * @param {object} state - From createVisualizerState()
+ * @param {number} width
+ * @param {number} height
+ */
+export function drawVisualizer(ctx, visualizer, state, width, height) {
+  ctx.save();
+  try {
+    ctx.fillStyle = BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    const titled = !!(visualizer.title || visualizer.subtitle);
+    if (titled) drawTitleCard(ctx, visualizer, width, height);
+
+    // Below the title card, or centered without one
+    const area = {
+      x: width * 0.08,
+      y: titled ? height * 0.42 : height * 0.25,
+      width: width * 0.84,
+      height: titled ? height * 0.42 : height * 0.5,
+    };
+    ctx.fillStyle = visualizer.color;
+    if (visualizer.style === "spectrum") {
+      updateBands(state);
+      drawSpectrum(ctx, state.bands, area);
+    } else {
+      drawWaveform(ctx, state.samples, area);
+    }
+  } finally {
+    ctx.restore();
+  }
+}
+
+function drawTitleCard(ctx, visualizer, width, height) {
+  const titleSize = Math.round(height * 0.075);
+  const subtitleSize = Math.round(height * 0.04);
+  const accent = Math.max(4, Math.round(height * 0.008));
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  let y = height * 0.14;
+
+  if (visualizer.title) {
+    ctx.fillStyle = "#fff";
+    ctx.font = `700 ${titleSize}px ${FONT}`;
+    // Long titles are squeezed to fit rather than cut off
+    ctx.fillText(visualizer.title, width / 2, y, width * 0.84);
+    y += titleSize * 1.3;
+  }
+  if (visualizer.subtitle) {
+    ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+    ctx.font = `400 ${subtitleSize}px ${FONT}`;
+    ctx.fillText(visualizer.subtitle, width / 2, y, width * 0.84);
+    y += subtitleSize * 1.5;
+  }
+
+  ctx.fillStyle = visualizer.color;
+  ctx.fillRect(width / 2 - width * 0.04, y, width * 0.08, accent);
+}
+
+/**
+ * Mirrored bars of the peak level across the window, like a podcast player
+ */
+function drawWaveform(ctx, samples, area) {
+  const step = area.width / BARS;
+  const perBar = Math.floor(samples.length / BARS);
+  const middle = area.y + area.height / 2;
+
+  for (let bar = 0; bar < BARS; bar++) {
+    let peak = 0;
+    for (let i = bar * perBar; i < (bar + 1) * perBar; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    // Silence still shows as a line
+    const barHeight = Math.max(2, Math.min(1, peak) * area.height);
+    ctx.fillRect(
+      area.x + bar * step + step * 0.15,
+      middle - barHeight / 2,
+      step * 0.7,
+      barHeight
+    );
+  }
+}
+
+/**
+ * Bars rising from the bottom of the area, low frequencies on the left
+ */
+function drawSpectrum(ctx, bands, area) {
+  const step = area.width / bands.length;
+  const bottom = area.y + area.height;
+
+  bands.forEach((level, i) => {
+    const barHeight = Math.max(2, level * area.height);
+    ctx.fillRect(
+      area.x + i * step + step * 0.15,
+      bottom - barHeight,
+      step * 0.7,
+      barHeight
+    );
+  });
+}
+
+let hann = null;
+
+/**
+ * Spectrum of the window in log-spaced bands, 0..1 on a dB scale. Bars
+ * jump up at once and fall back slowly, so they don't flicker.
+ */
+function updateBands(state) {
+  const { samples, sampleRate, bands } = state;
+  if (!hann) {
+    hann = new Float32Array(WINDOW);
+    for (let i = 0; i < WINDOW; i++) {
+      hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (WINDOW - 1));
+    }
+  }
+
+  const real = new Float32Array(WINDOW);
+  const imaginary = new Float32Array(WINDOW);
+  for (let i = 0; i < WINDOW; i++) real[i] = samples[i] * hann[i];
+  fft(real, imaginary);
+
+  const binWidth = sampleRate / WINDOW;
+  const top = Math.min(MAX_FREQUENCY, sampleRate / 2);
+  const ratio = top / MIN_FREQUENCY;
+
+  for (let band = 0; band < BANDS; band++) {
+    const from = MIN_FREQUENCY * ratio ** (band / BANDS);
+    const to = MIN_FREQUENCY * ratio ** ((band + 1) / BANDS);
+    const first = Math.floor(from / binWidth);
+    const last = Math.max(first, Math.ceil(to / binWidth) - 1);
+
+    let peak = 0;
+    for (let bin = first; bin <= last && bin < WINDOW / 2; bin++) {
+      peak = Math.max(peak, Math.hypot(real[bin], imaginary[bin]));
+    }
+    // Amplitude of a full-scale sine is 1; the Hann window halves it
+    const db = 20 * Math.log10((peak * 4) / WINDOW + 1e-9);
+    const level = Math.min(1, Math.max(0, 1 - db / FLOOR_DB));
+    bands[band] = Math.max(level, bands[band] * FALL);
+  }
+}
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float32Array} real
+ * @param {Float32Array} imaginary
+ */
+function fft(real, imaginary) {
+  const n = real.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imaginary[i], imaginary[j]] = [imaginary[j], imaginary[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const stepReal = Math.cos(angle);
+    const stepImaginary = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1;
+      let wImaginary = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tReal = real[b] * wReal - imaginary[b] * wImaginary;
+        const tImaginary = real[b] * wImaginary + imaginary[b] * wReal;
+        real[b] = real[a] - tReal;
+        imaginary[b] = imaginary[a] - tImaginary;
+        real[a] += tReal;
+        imaginary[a] += tImaginary;
+        [wReal, wImaginary] = [
+          wReal * stepReal - wImaginary * stepImaginary,
+          wReal * stepImaginary + wImaginary * stepReal,
+        ];
+      }
+    }
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Recordly - Webcam Effects
+ * Background blur/replacement for the webcam feed, applied before
+ * compositing. Runs in the Canvas compositor and in the worker.
+ *
+ * Blur is only ever the camera's own effect, where the platform offers it
+ * (the `backgroundBlur` constraint, see Recorder): without person
+ * segmentation the background can only be told apart by chroma key, and a
+ * blurred green screen is still a green screen. Replacement keys out a
+ * plain green (or other key-colored) backdrop.
+ */
+
+export const DEFAULT_EFFECT = {
+  mode: "none", // none | blur (camera only) | replace
+  keyColor: "#00b140", // Chroma key backdrop color
+  tolerance: 0.25, // 0..1, how far from the key color still counts as backdrop
+  backgroundColor: "#1f2933",
+  backgroundImage: null, // ImageBitmap, drawn to cover the frame
+};
+
+const MAX_WIDTH = 640; // Keying runs per pixel on the CPU; webcams rarely need more
+const SOFTNESS = 0.1; // Width of the alpha ramp at the key edge
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Chroma (Cb, Cr) of an RGB color, scaled to 0..1
+ */
+function chroma(r, g, b) {
+  return [
+    (-0.168736 * r - 0.331264 * g + 0.5 * b) / 255,
+    (0.5 * r - 0.418688 * g - 0.081312 * b) / 255,
+  ];
+}
+
+function parseColor(hex) {
+  const value = parseInt(String(hex).replace("#", ""), 16) || 0;
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Merge partial settings over the defaults
+ * @param {object} [effect]
+ * @returns {typeof DEFAULT_EFFECT}
+ */
+export function resolveEffect(effect = {}) {
+  const settings = { ...DEFAULT_EFFECT, ...effect };
+  if (!["none", "blur", "replace"].includes(settings.mode)) {
+    settings.mode = "none";
+  }
+  settings.tolerance = Math.min(1, Math.max(0, Number(settings.tolerance)));
+  return settings;
+}
+
+export class WebcamEffect {
+  /**
+   * @param {object} [settings] - See DEFAULT_EFFECT
+   */
+  constructor(settings) {
+    this.settings = resolveEffect(settings);
+    this.work = null;
+    this.foreground = null;
+    this.output = null;
+  }
+
+  /**
+   * Whether frames need processing at all: blur is left to the camera
+   */
+  get active() {
+    return this.settings.mode === "replace";
+  }
+
+  /**
+   * Change settings; takes effect from the next frame
+   * @param {object} changes
+   */
+  update(changes) {
+    this.settings = resolveEffect({ ...this.settings, ...changes });
+  }
+
+  /**
+   * Size the scratch canvases for a source
+   */
+  resize(sourceWidth, sourceHeight) {
+    const width = Math.min(MAX_WIDTH, sourceWidth);
+    const height = Math.max(
+      1,
+      Math.round((sourceHeight * width) / sourceWidth)
+    );
+
+    if (this.output?.width === width && this.output?.height === height) return;
+
+    this.work = createCanvas(width, height);
+    this.foreground = createCanvas(width, height);
+    this.output = createCanvas(width, height);
+    this.workCtx = this.work.getContext("2d", { willReadFrequently: true });
+    this.foregroundCtx = this.foreground.getContext("2d");
+    this.outputCtx = this.output.getContext("2d", { alpha: false });
+  }
+
+  /**
+   * Process one webcam image
+   * @param {CanvasImageSource} source - Video element, VideoFrame or bitmap
+   * @param {number} sourceWidth
+   * @param {number} sourceHeight
+   * @returns {{image: CanvasImageSource, width: number, height: number}}
+   */
+  apply(source, sourceWidth, sourceHeight) {
+    if (!this.active) {
+      return { image: source, width: sourceWidth, height: sourceHeight };
+    }
+
+    this.resize(sourceWidth, sourceHeight);
+    const { width, height } = this.output;
+
+    // Cut the person out: backdrop pixels become transparent
+    this.workCtx.drawImage(source, 0, 0, width, height);
+    const frame = this.workCtx.getImageData(0, 0, width, height);
+    this.key(frame.data);
+    this.foregroundCtx.putImageData(frame, 0, 0);
+
+    // Background, then the person on top
+    const ctx = this.outputCtx;
+    const { backgroundColor, backgroundImage } = this.settings;
+
+    if (backgroundImage) {
+      const scale = Math.max(
+        width / backgroundImage.width,
+        height / backgroundImage.height
+      );
+      const w = backgroundImage.width * scale;
+      const h = backgroundImage.height * scale;
+      ctx.drawImage(backgroundImage, (width - w) / 2, (height - h) / 2, w, h);
+    } else {
+      ctx.fillStyle = backgroundColor;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    ctx.drawImage(this.foreground, 0, 0);
+
+    return { image: this.output, width, height };
+  }
+
+  /**
+   * Chroma key in place: alpha from the chroma distance to the key color,
+   * with the key color's spill pulled out of the edges
+   * @param {Uint8ClampedArray} data - RGBA pixels
+   */
+  key(data) {
+    const [kr, kg, kb] = parseColor(this.settings.keyColor);
+    const [kcb, kcr] = chroma(kr, kg, kb);
+    const low = this.settings.tolerance * 0.5;
+    const high = low + SOFTNESS;
+    const greenKey = kg >= kr && kg >= kb;
+
+    for (let i = 0; i < data.length; i += 4) {
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      // chroma(), inlined: this loop runs for every pixel of every frame
+      const cb = (-0.168736 * r - 0.331264 * g + 0.5 * b) / 255;
+      const cr = (0.5 * r - 0.418688 * g - 0.081312 * b) / 255;
+      const distance = Math.hypot(cb - kcb, cr - kcr);
+
+      if (distance <= low) {
+        data[i + 3] = 0;
+        continue;
+      }
+      if (distance < high) {
+        data[i + 3] = Math.round(((distance - low) / SOFTNESS) * 255);
+        if (greenKey) data[i + 1] = Math.min(g, Math.max(r, b));
+      }
+    }
+  }
+}
@@ -0,0 +1,1087 @@
+/**
+ * Recordly - WebM Post-Processor
+ * Pure-JS EBML parsing and rewriting. MediaRecorder writes live WebM with no
+ * duration and no seek index; finalizeWebm() adds both without loading the
+ * clusters into memory (they are carried over as Blob slices). trimWebm()
+ * cuts a range out of a recording the same way, and concatWebm() joins
+ * recordings end to end.
+ */
+
+export const ID = {
+  EBML: 0x1a45dfa3,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Seek: 0x4dbb,
+  SeekID: 0x53ab,
+  SeekPosition: 0x53ac,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  ReferenceBlock: 0xfb,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+  Chapters: 0x1043a770,
+  EditionEntry: 0x45b9,
+  EditionUID: 0x45bc,
+  ChapterAtom: 0xb6,
+  ChapterUID: 0x73c4,
+  ChapterTimeStart: 0x91,
+  ChapterDisplay: 0x80,
+  ChapString: 0x85,
+  ChapLanguage: 0x437c,
+  Tags: 0x1254c367,
+  Attachments: 0x1941a469,
+  Void: 0xec,
+};
+
+// Elements that may follow a Cluster at Segment level. Seeing one of these
+// ends a Cluster written with unknown size.
+const TOP_LEVEL = new Set([
+  ID.SeekHead,
+  ID.Info,
+  ID.Tracks,
+  ID.Cluster,
+  ID.Cues,
+  ID.Chapters,
+  ID.Tags,
+  ID.Attachments,
+]);
+
+const TRACK_TYPE_VIDEO = 1;
+
+const MAX_CLUSTER_SPAN = 30000; // timecode units; block offsets are int16
+
+/* ---------------------------------------------------------------------------
+ * Reading
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Windowed random-access reader over a (possibly disk-backed) Blob
+ */
+class BlobReader {
+  constructor(blob, windowSize = 1024 * 1024) {
+    this.blob = blob;
+    this.windowSize = windowSize;
+    this.start = 0;
+    this.bytes = new Uint8Array(0);
+  }
+
+  /**
+   * Read `length` bytes at `offset` (fewer at end of file)
+   * @returns {Promise<Uint8Array>}
+   */
+  async read(offset, length) {
+    const end = Math.min(offset + length, this.blob.size);
+    if (offset < this.start || end > this.start + this.bytes.length) {
+      const windowEnd = Math.min(
+        this.blob.size,
+        offset + Math.max(length, this.windowSize)
+      );
+      this.bytes = new Uint8Array(
+        await this.blob.slice(offset, windowEnd).arrayBuffer()
+      );
+      this.start = offset;
+    }
+    return this.bytes.subarray(offset - this.start, end - this.start);
+  }
+}
+
+/**
+ * Decode an EBML variable-length integer
+ * @param {Uint8Array} bytes
+ * @param {number} pos
+ * @param {boolean} keepMarker - true for element IDs
+ * @returns {{value: number, length: number, unknown: boolean}|null}
+ */
+function readVint(bytes, pos, keepMarker) {
+  const first = bytes[pos];
+  if (first === undefined || first === 0) return null;
+
+  let length = 1;
+  let mask = 0x80;
+  while (!(first & mask)) {
+    mask >>= 1;
+    length++;
+  }
+  if (pos + length > bytes.length) return null;
+
+  let value = keepMarker ? first : first & (mask - 1);
+  let allOnes = (first & (mask - 1)) === mask - 1;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+    if (bytes[pos + i] !== 0xff) allOnes = false;
+  }
+
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Read the header of the element starting at `offset`
+ * @returns {Promise<{id: number, size: number, headerSize: number, dataOffset: number}|null>}
+ *   size is -1 for elements written with unknown size
+ */
+async function readElementHeader(reader, offset) {
+  const bytes = await reader.read(offset, 12);
+  const id = readVint(bytes, 0, true);
+  if (!id || id.length > 4) return null;
+
+  const size = readVint(bytes, id.length, false);
+  if (!size) return null;
+
+  const headerSize = id.length + size.length;
+  return {
+    id: id.value,
+    size: size.unknown ? -1 : size.value,
+    headerSize,
+    dataOffset: offset + headerSize,
+  };
+}
+
+/**
+ * Iterate the child elements of an in-memory master element
+ * @param {Uint8Array} bytes
+ */
+function* children(bytes, start = 0, end = bytes.length) {
+  let pos = start;
+  while (pos < end) {
+    const id = readVint(bytes, pos, true);
+    if (!id) return;
+    const size = readVint(bytes, pos + id.length, false);
+    if (!size || size.unknown) return;
+
+    const dataStart = pos + id.length + size.length;
+    const dataEnd = dataStart + size.value;
+    if (dataEnd > end) return;
+
+    yield { id: id.value, start: pos, dataStart, dataEnd };
+    pos = dataEnd;
+  }
+}
+
+function readUint(bytes) {
+  let value = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    value = value * 256 + bytes[i];
+  }
+  return value;
+}
+
+function readString(bytes) {
+  return new TextDecoder().decode(bytes).replace(/\0+$/, "");
+}
+
+/**
+ * Read track number, relative timecode and keyframe flag of a block
+ * @returns {Promise<{track: number, timecode: number, keyframe: boolean}|null>}
+ */
+async function readBlockHeader(reader, element) {
+  if (element.id === ID.SimpleBlock) {
+    const bytes = await reader.read(element.dataOffset, 12);
+    const track = readVint(bytes, 0, false);
+    if (!track || bytes.length < track.length + 3) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    return {
+      track: track.value,
+      timecode: view.getInt16(track.length),
+      keyframe: (bytes[track.length + 2] & 0x80) !== 0,
+      timecodeOffset: element.dataOffset + track.length,
+      lacing: (bytes[track.length + 2] & 0x06) !== 0,
+      frameOffset: element.dataOffset + track.length + 3,
+    };
+  }
+
+  // BlockGroup: a Block is a keyframe unless it references another block
+  let block = null;
+  let referenced = false;
+  let offset = element.dataOffset;
+  const end = element.dataOffset + element.size;
+  while (offset < end) {
+    const child = await readElementHeader(reader, offset);
+    if (!child || child.size < 0) break;
+
+    if (child.id === ID.Block) {
+      const bytes = await reader.read(child.dataOffset, 12);
+      const track = readVint(bytes, 0, false);
+      if (track && bytes.length >= track.length + 3) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        block = {
+          track: track.value,
+          timecode: view.getInt16(track.length),
+          timecodeOffset: child.dataOffset + track.length,
+          lacing: (bytes[track.length + 2] & 0x06) !== 0,
+          frameOffset: child.dataOffset + track.length + 3,
+          frameEnd: child.dataOffset + child.size,
+        };
+      }
+    } else if (child.id === ID.ReferenceBlock) {
+      referenced = true;
+    }
+    offset = child.dataOffset + child.size;
+  }
+
+  return block && { ...block, keyframe: !referenced };
+}
+
+/**
+ * Scan a Cluster, returning its extent, timecode and first video keyframe.
+ * A Cluster cut short (e.g. by a crash) ends at its last complete block.
+ */
+async function parseCluster(reader, element, start, segmentEnd, state) {
+  const unknownSize = element.size < 0;
+  const declaredEnd = unknownSize
+    ? segmentEnd
+    : Math.min(segmentEnd, element.dataOffset + element.size);
+
+  const cluster = {
+    start,
+    dataStart: element.dataOffset,
+    sizeLength: element.headerSize - encodeId(ID.Cluster).length,
+    end: start,
+    timecode: 0,
+    cueTime: null,
+    truncated: false,
+  };
+
+  let offset = element.dataOffset;
+  let sawCueTrack = false;
+  let reachedNext = false;
+  while (offset < declaredEnd) {
+    const child = await readElementHeader(reader, offset);
+    if (!child) break;
+    if (unknownSize && TOP_LEVEL.has(child.id)) {
+      reachedNext = true;
+      break;
+    }
+    if (child.size < 0) break;
+
+    const childEnd = child.dataOffset + child.size;
+    if (childEnd > declaredEnd) break;
+
+    if (child.id === ID.Timecode) {
+      cluster.timecode = readUint(
+        await reader.read(child.dataOffset, child.size)
+      );
+      cluster.timecodeAt = { start: offset, data: child.dataOffset };
+      cluster.timecodeEnd = childEnd;
+    } else if (child.id === ID.SimpleBlock || child.id === ID.BlockGroup) {
+      const block = await readBlockHeader(reader, child);
+      if (block) {
+        const time = cluster.timecode + block.timecode;
+        const last = state.lastTimes.get(block.track);
+        state.lastTimes.set(block.track, {
+          previous: last ? last.time : time,
+          time: Math.max(time, last ? last.time : time),
+        });
+
+        if (block.track === state.cueTrack && !sawCueTrack) {
+          sawCueTrack = true;
+          if (block.keyframe) cluster.cueTime = time;
+        }
+      }
+    }
+
+    offset = childEnd;
+  }
+
+  cluster.end = offset;
+  cluster.truncated = offset < declaredEnd && !reachedNext;
+
+  // A known-size Cluster cannot simply be cut short; drop it instead
+  if (cluster.truncated && !unknownSize) {
+    cluster.end = start;
+  }
+  return cluster;
+}
+
+/**
+ * Parse the structure of a WebM file without reading its media payloads
+ * into memory all at once.
+ * @param {Blob} blob
+ * @returns {Promise<object>}
+ */
+export async function parseWebm(blob) {
+  const reader = new BlobReader(blob);
+
+  const ebml = await readElementHeader(reader, 0);
+  if (!ebml || ebml.id !== ID.EBML || ebml.size < 0) {
+    throw new Error("Not a WebM file");
+  }
+
+  const segmentStart = ebml.dataOffset + ebml.size;
+  const segment = await readElementHeader(reader, segmentStart);
+  if (!segment || segment.id !== ID.Segment) {
+    throw new Error("WebM Segment not found");
+  }
+
+  const segmentEnd =
+    segment.size < 0
+      ? blob.size
+      : Math.min(blob.size, segment.dataOffset + segment.size);
+
+  const webm = {
+    ebmlHeader: { start: 0, end: segmentStart },
+    timecodeScale: 1000000,
+    info: null,
+    tracks: null,
+    trackEntries: [],
+    extras: [],
+    chapters: null,
+    clusters: [],
+    duration: 0,
+  };
+
+  const state = { lastTimes: new Map(), cueTrack: null };
+
+  let offset = segment.dataOffset;
+  while (offset < segmentEnd) {
+    const element = await readElementHeader(reader, offset);
+    if (!element) break;
+
+    if (element.id === ID.Cluster) {
+      if (state.cueTrack === null) {
+        const video = webm.trackEntries.find(
+          (track) => track.type === TRACK_TYPE_VIDEO
+        );
+        state.cueTrack = (video || webm.trackEntries[0])?.number ?? 1;
+      }
+
+      const cluster = await parseCluster(
+        reader,
+        element,
+        offset,
+        segmentEnd,
+        state
+      );
+      if (cluster.end > cluster.start) webm.clusters.push(cluster);
+      if (cluster.truncated || cluster.end <= offset) break;
+      offset = cluster.end;
+      continue;
+    }
+
+    // Anything else must have a known size that fits in the file
+    if (element.size < 0) break;
+    const end = element.dataOffset + element.size;
+    if (end > segmentEnd) break;
+
+    switch (element.id) {
+      case ID.Info: {
+        webm.info = { start: offset, end };
+        const bytes = await reader.read(element.dataOffset, element.size);
+        for (const child of children(bytes)) {
+          if (child.id === ID.TimecodeScale) {
+            webm.timecodeScale = readUint(
+              bytes.subarray(child.dataStart, child.dataEnd)
+            );
+          }
+        }
+        break;
+      }
+      case ID.Tracks: {
+        webm.tracks = { start: offset, end };
+        const bytes = await reader.read(element.dataOffset, element.size);
+        for (const entry of children(bytes)) {
+          if (entry.id !== ID.TrackEntry) continue;
+          const track = { number: 0, type: 0, codecId: "" };
+          for (const field of children(bytes, entry.dataStart, entry.dataEnd)) {
+            const data = bytes.subarray(field.dataStart, field.dataEnd);
+            if (field.id === ID.TrackNumber) track.number = readUint(data);
+            if (field.id === ID.TrackType) track.type = readUint(data);
+            if (field.id === ID.CodecID) track.codecId = readString(data);
+          }
+          webm.trackEntries.push(track);
+        }
+        break;
+      }
+      case ID.Chapters:
+        webm.chapters = { start: offset, end };
+        break;
+      case ID.SeekHead:
+      case ID.Cues:
+      case ID.Void:
+        // Regenerated (or dropped) when the file is rebuilt
+        break;
+      default:
+        webm.extras.push({ id: element.id, start: offset, end });
+    }
+
+    offset = end;
+  }
+
+  // End time of the longest track, plus one frame of that track
+  state.lastTimes.forEach(({ previous, time }) => {
+    webm.duration = Math.max(webm.duration, time + (time - previous));
+  });
+  webm.cueTrack = state.cueTrack;
+
+  return webm;
+}
+
+/**
+ * List the blocks of a Cluster with their absolute times
+ * @param {Blob} blob
+ * @param {object} cluster - From parseWebm()
+ * @returns {Promise<object[]>} `{start, end, track, time, keyframe, ...}` in
+ *   file order; offsets are absolute
+ */
+async function readClusterBlocks(blob, cluster) {
+  const reader = new BlobReader(blob);
+  const blocks = [];
+
+  let offset = cluster.dataStart;
+  while (offset < cluster.end) {
+    const child = await readElementHeader(reader, offset);
+    if (!child || child.size < 0) break;
+    const end = child.dataOffset + child.size;
+    if (end > cluster.end) break;
+
+    if (child.id === ID.SimpleBlock || child.id === ID.BlockGroup) {
+      const block = await readBlockHeader(reader, child);
+      if (block) {
+        blocks.push({
+          frameEnd: end,
+          ...block,
+          start: offset,
+          end,
+          time: cluster.timecode + block.timecode,
+        });
+      }
+    }
+    offset = end;
+  }
+  return blocks;
+}
+
+/* ---------------------------------------------------------------------------
+ * Writing
+ * ------------------------------------------------------------------------- */
+
+function encodeId(id) {
+  const bytes = [];
+  let value = id;
+  while (value > 0) {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Encode an element size as a vint of at least `width` bytes
+ */
+function encodeSize(value, width = 1) {
+  let length = width;
+  while (length < 8 && value >= 2 ** (7 * length) - 1) length++;
+
+  const bytes = new Uint8Array(length);
+  let rest = value;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+/**
+ * Encode an unsigned integer, minimal unless `width` is given
+ */
+function encodeUint(value, width) {
+  let length = width || 1;
+  while (!width && length < 8 && value >= 2 ** (8 * length)) length++;
+
+  const bytes = new Uint8Array(length);
+  let rest = value;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  return bytes;
+}
+
+function encodeString(value) {
+  return new TextEncoder().encode(value);
+}
+
+function encodeFloat(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+/**
+ * Build an element from its ID and payload parts
+ * @param {number} id
+ * @param {Uint8Array[]} payload
+ * @returns {Uint8Array}
+ */
+function element(id, payload) {
+  const data = concat(payload);
+  return concat([encodeId(id), encodeSize(data.length), data]);
+}
+
+/**
+ * Rebuild Info with a Duration (replacing any existing one)
+ */
+async function buildInfo(blob, webm, duration) {
+  const header = await readElementHeader(
+    new BlobReader(blob, 0),
+    webm.info.start
+  );
+  const bytes = new Uint8Array(
+    await blob.slice(header.dataOffset, webm.info.end).arrayBuffer()
+  );
+
+  const kept = [];
+  for (const child of children(bytes)) {
+    if (child.id !== ID.Duration) {
+      kept.push(bytes.subarray(child.start, child.dataEnd));
+    }
+  }
+  kept.push(element(ID.Duration, [encodeFloat(duration)]));
+
+  return element(ID.Info, kept);
+}
+
+/**
+ * Build a SeekHead. Positions are fixed-width so the size is known up front.
+ * @param {{id: number, position: number}[]} entries
+ */
+function buildSeekHead(entries) {
+  return element(
+    ID.SeekHead,
+    entries.map(({ id, position }) =>
+      element(ID.Seek, [
+        element(ID.SeekID, [encodeId(id)]),
+        element(ID.SeekPosition, [encodeUint(position, 8)]),
+      ])
+    )
+  );
+}
+
+/**
+ * Build Cues. Cluster positions are fixed-width so the size is known up front.
+ * @param {{time: number, position: number}[]} points
+ * @param {number} track
+ */
+function buildCues(points, track) {
+  return element(
+    ID.Cues,
+    points.map(({ time, position }) =>
+      element(ID.CuePoint, [
+        element(ID.CueTime, [encodeUint(time)]),
+        element(ID.CueTrackPositions, [
+          element(ID.CueTrack, [encodeUint(track)]),
+          element(ID.CueClusterPosition, [encodeUint(position, 8)]),
+        ]),
+      ])
+    )
+  );
+}
+
+/**
+ * Build a Chapters element with one chapter per marker. Chapter times are
+ * in ns, independent of TimecodeScale.
+ * @param {{time: number, label: string}[]} markers - Times in ms, in order
+ * @returns {Uint8Array}
+ */
+export function buildChapters(markers) {
+  return element(ID.Chapters, [
+    element(ID.EditionEntry, [
+      element(ID.EditionUID, [encodeUint(1)]),
+      ...markers.map(({ time, label }, i) =>
+        element(ID.ChapterAtom, [
+          element(ID.ChapterUID, [encodeUint(i + 1)]),
+          element(ID.ChapterTimeStart, [encodeUint(Math.round(time) * 1e6)]),
+          element(ID.ChapterDisplay, [
+            element(ID.ChapString, [encodeString(label)]),
+            element(ID.ChapLanguage, [encodeString("eng")]),
+          ]),
+        ])
+      ),
+    ]),
+  ]);
+}
+
+/**
+ * Lay out a complete, seekable WebM file: EBML header, a known-size Segment
+ * with SeekHead, Info (with Duration), Tracks, any other metadata, Cues, and
+ * the original Clusters carried over as Blob slices.
+ * @param {Blob} blob - Source file
+ * @param {object} webm - Result of parseWebm(blob)
+ * @param {object} [options]
+ * @param {Uint8Array|null} [options.chapters] - Encoded Chapters element
+ *   (see buildChapters()), replacing the file's own; null drops them
+ * @returns {Promise<Blob>}
+ */
+async function buildWebm(blob, webm, options = {}) {
+  const info = await buildInfo(blob, webm, webm.duration);
+  const tracksSize = webm.tracks.end - webm.tracks.start;
+  const extrasSize = webm.extras.reduce(
+    (sum, extra) => sum + extra.end - extra.start,
+    0
+  );
+
+  let chapters = options.chapters || null;
+  if (options.chapters === undefined && webm.chapters) {
+    chapters = new Uint8Array(
+      await blob.slice(webm.chapters.start, webm.chapters.end).arrayBuffer()
+    );
+  }
+
+  // Clusters get known sizes: unknown-size Clusters inside a known-size
+  // Segment trip up some demuxers. Keeping the original size width means
+  // the header length (and so every offset) normally stays the same.
+  const clusterBodies = webm.clusters.map((cluster) =>
+    getClusterBody(blob, cluster)
+  );
+  const clusterHeaders = webm.clusters.map((cluster, i) =>
+    concat([
+      encodeId(ID.Cluster),
+      encodeSize(clusterBodies[i].size, cluster.sizeLength),
+    ])
+  );
+
+  // Output offsets of each cluster relative to the first one
+  let clustersSize = 0;
+  const clusterOffsets = webm.clusters.map((cluster, i) => {
+    const offset = clustersSize;
+    clustersSize += clusterHeaders[i].length + clusterBodies[i].size;
+    return offset;
+  });
+
+  const cuePoints = webm.clusters
+    .map((cluster, i) => ({ time: cluster.cueTime, offset: clusterOffsets[i] }))
+    .filter((point) => point.time !== null);
+
+  const seekIds = [ID.Info, ID.Tracks];
+  if (chapters) seekIds.push(ID.Chapters);
+  if (cuePoints.length) seekIds.push(ID.Cues);
+
+  // Fixed-width positions: sizes from a dry run hold for the real values
+  const seekHeadSize = buildSeekHead(
+    seekIds.map((id) => ({ id, position: 0 }))
+  ).length;
+  const cuesSize = cuePoints.length
+    ? buildCues(
+        cuePoints.map((point) => ({ time: point.time, position: 0 })),
+        webm.cueTrack
+      ).length
+    : 0;
+
+  const positions = {};
+  let position = seekHeadSize;
+  positions[ID.Info] = position;
+  position += info.length;
+  positions[ID.Tracks] = position;
+  position += tracksSize + extrasSize;
+  if (chapters) {
+    positions[ID.Chapters] = position;
+    position += chapters.length;
+  }
+  positions[ID.Cues] = position;
+  position += cuesSize;
+  const clustersStart = position;
+
+  const seekHead = buildSeekHead(
+    seekIds.map((id) => ({ id, position: positions[id] }))
+  );
+  const cues = cuePoints.length
+    ? buildCues(
+        cuePoints.map((point) => ({
+          time: point.time,
+          position: clustersStart + point.offset,
+        })),
+        webm.cueTrack
+      )
+    : new Uint8Array(0);
+
+  const segmentHeader = concat([
+    encodeId(ID.Segment),
+    encodeSize(clustersStart + clustersSize, 8),
+  ]);
+
+  const parts = [
+    blob.slice(webm.ebmlHeader.start, webm.ebmlHeader.end),
+    segmentHeader,
+    seekHead,
+    info,
+    blob.slice(webm.tracks.start, webm.tracks.end),
+    ...webm.extras.map((extra) => blob.slice(extra.start, extra.end)),
+  ];
+  if (chapters) parts.push(chapters);
+  parts.push(cues);
+
+  webm.clusters.forEach((cluster, i) => {
+    parts.push(clusterHeaders[i], ...clusterBodies[i].parts);
+  });
+
+  return new Blob(parts, { type: blob.type || "video/webm" });
+}
+
+/**
+ * Contents of a Cluster as written out: new clusters carry their bytes, a
+ * source cluster is sliced from the file, with its Timecode rewritten when
+ * it was moved. The Timecode keeps its width unless the new value needs a
+ * wider one.
+ * @returns {{parts: BlobPart[], size: number}}
+ */
+function getClusterBody(blob, cluster) {
+  if (cluster.data) {
+    return { parts: [cluster.data], size: cluster.data.length };
+  }
+
+  const size = cluster.end - cluster.dataStart;
+  if (!cluster.retimed) {
+    return { parts: [blob.slice(cluster.dataStart, cluster.end)], size };
+  }
+
+  const { start, data } = cluster.timecodeAt;
+  const width = cluster.timecodeEnd - data;
+  if (cluster.timecode < 2 ** (8 * width)) {
+    return {
+      parts: [
+        blob.slice(cluster.dataStart, data),
+        encodeUint(cluster.timecode, width),
+        blob.slice(cluster.timecodeEnd, cluster.end),
+      ],
+      size,
+    };
+  }
+
+  const timecode = element(ID.Timecode, [encodeUint(cluster.timecode)]);
+  return {
+    parts: [
+      blob.slice(cluster.dataStart, start),
+      timecode,
+      blob.slice(cluster.timecodeEnd, cluster.end),
+    ],
+    size: size - (cluster.timecodeEnd - start) + timecode.length,
+  };
+}
+
+/**
+ * Build a SimpleBlock
+ * @param {number} track
+ * @param {number} timecode - Relative to the Cluster
+ * @param {boolean} keyframe
+ * @param {Uint8Array} data - One frame
+ */
+function simpleBlock(track, timecode, keyframe, data) {
+  const header = new Uint8Array(3);
+  const view = new DataView(header.buffer);
+  view.setInt16(0, timecode);
+  header[2] = keyframe ? 0x80 : 0;
+  return element(ID.SimpleBlock, [encodeSize(track), header, data]);
+}
+
+/**
+ * Lay out new Clusters for re-encoded video and the audio blocks copied
+ * alongside it
+ * @param {Blob} blob - Source of the audio blocks
+ * @param {{time: number, keyframe: boolean, data: Uint8Array}[]} frames -
+ *   Video, times in timecode units
+ * @param {object[]} audio - Blocks from readClusterBlocks()
+ * @param {number} track - Video track number
+ * @param {number} shift - Subtracted from every time
+ * @returns {Promise<object[]>} Clusters for buildWebm()
+ */
+async function buildClusters(blob, frames, audio, track, shift) {
+  const items = [
+    ...frames.map((frame) => ({ ...frame, video: true })),
+    ...audio,
+  ].sort((a, b) => a.time - b.time);
+
+  const clusters = [];
+  let current = null;
+  const close = () => {
+    if (current) {
+      clusters.push({
+        data: concat(current.blocks),
+        sizeLength: 4,
+        cueTime: current.cueTime,
+      });
+    }
+  };
+
+  for (const item of items) {
+    // Block timecodes are 16-bit relative to the Cluster
+    if (!current || item.time - current.time > MAX_CLUSTER_SPAN) {
+      close();
+      current = {
+        time: item.time,
+        blocks: [element(ID.Timecode, [encodeUint(item.time - shift)])],
+        cueTime: null,
+      };
+    }
+
+    const timecode = item.time - current.time;
+    if (item.video) {
+      if (item.keyframe && current.cueTime === null) {
+        current.cueTime = item.time - shift;
+      }
+      current.blocks.push(
+        simpleBlock(track, timecode, item.keyframe, item.data)
+      );
+    } else {
+      const bytes = new Uint8Array(
+        await blob.slice(item.start, item.end).arrayBuffer()
+      );
+      new DataView(bytes.buffer).setInt16(
+        item.timecodeOffset - item.start,
+        timecode
+      );
+      current.blocks.push(bytes);
+    }
+  }
+  close();
+
+  return clusters;
+}
+
+/**
+ * Make a MediaRecorder WebM seekable: write the Segment Info duration and a
+ * Cues index pointing at every Cluster that starts with a keyframe.
+ * @param {Blob} blob
+ * @param {object} [options] - See buildWebm()
+ * @returns {Promise<Blob>}
+ */
+export async function finalizeWebm(blob, options = {}) {
+  const webm = await parseWebm(blob);
+  if (!webm.info || !webm.tracks || webm.clusters.length === 0) {
+    throw new Error("WebM file has no playable content");
+  }
+
+  return buildWebm(blob, webm, options);
+}
+
+/**
+ * Cut the range [start, end) out of a WebM recording. The result starts at
+ * time 0 and is finalized like finalizeWebm() output.
+ *
+ * Without `reencode` the cut starts at the last keyframe at or before
+ * `start`. With it, the video from `start` up to the next keyframe is
+ * re-encoded (everything after is copied), so the cut is frame-accurate.
+ * The end is cut at the first block at or after `end` either way.
+ * @param {Blob} blob
+ * @param {object} range
+ * @param {number} [range.start] - Seconds
+ * @param {number} [range.end] - Seconds
+ * @param {Function} [range.reencode] - `({codecId, frames, start, end,
+ *   bitrate}) => Promise<{time, keyframe, data}[]>`, times in µs; frames
+ *   have `time`, `keyframe` and `read()`. See trim.js.
+ * @returns {Promise<{blob: Blob, start: number}>} The cut, and the source
+ *   time it starts at in seconds (before `start` when cut at a keyframe)
+ */
+export async function trimWebm(blob, { start = 0, end = Infinity, reencode }) {
+  const webm = await parseWebm(blob);
+  if (!webm.info || !webm.tracks || webm.clusters.length === 0) {
+    throw new Error("WebM file has no playable content");
+  }
+
+  const perSecond = 1e9 / webm.timecodeScale;
+  const toMicros = (time) => (time * webm.timecodeScale) / 1000;
+  const from = Math.max(0, Math.round(start * perSecond));
+  const to = Math.min(webm.duration, Math.round(end * perSecond));
+  if (to <= from) throw new Error("The selection is empty");
+
+  const { clusters } = webm;
+  const track = webm.cueTrack;
+  const video = webm.trackEntries.find(
+    (entry) => entry.number === track && entry.type === TRACK_TYPE_VIDEO
+  );
+
+  // Last cluster starting with a keyframe at or before the in point, and
+  // the next one after it
+  let first = 0;
+  clusters.forEach((cluster, i) => {
+    if (cluster.cueTime !== null && cluster.cueTime <= from) first = i;
+  });
+  let next = clusters.findIndex((c, i) => i > first && c.cueTime !== null);
+  if (next < 0) next = clusters.length;
+
+  let head = [];
+  let copyFrom = first;
+  let shift = clusters[first].timecode;
+
+  const keyTime = clusters[first].cueTime ?? clusters[first].timecode;
+  const nextTime = clusters[next]?.timecode ?? Infinity;
+  if (reencode && video && from > keyTime && nextTime > from) {
+    const gopEnd = Math.min(to, clusters[next]?.cueTime ?? Infinity);
+    const blocks = [];
+    for (const cluster of clusters.slice(first, next)) {
+      blocks.push(...(await readClusterBlocks(blob, cluster)));
+    }
+
+    const frames = blocks
+      .filter((block) => block.track === track && block.time < gopEnd)
+      .map((block) => ({
+        time: toMicros(block.time),
+        keyframe: block.keyframe,
+        read: () => readFrame(blob, block),
+      }));
+    const encoded = await reencode({
+      codecId: video.codecId,
+      frames,
+      start: toMicros(from),
+      end: toMicros(gopEnd),
+      bitrate: (blob.size * 8 * perSecond) / webm.duration,
+    });
+
+    const audio = blocks.filter(
+      (block) =>
+        block.track !== track && block.time >= from && block.time < gopEnd
+    );
+    head = await buildClusters(
+      blob,
+      encoded.map((frame) => ({
+        ...frame,
+        time: Math.round((frame.time * 1000) / webm.timecodeScale),
+      })),
+      audio,
+      track,
+      from
+    );
+    copyFrom = next;
+    shift = from;
+  }
+
+  // Source clusters that start before the out point, moved to the new start
+  const copied = [];
+  for (const cluster of clusters.slice(copyFrom)) {
+    if (cluster.timecode >= to) break;
+    if (!cluster.timecodeAt) throw new Error("WebM Cluster has no Timecode");
+    copied.push({
+      ...cluster,
+      timecode: cluster.timecode - shift,
+      cueTime: cluster.cueTime === null ? null : cluster.cueTime - shift,
+      retimed: true,
+    });
+  }
+
+  // The last one ends at its first block past the out point
+  const last = copied[copied.length - 1];
+  if (last) {
+    const source = clusters[copyFrom + copied.length - 1];
+    const past = (await readClusterBlocks(blob, source)).find(
+      (block) => block.time >= to
+    );
+    if (past) last.end = past.start;
+    if (last.end <= last.timecodeEnd) copied.pop();
+  }
+
+  const kept = [...head, ...copied];
+  if (kept.length === 0) throw new Error("The selection is empty");
+
+  const trimmed = await buildWebm(blob, {
+    ...webm,
+    clusters: kept,
+    duration: to - shift,
+    chapters: null, // Their times no longer match
+  });
+  return { blob: trimmed, start: shift / perSecond };
+}
+
+/**
+ * Join WebM recordings made one after another with the same settings, e.g.
+ * the takes of a recording with retakes. Each one's clusters follow on from
+ * the end of the previous one; the headers are those of the first. The
+ * result is finalized like finalizeWebm() output.
+ * @param {Blob[]} blobs
+ * @param {object} [options] - See buildWebm()
+ * @returns {Promise<Blob>}
+ */
+export async function concatWebm(blobs, options = {}) {
+  const source = new Blob(blobs, { type: blobs[0]?.type });
+  const move = (range, offset) =>
+    range && { ...range, start: range.start + offset, end: range.end + offset };
+
+  let first = null;
+  const clusters = [];
+  let offset = 0; // Bytes into `source`
+  let duration = 0; // Timecode units
+
+  for (const blob of blobs) {
+    const webm = await parseWebm(blob);
+    if (!webm.info || !webm.tracks || webm.clusters.length === 0) {
+      offset += blob.size;
+      continue; // Nothing recorded
+    }
+
+    if (!first) {
+      first = {
+        ...webm,
+        ebmlHeader: move(webm.ebmlHeader, offset),
+        info: move(webm.info, offset),
+        tracks: move(webm.tracks, offset),
+        extras: webm.extras.map((extra) => move(extra, offset)),
+        chapters: null, // Their times only match the first recording
+      };
+    } else if (
+      webm.timecodeScale !== first.timecodeScale ||
+      webm.trackEntries.map((track) => track.codecId).join() !==
+        first.trackEntries.map((track) => track.codecId).join()
+    ) {
+      throw new Error("The recordings have different formats");
+    }
+
+    for (const cluster of webm.clusters) {
+      if (!cluster.timecodeAt) throw new Error("WebM Cluster has no Timecode");
+      clusters.push({
+        ...cluster,
+        start: cluster.start + offset,
+        dataStart: cluster.dataStart + offset,
+        end: cluster.end + offset,
+        timecodeAt: {
+          start: cluster.timecodeAt.start + offset,
+          data: cluster.timecodeAt.data + offset,
+        },
+        timecodeEnd: cluster.timecodeEnd + offset,
+        timecode: cluster.timecode + duration,
+        cueTime: cluster.cueTime === null ? null : cluster.cueTime + duration,
+        retimed: duration > 0,
+      });
+    }
+    duration += webm.duration;
+    offset += blob.size;
+  }
+
+  if (!first) throw new Error("WebM file has no playable content");
+  return buildWebm(source, { ...first, clusters, duration }, options);
+}
+
+/**
+ * Read the frame data of an unlaced block
+ * @returns {Promise<Uint8Array>}
+ */
+async function readFrame(blob, block) {
+  if (block.lacing) throw new Error("Laced video blocks are not supported");
+  return new Uint8Array(
+    await blob.slice(block.frameOffset, block.frameEnd).arrayBuffer()
+  );
+}
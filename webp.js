@@ -0,0 +1,163 @@
+/**
+ * Recordly - Animated WebP
+ * Each frame is encoded as a still WebP by the browser (OffscreenCanvas)
+ * and the stills are wrapped into an animated WebP container. Frames only
+ * hold the part that changed since the previous one. Used by the animation
+ * worker (animation.worker.js).
+ */
+
+const QUALITY = 0.8;
+const LOOP_FOREVER = 0;
+const FRAME_CHUNKS = ["ALPH", "VP8 ", "VP8L"]; // Image data within a still
+
+/**
+ * RIFF chunk: FourCC, little-endian size, payload padded to an even length
+ * @param {string} fourCC
+ * @param {Uint8Array[]} payload
+ * @returns {Uint8Array}
+ */
+function chunk(fourCC, payload) {
+  const size = payload.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(8 + size + (size % 2));
+  for (let i = 0; i < 4; i++) out[i] = fourCC.charCodeAt(i);
+  new DataView(out.buffer).setUint32(4, size, true);
+  let offset = 8;
+  for (const part of payload) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * 24-bit little-endian value
+ */
+function uint24(value) {
+  return Uint8Array.of(value & 255, (value >> 8) & 255, (value >> 16) & 255);
+}
+
+/**
+ * The chunks of a still WebP
+ * @param {Uint8Array} bytes
+ * @returns {{fourCC: string, bytes: Uint8Array}[]} Whole chunks, headers
+ *   included
+ */
+function readChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const fourCC = (offset) =>
+    String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (fourCC(0) !== "RIFF" || fourCC(8) !== "WEBP") {
+    throw new Error("Not a WebP image");
+  }
+
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const size = view.getUint32(offset + 4, true);
+    const end = Math.min(bytes.length, offset + 8 + size + (size % 2));
+    chunks.push({ fourCC: fourCC(offset), bytes: bytes.subarray(offset, end) });
+    offset = end;
+  }
+  return chunks;
+}
+
+export class WebpEncoder {
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.canvas = new OffscreenCanvas(width, height);
+    this.ctx = this.canvas.getContext("2d");
+    this.frames = [];
+    this.alpha = false;
+  }
+
+  /**
+   * Add a frame, drawn over the previous one
+   * @param {Uint8ClampedArray} rgba - The whole frame
+   * @param {{x: number, y: number, width: number, height: number}} rect -
+   *   The part that changed
+   * @param {Uint8Array|null} mask - Unused: the whole rectangle is redrawn
+   * @param {number} duration - ms the frame is shown
+   */
+  async addFrame(rgba, rect, mask, duration) {
+    // Frame offsets are stored halved, so the rectangle starts on even pixels
+    const x = rect.x - (rect.x % 2);
+    const y = rect.y - (rect.y % 2);
+    const width = rect.x + rect.width - x;
+    const height = rect.y + rect.height - y;
+
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.ctx.putImageData(
+      new ImageData(rgba, this.width, this.height),
+      -x,
+      -y,
+      x,
+      y,
+      width,
+      height
+    );
+
+    const still = await this.canvas.convertToBlob({
+      type: "image/webp",
+      quality: QUALITY,
+    });
+    if (still.type !== "image/webp") {
+      throw new Error("This browser can't encode WebP images");
+    }
+
+    const data = readChunks(new Uint8Array(await still.arrayBuffer())).filter(
+      ({ fourCC }) => FRAME_CHUNKS.includes(fourCC)
+    );
+    if (!data.some(({ fourCC }) => fourCC.startsWith("VP8"))) {
+      throw new Error("The browser's WebP output has no image data");
+    }
+    if (data.some(({ fourCC }) => fourCC !== "VP8 ")) this.alpha = true;
+
+    this.frames.push(
+      chunk("ANMF", [
+        uint24(x / 2),
+        uint24(y / 2),
+        uint24(width - 1),
+        uint24(height - 1),
+        uint24(Math.max(1, Math.round(duration))),
+        Uint8Array.of(0b10), // Don't blend with the previous frame; no disposal
+        ...data.map(({ bytes }) => bytes),
+      ])
+    );
+  }
+
+  /**
+   * Close the file
+   * @returns {Blob}
+   */
+  finish() {
+    const header = chunk("VP8X", [
+      Uint8Array.of((this.alpha ? 0x10 : 0) | 0x02, 0, 0, 0), // Animated
+      uint24(this.width - 1),
+      uint24(this.height - 1),
+    ]);
+    const animation = chunk("ANIM", [
+      Uint8Array.of(0, 0, 0, 0), // Background color, BGRA
+      Uint8Array.of(LOOP_FOREVER & 255, LOOP_FOREVER >> 8),
+    ]);
+
+    const size =
+      4 +
+      header.length +
+      animation.length +
+      this.frames.reduce((sum, frame) => sum + frame.length, 0);
+    const riff = new Uint8Array(12);
+    riff.set([82, 73, 70, 70]); // "RIFF"
+    new DataView(riff.buffer).setUint32(4, size, true);
+    riff.set([87, 69, 66, 80], 8); // "WEBP"
+
+    return new Blob([riff, header, animation, ...this.frames], {
+      type: "image/webp",
+    });
+  }
+}
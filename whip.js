@@ -0,0 +1,290 @@
+/**
+ * Recordly - Live Streaming
+ * Publishes the recorder's output to a WHIP endpoint (WebRTC-HTTP Ingestion
+ * Protocol, RFC 9725): one SDP offer POSTed with all ICE candidates in it,
+ * the answer in the response, and a DELETE of the session URL to stop.
+ * Dropped connections are set up again from scratch, with backoff, since
+ * few servers support ICE restarts over WHIP.
+ */
+
+const ICE_GATHERING_TIMEOUT = 2000; // ms; the offer goes with what there is
+const CONNECT_TIMEOUT = 15000; // ms from the offer to media flowing
+const DISCONNECT_GRACE = 5000; // ms a "disconnected" connection may recover in
+const REQUEST_TIMEOUT = 10000; // ms
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000]; // ms; the last repeats
+
+export const STREAM_STATES = {
+  connecting: { label: "Connecting…" },
+  live: { label: "Live" },
+  reconnecting: { label: "Reconnecting…" },
+  failed: { label: "Stream failed" },
+  stopped: { label: "Stream ended" },
+};
+
+export const DEFAULT_STREAM_BITRATE = {
+  video: 2500000,
+  audio: 128000,
+};
+
+/**
+ * Wait until the connection has gathered its ICE candidates, or the
+ * timeout: host candidates come at once, slow STUN servers shouldn't hold
+ * up the offer
+ */
+function waitForIceGathering(pc) {
+  if (pc.iceGatheringState === "complete") return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      pc.removeEventListener("icegatheringstatechange", check);
+      resolve();
+    };
+    const check = () => {
+      if (pc.iceGatheringState === "complete") done();
+    };
+    const timer = setTimeout(done, ICE_GATHERING_TIMEOUT);
+    pc.addEventListener("icegatheringstatechange", check);
+  });
+}
+
+export class WhipPublisher {
+  /**
+   * @param {object} options
+   * @param {string} options.endpoint - WHIP endpoint URL
+   * @param {string} [options.token] - Sent as a Bearer token
+   * @param {{video: number, audio: number}} [options.bitrate] - Maximum
+   *   bits per second
+   * @param {RTCIceServer[]} [options.iceServers]
+   */
+  constructor({ endpoint, token = "", bitrate = {}, iceServers = [] }) {
+    this.endpoint = endpoint;
+    this.token = token;
+    this.bitrate = { ...DEFAULT_STREAM_BITRATE, ...bitrate };
+    this.iceServers = iceServers;
+    this.stream = null;
+    this.pc = null;
+    this.session = null; // URL of the WHIP session, to DELETE
+    this.state = "stopped";
+    this.attempts = 0; // Connection attempts since media last flowed
+    this.timer = null; // Connect timeout, disconnect grace or retry delay
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Add event listener: "state" (a STREAM_STATES key) or "error" (Error)
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  /**
+   * Emit event
+   */
+  emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach((callback) => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+    this.state = state;
+    console.log(`Live stream: ${state}`);
+    this.emit("state", state);
+  }
+
+  /**
+   * Start publishing the tracks of a stream. Connects in the background;
+   * follow the "state" events.
+   * @param {MediaStream} stream
+   */
+  start(stream) {
+    this.stream = stream;
+    this.attempts = 0;
+    this.setState("connecting");
+    this.connect();
+  }
+
+  /**
+   * Offer the tracks to the endpoint and apply its answer. Failures are
+   * retried, except the ones that retrying can't fix.
+   */
+  async connect() {
+    this.attempts++;
+
+    const pc = new RTCPeerConnection({
+      iceServers: this.iceServers,
+      bundlePolicy: "max-bundle",
+    });
+    this.pc = pc;
+    pc.addEventListener("connectionstatechange", () =>
+      this.handleConnectionState(pc)
+    );
+
+    try {
+      this.stream.getTracks().forEach((track) => {
+        pc.addTransceiver(track, {
+          direction: "sendonly",
+          streams: [this.stream],
+          sendEncodings: [{ maxBitrate: this.bitrate[track.kind] }],
+        });
+      });
+
+      await pc.setLocalDescription(await pc.createOffer());
+      await waitForIceGathering(pc);
+      if (pc !== this.pc) return; // Stopped meanwhile
+
+      const response = await fetch(this.endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/sdp",
+          ...(this.token && { Authorization: `Bearer ${this.token}` }),
+        },
+        body: pc.localDescription.sdp,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+      });
+      if (response.status !== 201) {
+        const error = new Error(
+          `The server refused the stream (HTTP ${response.status})`
+        );
+        // Wrong URL or credentials; anything else may pass
+        error.fatal = [401, 403, 404, 405].includes(response.status);
+        throw error;
+      }
+
+      const location = response.headers.get("Location");
+      const answer = await response.text();
+      if (pc !== this.pc) {
+        // Stopped while waiting for the answer
+        if (location) this.deleteSession(new URL(location, this.endpoint));
+        return;
+      }
+      this.session = location && new URL(location, this.endpoint).href;
+      await pc.setRemoteDescription({ type: "answer", sdp: answer });
+
+      // Answered, but media has to flow too
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        if (pc === this.pc && pc.connectionState !== "connected") {
+          this.reconnect(new Error("The connection timed out"));
+        }
+      }, CONNECT_TIMEOUT);
+    } catch (error) {
+      if (pc !== this.pc) return;
+      if (error.fatal) {
+        this.fail(error);
+      } else {
+        this.reconnect(error);
+      }
+    }
+  }
+
+  handleConnectionState(pc) {
+    if (pc !== this.pc) return;
+
+    switch (pc.connectionState) {
+      case "connected":
+        clearTimeout(this.timer);
+        this.attempts = 0;
+        this.setState("live");
+        break;
+      case "disconnected":
+        // Often a network blip that ICE gets over by itself
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+          if (pc === this.pc && pc.connectionState !== "connected") {
+            this.reconnect(new Error("The connection dropped"));
+          }
+        }, DISCONNECT_GRACE);
+        break;
+      case "failed":
+        this.reconnect(new Error("The connection failed"));
+        break;
+    }
+  }
+
+  /**
+   * Drop the current connection and set up a new one after a delay
+   * @param {Error} error - Why
+   */
+  reconnect(error) {
+    if (this.state === "stopped" || this.state === "failed") return;
+    console.warn("Live stream interrupted:", error);
+
+    this.close();
+    this.setState("reconnecting");
+    const delay =
+      RETRY_DELAYS[Math.min(this.attempts - 1, RETRY_DELAYS.length - 1)];
+    this.timer = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Close the connection and end its session on the server
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pc?.close();
+    this.pc = null;
+    if (this.session) this.deleteSession(this.session);
+    this.session = null;
+  }
+
+  deleteSession(url) {
+    fetch(url, {
+      method: "DELETE",
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    }).catch((error) =>
+      console.warn("Could not end the live stream session:", error)
+    );
+  }
+
+  fail(error) {
+    console.error("Live stream failed:", error);
+    this.close();
+    this.setState("failed");
+    this.emit("error", error);
+  }
+
+  /**
+   * Change the maximum bitrates while streaming
+   * @param {{video?: number, audio?: number}} bitrate
+   */
+  async setBitrate(bitrate) {
+    Object.assign(this.bitrate, bitrate);
+    if (!this.pc) return;
+
+    await Promise.all(
+      this.pc.getSenders().map(async (sender) => {
+        if (!sender.track) return;
+        const parameters = sender.getParameters();
+        if (!parameters.encodings?.length) return;
+        parameters.encodings.forEach((encoding) => {
+          encoding.maxBitrate = this.bitrate[sender.track.kind];
+        });
+        await sender.setParameters(parameters);
+      })
+    );
+  }
+
+  /**
+   * Stop publishing
+   */
+  stop() {
+    if (this.state === "stopped") return;
+    this.close();
+    this.setState("stopped");
+  }
+}